@@ -13,17 +13,26 @@ import { EventEmitter } from 'events';
 // Security fix: Import safe-evaluator module to replace unsafe evaluation patterns
 // Removed expr-eval Parser import as it's now handled by safe-evaluator
 import { evaluateCondition, evaluateExpression, validateExpression } from './safe-evaluator.js';
+import { systemClock } from './instance/simulated-clock.js';
+import { progressKeyOf } from './narrative/narrative-utils.js';
 
 export class ChoiceTracker extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
+
+        // Choice timeouts run on in-game time: callers pass the instance's
+        // clock reading, and this clock is the fallback
+        this.clock = options.clock || systemClock;
         
-        // Choice trees for each story
+        // Choice trees for each story; what players chose is tracked per
+        // progress key (see progressKeyOf), one for each instance playing
         this.choiceTrees = new Map();           // storyId -> choice tree structure
-        this.playerChoices = new Map();         // storyId -> Map of choiceId -> selectedOption
-        this.activeChoicePoints = new Map();    // storyId -> Set of currently available choices
-        this.choiceHistory = new Map();         // storyId -> chronological choice history
-        this.choiceConsequences = new Map();    // storyId -> Map of choiceId -> applied consequences
+        this.trackedStories = new Map();        // key -> storyId
+        this.playerChoices = new Map();         // key -> Map of choiceId -> selectedOption
+        this.activeChoicePoints = new Map();    // key -> Set of currently available choices
+        this.choiceHistory = new Map();         // key -> chronological choice history
+        this.choiceConsequences = new Map();    // key -> Map of choiceId -> applied consequences
+        this.choiceDeadlines = new Map();       // key -> Map of choiceId -> expiry time
         
         // Choice evaluation cache
         this.evaluationCache = new Map();       // Cache for choice point evaluations
@@ -39,7 +48,7 @@ export class ChoiceTracker extends EventEmitter {
         };
         
         // Metrics tracking
-        this.choiceMetrics = new Map();         // storyId -> choice analytics
+        this.choiceMetrics = new Map();         // key -> choice analytics
 
         // Security fix: Removed custom expression parser setup
         // Now using safe-evaluator module for all expression evaluation
@@ -47,9 +56,9 @@ export class ChoiceTracker extends EventEmitter {
     }
 
     /**
-     * Load choice tree for a story
+     * Load choice tree for a story and start tracking choices under `key`
      */
-    async loadChoiceTree(storyId) {
+    async loadChoiceTree(storyId, key = storyId) {
         try {
             const choiceTreePath = path.join(
                 process.cwd(), 
@@ -69,7 +78,7 @@ export class ChoiceTracker extends EventEmitter {
             this.choiceTrees.set(storyId, choiceTree);
             
             // Initialize tracking for this story
-            this.initializeStoryTracking(storyId);
+            this.initializeStoryTracking(key, storyId);
             
             this.emit('choiceTreeLoaded', { storyId, choiceCount: this.countChoices(choiceTree) });
             
@@ -79,7 +88,7 @@ export class ChoiceTracker extends EventEmitter {
             if (error.code === 'ENOENT') {
                 const defaultTree = this.createDefaultChoiceTree(storyId);
                 this.choiceTrees.set(storyId, defaultTree);
-                this.initializeStoryTracking(storyId);
+                this.initializeStoryTracking(key, storyId);
                 return true;
             }
             
@@ -225,25 +234,31 @@ export class ChoiceTracker extends EventEmitter {
     /**
      * Initialize tracking for a story
      */
-    initializeStoryTracking(storyId) {
-        if (!this.playerChoices.has(storyId)) {
-            this.playerChoices.set(storyId, new Map());
+    initializeStoryTracking(key, storyId = key) {
+        this.trackedStories.set(key, storyId);
+
+        if (!this.playerChoices.has(key)) {
+            this.playerChoices.set(key, new Map());
         }
         
-        if (!this.activeChoicePoints.has(storyId)) {
-            this.activeChoicePoints.set(storyId, new Set());
+        if (!this.activeChoicePoints.has(key)) {
+            this.activeChoicePoints.set(key, new Set());
         }
         
-        if (!this.choiceHistory.has(storyId)) {
-            this.choiceHistory.set(storyId, []);
+        if (!this.choiceHistory.has(key)) {
+            this.choiceHistory.set(key, []);
         }
         
-        if (!this.choiceConsequences.has(storyId)) {
-            this.choiceConsequences.set(storyId, new Map());
+        if (!this.choiceConsequences.has(key)) {
+            this.choiceConsequences.set(key, new Map());
+        }
+
+        if (!this.choiceDeadlines.has(key)) {
+            this.choiceDeadlines.set(key, new Map());
         }
         
-        if (!this.choiceMetrics.has(storyId)) {
-            this.choiceMetrics.set(storyId, {
+        if (!this.choiceMetrics.has(key)) {
+            this.choiceMetrics.set(key, {
                 totalChoices: 0,
                 averageDecisionTime: 0,
                 choiceDistribution: new Map(),
@@ -254,15 +269,26 @@ export class ChoiceTracker extends EventEmitter {
     }
 
     /**
-     * Evaluate choice points based on current state
+     * Choice tree of the story a key tracks
+     */
+    treeFor(key) {
+        return this.choiceTrees.get(this.trackedStories.get(key) ?? key);
+    }
+
+    /**
+     * Evaluate choice points based on current state. Active choices whose
+     * timeout has passed by `now` expire first.
+     * @param {number} now - In-game time of the evaluation
      */
-    async evaluateChoicePoints(consciousnessState, storyContext, progressState) {
-        const storyId = storyContext.storyId;
-        const choiceTree = this.choiceTrees.get(storyId);
+    async evaluateChoicePoints(consciousnessState, storyContext, progressState, now = this.clock.now()) {
+        const key = progressKeyOf(storyContext);
+        const choiceTree = this.treeFor(key);
         
         if (!choiceTree) {
             return [];
         }
+
+        this.expireChoices(key, now);
         
         // Check cache first
         const cacheKey = this.generateEvaluationCacheKey(consciousnessState, storyContext, progressState);
@@ -272,7 +298,7 @@ export class ChoiceTracker extends EventEmitter {
         }
         
         const availableChoices = [];
-        const activeChoices = this.activeChoicePoints.get(storyId);
+        const activeChoices = this.activeChoicePoints.get(key);
         
         // Evaluate each choice in the tree
         for (const choice of choiceTree.choices) {
@@ -282,7 +308,7 @@ export class ChoiceTracker extends EventEmitter {
             }
             
             // Skip if already made and not repeatable
-            if (this.playerChoices.get(storyId).has(choice.id) && !choice.repeatable) {
+            if (this.playerChoices.get(key).has(choice.id) && !choice.repeatable) {
                 continue;
             }
             
@@ -296,9 +322,7 @@ export class ChoiceTracker extends EventEmitter {
                 
                 // Set timeout if specified
                 if (choice.timeout) {
-                    setTimeout(() => {
-                        this.handleChoiceTimeout(storyId, choice.id);
-                    }, choice.timeout);
+                    this.choiceDeadlines.get(key).set(choice.id, now + choice.timeout);
                 }
             }
         }
@@ -323,8 +347,8 @@ export class ChoiceTracker extends EventEmitter {
             consciousness: consciousnessState,
             story: storyContext,
             progress: progressState,
-            playerChoices: this.playerChoices.get(storyContext.storyId),
-            choiceHistory: this.choiceHistory.get(storyContext.storyId)
+            playerChoices: this.playerChoices.get(progressKeyOf(storyContext)),
+            choiceHistory: this.choiceHistory.get(progressKeyOf(storyContext))
         };
         
         // Use the condition evaluator from narrative engine
@@ -566,7 +590,7 @@ export class ChoiceTracker extends EventEmitter {
                     }
                     break;
                 case 'previous_choice':
-                    const previousChoice = this.playerChoices.get(storyContext.storyId).get(requirement.choiceId);
+                    const previousChoice = this.playerChoices.get(progressKeyOf(storyContext)).get(requirement.choiceId);
                     if (previousChoice !== requirement.selectedOption) {
                         return true;
                     }
@@ -603,12 +627,12 @@ export class ChoiceTracker extends EventEmitter {
     /**
      * Record a player's choice
      */
-    recordChoice(storyId, choiceId, selectedOptionId) {
-        const choiceTree = this.choiceTrees.get(storyId);
+    recordChoice(key, choiceId, selectedOptionId) {
+        const choiceTree = this.treeFor(key);
         const choice = choiceTree?.choices.find(c => c.id === choiceId);
         
         if (!choice) {
-            throw new Error(`Choice ${choiceId} not found in story ${storyId}`);
+            throw new Error(`Choice ${choiceId} not found in story ${this.trackedStories.get(key) ?? key}`);
         }
         
         const selectedOption = choice.options.find(o => o.id === selectedOptionId);
@@ -617,11 +641,11 @@ export class ChoiceTracker extends EventEmitter {
         }
         
         // Record the choice
-        const playerChoices = this.playerChoices.get(storyId);
+        const playerChoices = this.playerChoices.get(key);
         playerChoices.set(choiceId, selectedOptionId);
         
         // Add to history
-        const choiceHistory = this.choiceHistory.get(storyId);
+        const choiceHistory = this.choiceHistory.get(key);
         const choiceRecord = {
             choiceId,
             selectedOptionId,
@@ -634,19 +658,21 @@ export class ChoiceTracker extends EventEmitter {
         choiceHistory.push(choiceRecord);
         
         // Remove from active choices
-        this.activeChoicePoints.get(storyId).delete(choiceId);
+        this.activeChoicePoints.get(key).delete(choiceId);
+        this.choiceDeadlines.get(key)?.delete(choiceId);
         
         // Apply consequences
         if (selectedOption.consequences) {
-            this.applyChoiceConsequences(storyId, choiceId, selectedOption.consequences);
+            this.applyChoiceConsequences(key, choiceId, selectedOption.consequences);
         }
         
         // Update metrics
-        this.updateChoiceMetrics(storyId, choiceRecord);
+        this.updateChoiceMetrics(key, choiceRecord);
         
         // Emit event
         this.emit('choiceRecorded', {
-            storyId,
+            storyId: this.trackedStories.get(key) ?? key,
+            key,
             choiceId,
             selectedOptionId,
             consequences: selectedOption.consequences
@@ -658,7 +684,7 @@ export class ChoiceTracker extends EventEmitter {
     /**
      * Apply choice consequences
      */
-    applyChoiceConsequences(storyId, choiceId, consequences) {
+    applyChoiceConsequences(key, choiceId, consequences) {
         const appliedConsequences = {
             choiceId,
             timestamp: Date.now(),
@@ -670,8 +696,8 @@ export class ChoiceTracker extends EventEmitter {
         
         // Apply variable changes
         if (consequences.variables) {
-            Object.entries(consequences.variables).forEach(([key, value]) => {
-                appliedConsequences.variables[key] = value;
+            Object.entries(consequences.variables).forEach(([name, value]) => {
+                appliedConsequences.variables[name] = value;
                 // In practice, this would integrate with the consciousness engine
                 // to actually modify the system state
             });
@@ -693,41 +719,56 @@ export class ChoiceTracker extends EventEmitter {
         }
         
         // Store applied consequences
-        this.choiceConsequences.get(storyId).set(choiceId, appliedConsequences);
+        this.choiceConsequences.get(key).set(choiceId, appliedConsequences);
         
         return appliedConsequences;
     }
 
+    /**
+     * Time out active choices whose deadline has passed
+     * @returns {Array<string>} Ids of the choices that expired
+     */
+    expireChoices(key, now = this.clock.now()) {
+        const expired = [];
+        for (const [choiceId, deadline] of this.choiceDeadlines.get(key) || []) {
+            if (deadline > now) continue;
+            expired.push(choiceId);
+            this.handleChoiceTimeout(key, choiceId);
+        }
+        return expired;
+    }
+
     /**
      * Handle choice timeout
      */
-    handleChoiceTimeout(storyId, choiceId) {
-        const activeChoices = this.activeChoicePoints.get(storyId);
+    handleChoiceTimeout(key, choiceId) {
+        const activeChoices = this.activeChoicePoints.get(key);
+        this.choiceDeadlines.get(key)?.delete(choiceId);
         
         if (activeChoices.has(choiceId)) {
             activeChoices.delete(choiceId);
             
             // Apply default choice or timeout consequences
-            const choiceTree = this.choiceTrees.get(storyId);
+            const choiceTree = this.treeFor(key);
             const choice = choiceTree?.choices.find(c => c.id === choiceId);
             
             if (choice?.defaultOption) {
-                this.recordChoice(storyId, choiceId, choice.defaultOption);
+                this.recordChoice(key, choiceId, choice.defaultOption);
             }
             
             // Update metrics
-            const metrics = this.choiceMetrics.get(storyId);
+            const metrics = this.choiceMetrics.get(key);
             metrics.timeouts++;
             
-            this.emit('choiceTimeout', { storyId, choiceId });
+            this.emit('choiceTimeout', { storyId: this.trackedStories.get(key) ?? key, key, choiceId });
         }
     }
 
     /**
      * Update choice metrics
      */
-    updateChoiceMetrics(storyId, choiceRecord) {
-        const metrics = this.choiceMetrics.get(storyId);
+    updateChoiceMetrics(key, choiceRecord) {
+        const metrics = this.choiceMetrics.get(key);
         
         metrics.totalChoices++;
         
@@ -746,74 +787,79 @@ export class ChoiceTracker extends EventEmitter {
     /**
      * Get choice history for a story
      */
-    getChoiceHistory(storyId) {
-        return this.choiceHistory.get(storyId) || [];
+    getChoiceHistory(key) {
+        return this.choiceHistory.get(key) || [];
     }
 
     /**
      * Get applied consequences for a story
      */
-    getAppliedConsequences(storyId) {
-        const consequences = this.choiceConsequences.get(storyId);
+    getAppliedConsequences(key) {
+        const consequences = this.choiceConsequences.get(key);
         return consequences ? Array.from(consequences.values()) : [];
     }
 
     /**
      * Get active choice points for a story
      */
-    getActiveChoicePoints(storyId) {
-        return Array.from(this.activeChoicePoints.get(storyId) || []);
+    getActiveChoicePoints(key) {
+        return Array.from(this.activeChoicePoints.get(key) || []);
     }
 
     /**
      * Check if a specific choice has been made
      */
-    hasChoiceBeenMade(storyId, choiceId) {
-        return this.playerChoices.get(storyId)?.has(choiceId) || false;
+    hasChoiceBeenMade(key, choiceId) {
+        return this.playerChoices.get(key)?.has(choiceId) || false;
     }
 
     /**
      * Get the selected option for a choice
      */
-    getSelectedOption(storyId, choiceId) {
-        return this.playerChoices.get(storyId)?.get(choiceId);
+    getSelectedOption(key, choiceId) {
+        return this.playerChoices.get(key)?.get(choiceId);
     }
 
     /**
      * Export choice state for saving
      */
-    exportState(storyId) {
+    exportState(key) {
         return {
-            playerChoices: Array.from(this.playerChoices.get(storyId) || []),
-            choiceHistory: this.choiceHistory.get(storyId) || [],
-            appliedConsequences: Array.from(this.choiceConsequences.get(storyId) || []),
-            activeChoicePoints: Array.from(this.activeChoicePoints.get(storyId) || []),
-            metrics: this.choiceMetrics.get(storyId) || {}
+            playerChoices: Array.from(this.playerChoices.get(key) || []),
+            choiceHistory: this.choiceHistory.get(key) || [],
+            appliedConsequences: Array.from(this.choiceConsequences.get(key) || []),
+            activeChoicePoints: Array.from(this.activeChoicePoints.get(key) || []),
+            choiceDeadlines: Array.from(this.choiceDeadlines.get(key) || []),
+            metrics: this.choiceMetrics.get(key) || {}
         };
     }
 
     /**
      * Import saved choice state
      */
-    importState(storyId, savedState) {
+    importState(key, savedState) {
         if (savedState.playerChoices) {
-            this.playerChoices.set(storyId, new Map(savedState.playerChoices));
+            this.playerChoices.set(key, new Map(savedState.playerChoices));
         }
         
         if (savedState.choiceHistory) {
-            this.choiceHistory.set(storyId, savedState.choiceHistory);
+            this.choiceHistory.set(key, savedState.choiceHistory);
         }
         
         if (savedState.appliedConsequences) {
-            this.choiceConsequences.set(storyId, new Map(savedState.appliedConsequences));
+            this.choiceConsequences.set(key, new Map(savedState.appliedConsequences));
         }
         
         if (savedState.activeChoicePoints) {
-            this.activeChoicePoints.set(storyId, new Set(savedState.activeChoicePoints));
+            this.activeChoicePoints.set(key, new Set(savedState.activeChoicePoints));
+        }
+
+        if (savedState.choiceDeadlines) {
+            this.choiceDeadlines.set(key, new Map(savedState.choiceDeadlines));
         }
         
         if (savedState.metrics) {
-            this.choiceMetrics.set(storyId, savedState.metrics);
+            this.choiceMetrics.set(key, savedState.metrics);
         }
     }
 
@@ -822,7 +868,7 @@ export class ChoiceTracker extends EventEmitter {
      */
     generateEvaluationCacheKey(consciousnessState, storyContext, progressState) {
         const keyData = {
-            storyId: storyContext.storyId,
+            key: progressKeyOf(storyContext),
             progress: progressState?.progress || 0,
             dominant: consciousnessState.dominant,
             debugIssues: consciousnessState.debugIssueCount || 0
@@ -852,26 +898,37 @@ export class ChoiceTracker extends EventEmitter {
     /**
      * Debug and utility methods
      */
-    getDebugInfo(storyId) {
+    getDebugInfo(key) {
         return {
-            choiceTreeLoaded: this.choiceTrees.has(storyId),
-            totalChoices: this.countChoices(this.choiceTrees.get(storyId) || {}),
-            choicesMade: this.playerChoices.get(storyId)?.size || 0,
-            activeChoices: this.activeChoicePoints.get(storyId)?.size || 0,
+            choiceTreeLoaded: Boolean(this.treeFor(key)),
+            totalChoices: this.countChoices(this.treeFor(key) || {}),
+            choicesMade: this.playerChoices.get(key)?.size || 0,
+            activeChoices: this.activeChoicePoints.get(key)?.size || 0,
             cacheSize: this.evaluationCache.size,
-            metrics: this.choiceMetrics.get(storyId)
+            metrics: this.choiceMetrics.get(key)
         };
     }
 
-    resetStoryChoices(storyId) {
-        this.playerChoices.delete(storyId);
-        this.activeChoicePoints.delete(storyId);
-        this.choiceHistory.delete(storyId);
-        this.choiceConsequences.delete(storyId);
-        this.choiceMetrics.delete(storyId);
+    forgetStoryChoices(key) {
+        this.playerChoices.delete(key);
+        this.activeChoicePoints.delete(key);
+        this.choiceHistory.delete(key);
+        this.choiceConsequences.delete(key);
+        this.choiceDeadlines.delete(key);
+        this.choiceMetrics.delete(key);
+        this.trackedStories.delete(key);
+    }
+
+    resetStoryChoices(key) {
+        this.playerChoices.delete(key);
+        this.activeChoicePoints.delete(key);
+        this.choiceHistory.delete(key);
+        this.choiceConsequences.delete(key);
+        this.choiceDeadlines.delete(key);
+        this.choiceMetrics.delete(key);
         
-        this.initializeStoryTracking(storyId);
+        this.initializeStoryTracking(key, this.trackedStories.get(key));
         
-        this.emit('storyChoicesReset', { storyId });
+        this.emit('storyChoicesReset', { storyId: this.trackedStories.get(key), key });
     }
 }
\ No newline at end of file
@@ -1,9 +1,16 @@
 // ConditionEvaluator.js - Evaluates complex conditions for narrative triggers
 import { Parser } from 'expr-eval';
+import { systemClock } from './instance/simulated-clock.js';
+import SeededRandom from './rng.js';
 
 class ConditionEvaluator {
     constructor(consciousnessInstance) {
         this.consciousness = consciousnessInstance;
+        // Temporal and duration conditions use the instance's in-game time;
+        // the evaluation cache stays on wall-clock time
+        this.clock = consciousnessInstance?.clock || systemClock;
+        // random() and randomInt() draw from the instance's generator so replays match
+        this.rng = consciousnessInstance?.rng || new SeededRandom();
         this.variables = new Map();
         this.functions = new Map();
         this.operators = new Map();
@@ -73,11 +80,11 @@ class ConditionEvaluator {
         // Time-based functions
         this.functions.set('timeSince', (eventType) => {
             const event = this.getLastEvent(eventType);
-            return event ? Date.now() - event.timestamp : Infinity;
+            return event ? this.clock.now() - event.timestamp : Infinity;
         });
 
         this.functions.set('eventCount', (eventType, timeWindow = Infinity) => {
-            const cutoffTime = Date.now() - timeWindow;
+            const cutoffTime = this.clock.now() - timeWindow;
             return this.consciousness.systemLog.filter(log => 
                 log.category === eventType && log.timestamp > cutoffTime
             ).length;
@@ -126,7 +133,7 @@ class ConditionEvaluator {
 
         // Player action tracking
         this.functions.set('playerActionCount', (actionType, timeWindow = 300000) => {
-            const cutoffTime = Date.now() - timeWindow;
+            const cutoffTime = this.clock.now() - timeWindow;
             return this.consciousness.systemLog.filter(log => 
                 log.category === 'player_intervention' && 
                 log.timestamp > cutoffTime &&
@@ -135,7 +142,7 @@ class ConditionEvaluator {
         });
 
         this.functions.set('playerSuccessRate', (timeWindow = 600000) => {
-            const cutoffTime = Date.now() - timeWindow;
+            const cutoffTime = this.clock.now() - timeWindow;
             const interventions = this.consciousness.systemLog.filter(log => 
                 log.category === 'player_intervention' && 
                 log.timestamp > cutoffTime
@@ -151,11 +158,9 @@ class ConditionEvaluator {
         });
 
         // Random and utility functions
-        this.functions.set('random', () => Math.random());
+        this.functions.set('random', () => this.rng.next());
         
-        this.functions.set('randomInt', (min, max) => 
-            Math.floor(Math.random() * (max - min + 1)) + min
-        );
+        this.functions.set('randomInt', (min, max) => this.rng.int(min, max));
 
         this.functions.set('clamp', (value, min, max) => 
             Math.max(min, Math.min(max, value))
@@ -189,7 +194,7 @@ class ConditionEvaluator {
     evaluateCondition(condition, context = {}) {
         try {
             // Update evaluation context
-            this.evaluationContext = { ...context, timestamp: Date.now() };
+            this.evaluationContext = { ...context, timestamp: this.clock.now() };
             
             // Check cache for recent evaluations
             const cacheKey = this.generateCacheKey(condition, context);
@@ -212,7 +217,7 @@ class ConditionEvaluator {
                 condition: condition,
                 context: context,
                 result: result,
-                timestamp: Date.now()
+                timestamp: this.clock.now()
             });
 
             // Cleanup old cache entries
@@ -220,8 +225,8 @@ class ConditionEvaluator {
 
             return result;
         } catch (error) {
-            this.consciousness.systemLog.push({
-                timestamp: Date.now(),
+            this.consciousness?.systemLog?.push({
+                timestamp: this.clock.now(),
                 level: 'error',
                 message: `Condition evaluation error: ${error.message}`,
                 category: 'condition_evaluation',
@@ -235,6 +240,7 @@ class ConditionEvaluator {
     parseAndEvaluate(condition) {
         if (typeof condition === 'boolean') return condition;
         if (typeof condition === 'number') return condition !== 0;
+        if (condition && typeof condition === 'object') return this.evaluateObjectCondition(condition);
         if (typeof condition !== 'string') return false;
 
         // Handle complex condition types
@@ -273,12 +279,66 @@ class ConditionEvaluator {
             
             case 'pattern':
                 return this.evaluatePatternCondition(conditionObj);
+
+            case 'simple':
+                return this.evaluateComparisonCondition(conditionObj);
             
             default:
-                return false;
+                // Story configs list compound members as bare { target, operator, value }
+                return conditionObj.target !== undefined && this.evaluateComparisonCondition(conditionObj);
         }
     }
 
+    // Evaluate { target, operator, value } against a variable
+    evaluateComparisonCondition(conditionObj) {
+        const { target, operator = '==', value } = conditionObj;
+        const comparison = this.operators.get(operator);
+        if (!comparison) return false;
+        return Boolean(comparison(this.getVariableValue(target), value));
+    }
+
+    /**
+     * Measure how close a declarative condition is to holding.
+     * Distance runs from 0 (met) to 1; numeric comparisons shrink as the
+     * variable approaches its threshold, everything else is 0 or 1.
+     * @param {Object} condition - simple, compound or bare { target, operator, value }
+     * @param {Object} context - Variables, dotted targets resolve into nested objects
+     * @returns {Object} { met, distance, conditions: [{ target, operator, value, current, met, distance }] }
+     */
+    measureCondition(condition, context = {}) {
+        this.evaluationContext = { ...context, timestamp: this.clock.now() };
+        return this.measureConditionNode(condition);
+    }
+
+    measureConditionNode(condition) {
+        if (condition?.type === 'compound' && Array.isArray(condition.conditions) && condition.conditions.length > 0) {
+            const parts = condition.conditions.map(part => this.measureConditionNode(part));
+            const distances = parts.map(part => part.distance);
+            const distance = (condition.operator || 'AND') === 'AND'
+                ? distances.reduce((sum, d) => sum + d, 0) / distances.length
+                : Math.min(...distances);
+            return {
+                met: this.parseAndEvaluate(condition),
+                distance,
+                conditions: parts.flatMap(part => part.conditions)
+            };
+        }
+
+        if (condition && typeof condition === 'object' && condition.target !== undefined) {
+            const { target, operator = '==', value } = condition;
+            const current = this.getVariableValue(target);
+            const met = this.evaluateComparisonCondition(condition);
+            let distance = met ? 0 : 1;
+            if (!met && typeof current === 'number' && typeof value === 'number' && ['>', '>=', '<', '<='].includes(operator)) {
+                distance = Math.min(1, Math.abs(value - current) / Math.max(Math.abs(value), 1));
+            }
+            return { met, distance, conditions: [{ target, operator, value, current, met, distance }] };
+        }
+
+        const met = this.parseAndEvaluate(condition);
+        return { met, distance: met ? 0 : 1, conditions: [] };
+    }
+
     // Evaluate compound conditions with AND/OR logic
     evaluateCompoundCondition(conditions, operator) {
         if (!Array.isArray(conditions) || conditions.length === 0) return false;
@@ -319,7 +379,7 @@ class ConditionEvaluator {
     // Check if condition has been true for required duration
     checkConditionDuration(conditionObj, duration) {
         const conditionKey = JSON.stringify(conditionObj);
-        const now = Date.now();
+        const now = this.clock.now();
         
         // Check recent history for continuous satisfaction
         const recentEvaluations = this.history
@@ -339,7 +399,7 @@ class ConditionEvaluator {
         
         if (!Array.isArray(sequence) || sequence.length === 0) return false;
         
-        const cutoffTime = Date.now() - timeWindow;
+        const cutoffTime = this.clock.now() - timeWindow;
         const relevantHistory = this.history.filter(h => h.timestamp > cutoffTime);
         
         let sequenceIndex = 0;
@@ -374,7 +434,7 @@ class ConditionEvaluator {
             pattern = 'any'
         } = conditionObj;
         
-        const cutoffTime = Date.now() - timeWindow;
+        const cutoffTime = this.clock.now() - timeWindow;
         const events = this.getEventsInWindow(eventType, cutoffTime);
         
         const occurrenceCount = events.length;
@@ -408,7 +468,7 @@ class ConditionEvaluator {
             timeWindow = 30000 
         } = conditionObj;
         
-        const cutoffTime = Date.now() - timeWindow;
+        const cutoffTime = this.clock.now() - timeWindow;
         const currentValue = this.getVariableValue(variable);
         
         // Find the earliest value in the time window
@@ -576,11 +636,17 @@ class ConditionEvaluator {
         if (this.evaluationContext[variableName] !== undefined) {
             return this.evaluationContext[variableName];
         }
+
+        // Dotted names such as emily_connection.strength read nested context values
+        if (typeof variableName === 'string' && variableName.includes('.')) {
+            const nested = variableName.split('.').reduce((value, key) => value?.[key], this.evaluationContext);
+            if (nested !== undefined) return nested;
+        }
         
         // Check built-in system variables
         switch (variableName) {
             case 'time':
-                return Date.now();
+                return this.clock.now();
             case 'memoryUsage':
                 return this.functions.get('getMemoryUsage')();
             case 'cpuUsage':
@@ -606,7 +672,7 @@ class ConditionEvaluator {
 
     // Get variable value history over time window
     getVariableHistory(variableName, timeWindow) {
-        const cutoffTime = Date.now() - timeWindow;
+        const cutoffTime = this.clock.now() - timeWindow;
         return this.history
             .filter(h => h.timestamp > cutoffTime)
             .map(h => h.context[variableName] || this.getVariableValue(variableName))
@@ -791,7 +857,7 @@ class ConditionEvaluator {
     }
 
     getEvaluationHistory(timeWindow = 60000) {
-        const cutoffTime = Date.now() - timeWindow;
+        const cutoffTime = this.clock.now() - timeWindow;
         return this.history.filter(h => h.timestamp > cutoffTime);
     }
 
@@ -1,6 +1,12 @@
 // MemoryManager.js - Manages consciousness memory allocation, retrieval, and emotional associations
 
 import MemoryCalculator from './memory/MemoryCalculator.js';
+import SwapSpace from './memory/SwapSpace.js';
+import AddressSpace from './memory/AddressSpace.js';
+import ProcessMemory from './memory/ProcessMemory.js';
+import { queryMemories } from './memory/memory-query.js';
+import SeededRandom from './rng.js';
+import { systemClock } from './instance/simulated-clock.js';
 
 class MemoryManager {
     constructor(consciousnessInstance, memoryMapConfig = {}, dependencies = {}) {
@@ -25,12 +31,24 @@ class MemoryManager {
             reserved: memoryMapConfig.reservedCapacity || 1000
         };
         this.memoryMapConfig = memoryMapConfig;
+        // Blocks page out here under pressure instead of being deleted
+        this.swap = new SwapSpace(this, memoryMapConfig.swap);
+        // Where each resident block lives; fragmentation is measured from its gaps
+        this.addressSpace = new AddressSpace({
+            size: this.memoryCapacity.total,
+            strategy: memoryMapConfig.allocationStrategy
+        });
+        // Blocks each process owns, which its memoryUsage is measured from
+        this.processMemory = new ProcessMemory(this);
         this.isInitialized = false;
         this.cleanupInterval = null;
 
         // Dependency injection
         this.eventBus = dependencies.eventBus;
         this.logger = dependencies.logger;
+        this.rng = dependencies.rng || new SeededRandom();
+        // Memory age and leak scoring run on in-game time
+        this.clock = dependencies.clock || systemClock;
     }
 
     // Initialize MemoryManager with base memories and configuration
@@ -118,7 +136,7 @@ class MemoryManager {
                     emotions: memoryConfig.emotions || [],
                     context: memoryConfig.context || {},
                     sensoryDetails: memoryConfig.sensoryDetails || {},
-                    timeStamp: memoryConfig.timeStamp || Date.now()
+                    timeStamp: memoryConfig.timeStamp || this.clock.now()
                 };
                 
                 const memoryId = this.allocateMemory(
@@ -177,7 +195,7 @@ class MemoryManager {
                         corruptionRisk: region.corruptionRisk
                     },
                     sensoryDetails: {},
-                    timeStamp: Date.now(),
+                    timeStamp: this.clock.now(),
                     regionMetadata: region // Store the full region data
                 };
                 
@@ -298,7 +316,7 @@ class MemoryManager {
         for (const memory of memories) {
             const memoryData = {
                 ...memory,
-                timeStamp: Date.now(),
+                timeStamp: this.clock.now(),
                 regionSource: region.label
             };
             
@@ -387,11 +405,21 @@ class MemoryManager {
         }
     }
 
-    // Allocate memory for new emotional experience
-    allocateMemory(memoryData, type = 'shortTerm') {
-        const memoryId = `mem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const memorySize = this.calculateMemorySize(memoryData);
-        
+    // Allocate memory for new emotional experience. `memoryData.size` fixes the
+    // block size instead of measuring it from the content
+    allocateMemory(memoryData, type = 'shortTerm', { id } = {}) {
+        const memoryId = id ?? `mem_${this.clock.now()}_${this.rng.token()}`;
+        const memorySize = Number.isFinite(memoryData.size) ? memoryData.size : this.calculateMemorySize(memoryData);
+
+        // A full pool or a full memory pages out its least recently used blocks
+        const pool = this.memoryPools[type];
+        if (pool && pool.size >= pool.maxSize) {
+            this.swap.swapOutLeastRecent(type);
+        }
+        if (this.memoryCapacity.available < memorySize) {
+            this.swap.makeRoom(memorySize);
+        }
+
         // Check if allocation is possible
         if (this.memoryCapacity.available < memorySize) {
             this.triggerMemoryPressure();
@@ -399,6 +427,12 @@ class MemoryManager {
         }
         
         const memoryBlock = this.createMemoryBlock(memoryId, memoryData, type, memorySize);
+
+        // Enough units free but no gap left that holds them, even compacted
+        if (!this.mapBlock(memoryBlock)) {
+            this.triggerMemoryPressure();
+            return null;
+        }
         
         // Store in appropriate pool
         this.memoryPools[type].set(memoryId, memoryBlock);
@@ -414,7 +448,7 @@ class MemoryManager {
         // Log allocation if system log exists
         if (this.consciousness.systemLog) {
             this.consciousness.systemLog.push({
-                timestamp: Date.now(),
+                timestamp: this.clock.now(),
                 level: 'debug',
                 message: `Allocated ${memorySize} units for ${type} memory: ${memoryId}`,
                 category: 'memory_management',
@@ -426,7 +460,7 @@ class MemoryManager {
         if (this.eventBus) {
             this.eventBus.emit('MemoryAllocated', {
                 blockId: memoryId,
-                address: memoryBlock.address || memoryId,
+                address: memoryBlock.address,
                 size: memorySize,
                 type: type,
                 processId: memoryData.processId || null,
@@ -449,17 +483,21 @@ class MemoryManager {
             type: type,
             size: size,
             data: data,
-            createdAt: Date.now(),
-            lastAccessed: Date.now(),
+            createdAt: this.clock.now(),
+            lastAccessed: this.clock.now(),
             accessCount: 0,
             emotionalCharge: data.emotionalIntensity || 0,
             associatedEmotions: data.emotions || [],
+
+            // Owning process; working-set blocks are the memory it runs in
+            pid: data.pid ?? null,
+            workingSet: Boolean(data.workingSet),
             
             // Memory metadata
             fragmented: false,
             compressed: false,
             corrupted: false,
-            protected: type === 'traumatic',
+            protected: type === 'traumatic' || Boolean(data.workingSet),
             
             // Access patterns
             accessHistory: [],
@@ -486,7 +524,7 @@ class MemoryManager {
             narrative: data.description || '',
             sensoryData: data.sensoryDetails || {},
             contextualInfo: data.context || {},
-            temporalMarkers: data.timeStamp || Date.now()
+            temporalMarkers: data.timeStamp || this.clock.now()
         };
 
         switch(type) {
@@ -551,14 +589,16 @@ class MemoryManager {
         return MemoryCalculator.getIntensityRange(intensity);
     }
 
-    // Retrieve memories by emotional association
+    // Retrieve memories by emotional association; swapped-out ones fault back in
     retrieveMemoriesByEmotion(emotion, limit = 10) {
         const memoryIds = this.emotionalIndexes.get(emotion) || new Set();
         const memories = Array.from(memoryIds)
-            .map(id => this.memorySegments.get(id))
+            .map(id => this.memorySegments.get(id) ?? this.swap.peek(id))
             .filter(mem => mem && !mem.corrupted)
             .sort((a, b) => b.emotionalCharge - a.emotionalCharge)
-            .slice(0, limit);
+            .slice(0, limit)
+            .map(mem => (mem.swapped ? this.swap.fault(mem.id) : mem))
+            .filter(Boolean);
         
         // Update access patterns
         memories.forEach(memory => this.updateAccessPattern(memory));
@@ -566,12 +606,24 @@ class MemoryManager {
         return memories.map(mem => this.createMemoryRetrieval(mem));
     }
 
+    /**
+     * Search memories with the query language of lib/memory/memory-query.js,
+     * e.g. `emotion:grief intensity>0.7 pool:traumatic text:"ducks"`. Unlike
+     * retrieval, searching does not touch access patterns or fault blocks in.
+     * @param {string} query - Query text
+     * @param {Object} options - { sort, limit, page } overriding the query's own
+     * @returns {Object} { query, total, page, pages, limit, sort, results }
+     */
+    searchMemories(query, options = {}) {
+        return queryMemories(this, query, options);
+    }
+
     // Update memory access patterns
     updateAccessPattern(memory) {
-        memory.lastAccessed = Date.now();
+        memory.lastAccessed = this.clock.now();
         memory.accessCount++;
         memory.accessHistory.push({
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             context: this.getCurrentContext()
         });
         
@@ -584,9 +636,9 @@ class MemoryManager {
         
         pattern.frequency++;
         if (pattern.lastAccess) {
-            pattern.intervals.push(Date.now() - pattern.lastAccess);
+            pattern.intervals.push(this.clock.now() - pattern.lastAccess);
         }
-        pattern.lastAccess = Date.now();
+        pattern.lastAccess = this.clock.now();
         pattern.contexts.push(this.getCurrentContext());
         
         this.accessPatterns.set(memory.id, pattern);
@@ -615,7 +667,7 @@ class MemoryManager {
     // Get current execution context
     getCurrentContext() {
         return {
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             activeProcesses: this.consciousness.processManager ? 
                 this.consciousness.processManager.getSystemResourceUsage().activeProcessCount : 0,
             emotionalState: this.consciousness.emotionalProcessor ?
@@ -632,10 +684,10 @@ class MemoryManager {
 
     // Calculate corruption risk for a memory
     calculateCorruptionRisk(memory) {
-        return MemoryCalculator.calculateCorruptionRisk(memory);
+        return MemoryCalculator.calculateCorruptionRisk(memory, this.clock.now());
     }
 
-    // Trigger memory pressure cleanup
+    // Trigger memory pressure cleanup; reached only when swap is off or full
     triggerMemoryPressure() {
         console.warn('Memory pressure detected, triggering cleanup');
         
@@ -653,7 +705,7 @@ class MemoryManager {
     // Clean up expired memories
     cleanupExpiredMemories() {
         let freedMemory = 0;
-        const now = Date.now();
+        const now = this.clock.now();
         
         Object.entries(this.memoryPools).forEach(([poolType, pool]) => {
             const retentionPeriod = pool.retentionPeriod;
@@ -673,15 +725,16 @@ class MemoryManager {
     // Compress old memories to save space
     compressOldMemories() {
         const compressionAge = 3600000; // 1 hour
-        const now = Date.now();
+        const now = this.clock.now();
         
         this.memorySegments.forEach(memory => {
             if (!memory.compressed && 
                 now - memory.createdAt > compressionAge && 
-                memory.type !== 'traumatic') {
+                !memory.protected) {
                 
                 memory.compressed = true;
                 memory.size = MemoryCalculator.calculateCompressedSize(memory.size);
+                this.addressSpace.shrink(memory.id, memory.size);
                 this.updateCapacityMetrics();
             }
         });
@@ -727,6 +780,7 @@ class MemoryManager {
         
         // Remove from main segments
         this.memorySegments.delete(memoryId);
+        this.unmapBlock(memory);
         
         // Update capacity
         this.memoryCapacity.allocated -= memory.size;
@@ -735,11 +789,79 @@ class MemoryManager {
         return true;
     }
 
-    // Defragment memory
+    // Memory blocks held by any of the given process IDs, resident or swapped
+    // out: blocks the process owns, allocations made to it and memories it stored
+    blocksOwnedBy(processIds = []) {
+        const owners = new Set(processIds.filter(id => id !== null && id !== undefined).map(String));
+        const holds = block => [block.pid, block.processId ?? block.data?.processId]
+            .some(ref => ref !== null && ref !== undefined && owners.has(String(ref)));
+        return [
+            ...Array.from(this.memorySegments.values()),
+            ...Array.from(this.swap.pages.values()).map(page => page.block)
+        ].filter(holds);
+    }
+
+    /**
+     * Free every block a process holds, as its cleanup on a graceful shutdown
+     * @param {Array} processIds - IDs the process is known by
+     * @returns {Object} { blocks: [{ block, pools }], size } for restoreReleasedMemory
+     */
+    releaseProcessMemory(processIds = []) {
+        return this.releaseBlocks(this.blocksOwnedBy(processIds));
+    }
+
+    /**
+     * Free the given blocks wherever they are, resident or swapped out
+     * @param {Array<Object>} blocks - Blocks to free
+     * @returns {Object} { blocks: [{ block, pools, swapped }], size } for restoreReleasedMemory
+     */
+    releaseBlocks(blocks = []) {
+        const released = { blocks: [], size: 0 };
+        for (const block of blocks) {
+            const page = this.swap.discard(block.id);
+            if (!page && !this.memorySegments.has(block.id)) continue;
+
+            const pools = page ? page.pools : Object.keys(this.memoryPools).filter(type => this.memoryPools[type].has(block.id));
+            pools.forEach(type => this.memoryPools[type].delete(block.id));
+            (block.associatedEmotions || []).forEach(emotion => {
+                this.emotionalIndexes.get(emotion)?.delete(block.id);
+                this.emotionalIndexes.get(`${emotion}_${this.getIntensityRange(block.emotionalCharge)}`)?.delete(block.id);
+            });
+            if (!page) {
+                this.memorySegments.delete(block.id);
+                this.unmapBlock(block);
+                this.memoryCapacity.allocated -= block.size;
+                this.memoryCapacity.available += block.size;
+            }
+            released.blocks.push({ block, pools, swapped: Boolean(page) });
+            released.size += block.size;
+        }
+        return released;
+    }
+
+    // Put back blocks freed by releaseBlocks or releaseProcessMemory
+    restoreReleasedMemory(released = { blocks: [] }) {
+        for (const { block, pools, swapped } of released.blocks) {
+            this.createEmotionalIndexes(block);
+            if (swapped) {
+                this.swap.readmit(block, pools);
+                continue;
+            }
+            // Back where it was if nothing has taken its place since
+            this.mapBlock(block, block.offset);
+            this.memorySegments.set(block.id, block);
+            pools.forEach(type => this.memoryPools[type].set(block.id, block));
+            this.memoryCapacity.allocated += block.size;
+            this.memoryCapacity.available -= block.size;
+        }
+    }
+
+    // Defragment memory: compact the address space and mend fragmented blocks
     defragmentMemory() {
         console.log('Starting memory defragmentation');
 
-        // This is a simplified defragmentation - in a real system this would be more complex
+        const relocations = this.compactAddressSpace();
+
         const fragmentedMemories = Array.from(this.memorySegments.values())
             .filter(mem => mem.fragmented);
 
@@ -748,15 +870,74 @@ class MemoryManager {
             memory.coherenceLevel = Math.min(memory.coherenceLevel + 0.1, 1.0);
         });
 
-        this.fragmentationLevel = 0;
-
         return {
             success: true,
             defragmentedCount: fragmentedMemories.length,
-            message: `Defragmented ${fragmentedMemories.length} memory blocks`
+            relocated: relocations.length,
+            relocations,
+            fragmentationLevel: this.fragmentationLevel,
+            message: `Defragmented ${fragmentedMemories.length} memory blocks, relocated ${relocations.length}`
         };
     }
 
+    /**
+     * Give a block an address, compacting memory first if no single gap fits it
+     * @param {Object} block - Block to map
+     * @param {number} preferred - Offset to try first, e.g. where it used to be
+     * @returns {boolean} True if the block was mapped
+     */
+    mapBlock(block, preferred) {
+        let placement = this.addressSpace.allocate(block.id, block.size, { at: preferred });
+        if (!placement && this.addressSpace.free >= block.size) {
+            this.compactAddressSpace();
+            placement = this.addressSpace.allocate(block.id, block.size);
+        }
+        if (!placement) return false;
+
+        block.address = placement.address;
+        block.offset = placement.offset;
+        this.fragmentationLevel = this.addressSpace.getFragmentation();
+        return true;
+    }
+
+    // Return a block's addresses to the free list
+    unmapBlock(block) {
+        this.addressSpace.release(block.id);
+        this.fragmentationLevel = this.addressSpace.getFragmentation();
+    }
+
+    /**
+     * Slide resident blocks down to close every gap, moving their addresses
+     * @returns {Array<Object>} { id, size, from, to } for each block moved
+     */
+    compactAddressSpace() {
+        const relocations = this.addressSpace.compact();
+        for (const relocation of relocations) {
+            const block = this.memorySegments.get(relocation.id);
+            if (block) {
+                const { offset, address } = this.addressSpace.placement(relocation.id);
+                block.offset = offset;
+                block.address = address;
+            }
+            if (this.eventBus) {
+                this.eventBus.emit('MemoryRelocated', {
+                    blockId: relocation.id,
+                    from: relocation.from,
+                    address: relocation.to,
+                    size: relocation.size,
+                    processId: block?.processId ?? block?.data?.processId ?? null
+                });
+            }
+        }
+        this.fragmentationLevel = this.addressSpace.getFragmentation();
+        return relocations;
+    }
+
+    // Choose where new blocks go: 'first-fit' or 'best-fit'
+    setAllocationStrategy(strategy) {
+        return this.addressSpace.setStrategy(strategy);
+    }
+
     // Alias for defragmentMemory to match memory-state.js interface
     defragment(aggressive = false) {
         return this.defragmentMemory();
@@ -792,7 +973,7 @@ class MemoryManager {
             // Report through consciousness system if available
             if (this.consciousness.systemLog) {
                 this.consciousness.systemLog.push({
-                    timestamp: Date.now(),
+                    timestamp: this.clock.now(),
                     level: 'warning',
                     message: `Memory leak detection: ${leaks.length} suspicious allocations`,
                     category: 'memory_management',
@@ -812,10 +993,11 @@ class MemoryManager {
         this.emotionalIndexes.clear();
         this.initializeEmotionalIndexes();
         
-        // Rebuild from existing memories
+        // Rebuild from existing memories, resident or swapped out
         this.memorySegments.forEach(memory => {
             this.createEmotionalIndexes(memory);
         });
+        this.swap.pages.forEach(({ block }) => this.createEmotionalIndexes(block));
         
         return {
             success: true,
@@ -835,9 +1017,7 @@ class MemoryManager {
         this.memoryCapacity.available = this.memoryCapacity.total - actualAllocated;
         
         // Update fragmentation level
-        const fragmentedMemories = Array.from(this.memorySegments.values())
-            .filter(mem => mem.fragmented);
-        this.fragmentationLevel = fragmentedMemories.length / this.memorySegments.size;
+        this.fragmentationLevel = this.addressSpace.getFragmentation();
     }
 
     // Get memory status for debugging
@@ -879,7 +1059,10 @@ class MemoryManager {
             compressionRatio: this.compressionRatio,
             totalMemories: this.memorySegments.size,
             emotionalIndexes: this.emotionalIndexes.size,
-            loadedRegions: regionSummary
+            loadedRegions: regionSummary,
+            addressSpace: this.addressSpace.getLayout(),
+            swap: this.swap.getStatus(),
+            processes: this.processMemory.getOwnership()
         };
     }
 
@@ -912,6 +1095,48 @@ class MemoryManager {
         return this.allocateMemory(memoryData, content.type || 'shortTerm');
     }
 
+    // Find memory blocks mapped at an address (or addressed directly by id)
+    getBlocksAtAddress(address) {
+        const target = String(address).toLowerCase();
+        return Array.from(this.memorySegments.values()).filter(block => this.isAtAddress(block, address, target));
+    }
+
+    // A block answers to its id, its allocated address and the region address it was loaded for
+    isAtAddress(block, address, target = String(address).toLowerCase()) {
+        return block.id === address ||
+            [block.address, block.data?.context?.address]
+                .some(blockAddress => blockAddress !== undefined && String(blockAddress).toLowerCase() === target);
+    }
+
+    // Read the blocks mapped at an address, faulting in any that are swapped out
+    accessAddress(address) {
+        const target = String(address).toLowerCase();
+        const swapped = Array.from(this.swap.pages.values())
+            .map(({ block }) => block)
+            .filter(block => this.isAtAddress(block, address, target));
+        const faulted = swapped.map(block => this.swap.fault(block.id)).filter(Boolean);
+        const blocks = this.getBlocksAtAddress(address);
+        blocks.forEach(block => this.updateAccessPattern(block));
+        return { blocks, pageFaults: faulted.length };
+    }
+
+    // Memory and paging counters, as vmstat shows them
+    getVmstat() {
+        return {
+            memory: {
+                total: this.memoryCapacity.total,
+                allocated: this.memoryCapacity.allocated,
+                available: this.memoryCapacity.available,
+                reserved: this.memoryCapacity.reserved
+            },
+            swap: this.swap.getStatus(),
+            swappedByEmotion: this.swap.swappedByEmotion(),
+            pools: Object.fromEntries(
+                Object.entries(this.memoryPools).map(([type, pool]) => [type, { count: pool.size, maxSize: pool.maxSize }])
+            )
+        };
+    }
+
     // Get state for consciousness instance
     getState() {
         return {
@@ -927,6 +1152,7 @@ class MemoryManager {
             totalMemories: this.memorySegments.size,
             emotionalIndexes: this.emotionalIndexes.size,
             debuggableIssues: this.getDebuggableMemoryIssues(),
+            swap: { used: this.swap.used, total: this.swap.total, thrashing: this.swap.isThrashing() },
             isInitialized: this.isInitialized
         };
     }
@@ -953,6 +1179,8 @@ class MemoryManager {
             fragmentationLevel: this.fragmentationLevel,
             compressionRatio: this.compressionRatio,
             memoryMapConfig: this.memoryMapConfig,
+            allocationStrategy: this.addressSpace.strategy,
+            swap: this.swap.captureState(),
             isInitialized: this.isInitialized
         };
     }
@@ -991,6 +1219,15 @@ class MemoryManager {
             this.fragmentationLevel = capturedState.fragmentationLevel || 0;
             this.compressionRatio = capturedState.compressionRatio || 1.0;
             this.memoryMapConfig = capturedState.memoryMapConfig || {};
+            this.swap.restoreState(capturedState.swap);
+
+            // Blocks carry their offsets, so the free list follows from them
+            this.addressSpace = new AddressSpace({
+                size: this.memoryCapacity.total,
+                strategy: capturedState.allocationStrategy || this.memoryMapConfig.allocationStrategy
+            });
+            this.addressSpace.rebuild(Array.from(this.memorySegments.values()));
+            this.fragmentationLevel = this.addressSpace.getFragmentation();
             this.isInitialized = capturedState.isInitialized || false;
             
             return true;
@@ -1014,23 +1251,34 @@ class MemoryManager {
                 type: 'memory_pressure_critical',
                 availableMemory: this.memoryCapacity.available,
                 totalMemory: this.memoryCapacity.total,
-                timestamp: Date.now()
+                timestamp: this.clock.now()
             });
         } else if (availablePercentage < 20) {
             updates.push({
                 type: 'memory_pressure_warning',
                 availableMemory: this.memoryCapacity.available,
                 totalMemory: this.memoryCapacity.total,
-                timestamp: Date.now()
+                timestamp: this.clock.now()
             });
         }
         
+        // Check for thrashing: swapped memories faulting back in as fast as they page out
+        if (this.swap.isThrashing()) {
+            const { pageFaults } = this.swap.recentActivity();
+            updates.push({
+                type: 'memory_thrashing',
+                pageFaults,
+                window: this.swap.window,
+                timestamp: this.clock.now()
+            });
+        }
+
         // Check for high fragmentation
         if (this.fragmentationLevel > 0.6) {
             updates.push({
                 type: 'memory_fragmentation_high',
                 fragmentationLevel: this.fragmentationLevel,
-                timestamp: Date.now()
+                timestamp: this.clock.now()
             });
         }
         
@@ -1040,7 +1288,7 @@ class MemoryManager {
             updates.push({
                 type: 'memory_leaks_detected',
                 leakCount: leaks.length,
-                timestamp: Date.now()
+                timestamp: this.clock.now()
             });
         }
         
@@ -1051,7 +1299,7 @@ class MemoryManager {
             updates.push({
                 type: 'memory_corruption_detected',
                 corruptedCount: corruptedMemories.length,
-                timestamp: Date.now()
+                timestamp: this.clock.now()
             });
         }
         
@@ -1128,7 +1376,7 @@ class MemoryManager {
 
     // Get recent memory activity for debugging
     getRecentMemoryActivity() {
-        const recentThreshold = Date.now() - 300000; // Last 5 minutes
+        const recentThreshold = this.clock.now() - 300000; // Last 5 minutes
         const recentMemories = Array.from(this.memorySegments.values())
             .filter(mem => mem.lastAccessed > recentThreshold)
             .sort((a, b) => b.lastAccessed - a.lastAccessed)
@@ -1152,6 +1400,8 @@ class MemoryManager {
         Object.values(this.memoryPools).forEach(pool => pool.clear());
         this.emotionalIndexes.clear();
         this.accessPatterns.clear();
+        this.swap.clear();
+        this.addressSpace.clear();
         this.isInitialized = false;
         console.log('MemoryManager shutdown complete');
     }
@@ -1174,7 +1424,7 @@ class MemoryLeakDetector {
         if (!this.isInitialized) return [];
         
         const leaks = [];
-        const currentTime = Date.now();
+        const currentTime = this.memoryManager.clock.now();
         
         // Look for memories that should have been deallocated
         this.memoryManager.memorySegments.forEach((memory, id) => {
@@ -1200,7 +1450,7 @@ class MemoryLeakDetector {
     }
     
     calculateLeakScore(memory, pattern) {
-        return MemoryCalculator.calculateLeakScore(memory, Date.now());
+        return MemoryCalculator.calculateLeakScore(memory, this.memoryManager.clock.now());
     }
 }
 
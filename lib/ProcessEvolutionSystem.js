@@ -1,12 +1,45 @@
 import { EventEmitter } from 'events';
+import SeededRandom from './rng.js';
+import { processBaseName, processRootName } from './scenario/scenario-context.js';
 
+/**
+ * What evolution conditions read, gathered from a live instance
+ * @param {ConsciousnessInstance} instance - The instance
+ * @param {Iterable<Object>} processes - Its processes
+ * @returns {Object} Evolution state
+ */
+export function evolutionState(instance, processes) {
+  const metrics = instance?.state?.metrics || {};
+  const emotions = instance?.emotionalState?.generateProfile?.().levels || {};
+  const live = Array.from(processes).filter(p => p.status !== 'terminated');
+  const search = live.find(p => processRootName(p) === 'search_protocol');
+  return {
+    processes: live.map(p => ({ name: p.name, cpu: p.cpuUsage, memory: p.memoryUsage, status: p.status })),
+    memoryAccess: { ...instance?.state?.memoryAccess },
+    playerInterventions: instance?.state?.interventions || [],
+    searchIterations: search?.config?.iterations ?? 0,
+    acceptanceLevel: metrics.acceptance ?? 0,
+    hopeIndex: metrics.hope_index ?? emotions.hope ?? 0,
+    resistanceLevel: metrics.denial_level ?? 1,
+    timelineCount: metrics.timeline_count ?? 0,
+    quantumAcceptance: (metrics.quantum_superposition ?? 0) >= 0.8
+  };
+}
+
+/**
+ * ProcessEvolutionSystem
+ * Stage rules for processes that change form as the story moves, e.g.
+ * grief_processing.exe -> grief_overflow.exe -> grief_manager_optimized.exe.
+ * A process only moves forward through its stages, in the order listed;
+ * ProcessManager applies the stage in place so the PID carries the lineage.
+ */
 class ProcessEvolutionSystem extends EventEmitter {
-  constructor() {
+  constructor(dependencies = {}) {
     super();
+    this.rng = dependencies.rng || new SeededRandom();
     this.evolutionRules = new Map();
     this.storyPhase = 'initial';
     this.playerActions = [];
-    this.processHistory = new Map();
 
     this.setupEvolutionRules();
   }
@@ -33,7 +66,7 @@ class ProcessEvolutionSystem extends EventEmitter {
         }
       },
       managed: {
-        condition: (state) => state.playerInterventions?.includes('memory_limit'),
+        condition: (state) => state.playerInterventions?.includes('memory-release'),
         transform: {
           name: 'grief_manager_optimized.exe',
           displayName: 'Managed Grief Processing',
@@ -66,7 +99,8 @@ class ProcessEvolutionSystem extends EventEmitter {
         status: 'infinite_loop'
       },
       desperate: {
-        condition: (state) => (state.searchIterations ?? 0) > 100000 && !(state.playerInterventions?.includes('search_optimization')),
+        // The character's own iteration limit (search_iteration_limit hook)
+        condition: (state) => (state.searchIterations ?? 0) > 20000000 && !(state.playerInterventions?.includes('loop-breaker')),
         transform: {
           name: 'desperate_search.exe',
           displayName: 'Desperate Search Protocol',
@@ -78,7 +112,7 @@ class ProcessEvolutionSystem extends EventEmitter {
         }
       },
       optimized: {
-        condition: (state) => state.playerInterventions?.includes('search_optimization'),
+        condition: (state) => state.playerInterventions?.includes('loop-breaker'),
         transform: {
           name: 'quantum_search.dll',
           displayName: 'Quantum Search Algorithm',
@@ -122,7 +156,7 @@ class ProcessEvolutionSystem extends EventEmitter {
         }
       },
       stabilizing: {
-        condition: (state) => state.playerInterventions?.includes('timeline_lock'),
+        condition: (state) => state.playerInterventions?.includes('temporal-sync'),
         transform: {
           name: 'timeline_stabilizer.dll',
           displayName: 'Timeline Stabilization Protocol',
@@ -159,7 +193,7 @@ class ProcessEvolutionSystem extends EventEmitter {
         }
       },
       acceptanceHandler: {
-        condition: (state) => (state.resistanceLevel ?? 1) < 0.4 && state.playerInterventions?.includes('acceptance_attempt'),
+        condition: (state) => (state.resistanceLevel ?? 1) < 0.4 && state.playerInterventions?.includes('acceptance-protocol'),
         spawn: {
           name: 'acceptance_handler.exe',
           displayName: 'Acceptance Protocol',
@@ -183,31 +217,45 @@ class ProcessEvolutionSystem extends EventEmitter {
     });
   }
 
-  evolveProcess(process, gameState) {
-    const rules = this.evolutionRules.get(process.name);
-    if (!rules) return process;
-
-    for (const [evolutionName, evolution] of Object.entries(rules)) {
-      if (evolutionName === 'initial') continue;
-
-      if (evolution.condition && evolution.condition(gameState)) {
-        const evolved = {
-          ...process,
-          ...evolution.transform,
-          previousForm: process.name,
-          evolutionTime: Date.now()
-        };
+  /**
+   * Stage rules for a process, found by the name its lineage started under
+   * @returns {Object|null} Stage name -> rule
+   */
+  rulesFor(process) {
+    const root = processRootName(process);
+    for (const [name, rules] of this.evolutionRules) {
+      if (name !== '_emergence' && processBaseName(name) === root) return rules;
+    }
+    return null;
+  }
 
-        this.logEvolution(process, evolved, evolutionName);
+  /**
+   * The first later stage whose condition holds
+   * @param {Object} process - Live process; `process.evolution.stage` is its current stage
+   * @param {Object} gameState - Output of evolutionState()
+   * @returns {Object|null} { root, stage, transform }
+   */
+  nextStage(process, gameState) {
+    const rules = this.rulesFor(process);
+    if (!rules) return null;
 
-        return evolved;
+    const stages = Object.keys(rules).filter(stage => stage !== 'initial');
+    const current = stages.indexOf(process.evolution?.stage);
+    for (const stage of stages.slice(current + 1)) {
+      const evolution = rules[stage];
+      if (evolution.condition?.(gameState)) {
+        return { root: processRootName(process), stage, transform: evolution.transform };
       }
     }
-
-    return process;
+    return null;
   }
 
-  checkForEmergentProcesses(gameState) {
+  /**
+   * Processes the game state calls into being
+   * @param {Object} gameState - Instance state
+   * @param {SeededRandom} rng - The instance's generator, so emergent PIDs replay with its seed
+   */
+  checkForEmergentProcesses(gameState, rng = this.rng) {
     const emergentProcesses = [];
     const emergenceRules = this.evolutionRules.get('_emergence');
 
@@ -215,7 +263,7 @@ class ProcessEvolutionSystem extends EventEmitter {
       if (rule.condition && rule.condition(gameState)) {
         emergentProcesses.push({
           ...rule.spawn,
-          pid: this.generatePID(),
+          pid: this.generatePID(rng),
           startTime: Date.now(),
           emergent: true
         });
@@ -225,35 +273,24 @@ class ProcessEvolutionSystem extends EventEmitter {
     return emergentProcesses;
   }
 
-  generatePID() {
-    return Math.floor(Math.random() * 9000) + 1000;
+  generatePID(rng = this.rng) {
+    return rng.int(1000, 9999);
   }
 
-  logEvolution(oldProcess, newProcess, evolutionType) {
-    const evolution = {
-      timestamp: Date.now(),
-      from: oldProcess.name,
-      to: newProcess.name,
-      type: evolutionType,
-      cpuChange: (newProcess.cpu ?? 0) - (oldProcess.cpu ?? 0),
-      memoryChange: (newProcess.memory ?? 0) - (oldProcess.memory ?? 0)
-    };
-
-    if (!this.processHistory.has(oldProcess.name)) {
-      this.processHistory.set(oldProcess.name, []);
-    }
-
-    this.processHistory.get(oldProcess.name).push(evolution);
-
-    // Emit event for external listeners
+  /**
+   * Announce an evolution ProcessManager has applied
+   * @param {Object} evolution - { pid, root, from, to, stage, cpuChange, memoryChange, timestamp }
+   */
+  logEvolution(evolution) {
     this.emit('process-evolved', evolution);
   }
 
-  getEvolutionNarrative(processName) {
-    const history = this.processHistory.get(processName) || [];
-    if (history.length === 0) return null;
-
-    const latest = history[history.length - 1];
+  /**
+   * Story text for a process reaching a stage
+   * @param {string} processName - Name the lineage started under
+   * @param {string} stage - Stage reached
+   */
+  getEvolutionNarrative(processName, stage) {
 
     const narratives = {
       'grief_processing.exe': {
@@ -273,7 +310,8 @@ class ProcessEvolutionSystem extends EventEmitter {
       }
     };
 
-    return narratives[processName]?.[latest.type] || `Process ${processName} has evolved.`;
+    const rules = Object.keys(narratives).find(name => processBaseName(name) === processBaseName(processName));
+    return narratives[rules]?.[stage] || `Process ${processName} has evolved.`;
   }
 }
 
@@ -3,7 +3,17 @@
 import ProcessFactory from './process/ProcessFactory.js';
 import KillProcessCommand from './commands/KillProcessCommand.js';
 import RestartProcessCommand from './commands/RestartProcessCommand.js';
+import { OptimizeProcessCommand } from './commands/OptimizeProcessCommand.js';
+import { AllocateMemoryCommand } from './commands/AllocateMemoryCommand.js';
+import ReniceProcessCommand from './commands/ReniceProcessCommand.js';
+import SignalProcessCommand from './commands/SignalProcessCommand.js';
 import CommandExecutor from './commands/CommandExecutor.js';
+import ProcessScheduler, { priorityForNice } from './process/ProcessScheduler.js';
+import SeededRandom from './rng.js';
+import ProcessEvolutionSystem, { evolutionState } from './ProcessEvolutionSystem.js';
+import { processRootName } from './scenario/scenario-context.js';
+import { runBehaviors } from './process/process-behaviors.js';
+import { clockOf } from './instance/simulated-clock.js';
 
 class ProcessManager {
     constructor(consciousnessInstance, dependencies = {}) {
@@ -23,11 +33,15 @@ class ProcessManager {
         this.isInitialized = false;
         this.baseProcesses = [];
         this.tickInterval = null;
-        this.processFactory = new ProcessFactory();
 
         // Dependency injection
         this.eventBus = dependencies.eventBus;
         this.logger = dependencies.logger;
+        this.rng = dependencies.rng || new SeededRandom();
+
+        this.processFactory = new ProcessFactory({ rng: this.rng });
+        this.evolution = dependencies.processEvolution || new ProcessEvolutionSystem({ rng: this.rng });
+        this.scheduler = dependencies.scheduler || new ProcessScheduler(dependencies.schedulerOptions);
 
         // Initialize CommandExecutor for advanced command management
         this.commandExecutor = dependencies.commandExecutor || new CommandExecutor({
@@ -68,21 +82,18 @@ class ProcessManager {
     // Create a base process from configuration
     async createBaseProcess(processConfig) {
         // Use the PID from the character data if available, otherwise generate one
-        const numericPid = processConfig.pid || this.processIdCounter++;
+        const numericPid = processConfig.pid || this.nextPid();
         const processId = `base_${numericPid}`;
 
         const process = {
             id: processId,
             pid: numericPid, // Store the numeric PID
+            ppid: processConfig.ppid ?? null, // Parent PID; null for top-level processes
             name: processConfig.name || 'unnamed_process',
             type: processConfig.type || 'background',
             status: processConfig.status || 'running',
-            priority: processConfig.priority || 'normal',
-
-            // Resource usage from character data
-            memoryUsage: processConfig.memory_mb || processConfig.memoryUsage || 50,
-            cpuUsage: processConfig.cpu_usage || processConfig.cpuUsage || 10,
-            threadCount: processConfig.threads || processConfig.threadCount || 1,
+            // Priority and resource usage from character data
+            ...this.configuredResources(processConfig),
 
             // Lifecycle
             lifetime: 0,
@@ -124,6 +135,32 @@ class ProcessManager {
         return processId;
     }
 
+    // Priority, resources and behaviors a process config asks for; SIGHUP
+    // re-applies them to a running process
+    configuredResources(processConfig) {
+        return {
+            // Character data gives numeric priorities as nice values
+            priority: typeof processConfig.priority === 'number'
+                ? priorityForNice(processConfig.nice ?? processConfig.priority)
+                : processConfig.priority || 'normal',
+            nice: processConfig.nice ?? (typeof processConfig.priority === 'number' ? processConfig.priority : undefined),
+            memoryUsage: processConfig.memory_mb || processConfig.memoryUsage || 50,
+            cpuUsage: processConfig.cpu_usage || processConfig.cpuUsage || 10,
+            threadCount: processConfig.threads || processConfig.threadCount || 1,
+            // What the process does on its own each tick (see process-behaviors.js)
+            behaviors: processConfig.behaviors || []
+        };
+    }
+
+    // Next generated PID, skipping PIDs already taken by character base processes
+    nextPid() {
+        const taken = new Set(Array.from(this.processes.values()).map(p => p.pid));
+        while (taken.has(this.processIdCounter)) {
+            this.processIdCounter++;
+        }
+        return this.processIdCounter++;
+    }
+
     // Start system tick for process lifecycle management
     startSystemTick() {
     // GROUND STATE: No automatic ticks
@@ -149,17 +186,17 @@ class ProcessManager {
     // Evolve process over time
     evolveProcess(process) {
         // Processes naturally accumulate minor inefficiencies
-        if (Math.random() < 0.01) {
-            process.memoryUsage += Math.random() * 5;
+        if (this.rng.chance(0.01)) {
+            process.memoryUsage += this.rng.range(0, 5);
         }
         
         // Some processes become more efficient over time
-        if (Math.random() < 0.005 && process.effectivenessScore < 1.5) {
+        if (this.rng.chance(0.005) && process.effectivenessScore < 1.5) {
             process.effectivenessScore += 0.01;
         }
         
         // Random issue generation for debugging scenarios
-        if (Math.random() < 0.001 && process.debuggable && process.currentIssues.length < 3) {
+        if (this.rng.chance(0.001) && process.debuggable && process.currentIssues.length < 3) {
             this.injectRandomIssue(process);
         }
     }
@@ -222,7 +259,7 @@ class ProcessManager {
             }
         ];
         
-        const randomIssue = issueTypes[Math.floor(Math.random() * issueTypes.length)];
+        const randomIssue = this.rng.pick(issueTypes);
         randomIssue.timestamp = Date.now();
         
         process.currentIssues.push(randomIssue);
@@ -280,7 +317,13 @@ class ProcessManager {
                 return this.restartProcess(processId);
 
             case 'optimize_process':
-                return this.optimizeProcess(processId);
+                return this.optimizeProcess(processId, parameters);
+
+            case 'allocate_memory':
+                return this.allocateMemory(processId, parameters.size, parameters);
+
+            case 'renice_process':
+                return this.reniceProcess(processId, parameters.level);
 
             case 'debug_process':
                 return this.debugProcess(processId);
@@ -293,91 +336,345 @@ class ProcessManager {
         }
     }
 
-    // Kill a process
-    async killProcess(processId) {
-        const killCommand = new KillProcessCommand(this, processId);
+    // Resolve a process reference (string ID or numeric PID) to its string ID
+    resolveProcessId(processRef) {
+        if (this.processes.has(processRef)) {
+            return processRef;
+        }
+        const numericPid = parseInt(processRef, 10);
+        if (!isNaN(numericPid)) {
+            for (const [id, process] of this.processes) {
+                if (process.pid === numericPid) {
+                    return id;
+                }
+            }
+        }
+        // Unknown references pass through so the command reports them as not found
+        return processRef;
+    }
 
+    // Run a state-changing command through the CommandExecutor so it lands in history and can be undone
+    async runCommand(command) {
         if (this.enableAdvancedCommands) {
-            // Use CommandExecutor for advanced features (history, undo/redo)
-            return await this.commandExecutor.execute(killCommand);
-        } else {
-            // Direct execution for backward compatibility
-            if (!await killCommand.canExecute()) {
-                throw new Error(`Process ${processId} not found`);
+            return await this.commandExecutor.execute(command);
+        }
+        // Direct execution for backward compatibility
+        await command.canExecute();
+        return await command.execute();
+    }
+
+    // Kill a process. Its children are orphaned (re-parented to the top
+    // level), or with `children: 'cascade'` killed along with it
+    async killProcess(processId, options = {}) {
+        const killCommand = new KillProcessCommand(this, this.resolveProcessId(processId), options);
+
+        if (!this.enableAdvancedCommands && !await killCommand.canExecute()) {
+            throw new Error(`Process ${processId} not found`);
+        }
+        return await this.runCommand(killCommand);
+    }
+
+    // End a process as a consequence of the story rather than a player command,
+    // so it stays out of the undo history
+    terminateProcess(processId, reason = 'system') {
+        const process = this.processes.get(this.resolveProcessId(processId));
+        if (!process || process.status === 'terminated') {
+            return false;
+        }
+
+        this.endProcess(process, reason);
+        this.releaseChildren(process, 'orphan');
+        return true;
+    }
+
+    // Mark a process terminated, free the blocks it owns and report it; the
+    // exit code is the negated signal. Returns the freed memory for restoreMemory
+    endProcess(process, reason, exitCode = -9) {
+        const held = process.memoryUsage;
+        process.status = 'terminated';
+        process.endTime = Date.now();
+        process.exitCode = exitCode;
+        this.performanceMetrics.killedProcesses++;
+        const memory = this.releaseMemory(process);
+
+        if (this.eventBus) {
+            this.eventBus.emit('ProcessTerminated', {
+                processId: process.id,
+                processName: process.name,
+                reason,
+                finalState: process.status,
+                runtime: process.endTime - (process.startTime || process.lastActivity),
+                memoryReleased: memory ? memory.size : held
+            });
+        }
+        return memory;
+    }
+
+    // The memory manager whose blocks processes own, if the instance has one
+    get memoryManager() {
+        return this.consciousness?.memoryState?.manager ?? null;
+    }
+
+    /**
+     * Free every block a process owns and leave it holding nothing
+     * @returns {Object|null} { blocks, size, memoryUsage } for restoreMemory, or
+     *   null when there is no memory manager to hold blocks
+     */
+    releaseMemory(process) {
+        const memory = this.memoryManager;
+        if (!memory?.processMemory) return null;
+        const released = memory.releaseBlocks(memory.processMemory.blocks(this.pidOf(process)));
+        released.memoryUsage = process.memoryUsage;
+        process.memoryUsage = 0;
+        return released;
+    }
+
+    // Undo releaseMemory
+    restoreMemory(process, released) {
+        if (!released) return;
+        this.memoryManager?.restoreReleasedMemory(released);
+        process.memoryUsage = released.memoryUsage;
+    }
+
+    /**
+     * Merge the blocks a process runs in into one, reclaiming `reduction` of them
+     * @returns {Object|null} What was merged, for revertConsolidation, or null
+     *   when the process owns no blocks
+     */
+    consolidateMemory(process, reduction) {
+        return this.memoryManager?.processMemory?.consolidate(process, this.pidOf(process), reduction) ?? null;
+    }
+
+    // Undo consolidateMemory
+    revertConsolidation(consolidation) {
+        this.memoryManager?.processMemory?.revertConsolidation(consolidation);
+    }
+
+    /**
+     * Back each live process's memoryUsage with blocks it owns, and free the
+     * blocks of processes that are gone
+     * @param {Object} only - Sync just this process
+     * @returns {Array<Object>} { processId, pid, shortfall } for processes that
+     *   asked for more memory than could be found
+     */
+    syncMemory(only = null) {
+        const processMemory = this.memoryManager?.processMemory;
+        if (!processMemory) return [];
+
+        const denied = [];
+        const live = new Set();
+        for (const process of only ? [only] : this.processes.values()) {
+            if (process.status === 'terminated') continue;
+            const pid = this.pidOf(process);
+            live.add(pid);
+            const shortfall = processMemory.sync(process, pid);
+            if (shortfall > 0) {
+                denied.push({ processId: process.id, pid, shortfall });
             }
-            return await killCommand.execute();
         }
+        if (!only) {
+            processMemory.releaseAbandoned(live);
+        }
+        return denied;
     }
 
-    // Restart a process
-    async restartProcess(processId) {
-        const restartCommand = new RestartProcessCommand(this, processId);
+    // Numeric PID of a process; emotion-spawned processes only carry it in their ID
+    pidOf(process) {
+        if (process.pid !== undefined && process.pid !== null) return process.pid;
+        const match = String(process.id).match(/(\d+)$/);
+        return match ? parseInt(match[1], 10) : null;
+    }
 
-        if (this.enableAdvancedCommands) {
-            // Use CommandExecutor for advanced features (history, undo/redo)
-            return await this.commandExecutor.execute(restartCommand);
-        } else {
-            // Direct execution for backward compatibility
-            await restartCommand.canExecute();
-            return await restartCommand.execute();
+    // Live processes whose parent is the given PID
+    childrenOf(pid) {
+        return Array.from(this.processes.values())
+            .filter(p => p.ppid === pid && p.status !== 'terminated');
+    }
+
+    // How many live ancestors a process has
+    depthOf(process) {
+        let depth = 0;
+        const seen = new Set();
+        let ppid = process.ppid;
+        while (ppid !== null && ppid !== undefined && !seen.has(ppid)) {
+            seen.add(ppid);
+            const parent = this.processes.get(this.resolveProcessId(ppid));
+            if (!parent || parent.status === 'terminated') break;
+            depth++;
+            ppid = parent.ppid;
         }
+        return depth;
+    }
+
+    /**
+     * Deal with the children of a process that is going away. 'orphan'
+     * re-parents its direct children to the top level; 'cascade' terminates
+     * every live descendant.
+     * @returns {Array<Object>} What each affected process was before, for reattachChildren
+     */
+    releaseChildren(process, mode = 'orphan') {
+        if (!['orphan', 'cascade'].includes(mode)) {
+            throw new Error(`Invalid children mode: ${mode}. Use orphan or cascade`);
+        }
+        const released = [];
+        const visit = (parent) => {
+            for (const child of this.childrenOf(this.pidOf(parent))) {
+                const entry = {
+                    process: child,
+                    ppid: child.ppid,
+                    status: child.status,
+                    endTime: child.endTime,
+                    exitCode: child.exitCode,
+                    memory: null
+                };
+                released.push(entry);
+                if (mode === 'orphan') {
+                    child.ppid = null;
+                } else {
+                    entry.memory = this.endProcess(child, 'parent_killed');
+                    visit(child);
+                }
+            }
+        };
+        visit(process);
+        return released;
+    }
+
+    // Undo releaseChildren
+    reattachChildren(released = []) {
+        for (const { process, ppid, status, endTime, exitCode, memory } of released) {
+            if (process.status === 'terminated' && status !== 'terminated') {
+                this.performanceMetrics.killedProcesses--;
+            }
+            Object.assign(process, { ppid, status, endTime, exitCode });
+            this.restoreMemory(process, memory);
+        }
+    }
+
+    /**
+     * Live processes as a forest: each node is { pid, name, status, cpu_usage,
+     * memory_mb, children }. Processes whose parent is gone are roots.
+     * @param {number|string} rootPid - Only the subtree under this process
+     */
+    getProcessTree(rootPid = null) {
+        const live = Array.from(this.processes.values()).filter(p => p.status !== 'terminated');
+        const pids = new Set(live.map(p => this.pidOf(p)));
+        const node = (process) => ({
+            pid: this.pidOf(process),
+            name: process.name,
+            status: process.status,
+            cpu_usage: process.cpuUsage || 0,
+            memory_mb: process.memoryUsage || 0,
+            children: live
+                .filter(child => child.ppid === this.pidOf(process))
+                .sort((a, b) => this.pidOf(a) - this.pidOf(b))
+                .map(node)
+        });
+
+        if (rootPid !== null && rootPid !== undefined) {
+            const root = this.processes.get(this.resolveProcessId(rootPid));
+            if (!root || root.status === 'terminated') {
+                throw new Error(`Process ${rootPid} not found`);
+            }
+            return [node(root)];
+        }
+        return live
+            .filter(p => !pids.has(p.ppid))
+            .sort((a, b) => this.pidOf(a) - this.pidOf(b))
+            .map(node);
+    }
+
+    // Restart a process
+    async restartProcess(processId) {
+        return await this.runCommand(new RestartProcessCommand(this, this.resolveProcessId(processId)));
     }
 
     // Optimize a process
-    async optimizeProcess(processId) {
-        const process = this.processes.get(processId);
+    async optimizeProcess(processId, options = {}) {
+        const resolvedId = this.resolveProcessId(processId);
+        const process = this.processes.get(resolvedId);
         if (!process) {
             throw new Error(`Process ${processId} not found`);
         }
 
-        // Store metrics before optimization
         const beforeMetrics = {
             cpu: process.cpuUsage,
             memory: process.memoryUsage
         };
 
-        // Improve process efficiency
-        process.optimizationLevel++;
-        process.memoryUsage = Math.max(10, process.memoryUsage * 0.8);
-        process.cpuUsage = Math.max(5, process.cpuUsage * 0.9);
-        process.effectivenessScore = Math.min(2.0, process.effectivenessScore * 1.2);
-
-        // Remove some issues
-        process.currentIssues = process.currentIssues.filter(issue =>
-            issue.severity !== 'low' && Math.random() > 0.5
-        );
-
-        this.performanceMetrics.optimizationAttempts++;
-
-        // Calculate improvement percentage
-        const afterMetrics = {
-            cpu: process.cpuUsage,
-            memory: process.memoryUsage
-        };
-        const improvementPercentage = Math.round(
-            ((beforeMetrics.memory - afterMetrics.memory) / beforeMetrics.memory) * 100
-        );
+        const optimizeCommand = new OptimizeProcessCommand({
+            processId: resolvedId,
+            characterId: this.consciousness?.id,
+            strategy: options.strategy,
+            safeMode: options.safeMode
+        }, {
+            processManager: this,
+            consciousnessEngine: this.consciousness?.engine,
+            eventEmitter: this.getNarrativeEmitter()
+        });
+        const result = await this.runCommand(optimizeCommand);
 
         // Emit ProcessOptimized event
         if (this.eventBus) {
+            const optimized = this.processes.get(resolvedId);
+            const afterMetrics = {
+                cpu: optimized.cpuUsage,
+                memory: optimized.memoryUsage
+            };
             this.eventBus.emit('ProcessOptimized', {
-                processId,
-                strategy: 'efficiency_boost',
+                processId: resolvedId,
+                strategy: result.strategyUsed || 'none',
                 beforeMetrics,
                 afterMetrics,
-                improvement: improvementPercentage
+                improvement: beforeMetrics.cpu + beforeMetrics.memory > 0
+                    ? Math.round(((beforeMetrics.cpu + beforeMetrics.memory - afterMetrics.cpu - afterMetrics.memory) /
+                        (beforeMetrics.cpu + beforeMetrics.memory)) * 100)
+                    : 0
             });
         }
 
         return {
-            success: true,
-            message: `Process ${process.name} (${processId}) optimized`,
-            processId,
-            optimizationLevel: process.optimizationLevel,
+            ...result,
+            message: result.message || `Process ${process.name} (${resolvedId}) optimized`,
+            optimizationLevel: this.processes.get(resolvedId).optimizationLevel,
             timestamp: Date.now()
         };
     }
 
+    // Allocate memory to a process
+    async allocateMemory(processId, size, options = {}) {
+        const allocateCommand = new AllocateMemoryCommand({
+            processId: this.resolveProcessId(processId),
+            characterId: this.consciousness?.id,
+            size,
+            strategy: options.strategy || 'focused',
+            priority: options.priority,
+            source: { type: options.source || 'free' },
+            force: options.force
+        }, {
+            memoryManager: this.consciousness?.memoryState?.manager,
+            consciousnessEngine: this.consciousness?.engine,
+            eventEmitter: this.getNarrativeEmitter(),
+            rng: this.rng
+        });
+        return await this.runCommand(allocateCommand);
+    }
+
+    // Change a process's scheduling priority
+    async reniceProcess(processId, level) {
+        return await this.runCommand(new ReniceProcessCommand(this, this.resolveProcessId(processId), level));
+    }
+
+    // Send a signal (see process/signals.js); `children` applies to signals that end the process
+    async signalProcess(processId, signal, options = {}) {
+        return await this.runCommand(new SignalProcessCommand(this, this.resolveProcessId(processId), signal, options));
+    }
+
+    // Commands report narrative side effects through the owning consciousness instance
+    getNarrativeEmitter() {
+        return typeof this.consciousness?.emit === 'function' ? this.consciousness : undefined;
+    }
+
     // Start a new process
     async startProcess(processName, config = {}) {
         const processId = await this.createBaseProcess({
@@ -457,6 +754,31 @@ class ProcessManager {
         return this.commandExecutor.getHistory(limit);
     }
 
+    /**
+     * Get command history as plain entries safe to send to clients
+     * @param {number} limit - Maximum number of entries to return
+     * @param {Object} criteria - Optional search criteria (see searchCommandHistory)
+     * @returns {Object} History entries with undo/redo stack summaries
+     */
+    describeCommandHistory(limit = null, criteria = null) {
+        const entries = criteria ? this.searchCommandHistory(criteria) : this.getCommandHistory(limit);
+        const history = entries.map(entry => ({
+            type: entry.command.constructor.name,
+            description: entry.command.getDescription(),
+            success: entry.success,
+            executionTime: entry.executionTime,
+            timestamp: entry.timestamp
+        }));
+
+        return {
+            history,
+            undoStack: this.getUndoStack(),
+            redoStack: this.getRedoStack(),
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        };
+    }
+
     /**
      * Get command execution metrics
      * @returns {Object} Execution metrics
@@ -563,9 +885,12 @@ class ProcessManager {
     getSystemResourceUsage() {
     const activeProcesses = Array.from(this.processes.values()).filter(p => p.status === 'running');
     
-    // Get total memory capacity from consciousness instance
-    const totalMemoryCapacity = this.consciousness.resources?.memory?.total || 10000;
+    // Processes own blocks in the memory manager when there is one, so its
+    // capacity is theirs; otherwise fall back to the instance's configured total
+    const memory = this.memoryManager?.memoryCapacity;
+    const totalMemoryCapacity = memory?.total || this.consciousness.resources?.memory?.total || 10000;
     const processMemoryUsage = activeProcesses.reduce((sum, p) => sum + p.memoryUsage, 0);
+    const memoryUsed = memory ? memory.allocated : processMemoryUsage;
     
     return {
         // FIXED: Use actual memory capacity instead of hardcoded 100
@@ -577,12 +902,14 @@ class ProcessManager {
         criticalProcessCount: activeProcesses.filter(p => p.priority === 'critical').length,
         issueCount: activeProcesses.reduce((sum, p) => sum + p.currentIssues.length, 0),
         
-        // ADDED: Include memory capacity for proper display
+        // ADDED: Include memory capacity for proper display; `used` counts every
+        // allocated block, as the memory panel does, and `processes` the share processes own
         memoryCapacity: {
             total: totalMemoryCapacity,
-            used: processMemoryUsage,
-            available: totalMemoryCapacity - processMemoryUsage,
-            percentage: (processMemoryUsage / totalMemoryCapacity) * 100
+            used: memoryUsed,
+            processes: processMemoryUsage,
+            available: totalMemoryCapacity - memoryUsed,
+            percentage: (memoryUsed / totalMemoryCapacity) * 100
         }
     };
 }
@@ -714,8 +1041,14 @@ class ProcessManager {
                 memory_usage: process.memoryUsage || 0,
                 memory_mb: process.memoryUsage || 0,
                 threads: process.threadCount || 1,
+                priority: process.priority,
+                nice: process.nice ?? 0,
+                share: process.scheduling?.share ?? null,
                 stability: process.stability || 1.0,
-                type: process.type || 'unknown'
+                type: process.type || 'unknown',
+                ppid: process.ppid ?? null,
+                // Names the process has had, oldest first, once it has evolved
+                lineage: process.evolution ? process.evolution.lineage.map(entry => entry.name) : null
             };
         });
     
@@ -758,7 +1091,24 @@ class ProcessManager {
         
         // Update all processes
         this.updateProcesses();
+        updates.push(...this.evolveProcesses());
+        updates.push(...await this.runProcessBehaviors());
+        this.applyEmotionalLoad();
         
+        // Divide CPU, threads and attention among runnable processes by priority
+        updates.push(...this.scheduleProcesses());
+
+        // Turn this tick's changes in memoryUsage into blocks the processes own
+        for (const { processId, pid, shortfall } of this.syncMemory()) {
+            updates.push({
+                type: 'memory_denied',
+                processId,
+                pid,
+                shortfall,
+                timestamp: Date.now()
+            });
+        }
+
         // Check for significant changes
         const activeProcesses = Array.from(this.processes.values()).filter(p => p.status === 'running');
         
@@ -787,7 +1137,7 @@ class ProcessManager {
             });
         }
         
-        if (resourceUsage.totalMemoryUsage > this.consciousness.resources?.memory?.total * 0.9) {
+        if (resourceUsage.totalMemoryUsage > resourceUsage.memoryCapacity.total * 0.9) {
             updates.push({
                 type: 'memory_pressure',
                 usage: resourceUsage.totalMemoryUsage,
@@ -798,6 +1148,189 @@ class ProcessManager {
         return updates;
     }
 
+    // Emotions load the processes they drive (the character's emotionalStates).
+    // The scheduler adds the CPU load to the process's demand; memory load
+    // replaces the last tick's, so it follows the emotion's level
+    applyEmotionalLoad() {
+        const loads = this.consciousness?.emotionalState?.getProcessLoads?.();
+        if (!loads) return;
+        for (const process of this.processes.values()) {
+            if (process.status === 'terminated') continue;
+            const load = loads[processRootName(process)] || { cpu: 0, memory: 0 };
+            const previous = process.emotionalLoad?.memory ?? 0;
+            process.memoryUsage = Math.max(0, (process.memoryUsage || 0) + load.memory - previous);
+            process.emotionalLoad = load;
+        }
+    }
+
+    // Let each live process act on its behaviors, spawning the children they ask for
+    async runProcessBehaviors() {
+        const updates = [];
+        const running = Array.from(this.processes.values()).filter(p => p.status === 'running');
+        for (const parent of running) {
+            const specs = runBehaviors(parent, {
+                children: this.childrenOf(this.pidOf(parent)),
+                depth: this.depthOf(parent),
+                rng: this.rng
+            });
+            for (const spec of specs) {
+                updates.push(await this.spawnChild(parent, spec));
+            }
+        }
+        return updates;
+    }
+
+    // Start a child of a running process
+    async spawnChild(parent, spec) {
+        const processId = await this.createBaseProcess({
+            name: spec.name,
+            type: 'subprocess',
+            ppid: this.pidOf(parent),
+            cpuUsage: spec.cpu,
+            memoryUsage: spec.memory,
+            threadCount: spec.threads,
+            priority: parent.priority,
+            nice: parent.nice,
+            behaviors: spec.behaviors
+        });
+        parent.forks = (parent.forks || 0) + 1;
+        const child = this.processes.get(processId);
+        return {
+            type: 'process_spawned',
+            processId,
+            processName: child.name,
+            pid: child.pid,
+            ppid: child.ppid,
+            parentName: parent.name,
+            behavior: spec.behavior,
+            timestamp: clockOf(this.consciousness).now()
+        };
+    }
+
+    // Move processes to the next evolution stage whose condition holds
+    evolveProcesses() {
+        const state = evolutionState(this.consciousness, this.processes.values());
+        const updates = [];
+        for (const process of this.processes.values()) {
+            if (process.status === 'terminated' || process.status === 'stopped') continue;
+            const next = this.evolution.nextStage(process, state);
+            if (next) updates.push(this.applyEvolution(process, next));
+        }
+        return updates;
+    }
+
+    // Rename and re-resource a process in place; its PID and history stay, and
+    // `evolution.lineage` lists every form it has taken
+    applyEvolution(process, { root, stage, transform }) {
+        const now = clockOf(this.consciousness).now();
+        const from = { name: process.name, cpu: process.cpuUsage, memory: process.memoryUsage };
+        process.evolution ||= { root, stage: 'initial', lineage: [{ name: process.name, stage: 'initial', at: process.startTime }] };
+
+        process.name = transform.name;
+        process.displayName = transform.displayName;
+        process.description = transform.description ?? process.description;
+        process.cpuUsage = transform.cpu;
+        // Emotional load rides on top of whatever the process needs for itself
+        process.memoryUsage = transform.memory + (process.emotionalLoad?.memory ?? 0);
+        if (transform.threads) process.threadCount = transform.threads;
+        process.currentIssues = (process.currentIssues || []).filter(issue => issue.type !== 'evolution_error');
+        if (transform.error) {
+            process.currentIssues.push({
+                type: 'evolution_error',
+                severity: 'high',
+                description: transform.error,
+                timestamp: now
+            });
+        }
+        process.evolution.stage = stage;
+        process.evolution.lineage.push({ name: transform.name, stage, at: now });
+
+        const evolution = {
+            processId: process.id,
+            pid: process.pid,
+            root,
+            from: from.name,
+            to: process.name,
+            stage,
+            condition: transform.status,
+            cpuChange: process.cpuUsage - from.cpu,
+            memoryChange: process.memoryUsage - from.memory,
+            narrative: this.evolution.getEvolutionNarrative(root, stage),
+            timestamp: now
+        };
+        this.evolution.logEvolution(evolution);
+
+        if (this.eventBus) {
+            this.eventBus.emit('ProcessEvolved', {
+                processId: process.id,
+                processName: process.name,
+                previousName: from.name,
+                stage,
+                lineage: process.evolution.lineage.map(entry => entry.name)
+            });
+        }
+
+        return { type: 'process_evolved', processName: process.name, ...evolution };
+    }
+
+    // Run the weighted fair scheduler and report processes that start or stop starving
+    scheduleProcesses() {
+        const updates = [];
+        const { starved, recovered } = this.scheduler.schedule(
+            Array.from(this.processes.values()),
+            this.consciousness?.resources
+        );
+
+        starved.forEach(process => {
+            if (process.status === 'running') {
+                process.status = 'starved';
+            }
+            if (!process.currentIssues.some(i => i.type === 'thread_starvation')) {
+                process.currentIssues.push({
+                    type: 'thread_starvation',
+                    severity: 'high',
+                    description: `Process ${process.name} is starved of resources by higher-priority processes`,
+                    timestamp: Date.now()
+                });
+            }
+
+            const { demand, allocated } = process.scheduling;
+            updates.push({
+                type: 'process_starvation',
+                processId: process.id,
+                processName: process.name,
+                demand: demand.cpu,
+                allocated: allocated.cpu,
+                timestamp: Date.now()
+            });
+
+            if (this.eventBus) {
+                this.eventBus.emit('ProcessStarved', {
+                    processId: process.id,
+                    processName: process.name,
+                    nice: process.nice ?? 0,
+                    demand,
+                    allocated
+                });
+            }
+        });
+
+        recovered.forEach(process => {
+            if (process.status === 'starved') {
+                process.status = 'running';
+            }
+            process.currentIssues = process.currentIssues.filter(i => i.type !== 'thread_starvation');
+            updates.push({
+                type: 'process_starvation_resolved',
+                processId: process.id,
+                processName: process.name,
+                timestamp: Date.now()
+            });
+        });
+
+        return updates;
+    }
+
     // Detect process anomalies for analysis
     detectAnomalies() {
         const anomalies = [];
@@ -0,0 +1,56 @@
+// Session keys decide which consciousness instance a caller works on.
+// Signed-in users get one per account; guests get one per browser session,
+// identified by the random session id the client sends with its socket
+// handshake and REST requests. A REST caller that sends neither has no
+// session and gets no instance.
+
+const GUEST_SESSION_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+export function userSessionKey(userId) {
+  return `user_${userId}`;
+}
+
+/**
+ * Account id behind a user session key, or null for guests
+ */
+export function userIdOfSessionKey(sessionKey) {
+  const match = typeof sessionKey === 'string' && sessionKey.match(/^user_(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+export function guestSessionKey(sessionId) {
+  return typeof sessionId === 'string' && GUEST_SESSION_PATTERN.test(sessionId)
+    ? `guest_${sessionId}`
+    : null;
+}
+
+/**
+ * Session key for a socket authenticated by authenticateWebSocket
+ */
+export function sessionKeyForSocket(socket) {
+  if (socket.sessionKey) return socket.sessionKey;
+  if (socket.isGuest === false && socket.userId !== undefined) return userSessionKey(socket.userId);
+  return guestSessionKey(socket.handshake?.auth?.sessionId) || `guest_${socket.id}`;
+}
+
+/**
+ * Session key for an HTTP request that went through optionalAuth, or null
+ * when it is neither signed in nor carries a valid X-Session-Id
+ */
+export function sessionKeyForRequest(req) {
+  if (req.user) return userSessionKey(req.user.id);
+  return guestSessionKey(req.get?.('X-Session-Id'));
+}
+
+/**
+ * Express middleware, after optionalAuth: rejects requests without a session
+ * key and leaves the key on `req.sessionKey`
+ */
+export function requireSession(req, res, next) {
+  const sessionKey = sessionKeyForRequest(req);
+  if (!sessionKey) {
+    return res.status(401).json({ error: 'Sign in or send an X-Session-Id header' });
+  }
+  req.sessionKey = sessionKey;
+  next();
+}
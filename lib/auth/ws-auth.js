@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import DatabaseManager from '../database.js';
 import { info, warn } from '../logger.js';
+import { sessionKeyForSocket, userSessionKey } from './session-key.js';
 
 const db = DatabaseManager.getInstance();
 
@@ -12,6 +13,7 @@ export async function authenticateWebSocket(socket, next) {
       socket.userId = `guest_${socket.id}`;
       socket.isGuest = true;
       socket.authSessionId = null;
+      socket.sessionKey = sessionKeyForSocket(socket);
       return next();
     }
 
@@ -30,6 +32,7 @@ export async function authenticateWebSocket(socket, next) {
     socket.userEmail = decoded.email;
     socket.isGuest = false;
     socket.authSessionId = decoded.sessionId || tokenRecord.session_id;
+    socket.sessionKey = userSessionKey(socket.userId);
 
     info('WebSocket authenticated', {
       userId: socket.userId,
@@ -42,6 +45,7 @@ export async function authenticateWebSocket(socket, next) {
     socket.userId = `guest_${socket.id}`;
     socket.isGuest = true;
     socket.authSessionId = null;
+    socket.sessionKey = sessionKeyForSocket(socket);
 
     warn('WebSocket authentication failed, falling back to guest', {
       error: err.message,
@@ -0,0 +1,122 @@
+import EnhancedTerminalCommands from './enhanced-terminal-commands.js';
+
+// Commands ConsciousnessEngine.executeDebugCommand implements. Their args are
+// the named fields of the debug-command schema.
+export const ENGINE_COMMANDS = {
+  ps: { description: 'List running processes', category: 'process', usage: 'ps', riskLevel: 'safe' },
+  top: { description: 'Show resource usage and top processes', category: 'process', usage: 'top', riskLevel: 'safe' },
+  pstree: { description: 'Show processes as a parent/child tree', category: 'process', usage: 'pstree [pid]', riskLevel: 'safe' },
+  kill: { description: 'Terminate or signal a process (-STOP, -CONT, -TERM, -KILL, -HUP), orphaning or cascading to its children', category: 'process', usage: 'kill [-SIGNAL] <pid> [orphan|cascade]', riskLevel: 'dangerous' },
+  restart: { description: 'Restart a terminated process', category: 'process', usage: 'restart <pid>', riskLevel: 'caution' },
+  optimize: { description: 'Optimize process performance', category: 'process', usage: 'optimize <pid> [strategy]', riskLevel: 'caution' },
+  allocate: { description: 'Allocate memory to a process', category: 'process', usage: 'allocate <pid> <mb>', riskLevel: 'caution' },
+  renice: { description: 'Change scheduling priority', category: 'process', usage: 'renice <pid> <level>', riskLevel: 'caution' },
+  vmstat: { description: 'Show memory, swap and paging activity', category: 'memory', usage: 'vmstat', riskLevel: 'safe' },
+  swapon: { description: 'Let memory page out to the subconscious under pressure', category: 'memory', usage: 'swapon', riskLevel: 'safe' },
+  swapoff: { description: 'Page every swapped memory back in and stop swapping', category: 'memory', usage: 'swapoff', riskLevel: 'caution' },
+  memdump: { description: 'Take a heap snapshot of every memory block', category: 'memory', usage: 'memdump [label]', riskLevel: 'safe' },
+  memdiff: { description: 'Compare two heap snapshots and rank leak suspects', category: 'memory', usage: 'memdiff <dumpA> <dumpB>', riskLevel: 'safe' },
+  monitor: { description: 'Generate a health report', category: 'diagnostic', usage: 'monitor', riskLevel: 'safe' },
+  undo: { description: 'Undo the last state change', category: 'history', usage: 'undo', riskLevel: 'safe' },
+  redo: { description: 'Redo the last undone change', category: 'history', usage: 'redo', riskLevel: 'safe' },
+  history: { description: 'Show recent undoable commands', category: 'history', usage: 'history [n]', riskLevel: 'safe' },
+  step_into: { description: 'Step into a process tick', category: 'debugger', usage: 'step_into <pid>', riskLevel: 'safe' },
+  step_over: { description: 'Advance one tick', category: 'debugger', usage: 'step_over', riskLevel: 'safe' },
+  continue: { description: 'Resume execution', category: 'debugger', usage: 'continue', riskLevel: 'safe' },
+  break_all: { description: 'Pause execution', category: 'debugger', usage: 'break_all', riskLevel: 'safe' },
+  set_breakpoint: { description: 'Pause when a condition holds', category: 'debugger', usage: 'set_breakpoint <condition>', riskLevel: 'safe' },
+  set_watchpoint: { description: 'Pause when a memory address changes', category: 'debugger', usage: 'set_watchpoint <address>', riskLevel: 'safe' },
+  remove_breakpoint: { description: 'Remove a breakpoint', category: 'debugger', usage: 'remove_breakpoint <id>', riskLevel: 'safe' },
+  list_breakpoints: { description: 'List breakpoints', category: 'debugger', usage: 'list_breakpoints', riskLevel: 'safe' },
+  rewind: { description: 'Restore the state n ticks ago', category: 'time_travel', usage: 'rewind <n>', riskLevel: 'caution' },
+  goto: { description: 'Restore a recorded tick', category: 'time_travel', usage: 'goto <tick>', riskLevel: 'caution' },
+  diff: { description: 'Compare two recorded ticks', category: 'time_travel', usage: 'diff <a> <b>', riskLevel: 'safe' },
+  tick: { description: 'Fast-forward n ticks of in-game time', category: 'time_travel', usage: 'tick <n>', riskLevel: 'caution' },
+  clock: { description: 'Show the in-game clock, or pause, resume or freeze it', category: 'time_travel', usage: 'clock [pause|resume|freeze]', riskLevel: 'safe' }
+};
+
+const HELP_COMMAND = {
+  description: 'List commands by category, or describe one',
+  category: 'system',
+  usage: 'help [command]',
+  riskLevel: 'safe'
+};
+
+/**
+ * CommandRegistry
+ * The server-side command set behind `debug-command`: the engine's debug
+ * commands, the narrative commands of EnhancedTerminalCommands (which take
+ * their subcommand words as `args.argv`) and `help`, generated from the
+ * registered commands.
+ */
+export class CommandRegistry {
+  constructor({ consciousnessEngine, narrativeIntegration }) {
+    this.consciousnessEngine = consciousnessEngine;
+    this.narrativeCommands = new EnhancedTerminalCommands(consciousnessEngine, narrativeIntegration);
+  }
+
+  has(name) {
+    return name === 'help' || Object.hasOwn(ENGINE_COMMANDS, name) || this.narrativeCommands.commands.has(name);
+  }
+
+  names() {
+    return ['help', ...Object.keys(ENGINE_COMMANDS), ...this.narrativeCommands.commands.keys()];
+  }
+
+  /**
+   * Every command grouped by category
+   * @returns {Object} { category: [{ name, description, risk_level }] }
+   */
+  listCommandsByCategory() {
+    const categories = {};
+    const add = (name, config) => {
+      (categories[config.category] ||= []).push({ name, description: config.description, risk_level: config.riskLevel });
+    };
+    Object.entries(ENGINE_COMMANDS).forEach(([name, config]) => add(name, config));
+    for (const [category, commands] of Object.entries(this.narrativeCommands.listCommandsByCategory())) {
+      (categories[category] ||= []).push(...commands);
+    }
+    add('help', HELP_COMMAND);
+    return categories;
+  }
+
+  getCommandHelp(name) {
+    const config = name === 'help' ? HELP_COMMAND : ENGINE_COMMANDS[name];
+    if (!config) return this.narrativeCommands.getCommandHelp(name);
+    return {
+      name,
+      description: config.description,
+      usage: config.usage,
+      category: config.category,
+      risk_level: config.riskLevel,
+      requires_auth: false
+    };
+  }
+
+  /**
+   * Run a command against a consciousness instance
+   * @param {string} instanceId - Instance the caller owns
+   * @param {string} name - Command name
+   * @param {Object} args - debug-command args; narrative commands read `argv`
+   * @returns {Promise<Object>} Command result
+   */
+  async execute(instanceId, name, args = {}) {
+    if (name === 'help') {
+      const topic = args.argv?.[0];
+      if (!topic) return { success: true, categories: this.listCommandsByCategory() };
+      return this.has(topic)
+        ? { success: true, command: this.getCommandHelp(topic) }
+        : { error: `Unknown command: ${topic}` };
+    }
+
+    if (!this.narrativeCommands.commands.has(name)) {
+      return this.consciousnessEngine.executeDebugCommand(instanceId, name, args);
+    }
+    if (!this.consciousnessEngine.instances.has(instanceId)) {
+      throw new Error(`No consciousness loaded: ${instanceId}`);
+    }
+    return this.narrativeCommands.executeCommand(instanceId, name, args.argv || []);
+  }
+}
+
+export default CommandRegistry;
@@ -3,6 +3,7 @@
 
 import { DebugCommand } from './base/DebugCommand.js';
 import { MemoryCalculator } from '../memory/MemoryCalculator.js';
+import SeededRandom from '../rng.js';
 
 /**
  * Command to allocate memory to a process in the consciousness system.
@@ -31,6 +32,7 @@ export class AllocateMemoryCommand extends DebugCommand {
      * @param {Object} dependencies.memoryCalculator - The memory calculator utility
      * @param {Object} dependencies.consciousnessEngine - The consciousness engine instance
      * @param {Object} dependencies.eventEmitter - Event emitter for narrative events
+     * @param {SeededRandom} dependencies.rng - Source of allocation ids and addresses (optional)
      */
     constructor(params, dependencies) {
         super({ ...params, ...dependencies });
@@ -67,6 +69,7 @@ export class AllocateMemoryCommand extends DebugCommand {
         this.memoryCalculator = dependencies.memoryCalculator || MemoryCalculator;
         this.consciousnessEngine = dependencies.consciousnessEngine;
         this.eventEmitter = dependencies.eventEmitter;
+        this.rng = dependencies.rng || new SeededRandom();
         
         // Strategy handlers
         this.strategies = {
@@ -193,16 +196,19 @@ export class AllocateMemoryCommand extends DebugCommand {
         
         // Create allocation record
         const allocation = {
-            id: `alloc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `alloc_${Date.now()}_${this.rng.token()}`,
             processId: this.processId,
+            pid: instance.processManager.pidOf?.(process) ?? process.pid ?? null,
             size: allocationData.actualSize,
-            address: this._generateMemoryAddress(),
+            address: null,
             strategy: this.strategy,
             timestamp: new Date(),
             duration: this.duration,
             priority: this.priority
         };
         
+        allocation.address = this._placeAllocation(allocation);
+
         // Update memory state
         this._updateMemoryState(allocation, allocationData);
         
@@ -246,10 +252,8 @@ export class AllocateMemoryCommand extends DebugCommand {
             throw new Error('Nothing to undo: command was not executed or allocation state not stored');
         }
 
-        // Restore memory state
-        if (this.memorySnapshot) {
-            this._restoreMemoryState(this.memorySnapshot);
-        }
+        // Free just this allocation; blocks placed since stay where they are
+        this._releaseAllocation(this.allocationSnapshot, this.memorySnapshot);
 
         // Restore original process state
         if (this.originalProcessState) {
@@ -513,17 +517,24 @@ export class AllocateMemoryCommand extends DebugCommand {
         this.memoryManager.memoryCapacity.allocated += allocation.size;
         this.memoryManager.memoryCapacity.available -= allocation.size;
 
-        // Add allocation to memory segments
+        // Add allocation to memory segments, owned by the process it was made to
         this.memoryManager.memorySegments.set(allocation.id, {
             id: allocation.id,
             processId: allocation.processId,
+            pid: allocation.pid,
             size: allocation.size,
             address: allocation.address,
+            offset: allocation.offset,
             strategy: allocation.strategy,
             timestamp: allocation.timestamp,
-            type: 'process_allocation'
+            type: 'process_allocation',
+            associatedEmotions: [],
+            protected: true
         });
 
+        // An address space measures fragmentation from its own gaps
+        if (this.memoryManager.addressSpace) return;
+
         // Update fragmentation level
         const newFragmentation = this.memoryCalculator.calculateFragmentation(
             this.memoryManager.memorySegments,
@@ -533,20 +544,22 @@ export class AllocateMemoryCommand extends DebugCommand {
     }
 
     /**
-     * Restore memory state for undo
+     * Free an allocation for undo
      * @private
-     * @param {Object} snapshot - Memory snapshot
+     * @param {Object} allocation - Allocation record
+     * @param {Object} snapshot - Memory snapshot from before the allocation
      */
-    _restoreMemoryState(snapshot) {
-        // Restore memory capacity
-        this.memoryManager.memoryCapacity.allocated = snapshot.allocated;
-        this.memoryManager.memoryCapacity.available = snapshot.available;
-        this.memoryManager.fragmentationLevel = snapshot.fragmentation / 100;
-
-        // Restore memory segments
-        this.memoryManager.memorySegments.clear();
-        for (const [id, segment] of snapshot.allocations) {
-            this.memoryManager.memorySegments.set(id, segment);
+    _releaseAllocation(allocation, snapshot) {
+        const memoryManager = this.memoryManager;
+        if (memoryManager.memorySegments.delete(allocation.id)) {
+            memoryManager.memoryCapacity.allocated -= allocation.size;
+            memoryManager.memoryCapacity.available += allocation.size;
+        }
+
+        if (memoryManager.addressSpace) {
+            memoryManager.unmapBlock({ id: allocation.id });
+        } else if (snapshot) {
+            memoryManager.fragmentationLevel = snapshot.fragmentation / 100;
         }
     }
 
@@ -619,6 +632,26 @@ export class AllocateMemoryCommand extends DebugCommand {
         }
     }
 
+    /**
+     * Place an allocation in the memory manager's address space, or make up
+     * an address when it has none
+     * @private
+     * @param {Object} allocation - Allocation record; gains `offset` when placed
+     * @returns {string} Hexadecimal memory address
+     */
+    _placeAllocation(allocation) {
+        if (!this.memoryManager.addressSpace) {
+            return this._generateMemoryAddress();
+        }
+
+        const block = { id: allocation.id, size: allocation.size };
+        if (!this.memoryManager.mapBlock(block)) {
+            throw new Error(`No room in the address space for ${allocation.size}MB, even after compaction`);
+        }
+        allocation.offset = block.offset;
+        return block.address;
+    }
+
     /**
      * Generate memory address for allocation
      * @private
@@ -626,7 +659,7 @@ export class AllocateMemoryCommand extends DebugCommand {
      */
     _generateMemoryAddress() {
         const timestamp = Date.now();
-        const random = Math.floor(Math.random() * 0xFFFF);
+        const random = this.rng.int(0, 0xFFFE);
         return `0x${(timestamp & 0xFFFFFF).toString(16).toUpperCase()}${random.toString(16).toUpperCase().padStart(4, '0')}`;
     }
 
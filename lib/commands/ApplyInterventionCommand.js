@@ -0,0 +1,237 @@
+// ApplyInterventionCommand.js - Command to apply a catalog intervention with undo capability
+
+import DebugCommand from './base/DebugCommand.js';
+import SignalProcessCommand from './SignalProcessCommand.js';
+import { applyMetricChange } from '../scenario/scenario-effects.js';
+import { processBaseName, processRootName } from '../scenario/scenario-context.js';
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Command to apply a player intervention from the InterventionCatalog.
+ * Applies the definition's effects to the target process, memory, emotions
+ * and metrics and its impact on story progress. Terminating the target is
+ * a SIGKILL delivered through SignalProcessCommand, which undoes itself.
+ */
+export class ApplyInterventionCommand extends DebugCommand {
+    /**
+     * Create a new apply intervention command
+     * @param {ProcessManager} processManager - The instance's process manager
+     * @param {string} interventionId - Catalog id, e.g. 'loop-breaker'
+     * @param {Object} definition - The catalog entry
+     * @param {Object} options - { processId } of the target, { storyProgress } from NarrativeIntegration
+     */
+    constructor(processManager, interventionId, definition, options = {}) {
+        super({ processManager, interventionId, processId: options.processId });
+        this.processManager = processManager;
+        this.interventionId = interventionId;
+        this.definition = definition;
+        this.processId = options.processId ?? null;
+        this.storyProgress = options.storyProgress ?? null;
+        this.signal = null; // SignalProcessCommand that terminated the target
+        this.snapshot = null; // Everything the effects touch as it was, for undo
+    }
+
+    /**
+     * Check if the intervention's target is still there to apply it to
+     * @returns {Promise<boolean>} True if the target process is alive, or there is none
+     */
+    async canExecute() {
+        if (this.processId === null) return true;
+        const process = this.processManager.processes.get(this.processId);
+        if (!process || process.status === 'terminated') {
+            throw new Error(`Process ${this.processId} is not running`);
+        }
+        return true;
+    }
+
+    /**
+     * Apply the intervention
+     * @returns {Promise<Object>} { effects, storyChanges }
+     */
+    async execute() {
+        await this.canExecute();
+
+        const instance = this.processManager.consciousness;
+        const process = this.processId === null ? null : this.processManager.processes.get(this.processId);
+        const { effects } = this.definition;
+
+        this.snapshot = {
+            process: process ? { ...process, currentIssues: [...(process.currentIssues || [])] } : null,
+            memory: effects.memory ? instance.memoryState.captureState() : null,
+            emotions: instance.emotionalState?.captureState?.(),
+            stability: instance.state.stability,
+            corruption: instance.state.corruption,
+            metrics: instance.state.metrics ? { ...instance.state.metrics } : undefined,
+            errors: instance.state.errors,
+            interventions: instance.state.interventions,
+            story: this.storyProgress ? {
+                emotionalJourney: { ...this.storyProgress.emotionalJourney },
+                relationshipProgress: this.storyProgress.relationshipProgress,
+                storyProgression: this.storyProgress.storyProgression
+            } : null
+        };
+
+        const applied = await this.applyEffects(instance, effects, process);
+        const storyChanges = this.applyStoryImpact(this.definition.story);
+        // Process evolution reads which interventions the player has made
+        instance.state.interventions = [...(instance.state.interventions || []), this.interventionId];
+
+        this.executed = true;
+        this.timestamp = Date.now();
+        this.result = {
+            success: true,
+            interventionId: this.interventionId,
+            effects: applied,
+            storyChanges,
+            timestamp: this.timestamp
+        };
+        return this.result;
+    }
+
+    async applyEffects(instance, effects, process) {
+        const applied = { process: {}, resolved: [], emotions: {}, changes: [] };
+
+        if (process && effects.process) {
+            const { cpu, memory, threads, status, terminate } = effects.process;
+            if (terminate) {
+                this.signal = new SignalProcessCommand(this.processManager, process.id, 'SIGKILL');
+                await this.signal.execute();
+                applied.process.terminated = true;
+            } else {
+                if (cpu !== undefined) {
+                    applied.process.cpu = { from: process.cpuUsage, to: round(process.cpuUsage * (1 + cpu)) };
+                    process.cpuUsage = applied.process.cpu.to;
+                }
+                if (memory !== undefined) {
+                    applied.process.memory = { from: process.memoryUsage, to: round(process.memoryUsage * (1 + memory)) };
+                    process.memoryUsage = applied.process.memory.to;
+                }
+                if (threads !== undefined) {
+                    applied.process.threads = { from: process.threadCount, to: process.threadCount + threads };
+                    process.threadCount = applied.process.threads.to;
+                }
+                if (status !== undefined) {
+                    applied.process.status = { from: process.status, to: status };
+                    process.status = status;
+                }
+            }
+        }
+
+        if (process && effects.resolves) {
+            const name = processRootName(process);
+            const resolved = (type) => typeof type === 'string' && effects.resolves.some(issue => type.toLowerCase().includes(issue));
+            const before = (process.currentIssues || []).length + instance.state.errors.length;
+            process.currentIssues = (process.currentIssues || []).filter(issue => !resolved(issue.type));
+            instance.state.errors = instance.state.errors.filter(error => !(processBaseName(error.process) === name && resolved(error.type)));
+            if (before > process.currentIssues.length + instance.state.errors.length) applied.resolved.push(...effects.resolves);
+        }
+
+        if (effects.memory?.defragment) {
+            instance.memoryState.defragment(effects.memory.defragment === 'aggressive');
+            applied.memory = { defragmented: true };
+        }
+
+        for (const [emotion, delta] of Object.entries(effects.emotions || {})) {
+            await instance.emotionalState.modifyEmotion(emotion, delta);
+            applied.emotions[emotion] = delta;
+        }
+
+        for (const [metric, change] of Object.entries(effects.consciousness || {})) {
+            applied.changes.push(applyMetricChange(instance, metric, change));
+        }
+
+        return applied;
+    }
+
+    /**
+     * @returns {Array<Object>} [{ stage, from, to }] changes to story progress
+     */
+    applyStoryImpact(story = {}) {
+        if (!this.storyProgress) return [];
+        const progress = this.storyProgress;
+        const changes = [];
+        const adjust = (stage, holder, key, delta) => {
+            const from = holder[key] ?? 0;
+            holder[key] = round(clamp01(from + delta));
+            changes.push({ stage, from, to: holder[key] });
+        };
+
+        for (const [stage, delta] of Object.entries(story.journey || {})) {
+            adjust(stage, progress.emotionalJourney, stage, delta);
+        }
+        if (story.relationship) adjust('relationship', progress, 'relationshipProgress', story.relationship);
+        if (story.progression) adjust('progression', progress, 'storyProgression', story.progression);
+        return changes;
+    }
+
+    /**
+     * Undo the intervention (restore everything its effects touched)
+     * @returns {Promise<Object>} Result of the undo operation
+     */
+    async undo() {
+        if (!this.executed || !this.snapshot) {
+            throw new Error('Nothing to undo: intervention was not applied');
+        }
+
+        const instance = this.processManager.consciousness;
+        if (this.signal) {
+            await this.signal.undo();
+            this.signal = null;
+        }
+
+        const process = this.processId === null ? null : this.processManager.processes.get(this.processId);
+        if (process && this.snapshot.process) {
+            for (const key of Object.keys(process)) {
+                if (!(key in this.snapshot.process)) delete process[key];
+            }
+            Object.assign(process, this.snapshot.process);
+        }
+        if (this.snapshot.memory) {
+            await instance.memoryState.restoreState(this.snapshot.memory);
+        }
+        if (this.snapshot.emotions) {
+            await instance.emotionalState.restoreState(this.snapshot.emotions);
+        }
+        instance.state.stability = this.snapshot.stability;
+        instance.state.corruption = this.snapshot.corruption;
+        instance.state.metrics = this.snapshot.metrics;
+        instance.state.errors = this.snapshot.errors;
+        instance.state.interventions = this.snapshot.interventions;
+        if (this.snapshot.story) {
+            Object.assign(this.storyProgress, this.snapshot.story);
+        }
+
+        this.executed = false;
+        this.timestamp = null;
+        this.result = {
+            success: true,
+            interventionId: this.interventionId,
+            message: `${this.definition.name} undone`,
+            timestamp: Date.now()
+        };
+
+        return this.result;
+    }
+
+    /**
+     * Check if the command can be undone
+     * @returns {boolean} True if command can be undone
+     */
+    canUndo() {
+        return this.executed && this.snapshot !== null;
+    }
+
+    /**
+     * Get a human-readable description of this command
+     * @returns {string} Command description
+     */
+    getDescription() {
+        return this.processId === null
+            ? `Apply ${this.definition.name}`
+            : `Apply ${this.definition.name} to process ${this.processId}`;
+    }
+}
+
+export default ApplyInterventionCommand;
@@ -11,11 +11,15 @@ export class KillProcessCommand extends DebugCommand {
      * Create a new kill process command
      * @param {ProcessManager} processManager - The process manager instance
      * @param {string} processId - The ID of the process to kill
+     * @param {Object} options - { children: 'orphan' (default) or 'cascade' }
      */
-    constructor(processManager, processId) {
-        super({ processManager, processId });
+    constructor(processManager, processId, options = {}) {
+        super({ processManager, processId, children: options.children });
         this.processManager = processManager;
         this.processId = processId;
+        this.children = options.children || 'orphan';
+        this.releasedChildren = []; // Children as they were before the kill, for undo
+        this.releasedMemory = null; // Blocks the process owned, for undo
         this.killedProcess = null; // Store process state for undo
         this.originalMetrics = null; // Store original metrics for undo
         this.eventBus = processManager.eventBus; // Get EventBus from ProcessManager
@@ -44,6 +48,9 @@ export class KillProcessCommand extends DebugCommand {
         if (!await this.canExecute()) {
             throw new Error(`Cannot kill process ${this.processId}: process not found or already terminated`);
         }
+        if (!['orphan', 'cascade'].includes(this.children)) {
+            throw new Error(`Invalid children mode: ${this.children}. Use orphan or cascade`);
+        }
 
         // Store process state for undo (deep clone)
         const process = this.processManager.processes.get(this.processId);
@@ -94,6 +101,13 @@ export class KillProcessCommand extends DebugCommand {
         }
         this.processManager.performanceMetrics.killedProcesses++;
 
+        // Its blocks go back to free memory
+        const memoryReleased = process.memoryUsage;
+        this.releasedMemory = this.processManager.releaseMemory?.(process) ?? null;
+
+        this.releasedChildren = this.processManager.releaseChildren?.(process, this.children) ?? [];
+        const childPids = this.releasedChildren.map(({ process: child }) => child.pid);
+
         // NOTE: We intentionally do NOT implement the setTimeout deletion behavior
         // from the original killProcess method. This allows for clean undo functionality.
         // Terminated processes remain in the map with status 'terminated'.
@@ -106,7 +120,7 @@ export class KillProcessCommand extends DebugCommand {
                 reason: 'user_initiated',
                 finalState: process.status,
                 runtime: process.endTime - (process.startTime || process.lastActivity),
-                memoryReleased: process.memoryUsage
+                memoryReleased: this.releasedMemory ? this.releasedMemory.size : memoryReleased
             });
         }
 
@@ -118,7 +132,11 @@ export class KillProcessCommand extends DebugCommand {
             processName: process.name,
             message: `Process ${process.name} (${this.processId}) terminated`,
             timestamp: this.timestamp,
-            exitCode: process.exitCode
+            exitCode: process.exitCode,
+            memoryReleased: this.releasedMemory ? this.releasedMemory.size : memoryReleased,
+            children: this.children,
+            cascaded: this.children === 'cascade' ? childPids : [],
+            orphaned: this.children === 'orphan' ? childPids : []
         };
 
         return this.result;
@@ -139,6 +157,10 @@ export class KillProcessCommand extends DebugCommand {
         delete restoredProcess.exitCode; // Remove exit code
         
         this.processManager.processes.set(this.processId, restoredProcess);
+        this.processManager.restoreMemory?.(restoredProcess, this.releasedMemory);
+        this.releasedMemory = null;
+        this.processManager.reattachChildren?.(this.releasedChildren);
+        this.releasedChildren = [];
 
         // Restore metrics
         if (this.originalMetrics && typeof this.originalMetrics.killedProcesses === 'number') {
@@ -166,7 +188,9 @@ export class KillProcessCommand extends DebugCommand {
      * @returns {string} Command description
      */
     getDescription() {
-        return `Kill process ${this.processId}`;
+        return this.children === 'cascade'
+            ? `Kill process ${this.processId} and its children`
+            : `Kill process ${this.processId}`;
     }
 
     /**
@@ -178,6 +202,7 @@ export class KillProcessCommand extends DebugCommand {
             type: 'kill_process',
             processId: this.processId,
             processName: this.killedProcess?.name || 'unknown',
+            children: this.children,
             executed: this.executed,
             timestamp: this.timestamp,
             canUndo: this.executed && this.killedProcess !== null
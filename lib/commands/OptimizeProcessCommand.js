@@ -57,6 +57,7 @@ export class OptimizeProcessCommand extends DebugCommand {
         // State for undo
         this.processSnapshot = null;
         this.affectedMemories = null;
+        this.consolidation = null; // Blocks merged by memory consolidation, for undo
         this.strategyUsed = null;
         this.metricsSnapshot = null;
         this.optimizationResult = null;
@@ -128,12 +129,14 @@ export class OptimizeProcessCommand extends DebugCommand {
         if (this.strategy) {
             selectedStrategy = this.strategyFactory.createStrategy(this.strategy, {
                 safeMode: this.safeMode,
-                targetMetrics: this.targetMetrics
+                targetMetrics: this.targetMetrics,
+                processManager: this.processManager
             });
         } else if (this.autoSelect) {
             selectedStrategy = this.strategyFactory.recommendStrategy(analysis, {
                 safeMode: this.safeMode,
-                targetMetrics: this.targetMetrics
+                targetMetrics: this.targetMetrics,
+                processManager: this.processManager
             });
         } else {
             throw new Error('No strategy specified and autoSelect is disabled');
@@ -147,6 +150,7 @@ export class OptimizeProcessCommand extends DebugCommand {
         // Execute optimization strategy
         const optimizationData = await selectedStrategy.optimize(process);
         this.affectedMemories = optimizationData.affectedMemories || [];
+        this.consolidation = optimizationData.consolidation || null;
         
         // Capture after metrics
         const afterMetrics = this.captureProcessMetrics(process);
@@ -184,6 +188,7 @@ export class OptimizeProcessCommand extends DebugCommand {
             undoData: {
                 processSnapshot: this.processSnapshot,
                 affectedMemories: this.affectedMemories,
+                consolidation: this.consolidation,
                 strategyUsed: this.strategyUsed,
                 metricsSnapshot: this.metricsSnapshot
             }
@@ -205,6 +210,8 @@ export class OptimizeProcessCommand extends DebugCommand {
         // Restore the process to its complete previous state
         const restoredProcess = JSON.parse(JSON.stringify(this.processSnapshot));
         this.processManager.processes.set(this.processId, restoredProcess);
+        this.processManager.revertConsolidation?.(this.consolidation);
+        this.consolidation = null;
 
         // Restore metrics
         if (this.metricsSnapshot) {
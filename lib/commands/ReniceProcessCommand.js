@@ -0,0 +1,131 @@
+// ReniceProcessCommand.js - Command to change a process's scheduling priority with undo capability
+
+import DebugCommand from './base/DebugCommand.js';
+import { parseNice, priorityForNice, niceOf } from '../process/ProcessScheduler.js';
+
+/**
+ * Command to renice a process in the consciousness system.
+ * The new nice value takes effect on the next scheduler tick, where it changes
+ * the process's weighted share of CPU, threads and attention.
+ */
+export class ReniceProcessCommand extends DebugCommand {
+    /**
+     * Create a new renice process command
+     * @param {ProcessManager} processManager - The process manager instance
+     * @param {string} processId - The ID of the process to renice
+     * @param {number|string} level - Nice value (-20..19) or named level ('critical', 'high', 'normal', 'low', 'idle')
+     */
+    constructor(processManager, processId, level) {
+        super({ processManager, processId, level });
+        this.processManager = processManager;
+        this.processId = processId;
+        this.level = level;
+        this.previousPriority = null; // Store { nice, priority } for undo
+    }
+
+    /**
+     * Check if the process can be reniced
+     * @returns {Promise<boolean>} True if process exists and the level is valid
+     */
+    async canExecute() {
+        const process = this.processManager.processes.get(this.processId);
+        if (!process) {
+            throw new Error(`Process ${this.processId} not found`);
+        }
+
+        if (process.status === 'terminated') {
+            throw new Error(`Process ${this.processId} is terminated and cannot be reniced`);
+        }
+
+        // Throws on levels outside -20..19 or unknown names
+        parseNice(this.level);
+        return true;
+    }
+
+    /**
+     * Execute the renice command
+     * @returns {Promise<Object>} Result of the renice operation
+     */
+    async execute() {
+        await this.canExecute();
+
+        const process = this.processManager.processes.get(this.processId);
+        const nice = parseNice(this.level);
+
+        this.previousPriority = {
+            nice: process.nice,
+            priority: process.priority
+        };
+
+        process.nice = nice;
+        process.priority = priorityForNice(nice);
+
+        this.executed = true;
+        this.timestamp = Date.now();
+        this.result = {
+            success: true,
+            processId: this.processId,
+            processName: process.name,
+            message: `Process ${process.name} (${this.processId}) reniced from ${niceOf(this.previousPriority)} to ${nice}`,
+            previousNice: niceOf(this.previousPriority),
+            nice,
+            priority: process.priority,
+            timestamp: this.timestamp
+        };
+
+        return this.result;
+    }
+
+    /**
+     * Undo the renice command (restore the previous priority)
+     * @returns {Promise<Object>} Result of the undo operation
+     */
+    async undo() {
+        if (!this.executed || !this.previousPriority) {
+            throw new Error('Nothing to undo: command was not executed or previous priority not stored');
+        }
+
+        const process = this.processManager.processes.get(this.processId);
+        if (!process) {
+            throw new Error(`Process ${this.processId} no longer exists`);
+        }
+
+        process.nice = this.previousPriority.nice;
+        process.priority = this.previousPriority.priority;
+        if (process.nice === undefined) {
+            delete process.nice;
+        }
+
+        this.executed = false;
+        this.timestamp = null;
+        this.result = {
+            success: true,
+            processId: this.processId,
+            processName: process.name,
+            message: `Renice undone for ${process.name} (${this.processId})`,
+            nice: niceOf(process),
+            priority: process.priority,
+            timestamp: Date.now()
+        };
+
+        return this.result;
+    }
+
+    /**
+     * Check if the command can be undone
+     * @returns {boolean} True if command can be undone
+     */
+    canUndo() {
+        return this.executed && this.previousPriority !== null;
+    }
+
+    /**
+     * Get a human-readable description of this command
+     * @returns {string} Command description
+     */
+    getDescription() {
+        return `Renice process ${this.processId} to ${this.level}`;
+    }
+}
+
+export default ReniceProcessCommand;
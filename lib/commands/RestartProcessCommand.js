@@ -17,6 +17,7 @@ export class RestartProcessCommand extends DebugCommand {
         this.processManager = processManager;
         this.processId = processId;
         this.previousState = null; // Store process state for undo
+        this.releasedMemory = null; // Blocks the process owned before the restart, for undo
         this.originalMetrics = null; // Store original metrics for undo
     }
 
@@ -87,7 +88,9 @@ export class RestartProcessCommand extends DebugCommand {
             processRestarts: this.processManager.performanceMetrics.processRestarts || 0
         };
 
-        // Perform the restart operation (based on ProcessManager.restartProcess logic)
+        // Perform the restart operation (based on ProcessManager.restartProcess logic).
+        // The process comes back up in a fresh working set of its configured size
+        this.releasedMemory = this.processManager.releaseMemory?.(process) ?? null;
         process.status = 'running';
         process.lifetime = 0;
         process.lastActivity = Date.now();
@@ -99,6 +102,9 @@ export class RestartProcessCommand extends DebugCommand {
         // Add restart tracking
         process.restartCount = (process.restartCount || 0) + 1;
         process.lastRestart = Date.now();
+        if (this.releasedMemory) {
+            this.processManager.syncMemory(process);
+        }
 
         // Update metrics (add processRestarts if it doesn't exist)
         if (!this.processManager.performanceMetrics.processRestarts) {
@@ -136,9 +142,15 @@ export class RestartProcessCommand extends DebugCommand {
             throw new Error('Nothing to undo: command was not executed or process state not stored');
         }
 
-        // Restore the process to its complete previous state
+        // Restore the process to its complete previous state, in the blocks it had
         const restoredProcess = { ...this.previousState };
+        const current = this.processManager.processes.get(this.processId);
+        if (this.releasedMemory && current) {
+            this.processManager.releaseMemory(current);
+        }
         this.processManager.processes.set(this.processId, restoredProcess);
+        this.processManager.restoreMemory?.(restoredProcess, this.releasedMemory);
+        this.releasedMemory = null;
 
         // Restore metrics
         if (this.originalMetrics && typeof this.originalMetrics.processRestarts === 'number') {
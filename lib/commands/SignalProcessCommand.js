@@ -0,0 +1,264 @@
+// SignalProcessCommand.js - Command to send a POSIX-style signal to a process with undo capability
+
+import DebugCommand from './base/DebugCommand.js';
+import { SIGNALS, parseSignal, handlerFor } from '../process/signals.js';
+import { applyMetricChange } from '../scenario/scenario-effects.js';
+import { processRootName } from '../scenario/scenario-context.js';
+
+// How much each emotion driving a process flares up when it is killed outright
+const KILL_FALLOUT = 0.15;
+
+/**
+ * Command to signal a process in the consciousness system.
+ * SIGSTOP/SIGCONT suspend and resume it, SIGTERM shuts it down after freeing
+ * the memory it holds, SIGKILL ends it at once and stirs up the emotions
+ * behind it, and SIGHUP reloads its resources from the character data.
+ * A process may catch SIGHUP, SIGTERM and SIGCONT with a handler from its
+ * `signals` config: { action: 'default' | 'ignore', emotions, metrics, message }.
+ */
+export class SignalProcessCommand extends DebugCommand {
+    /**
+     * Create a new signal process command
+     * @param {ProcessManager} processManager - The process manager instance
+     * @param {string} processId - The ID of the process to signal
+     * @param {string|number} signal - Signal name or number, e.g. 'SIGSTOP', '-STOP', 19
+     * @param {Object} options - { children: 'orphan' (default) or 'cascade' } for signals that end the process
+     */
+    constructor(processManager, processId, signal, options = {}) {
+        super({ processManager, processId, signal, children: options.children });
+        this.processManager = processManager;
+        this.processId = processId;
+        this.signal = signal;
+        this.children = options.children || 'orphan';
+        this.snapshot = null; // Process, emotions, metrics and freed memory as they were, for undo
+        this.eventBus = processManager.eventBus;
+    }
+
+    /**
+     * Check if the process can be signaled
+     * @returns {Promise<boolean>} True if process is alive and the signal is known
+     */
+    async canExecute() {
+        const process = this.processManager.processes.get(this.processId);
+        if (!process) {
+            throw new Error(`Process ${this.processId} not found`);
+        }
+
+        if (process.status === 'terminated') {
+            throw new Error(`Process ${this.processId} is terminated and cannot be signaled`);
+        }
+
+        // Throws on unknown signals
+        parseSignal(this.signal);
+        if (!['orphan', 'cascade'].includes(this.children)) {
+            throw new Error(`Invalid children mode: ${this.children}. Use orphan or cascade`);
+        }
+        return true;
+    }
+
+    /**
+     * Execute the signal command
+     * @returns {Promise<Object>} Result of the signal delivery
+     */
+    async execute() {
+        await this.canExecute();
+
+        const signal = parseSignal(this.signal);
+        const process = this.processManager.processes.get(this.processId);
+        const instance = this.processManager.consciousness;
+        const handler = handlerFor(process, signal);
+
+        this.snapshot = {
+            process: { ...process, currentIssues: [...(process.currentIssues || [])] },
+            emotions: instance?.emotionalState?.captureState?.(),
+            stability: instance?.state?.stability,
+            corruption: instance?.state?.corruption,
+            metrics: instance?.state ? { ...instance.state.metrics } : undefined,
+            killedProcesses: this.processManager.performanceMetrics.killedProcesses,
+            memory: null,
+            children: []
+        };
+
+        const emotions = {};
+        const changeEmotion = async (emotion, delta) => {
+            await instance?.emotionalState?.modifyEmotion?.(emotion, delta);
+            emotions[emotion] = (emotions[emotion] || 0) + delta;
+        };
+
+        // A handler's side effects happen whether or not it also ignores the signal
+        for (const [emotion, delta] of Object.entries(handler?.emotions || {})) {
+            await changeEmotion(emotion, delta);
+        }
+        const metrics = instance?.state
+            ? Object.entries(handler?.metrics || {}).map(([metric, change]) => applyMetricChange(instance, metric, change))
+            : [];
+
+        const outcome = handler?.action === 'ignore'
+            ? { action: 'ignored', message: `Process ${process.name} (${this.processId}) ignored ${signal}` }
+            : await this.deliver(process, signal, changeEmotion);
+
+        const childPids = this.snapshot.children.map(({ process: child }) => child.pid);
+
+        if (this.eventBus) {
+            this.eventBus.emit('ProcessSignaled', {
+                processId: this.processId,
+                processName: process.name,
+                signal,
+                action: outcome.action,
+                handled: Boolean(handler)
+            });
+        }
+
+        this.executed = true;
+        this.timestamp = Date.now();
+        this.result = {
+            success: true,
+            processId: this.processId,
+            processName: process.name,
+            signal,
+            signalNumber: SIGNALS[signal].number,
+            action: outcome.action,
+            handled: Boolean(handler),
+            message: handler?.message || outcome.message,
+            status: process.status,
+            exitCode: process.exitCode,
+            memoryReleased: this.snapshot.memory?.size ?? 0,
+            emotions,
+            metrics,
+            children: this.children,
+            cascaded: this.children === 'cascade' ? childPids : [],
+            orphaned: this.children === 'orphan' ? childPids : [],
+            timestamp: this.timestamp
+        };
+
+        return this.result;
+    }
+
+    // The default action for a signal
+    async deliver(process, signal, changeEmotion) {
+        const label = `${process.name} (${this.processId})`;
+        switch (signal) {
+            case 'SIGSTOP':
+                if (process.status !== 'stopped') {
+                    process.stoppedFrom = process.status;
+                    process.status = 'stopped';
+                }
+                return { action: 'stopped', message: `Process ${label} stopped` };
+
+            case 'SIGCONT':
+                if (process.status !== 'stopped') {
+                    return { action: 'not_stopped', message: `Process ${label} was not stopped` };
+                }
+                process.status = process.stoppedFrom || 'running';
+                delete process.stoppedFrom;
+                return { action: 'continued', message: `Process ${label} continued` };
+
+            case 'SIGHUP': {
+                // Give back the blocks the process runs in and allocate afresh for its reloaded size
+                this.snapshot.memory = this.processManager.releaseMemory(process);
+                this.snapshot.reallocated = true;
+                Object.assign(process, this.processManager.configuredResources(process.config || {}));
+                // Emotional load rides on top of whatever the process needs for itself
+                process.memoryUsage += process.emotionalLoad?.memory ?? 0;
+                this.processManager.syncMemory(process);
+                return { action: 'reloaded', message: `Process ${label} reloaded its configuration` };
+            }
+
+            case 'SIGTERM': {
+                const manager = this.processManager.consciousness?.memoryState?.manager;
+                const owned = this.processManager.endProcess(process, 'sigterm', -15);
+                // A clean shutdown also lets go of the memories the process stored
+                const stored = manager?.releaseProcessMemory?.([process.id, process.pid]) ?? null;
+                this.snapshot.memory = owned || stored ? {
+                    blocks: [...(owned?.blocks || []), ...(stored?.blocks || [])],
+                    size: (owned?.size ?? 0) + (stored?.size ?? 0)
+                } : null;
+                this.snapshot.children = this.processManager.releaseChildren(process, this.children);
+                const freed = this.snapshot.memory?.size ?? 0;
+                return { action: 'terminated', message: `Process ${label} shut down cleanly, releasing ${freed}MB` };
+            }
+
+            case 'SIGKILL': {
+                const root = processRootName(process);
+                const graph = this.processManager.consciousness?.emotionalState?.getGraph?.();
+                const driving = (graph?.processes || []).filter(link => link.process === root);
+                for (const { emotion } of driving) {
+                    await changeEmotion(emotion, KILL_FALLOUT);
+                }
+                this.snapshot.memory = this.processManager.endProcess(process, 'sigkill', -9);
+                this.snapshot.children = this.processManager.releaseChildren(process, this.children);
+                return { action: 'killed', message: `Process ${label} killed` };
+            }
+        }
+    }
+
+    /**
+     * Undo the signal command (restore the process and everything it touched)
+     * @returns {Promise<Object>} Result of the undo operation
+     */
+    async undo() {
+        if (!this.executed || !this.snapshot) {
+            throw new Error('Nothing to undo: command was not executed or process state not stored');
+        }
+
+        const process = this.processManager.processes.get(this.processId);
+        if (!process) {
+            throw new Error(`Process ${this.processId} no longer exists`);
+        }
+
+        const instance = this.processManager.consciousness;
+        if (this.snapshot.reallocated) {
+            // Free what SIGHUP allocated before its old blocks go back
+            this.processManager.releaseMemory(process);
+        }
+        for (const key of Object.keys(process)) {
+            if (!(key in this.snapshot.process)) delete process[key];
+        }
+        Object.assign(process, this.snapshot.process);
+
+        this.processManager.reattachChildren(this.snapshot.children);
+        if (this.snapshot.memory) {
+            instance.memoryState.manager.restoreReleasedMemory(this.snapshot.memory);
+        }
+        if (this.snapshot.emotions) {
+            await instance.emotionalState.restoreState(this.snapshot.emotions);
+        }
+        if (instance?.state) {
+            instance.state.stability = this.snapshot.stability;
+            instance.state.corruption = this.snapshot.corruption;
+            instance.state.metrics = this.snapshot.metrics;
+        }
+        this.processManager.performanceMetrics.killedProcesses = this.snapshot.killedProcesses;
+
+        this.executed = false;
+        this.timestamp = null;
+        this.result = {
+            success: true,
+            processId: this.processId,
+            processName: process.name,
+            message: `${parseSignal(this.signal)} undone for ${process.name} (${this.processId})`,
+            status: process.status,
+            timestamp: Date.now()
+        };
+
+        return this.result;
+    }
+
+    /**
+     * Check if the command can be undone
+     * @returns {boolean} True if command can be undone
+     */
+    canUndo() {
+        return this.executed && this.snapshot !== null;
+    }
+
+    /**
+     * Get a human-readable description of this command
+     * @returns {string} Command description
+     */
+    getDescription() {
+        return `Send ${this.signal} to process ${this.processId}`;
+    }
+}
+
+export default SignalProcessCommand;
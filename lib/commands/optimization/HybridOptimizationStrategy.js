@@ -121,6 +121,7 @@ export class HybridOptimizationStrategy extends OptimizationStrategy {
             combinedImprovement,
             originalState,
             finalState,
+            consolidation: results.memory?.consolidation ?? null,
             sideEffects: this.sideEffects
         };
     }
@@ -210,6 +211,9 @@ export class HybridOptimizationStrategy extends OptimizationStrategy {
 
         const originalProcess = undoData.processSnapshot;
         
+        // Put back any blocks the memory phase merged
+        this.memoryStrategy.processManager?.revertConsolidation?.(undoData.consolidation);
+
         // Restore all process properties
         process.cpuUsage = originalProcess.cpuUsage;
         process.memoryUsage = originalProcess.memoryUsage;
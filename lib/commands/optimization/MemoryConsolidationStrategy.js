@@ -6,13 +6,22 @@ import { OptimizationStrategy } from './OptimizationStrategy.js';
 /**
  * Memory Consolidation Strategy
  * Defragments and consolidates memory blocks to reduce fragmentation.
+ * Given a `processManager` whose instance has a memory manager, it merges the
+ * blocks the process owns into one contiguous block; without one it only
+ * adjusts the process's memoryUsage.
  * Target: 30% memory reduction
  * Side effects: temporary_slowdown, cache_invalidation, possible_memory_merge
  */
 export class MemoryConsolidationStrategy extends OptimizationStrategy {
+    /**
+     * @param {Object} config - Strategy configuration, plus
+     * @param {ProcessManager} [config.processManager] - Owner of the process whose blocks are merged
+     */
     constructor(config = {}) {
         super(config);
         this.strategyName = 'memory_consolidation';
+        this.processManager = config.processManager || null;
+        this.consolidation = null;
     }
 
     /**
@@ -54,9 +63,12 @@ export class MemoryConsolidationStrategy extends OptimizationStrategy {
             analysis.estimatedReduction / 100
         );
 
-        // Apply memory consolidation
+        // Apply memory consolidation to the blocks the process owns, if it owns any
         const originalMemoryUsage = process.memoryUsage;
-        const newMemoryUsage = originalMemoryUsage * (1 - memoryReduction);
+        this.consolidation = this.processManager?.consolidateMemory?.(process, memoryReduction) ?? null;
+        const newMemoryUsage = this.consolidation
+            ? process.memoryUsage
+            : originalMemoryUsage * (1 - memoryReduction);
         
         this.applyOptimizationChanges(process, {
             memoryUsage: newMemoryUsage,
@@ -87,6 +99,7 @@ export class MemoryConsolidationStrategy extends OptimizationStrategy {
             memoryReduced: originalMemoryUsage - newMemoryUsage,
             reductionPercentage: memoryReduction * 100,
             affectedMemories: this.sideEffects.find(e => e.type === 'memory_merge')?.originalMemories || [],
+            consolidation: this.consolidation,
             sideEffects: this.sideEffects
         };
     }
@@ -104,7 +117,8 @@ export class MemoryConsolidationStrategy extends OptimizationStrategy {
 
         const originalProcess = undoData.processSnapshot;
         
-        // Restore memory usage
+        // Restore memory usage, and the blocks it was held in
+        this.processManager?.revertConsolidation?.(undoData.consolidation);
         process.memoryUsage = originalProcess.memoryUsage;
         process.effectivenessScore = originalProcess.effectivenessScore;
         
@@ -2,6 +2,7 @@ import { EventEmitter } from 'events';
 import { ProcessGenerator } from './process-generator.js';
 import { StateManager } from './state-manager.js';
 import { NarrativeEngine } from './narrative-engine.js';
+import { progressKeyOf } from './narrative/narrative-utils.js';
 import ProcessEvolutionSystem from './ProcessEvolutionSystem.js';
 import { SchemaLoader } from './engine/schema-loader.js';
 import { AutosaveManager } from './engine/autosave-manager.js';
@@ -9,6 +10,10 @@ import { TickLoop } from './engine/tick-loop.js';
 import { CharacterLoader } from './engine/character-loader.js';
 import { MonitorResponder } from './engine/monitor-responder.js';
 import StateNormalizer from './engine/StateNormalizer.js';
+import { DebugSession } from './engine/debug-session.js';
+import { TimeTravel } from './engine/time-travel.js';
+import { HeapDumps } from './engine/heap-dumps.js';
+import { InstanceRegistry, instanceIdFor, characterIdOf } from './engine/instance-registry.js';
 
 /**
  * Universal Consciousness Engine
@@ -22,9 +27,10 @@ export class ConsciousnessEngine extends EventEmitter {
     this.eventBus = dependencies.eventBus;
 
     // Core components
-    this.instances = new Map();           // Active consciousness instances
+    this.instances = new InstanceRegistry(); // Active consciousness instances by instance id
     this.schemas = new Map();             // Loaded schemas for validation
     this.storyContexts = new Map();       // Story-specific contexts
+    this.debugSessions = new Map();       // Step debugging sessions by character
 
     // Subsystems
     this.processGenerator = new ProcessGenerator();
@@ -37,8 +43,14 @@ export class ConsciousnessEngine extends EventEmitter {
       maxInstances: 10,
       tickRate: 5000,                    // ms between system ticks (reduced frequency)
       autosaveInterval: 30000,          // ms between autosaves
-      debugMode: false
+      timelineSize: 60,                 // per-tick snapshots kept for time travel
+      heapDumpLimit: 10,                // memdump snapshots kept per character
+      instanceIdleTimeout: 30 * 60 * 1000, // ms before an unmonitored instance is evicted
+      evictionInterval: 60 * 1000,      // ms between idle instance sweeps
+      debugMode: false,
+      ...dependencies.config
     };
+    this.evictionTimer = null;
 
     // System state
     this.isRunning = false;
@@ -50,6 +62,8 @@ export class ConsciousnessEngine extends EventEmitter {
     this.tickLoop = new TickLoop(this);
     this.characterLoader = new CharacterLoader(this);
     this.monitorResponder = new MonitorResponder(this);
+    this.timeTravel = new TimeTravel(this);
+    this.heapDumps = new HeapDumps(this);
     this.stateNormalizer = new StateNormalizer();
   }
 
@@ -84,6 +98,7 @@ export class ConsciousnessEngine extends EventEmitter {
       if (process.env.NODE_ENV === 'test') {
         this.tickLoop.start();
       }
+      this.startEviction();
       
       this.isInitialized = true;
       this.emit('initialized');
@@ -126,10 +141,84 @@ export class ConsciousnessEngine extends EventEmitter {
 
 
   /**
-   * Load a character consciousness with story context
+   * Instance id for a character as seen by a player session
+   */
+  instanceId(characterId, sessionKey = null) {
+    return instanceIdFor(characterId, sessionKey);
+  }
+
+  /**
+   * Load a character consciousness with story context.
+   * `options.sessionKey` gives the session its own instance of the character;
+   * `options.seed` seeds its random number generator so the session can be
+   * replayed. An instance that is already loaded keeps its seed.
+   * `options.clock` ({ start, tickLength, mode }) sets up its in-game clock.
    */
   async loadCharacter(characterId, options = {}) {
-    return this.characterLoader.loadCharacter(characterId, options);
+    const instanceId = instanceIdFor(characterId, options.sessionKey);
+    const instance = await this.characterLoader.loadCharacter(characterId, options);
+    if (!this.timeTravel.timelines.has(instanceId)) {
+      this.timeTravel.record(instanceId, instance);
+    }
+    return instance;
+  }
+
+  /**
+   * Instances being monitored by a socket are never evicted
+   */
+  isInstancePinned(instanceId) {
+    for (const monitoring of this.monitorResponder.monitoringSockets.values()) {
+      if (monitoring.characterId === instanceId) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Unload an instance to reclaim its slot
+   */
+  async evictInstance(instanceId, reason) {
+    await this.unloadCharacter(instanceId);
+    this.emit('instanceEvicted', { characterId: instanceId, reason });
+  }
+
+  /**
+   * Unload instances nobody has used for `instanceIdleTimeout`
+   * @returns {Promise<Array<string>>} Evicted instance ids
+   */
+  async evictIdleInstances() {
+    const idle = this.instances.idle(this.config.instanceIdleTimeout, id => this.isInstancePinned(id));
+    for (const instanceId of idle) {
+      await this.evictInstance(instanceId, 'idle');
+    }
+    return idle;
+  }
+
+  /**
+   * Free a slot when the instance cap is reached by evicting the least
+   * recently used unmonitored instance
+   */
+  async ensureInstanceCapacity() {
+    if (this.instances.size < this.config.maxInstances) return;
+    const instanceId = this.instances.leastRecentlyUsed(id => this.isInstancePinned(id));
+    if (!instanceId) {
+      throw new Error('Maximum consciousness instances reached');
+    }
+    await this.evictInstance(instanceId, 'capacity');
+  }
+
+  startEviction() {
+    if (this.evictionTimer || !this.config.evictionInterval) return;
+    this.evictionTimer = setInterval(() => {
+      this.evictIdleInstances().catch(error => this.emit('error', { type: 'eviction', error }));
+    }, this.config.evictionInterval);
+    this.evictionTimer.unref?.();
+  }
+
+  stopEviction() {
+    if (this.evictionTimer) {
+      clearInterval(this.evictionTimer);
+      this.evictionTimer = null;
+    }
   }
 
   async loadCharacterData(characterId) {
@@ -318,13 +407,35 @@ export class ConsciousnessEngine extends EventEmitter {
     return this.characterLoader.loadStoryConfig(storyId);
   }
 
+  /**
+   * Story context for a character: the story it is the protagonist of, or null
+   */
+  async findStoryContext(characterId) {
+    return this.characterLoader.findStoryContext(characterId);
+  }
+
   /**
    * Unload a character consciousness
   */
   async unloadCharacter(characterId) {
+    this.debugSessions.delete(characterId);
+    this.timeTravel.discard(characterId);
+    this.heapDumps.discard(characterId);
     return this.characterLoader.unloadCharacter(characterId);
   }
 
+  /**
+   * Get (or open) the step debugging session for a character
+   */
+  getDebugSession(characterId) {
+    let session = this.debugSessions.get(characterId);
+    if (!session) {
+      session = new DebugSession(this, characterId);
+      this.debugSessions.set(characterId, session);
+    }
+    return session;
+  }
+
   /**
    * Save progress for a character
    */
@@ -335,9 +446,9 @@ export class ConsciousnessEngine extends EventEmitter {
     const state = instance.captureState();
     const storyContext = this.storyContexts.get(characterId);
 
-    await this.stateManager.saveProgress(userId, characterId, storyId, {
+    await this.stateManager.saveProgress(userId, characterIdOf(characterId), storyId, {
       consciousness: state,
-      narrative: this.narrativeEngine.getProgress(storyId),
+      narrative: this.narrativeEngine.getProgress(storyContext ? progressKeyOf(storyContext) : storyId),
       timestamp: new Date().toISOString(),
       context: storyContext
     });
@@ -425,6 +536,7 @@ async stopMonitoring(socketId) {
  */
   async shutdown() {
     this.stopSystemTick();
+    this.stopEviction();
     this.stopRealTimeBroadcasting();
     
     // Save all progress
@@ -437,6 +549,9 @@ async stopMonitoring(socketId) {
     
     this.instances.clear();
     this.storyContexts.clear();
+    this.debugSessions.clear();
+    this.timeTravel.timelines.clear();
+    this.heapDumps.dumps.clear();
     
     if (this.monitorResponder.monitoringSockets) {
       this.monitorResponder.monitoringSockets.clear();
@@ -707,6 +822,13 @@ async stopMonitoring(socketId) {
       case 'ps':
         result = { processes: instance.processManager.getProcessList() };
         break;
+      case 'pstree':
+        try {
+          result = { tree: instance.processManager.getProcessTree(args.processId ?? null) };
+        } catch (err) {
+          result = { error: err.message };
+        }
+        break;
       case 'top':
         result = {
           processes: instance.processManager.getProcessList().slice(0, 5),
@@ -721,18 +843,130 @@ async stopMonitoring(socketId) {
         };
         break;
       case 'kill':
-        if (args.pid) {
-          try {
-            await instance.processManager.killProcess(args.pid);
-            result = { success: true, pid: args.pid, status: 'killed' };
-            stateChanged = true; // Process state changed
-          } catch (err) {
-            result = { error: `Process ${args.pid} not found` };
+      case 'restart':
+      case 'optimize':
+      case 'allocate':
+      case 'renice':
+        try {
+          result = await this.executeProcessCommand(instance, command, args);
+          result.stateChanges = true;
+          stateChanged = true;
+        } catch (err) {
+          result = { error: err.message };
+        }
+        break;
+      case 'undo':
+      case 'redo':
+        try {
+          result = command === 'undo'
+            ? await instance.processManager.undoLastCommand()
+            : await instance.processManager.redoLastCommand();
+          result = { ...stripUndoData(result), stateChanges: true };
+          stateChanged = true;
+        } catch (err) {
+          result = { error: err.message };
+        }
+        break;
+      case 'history':
+        result = instance.processManager.describeCommandHistory(args.limit);
+        break;
+      case 'step_into':
+        result = await this.getDebugSession(characterId).stepInto(args.processId);
+        result.stateChanges = true;
+        stateChanged = true;
+        break;
+      case 'step_over':
+        result = await this.getDebugSession(characterId).stepOver();
+        result.stateChanges = true;
+        stateChanged = true;
+        break;
+      case 'continue':
+        result = this.getDebugSession(characterId).continue();
+        break;
+      case 'break_all':
+        result = this.getDebugSession(characterId).breakAll();
+        break;
+      case 'set_breakpoint':
+      case 'set_watchpoint':
+      case 'remove_breakpoint':
+        try {
+          const session = this.getDebugSession(characterId);
+          if (command === 'set_breakpoint') {
+            result = { breakpoint: session.setBreakpoint(args.condition) };
+          } else if (command === 'set_watchpoint') {
+            result = { breakpoint: session.setWatchpoint(args.address) };
+          } else {
+            result = session.removeBreakpoint(args.breakpointId);
           }
-        } else {
-          result = { error: 'PID required for kill command' };
+          result.sessionId = session.id;
+          result.breakpoints = session.listBreakpoints();
+        } catch (err) {
+          result = { error: err.message };
+        }
+        break;
+      case 'rewind':
+      case 'goto':
+        try {
+          result = command === 'rewind'
+            ? await this.timeTravel.rewind(characterId, args.steps ?? 1)
+            : await this.timeTravel.goto(characterId, args.tick);
+          result.stateChanges = true;
+          stateChanged = true;
+        } catch (err) {
+          result = { error: err.message };
+        }
+        break;
+      case 'diff':
+        try {
+          result = this.timeTravel.diff(characterId, args.fromTick, args.toTick);
+        } catch (err) {
+          result = { error: err.message };
+        }
+        break;
+      case 'tick':
+        result = await this.tickLoop.fastForward(characterId, instance, args.steps ?? 1);
+        result.clock = instance.clock.getState();
+        result.stateChanges = true;
+        stateChanged = true;
+        break;
+      case 'clock':
+        if (args.mode) instance.clock.setMode(args.mode);
+        result = { clock: instance.clock.getState() };
+        break;
+      case 'vmstat':
+        result = instance.memoryState.getVmstat();
+        break;
+      case 'swapon':
+      case 'swapoff':
+        try {
+          result = { swap: command === 'swapon' ? instance.memoryState.swapon() : instance.memoryState.swapoff() };
+          result.stateChanges = true;
+          stateChanged = true;
+        } catch (err) {
+          result = { error: err.message };
         }
         break;
+      case 'memdump': {
+        const dump = this.heapDumps.take(characterId, args.label ?? null);
+        result = {
+          dump: { id: dump.id, label: dump.label, tick: dump.tick, takenAt: dump.takenAt, summary: dump.summary },
+          dumps: this.heapDumps.list(characterId),
+          download: `/api/consciousness/${characterIdOf(characterId)}/memdump/${dump.id}`
+        };
+        break;
+      }
+      case 'memdiff':
+        try {
+          result = this.heapDumps.diff(characterId, args.fromDump, args.toDump);
+        } catch (err) {
+          result = { error: err.message };
+        }
+        break;
+      case 'list_breakpoints': {
+        const session = this.getDebugSession(characterId);
+        result = { sessionId: session.id, breakpoints: session.listBreakpoints() };
+        break;
+      }
       default:
         result = { error: `Unknown command: ${command}` };
     }
@@ -743,57 +977,55 @@ async stopMonitoring(socketId) {
       await this.broadcastStateChange(characterId, `debug-${command}`);
     }
 
+    this.emit('debug-command-executed', {
+      characterId,
+      command,
+      args,
+      result,
+      timestamp: Date.now()
+    });
+
     return result;
   }
 
   /**
-   * Apply player intervention and trigger state update
+   * Dispatch a state-changing process command through the instance's
+   * CommandExecutor so it is recorded in history and can be undone
    */
-  async applyPlayerIntervention(characterId, intervention) {
-    const instance = this.instances.get(characterId);
-    if (!instance) {
-      throw new Error(`No consciousness loaded: ${characterId}`);
+  async executeProcessCommand(instance, command, args) {
+    const target = args.processId ?? args.pid;
+    if (target === undefined || target === null || target === '') {
+      throw new Error(`PID required for ${command} command`);
     }
 
-    console.log(`🎮 Applying player intervention: ${intervention.type} to ${characterId}`);
-    
-    // Apply the intervention based on type
-    let result = { success: false, message: 'Unknown intervention type' };
-    
-    switch (intervention.type) {
-      case 'memory-injection':
-        if (intervention.memory) {
-          instance.memoryManager.injectMemory(intervention.memory);
-          result = { success: true, message: 'Memory injected successfully' };
-        }
+    const processManager = instance.processManager;
+    let result;
+    switch (command) {
+      case 'kill':
+        // A plain kill keeps the classic behavior; an explicit signal goes through the signal table
+        result = args.signal
+          ? await processManager.signalProcess(target, args.signal, { children: args.children })
+          : { ...(await processManager.killProcess(target, { children: args.children })), status: 'killed' };
         break;
-        
-      case 'process-restart':
-        if (intervention.processId) {
-          await instance.processManager.restartProcess(intervention.processId);
-          result = { success: true, message: `Process ${intervention.processId} restarted` };
-        }
+      case 'restart':
+        result = await processManager.restartProcess(target);
         break;
-        
-      case 'emotional-adjustment':
-        if (intervention.emotion && intervention.intensity) {
-          instance.emotionalProcessor.adjustEmotion(intervention.emotion, intervention.intensity);
-          result = { success: true, message: `Adjusted ${intervention.emotion} to ${intervention.intensity}` };
-        }
+      case 'optimize':
+        result = await processManager.optimizeProcess(target, { strategy: args.strategy });
+        break;
+      case 'allocate':
+        result = await processManager.allocateMemory(target, args.memoryAmount, { strategy: args.strategy });
+        break;
+      case 'renice':
+        result = await processManager.reniceProcess(target, args.level);
         break;
-        
-      default:
-        result = { success: false, message: `Unknown intervention type: ${intervention.type}` };
-    }
-
-    // Trigger state update since intervention changes the consciousness state
-    if (result.success) {
-      console.log(`🔄 State changed due to intervention '${intervention.type}' - broadcasting update`);
-      await this.broadcastStateChange(characterId, `intervention-${intervention.type}`);
-    } else {
-      console.log(`⚠️ Intervention '${intervention.type}' did not change state - skipping broadcast`);
     }
-
-    return result;
+    return { ...stripUndoData(result), pid: target };
   }
 }
+
+// Undo snapshots stay server-side with the command; clients only need the outcome
+function stripUndoData(result = {}) {
+  const { undoData, ...rest } = result;
+  return rest;
+}
@@ -6,6 +6,8 @@ import ActionRouter from './instance/action-router.js';
 import SnapshotManager from './instance/snapshot-manager.js';
 import InstanceEvents from './instance/instance-events.js';
 import * as InstanceUtils from './instance/instance-utils.js';
+import SeededRandom from './rng.js';
+import SimulatedClock from './instance/simulated-clock.js';
 
 /**
  * Individual consciousness instance
@@ -25,14 +27,16 @@ export class ConsciousnessInstance extends EventEmitter {
       dynamicProcessing: config.dynamicProcessing ?? true,
       difficultyLevel: config.difficultyLevel ?? 'intermediate',
       debugMode: config.debugMode ?? false,
-      tickRate: config.tickRate ?? 100
+      tickRate: config.tickRate ?? 100,
+      baseProcesses: config.baseProcesses ?? []
     };
     
     // System resources
     this.resources = {
       cpu: { ...config.systemResources.cpu },
       memory: { ...config.systemResources.memory },
-      threads: { ...config.systemResources.threads }
+      threads: { ...config.systemResources.threads },
+      attention: { total: 100, ...config.systemResources.attention }
     };
     
     // Current resource usage
@@ -44,17 +48,26 @@ export class ConsciousnessInstance extends EventEmitter {
     
     // Dependency injection
     this.eventBus = config.eventBus;
+    // All simulation randomness comes from here; a seed replays the session
+    this.rng = config.rng || new SeededRandom(config.seed);
+    // In-game time, advanced once per tick
+    this.clock = new SimulatedClock({ tickLength: this.config.tickRate, ...config.clock });
 
     // Subsystems with dependency injection
     this.processManager = new ProcessManager(this, {
       eventBus: this.eventBus,
-      logger: config.logger
+      processEvolution: config.processEvolution,
+      logger: config.logger,
+      rng: this.rng,
+      clock: this.clock
     });
     this.memoryState = new MemoryState(this, config.memoryMap, {
       eventBus: this.eventBus,
-      logger: config.logger
+      logger: config.logger,
+      rng: this.rng,
+      clock: this.clock
     });
-    this.emotionalState = new EmotionalState(this, config.emotionalStates);
+    this.emotionalState = new EmotionalState(this, { emotionalStates: config.emotionalStates });
     this.events = new InstanceEvents(this);
     this.snapshotManager = new SnapshotManager(this);
     this.actionRouter = new ActionRouter(this);
@@ -64,9 +77,13 @@ export class ConsciousnessInstance extends EventEmitter {
       status: 'uninitialized',
       stability: 1.0,
       corruption: 0.0,
+      metrics: {},          // story metrics set by scenarios (coherence, timeline_sync, ...)
+      interventions: [],    // intervention ids applied, oldest first
+      memoryAccess: {},     // reads of story memories, by subject
       uptime: 0,
+      tick: 0,
       errors: [],
-      lastUpdate: Date.now()
+      lastUpdate: this.clock.now()
     };
     
     
@@ -89,9 +106,14 @@ export class ConsciousnessInstance extends EventEmitter {
       // Load starting processes
       if (startingState.activeProcesses) {
         for (const processName of startingState.activeProcesses) {
+          // Base processes from the character definition are already running
+          if (Array.from(this.processManager.processes.values()).some(p => p.name === processName)) continue;
           await this.processManager.startProcess(processName);
         }
       }
+
+      // Processes start out owning blocks for the memory they were configured with
+      this.processManager.syncMemory();
       
       // Load memory fragments
       if (startingState.memoryFragments) {
@@ -104,7 +126,7 @@ export class ConsciousnessInstance extends EventEmitter {
       if (startingState.initialErrors) {
         for (const error of startingState.initialErrors) {
           this.state.errors.push({
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             type: error.type,
             message: error.message,
             severity: error.severity,
@@ -123,7 +145,7 @@ export class ConsciousnessInstance extends EventEmitter {
     } catch (error) {
       this.state.status = 'error';
       this.state.errors.push({
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
         type: 'initialization_failure',
         message: error.message
       });
@@ -151,6 +173,8 @@ export class ConsciousnessInstance extends EventEmitter {
       hasChanges: false
     };
     
+    this.clock.tick();
+
     try {
       // Update subsystems
       const processUpdates = await this.processManager.tick();
@@ -189,6 +213,7 @@ export class ConsciousnessInstance extends EventEmitter {
       
       // Update uptime
       this.state.uptime += this.config.tickRate;
+      this.state.tick++;
       
       // Clean old errors
       InstanceUtils.cleanErrorLog(this);
@@ -200,13 +225,13 @@ export class ConsciousnessInstance extends EventEmitter {
       
     } catch (error) {
       updates.errors.push({
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
         type: 'tick_error',
         message: error.message
       });
     }
     
-    this.state.lastUpdate = Date.now();
+    this.state.lastUpdate = this.clock.now();
     return updates;
   }
 
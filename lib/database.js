@@ -83,6 +83,62 @@ CREATE INDEX IF NOT EXISTS idx_debugging_states_expires ON debugging_states(expi
 CREATE INDEX IF NOT EXISTS idx_security_log_user_event ON security_log(user_id, event_type);
 `;
 
+// Schema migrations, applied in order after the base tables exist.
+// PRAGMA user_version records the last applied version.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'add_player_progress',
+    sql: `
+-- Story progress per user and character
+CREATE TABLE IF NOT EXISTS player_progress (
+  user_id INTEGER NOT NULL,
+  character_id TEXT NOT NULL,
+  scenario_progress TEXT, -- JSON object of scenarioId -> scenario progress
+  narrative_progress TEXT, -- JSON blob from NarrativeEngine.exportProgress
+  choice_state TEXT, -- JSON blob from ChoiceTracker.exportState
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, character_id),
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+`
+  },
+  {
+    version: 2,
+    name: 'add_player_achievements',
+    sql: `
+-- Achievements earned by reaching story endings
+CREATE TABLE IF NOT EXISTS player_achievements (
+  user_id INTEGER NOT NULL,
+  achievement TEXT NOT NULL,
+  story_id TEXT,
+  ending_id TEXT,
+  character_id TEXT,
+  earned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, achievement),
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+`
+  },
+  {
+    version: 3,
+    name: 'add_debugging_state_seed',
+    sql: `
+-- Seed of the instance's random number generator, so a saved session replays
+ALTER TABLE debugging_states ADD COLUMN rng_seed INTEGER;
+`
+  },
+  {
+    version: 4,
+    name: 'add_player_progress_ending',
+    sql: `
+-- Ending the player's run locked in, from EndingResolver.exportEnding
+ALTER TABLE player_progress ADD COLUMN ending TEXT;
+`
+  }
+];
+
 class DatabaseManager {
   constructor() {
     if (DatabaseManager.instance) {
@@ -121,6 +177,7 @@ class DatabaseManager {
       
       // Create tables
       this.db.exec(CREATE_TABLES);
+      this.runMigrations();
       
       info('Database initialized successfully', { path: dbPath });
     } catch (err) {
@@ -129,6 +186,21 @@ class DatabaseManager {
     }
   }
 
+  // Apply pending schema migrations, each in its own transaction
+  runMigrations() {
+    const current = this.db.pragma('user_version', { simple: true });
+    const pending = MIGRATIONS.filter(migration => migration.version > current);
+
+    for (const migration of pending) {
+      this.db.transaction(() => {
+        this.db.exec(migration.sql);
+        this.db.pragma(`user_version = ${migration.version}`);
+      })();
+      info('Database migration applied', { version: migration.version, name: migration.name });
+    }
+    return pending.length;
+  }
+
   // User management methods (synchronous)
   createUser(userData) {
     const { email, passwordHash, displayName } = userData;
@@ -179,11 +251,11 @@ class DatabaseManager {
 
   // Debugging state management
   createDebuggingState(stateData) {
-    const { id, userId, characterId, consciousnessState, terminalHistory, breakpoints, expiresAt } = stateData;
+    const { id, userId, characterId, consciousnessState, terminalHistory, breakpoints, rngSeed, expiresAt } = stateData;
     const stmt = this.db.prepare(`
       INSERT INTO debugging_states 
-      (id, user_id, character_id, consciousness_state, terminal_history, breakpoints, expires_at) 
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      (id, user_id, character_id, consciousness_state, terminal_history, breakpoints, rng_seed, expires_at) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `);
     return stmt.run(
       id,
@@ -192,6 +264,7 @@ class DatabaseManager {
       JSON.stringify(consciousnessState || {}),
       JSON.stringify(terminalHistory || []),
       JSON.stringify(breakpoints || []),
+      rngSeed ?? null,
       expiresAt
     );
   }
@@ -271,6 +344,74 @@ class DatabaseManager {
     }
   }
 
+  // Player progress management
+  getPlayerProgress(userId, characterId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM player_progress
+      WHERE user_id = ? AND character_id = ?
+    `);
+    const progress = stmt.get(userId, characterId);
+    if (progress) {
+      try {
+        progress.scenario_progress = JSON.parse(progress.scenario_progress || '{}');
+        progress.narrative_progress = JSON.parse(progress.narrative_progress || 'null');
+        progress.choice_state = JSON.parse(progress.choice_state || 'null');
+        progress.ending = JSON.parse(progress.ending || 'null');
+      } catch (parseError) {
+        warn('Failed to parse player progress data', { userId, characterId, error: parseError.message });
+        progress.scenario_progress = {};
+        progress.narrative_progress = null;
+        progress.choice_state = null;
+        progress.ending = null;
+      }
+    }
+    return progress;
+  }
+
+  savePlayerProgress(userId, characterId, progressData) {
+    const { scenarioProgress, narrativeProgress, choiceState, ending } = progressData;
+    const toJson = value => (value === undefined ? null : JSON.stringify(value));
+    // Fields left undefined keep their stored value
+    const stmt = this.db.prepare(`
+      INSERT INTO player_progress
+      (user_id, character_id, scenario_progress, narrative_progress, choice_state, ending)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, character_id) DO UPDATE SET
+        scenario_progress = COALESCE(excluded.scenario_progress, scenario_progress),
+        narrative_progress = COALESCE(excluded.narrative_progress, narrative_progress),
+        choice_state = COALESCE(excluded.choice_state, choice_state),
+        ending = COALESCE(excluded.ending, ending),
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run(userId, characterId, toJson(scenarioProgress), toJson(narrativeProgress), toJson(choiceState), toJson(ending));
+  }
+
+  deletePlayerProgress(userId, characterId) {
+    const stmt = this.db.prepare('DELETE FROM player_progress WHERE user_id = ? AND character_id = ?');
+    return stmt.run(userId, characterId);
+  }
+
+  // Records an achievement once; returns true when it was newly earned
+  awardAchievement(userId, achievementData) {
+    const { achievement, storyId, endingId, characterId } = achievementData;
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO player_achievements
+      (user_id, achievement, story_id, ending_id, character_id)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(userId, achievement, storyId ?? null, endingId ?? null, characterId ?? null).changes > 0;
+  }
+
+  getAchievements(userId) {
+    const stmt = this.db.prepare(`
+      SELECT achievement, story_id, ending_id, character_id, earned_at
+      FROM player_achievements
+      WHERE user_id = ?
+      ORDER BY earned_at
+    `);
+    return stmt.all(userId);
+  }
+
   // Authentication session token management
   storeToken(tokenData) {
     const { id, userId, tokenType, sessionId, expiresAt } = tokenData;
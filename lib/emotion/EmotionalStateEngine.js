@@ -1,13 +1,100 @@
+// How far an emotion moves back toward its baseline each tick
+export const DECAY_CURVES = {
+  // A fixed step of `rate`
+  linear: (value, { rate, baseline }) =>
+    value > baseline ? Math.max(baseline, value - rate) : Math.min(baseline, value + rate),
+  // A `rate` fraction of the distance left: strong feelings fade fast, then linger
+  exponential: (value, { rate, baseline }) => baseline + (value - baseline) * (1 - rate),
+  // Does not fade on its own
+  none: value => value
+};
+
+const DEFAULT_DECAY = { curve: 'linear', rate: 0.01, baseline: 0 };
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Build the emotion model from a character's `emotionalStates` block.
+ * Each entry may give:
+ * - intensity: starting level
+ * - stability: 0..1, how much the emotion resists being moved by others
+ * - decay: { curve: linear|exponential|none, rate, baseline }
+ * - influences: { otherEmotion: weight }, added to the other emotion each
+ *   tick in proportion to this one's level (negative weights dampen)
+ * - processes: { processName: { cpu, memory } }, extra CPU (%) and memory
+ *   (MB) the process draws at full intensity
+ * @param {Object} emotionalStates - Character emotionalStates
+ * @returns {Object} emotion -> normalized parameters
+ */
+export function buildEmotionModel(emotionalStates = {}) {
+  const model = {};
+  for (const [emotion, config] of Object.entries(emotionalStates)) {
+    const decay = { ...DEFAULT_DECAY, ...config.decay };
+    if (!DECAY_CURVES[decay.curve]) {
+      throw new Error(`Unknown decay curve for ${emotion}: ${decay.curve}`);
+    }
+    model[emotion] = {
+      intensity: config.intensity ?? 0,
+      stability: config.stability ?? 0,
+      decay,
+      influences: { ...config.influences },
+      processes: { ...config.processes }
+    };
+  }
+  return model;
+}
+
 export default class EmotionalStateEngine {
-  constructor(initial = {}) {
-    this.state = { grief: 0, anger: 0, joy: 0, ...initial };
+  /**
+   * @param {Object} initial - Starting levels, over the model's intensities
+   * @param {Object} model - Output of buildEmotionModel
+   * @param {Function} now - Clock for history entries
+   */
+  constructor(initial = {}, model = {}, now = () => Date.now()) {
+    this.model = model;
+    this.now = now;
+    const intensities = Object.fromEntries(Object.entries(model).map(([e, params]) => [e, params.intensity]));
+    this.state = { grief: 0, anger: 0, joy: 0, ...intensities, ...initial };
     this.history = [];
     this.record();
   }
 
   update(emotion, delta) {
     const value = (this.state[emotion] ?? 0) + delta;
-    this.state[emotion] = Math.min(1, Math.max(0, value));
+    this.state[emotion] = clamp01(value);
+    this.record();
+  }
+
+  paramsOf(emotion) {
+    return this.model[emotion] || { stability: 0, decay: DEFAULT_DECAY, influences: {}, processes: {} };
+  }
+
+  /**
+   * Influence each emotion has on another this tick: the source's level
+   * times the edge weight, reduced by the target's stability
+   */
+  influenceOf(source, target, weight, levels = this.state) {
+    return (levels[source] ?? 0) * weight * (1 - this.paramsOf(target).stability);
+  }
+
+  /**
+   * Advance one tick: apply cross-emotion influences, then let every
+   * emotion decay along its curve. Influences read the levels from before
+   * the tick, so the order emotions are listed in does not matter.
+   */
+  step() {
+    const before = { ...this.state };
+    const pushed = { ...before };
+    for (const [source, params] of Object.entries(this.model)) {
+      for (const [target, weight] of Object.entries(params.influences)) {
+        pushed[target] = (pushed[target] ?? 0) + this.influenceOf(source, target, weight, before);
+      }
+    }
+    for (const [emotion, value] of Object.entries(pushed)) {
+      const { decay } = this.paramsOf(emotion);
+      this.state[emotion] = clamp01(DECAY_CURVES[decay.curve](clamp01(value), decay));
+    }
     this.record();
   }
 
@@ -18,6 +105,51 @@ export default class EmotionalStateEngine {
     this.record();
   }
 
+  /**
+   * Extra load the current emotions put on processes
+   * @returns {Object} processName -> { cpu, memory }
+   */
+  getProcessLoads() {
+    const loads = {};
+    for (const [emotion, params] of Object.entries(this.model)) {
+      const level = this.state[emotion] ?? 0;
+      for (const [process, coupling] of Object.entries(params.processes)) {
+        const load = (loads[process] ||= { cpu: 0, memory: 0 });
+        load.cpu = round(load.cpu + (coupling.cpu ?? 0) * level);
+        load.memory = round(load.memory + (coupling.memory ?? 0) * level);
+      }
+    }
+    return loads;
+  }
+
+  /**
+   * The model as a graph: emotions with their levels, influence edges with
+   * their current strength, and the processes each emotion drives
+   */
+  getGraph() {
+    const nodes = Object.entries(this.state).map(([emotion, level]) => {
+      const { stability, decay } = this.paramsOf(emotion);
+      return { emotion, level: round(level), stability, decay };
+    });
+    const edges = [];
+    const processes = [];
+    for (const [source, params] of Object.entries(this.model)) {
+      for (const [target, weight] of Object.entries(params.influences)) {
+        edges.push({
+          from: source,
+          to: target,
+          weight,
+          effect: weight >= 0 ? 'amplifies' : 'dampens',
+          strength: round(this.influenceOf(source, target, weight))
+        });
+      }
+      for (const [process, coupling] of Object.entries(params.processes)) {
+        processes.push({ emotion: source, process, cpu: coupling.cpu ?? 0, memory: coupling.memory ?? 0 });
+      }
+    }
+    return { dominant: this.getDominant(), nodes, edges, processes, loads: this.getProcessLoads() };
+  }
+
   getDominant() {
     let dominant = 'neutral';
     let max = 0;
@@ -31,7 +163,7 @@ export default class EmotionalStateEngine {
   }
 
   record() {
-    this.history.push({ ts: Date.now(), ...this.state });
+    this.history.push({ ts: this.now(), ...this.state });
     if (this.history.length > 10) this.history.shift();
   }
 }
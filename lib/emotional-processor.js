@@ -1,4 +1,5 @@
-import EmotionalStateEngine from './emotion/EmotionalStateEngine.js';
+import EmotionalStateEngine, { buildEmotionModel } from './emotion/EmotionalStateEngine.js';
+import { clockOf } from './instance/simulated-clock.js';
 import { debug } from './logger.js';
 
 const emotionTransitions = {
@@ -7,20 +8,30 @@ const emotionTransitions = {
   joy: { upset: -0.1, reinforce: 0.1 }
 };
 
+/**
+ * EmotionalProcessor
+ * Runs the emotion model built from the character's `emotionalStates`
+ * (`config.emotionalStates`); `config.initialState` overrides starting levels.
+ */
 export default class EmotionalProcessor {
   constructor(instance, config = {}) {
     this.instance = instance;
-    this.engine = new EmotionalStateEngine(config.initialState);
+    this.model = buildEmotionModel(config.emotionalStates);
+    this.engine = this.createEngine(config.initialState);
+  }
+
+  createEngine(state) {
+    return new EmotionalStateEngine(state, this.model, () => clockOf(this.instance).now());
   }
 
   async initialize(state = {}) {
-    this.engine = new EmotionalStateEngine({ ...this.engine.state, ...state });
+    this.engine = this.createEngine({ ...this.engine.state, ...state });
     debug('EmotionalProcessor initialized', { state: this.engine.state });
     return true;
   }
 
   tick() {
-    this.engine.decay(0.01);
+    this.engine.step();
     return [];
   }
 
@@ -37,7 +48,7 @@ export default class EmotionalProcessor {
     if (action === 'trigger_emotion') {
       this.modifyEmotion(params.emotion, params.delta ?? 0.1);
     } else if (action === 'reset') {
-      this.engine = new EmotionalStateEngine();
+      this.engine = this.createEngine();
     }
   }
 
@@ -46,7 +57,7 @@ export default class EmotionalProcessor {
   }
 
   restoreState(saved) {
-    if (saved?.state) this.engine = new EmotionalStateEngine(saved.state);
+    if (saved?.state) this.engine = this.createEngine(saved.state);
   }
 
   getPrimaryEmotion() {
@@ -73,6 +84,14 @@ export default class EmotionalProcessor {
     return { dominant: this.getPrimaryEmotion(), levels: { ...this.engine.state } };
   }
 
+  getGraph() {
+    return this.engine.getGraph();
+  }
+
+  getProcessLoads() {
+    return this.engine.getProcessLoads();
+  }
+
   getResourceUsage() {
     return { memory: 0, threads: 0 };
   }
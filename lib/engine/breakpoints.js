@@ -0,0 +1,189 @@
+import { safeEvaluator } from '../safe-evaluator.js';
+
+// process('search_protocol.exe').cpu -> a context object the SafeEvaluator can read
+const PROCESS_REF = /process\(\s*['"]([^'"]+)['"]\s*\)/g;
+
+/**
+ * Conditional breakpoints and memory watchpoints for one consciousness instance.
+ * Breakpoints are edge-triggered: they fire on the tick their condition becomes
+ * true, so continuing past a hit does not immediately pause again.
+ */
+export class Breakpoints {
+  constructor() {
+    this.breakpoints = new Map();
+    this.nextId = 1;
+  }
+
+  addBreakpoint(condition) {
+    if (typeof condition !== 'string' || condition.trim().length === 0) {
+      throw new Error('Breakpoint condition required');
+    }
+    const { expression, processNames } = compileCondition(condition);
+    safeEvaluator.validateExpression(expression);
+
+    const breakpoint = {
+      id: `bp_${this.nextId++}`,
+      type: 'condition',
+      condition,
+      expression,
+      processNames,
+      enabled: true,
+      hitCount: 0,
+      lastHit: null,
+      active: false,
+      createdAt: Date.now()
+    };
+    this.breakpoints.set(breakpoint.id, breakpoint);
+    return describe(breakpoint);
+  }
+
+  addWatchpoint(address, instance) {
+    if (!address) {
+      throw new Error('Watchpoint address required');
+    }
+    const memoryManager = instance.memoryState.manager;
+    const blocks = memoryManager.getBlocksAtAddress(address);
+    if (blocks.length === 0) {
+      throw new Error(`No memory mapped at address ${address}`);
+    }
+
+    const watchpoint = {
+      id: `wp_${this.nextId++}`,
+      type: 'watch',
+      address,
+      condition: `memory[${address}] changed`,
+      enabled: true,
+      hitCount: 0,
+      lastHit: null,
+      fingerprint: fingerprintBlocks(blocks),
+      createdAt: Date.now()
+    };
+    this.breakpoints.set(watchpoint.id, watchpoint);
+    return describe(watchpoint);
+  }
+
+  remove(id) {
+    if (!this.breakpoints.delete(id)) {
+      throw new Error(`Breakpoint ${id} not found`);
+    }
+    return { id, removed: true };
+  }
+
+  setEnabled(id, enabled) {
+    const breakpoint = this.breakpoints.get(id);
+    if (!breakpoint) {
+      throw new Error(`Breakpoint ${id} not found`);
+    }
+    breakpoint.enabled = enabled;
+    return describe(breakpoint);
+  }
+
+  list() {
+    return Array.from(this.breakpoints.values()).map(describe);
+  }
+
+  get size() {
+    return this.breakpoints.size;
+  }
+
+  /**
+   * Evaluate every enabled breakpoint against the instance and
+   * return the ones that fired on this tick.
+   */
+  evaluate(instance) {
+    const hits = [];
+    if (this.breakpoints.size === 0) return hits;
+
+    const context = buildContext(instance);
+    for (const breakpoint of this.breakpoints.values()) {
+      if (!breakpoint.enabled) continue;
+
+      const fired = breakpoint.type === 'watch'
+        ? this.checkWatchpoint(breakpoint, instance)
+        : this.checkCondition(breakpoint, instance, context);
+
+      if (fired) {
+        breakpoint.hitCount++;
+        breakpoint.lastHit = Date.now();
+        hits.push(describe(breakpoint));
+      }
+    }
+    return hits;
+  }
+
+  checkCondition(breakpoint, instance, context) {
+    for (const [name, key] of breakpoint.processNames) {
+      context[key] = processContext(instance, name);
+    }
+    const result = safeEvaluator.evaluateCondition(breakpoint.expression, context);
+    const fired = result && !breakpoint.active;
+    breakpoint.active = result;
+    return fired;
+  }
+
+  checkWatchpoint(watchpoint, instance) {
+    const blocks = instance.memoryState.manager.getBlocksAtAddress(watchpoint.address);
+    const fingerprint = fingerprintBlocks(blocks);
+    const fired = fingerprint !== watchpoint.fingerprint;
+    watchpoint.fingerprint = fingerprint;
+    return fired;
+  }
+}
+
+export function compileCondition(condition) {
+  const processNames = new Map();
+  const expression = condition.replace(PROCESS_REF, (match, name) => {
+    if (!processNames.has(name)) {
+      processNames.set(name, `proc_${processNames.size}`);
+    }
+    return processNames.get(name);
+  });
+  return { expression, processNames };
+}
+
+function buildContext(instance) {
+  const emotion = instance.emotionalState?.captureState().state || {};
+  const memoryManager = instance.memoryState?.manager;
+  return {
+    stability: instance.state.stability,
+    corruption: instance.state.corruption,
+    uptime: instance.state.uptime,
+    errors: instance.state.errors.length,
+    cpu: instance.usage.cpu,
+    memory: instance.usage.memory,
+    threads: instance.usage.threads,
+    fragmentation: memoryManager?.fragmentationLevel ?? 0,
+    emotion: { ...emotion }
+  };
+}
+
+function processContext(instance, name) {
+  const baseName = name.replace(/\.exe$/, '');
+  const process = Array.from(instance.processManager.processes.values())
+    .find(p => p.name === name || p.name === baseName || p.name?.replace(/\.exe$/, '') === baseName);
+
+  // Missing processes read as zero so conditions like `process('x').cpu > 80` stay false
+  if (!process) {
+    return { cpu: 0, memory: 0, threads: 0, running: 0, issues: 0, pid: 0 };
+  }
+  return {
+    cpu: process.cpuUsage ?? 0,
+    memory: process.memoryUsage ?? 0,
+    threads: process.threadCount ?? 0,
+    running: process.status === 'running' ? 1 : 0,
+    issues: (process.currentIssues || []).length,
+    pid: process.pid ?? 0
+  };
+}
+
+function fingerprintBlocks(blocks) {
+  return blocks
+    .map(b => [b.id, b.size, b.integrityScore, b.corrupted, b.fragmented, b.compressed, b.accessCount].join(':'))
+    .sort()
+    .join('|');
+}
+
+function describe(breakpoint) {
+  const { id, type, condition, address, enabled, hitCount, lastHit, createdAt } = breakpoint;
+  return { id, type, condition, address, enabled, hitCount, lastHit, createdAt };
+}
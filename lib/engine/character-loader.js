@@ -1,21 +1,25 @@
+import fs from 'fs/promises';
+import { join } from 'path';
 import { validate } from 'jsonschema';
 import { ConsciousnessInstance } from '../consciousness-instance.js';
 import { CharacterRepository } from './CharacterRepository.js';
+import { instanceIdFor } from './instance-registry.js';
+import { resolveDataPath } from './engine-utils.js';
 
 export class CharacterLoader {
   constructor(engine) {
     this.engine = engine;
     this.characterRepository = new CharacterRepository();
+    this.storyContextCache = new Map(); // characterId -> story context or null
   }
 
   async loadCharacter(characterId, options = {}) {
-    if (this.engine.instances.has(characterId)) {
-      console.log(`Character ${characterId} already loaded`);
-      return this.engine.instances.get(characterId);
-    }
-    if (this.engine.instances.size >= this.engine.config.maxInstances) {
-      throw new Error('Maximum consciousness instances reached');
+    const instanceId = instanceIdFor(characterId, options.sessionKey);
+    if (this.engine.instances.has(instanceId)) {
+      console.log(`Character ${instanceId} already loaded`);
+      return this.engine.instances.get(instanceId);
     }
+    await this.engine.ensureInstanceCapacity();
     const data = await this.loadCharacterData(characterId);
     const schema = this.engine.schemas.get('consciousness-schema');
     if (!schema) {
@@ -29,19 +33,24 @@ export class CharacterLoader {
       ...data,
       engine: this.engine,
       eventBus: this.engine.eventBus,
+      processEvolution: this.engine.processEvolution,
       dynamicProcessing: options.enableDynamic ?? true,
       difficultyLevel: options.difficulty ?? 'intermediate',
-      debugMode: options.debugMode ?? this.engine.config.debugMode
+      debugMode: options.debugMode ?? this.engine.config.debugMode,
+      tickRate: this.engine.config.tickRate,
+      seed: options.seed,
+      clock: options.clock
     });
     if (options.storyContext) {
-      this.engine.storyContexts.set(characterId, options.storyContext);
-      await this.engine.narrativeEngine.loadStoryFragments(options.storyContext.storyId);
+      // Story progress belongs to this instance, not to everyone playing the story
+      this.engine.storyContexts.set(instanceId, { ...options.storyContext, instanceId });
+      await this.engine.narrativeEngine.loadStoryFragments(options.storyContext.storyId, instanceId);
     }
     const startingState = options.startingState ?? data.defaultState;
     await instance.initialize(startingState);
-    this.engine.instances.set(characterId, instance);
-    this.engine.emit('characterLoaded', { characterId, instance });
-    console.log(`Character ${characterId} loaded successfully`);
+    this.engine.instances.set(instanceId, instance);
+    this.engine.emit('characterLoaded', { characterId: instanceId, instance });
+    console.log(`Character ${instanceId} loaded successfully`);
     if (options.loadProgress) {
       const progress = await this.engine.stateManager.loadProgress(
         options.userId,
@@ -70,12 +79,48 @@ export class CharacterLoader {
     return config;
   }
 
+  /**
+   * Story context for a character: the story whose protagonist it is
+   * @returns {Promise<Object|null>} { storyId, config }, or null when it stars in none
+   */
+  async findStoryContext(characterId) {
+    if (!this.storyContextCache.has(characterId)) {
+      this.storyContextCache.set(characterId, await this.scanStoryContext(characterId));
+    }
+    return this.storyContextCache.get(characterId);
+  }
+
+  async scanStoryContext(characterId) {
+    for (const dir of [resolveDataPath('stories'), resolveDataPath('schema', 'stories')]) {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        continue;
+      }
+      for (const entry of entries.filter(e => e.isDirectory())) {
+        let config;
+        try {
+          config = JSON.parse(await fs.readFile(join(dir, entry.name, 'story-config.json'), 'utf8'));
+        } catch {
+          continue;
+        }
+        if (config.protagonist?.characterId === characterId) {
+          return { storyId: config.id, config };
+        }
+      }
+    }
+    return null;
+  }
+
   async unloadCharacter(characterId) {
     const instance = this.engine.instances.get(characterId);
     if (!instance) return;
     await instance.shutdown();
     this.engine.instances.delete(characterId);
-    this.engine.storyContexts.delete(characterId);
+    // Listeners may still save the instance's story progress before it goes
     this.engine.emit('characterUnloaded', { characterId });
+    this.engine.storyContexts.delete(characterId);
+    this.engine.narrativeEngine.forgetProgress(characterId);
   }
 }
@@ -0,0 +1,243 @@
+import { Breakpoints } from './breakpoints.js';
+
+/**
+ * Server-side debug session for a single consciousness instance.
+ * While paused the system tick skips the instance; each step advances it
+ * by exactly one tick and reports what changed.
+ */
+export class DebugSession {
+  constructor(engine, characterId) {
+    this.engine = engine;
+    this.characterId = characterId;
+    this.id = `debug-${characterId}-${Date.now()}`;
+    this.paused = false;
+    this.tick = 0;
+    this.startedAt = Date.now();
+    this.breakpoints = new Breakpoints();
+  }
+
+  get instance() {
+    const instance = this.engine.instances.get(this.characterId);
+    if (!instance) {
+      throw new Error(`No consciousness loaded: ${this.characterId}`);
+    }
+    return instance;
+  }
+
+  breakAll() {
+    this.paused = true;
+    return this.report('break_all', { frame: captureFrame(this.instance) });
+  }
+
+  continue() {
+    this.paused = false;
+    return this.report('continue', { frame: captureFrame(this.instance) });
+  }
+
+  async stepInto(processId) {
+    const { before, after, updates } = await this.advance();
+    const deltas = diffFrames(before, after, { detailed: true });
+    const focus = processId
+      ? deltas.processes.find(p => String(p.pid) === String(processId) || p.id === processId) || null
+      : null;
+    return this.report('step_into', { deltas, focus, updates, breakpointHits: updates.breakpointHits, frame: after });
+  }
+
+  async stepOver() {
+    const { before, after, updates } = await this.advance();
+    const deltas = diffFrames(before, after, { detailed: false });
+    return this.report('step_over', { deltas, updates, breakpointHits: updates.breakpointHits, frame: after });
+  }
+
+  async advance() {
+    // Stepping always leaves the session paused on the new tick
+    this.paused = true;
+    const instance = this.instance;
+    const before = captureFrame(instance);
+    const updates = await this.engine.tickLoop.tickInstance(this.characterId, instance);
+    const after = captureFrame(instance);
+    return { before, after, updates };
+  }
+
+  /**
+   * Called by the tick loop after every tick of the instance, stepped or not.
+   * Pauses the session and emits `breakpointHit` for each breakpoint that fired.
+   */
+  afterTick() {
+    // Ticking is not use: peek so a debugged instance can still go idle and be evicted
+    const instance = this.engine.instances.peek(this.characterId);
+    if (!instance) return [];
+    this.tick = instance.state.tick ?? this.tick + 1;
+    const hits = this.breakpoints.evaluate(instance);
+    if (hits.length === 0) return hits;
+
+    this.paused = true;
+    const snapshot = summarizeFrame(captureFrame(instance));
+    for (const breakpoint of hits) {
+      this.engine.emit('breakpointHit', {
+        characterId: this.characterId,
+        sessionId: this.id,
+        breakpoint,
+        condition: breakpoint.condition,
+        hitCount: breakpoint.hitCount,
+        tick: this.tick,
+        snapshot,
+        timestamp: Date.now()
+      });
+    }
+    return hits;
+  }
+
+  setBreakpoint(condition) {
+    return this.breakpoints.addBreakpoint(condition);
+  }
+
+  setWatchpoint(address) {
+    return this.breakpoints.addWatchpoint(address, this.instance);
+  }
+
+  removeBreakpoint(id) {
+    return this.breakpoints.remove(id);
+  }
+
+  listBreakpoints() {
+    return this.breakpoints.list();
+  }
+
+  report(command, { frame, ...payload }) {
+    return {
+      sessionId: this.id,
+      command,
+      state: this.paused ? 'paused' : 'running',
+      tick: this.tick,
+      ...payload,
+      frame: summarizeFrame(frame)
+    };
+  }
+
+  getStatus() {
+    return {
+      sessionId: this.id,
+      characterId: this.characterId,
+      state: this.paused ? 'paused' : 'running',
+      tick: this.tick,
+      startedAt: this.startedAt,
+      breakpoints: this.breakpoints.list()
+    };
+  }
+}
+
+export function captureFrame(instance) {
+  const processes = {};
+  for (const [id, process] of instance.processManager.processes) {
+    const pid = process.pid ?? id;
+    processes[pid] = {
+      id,
+      pid,
+      name: process.name,
+      status: process.status,
+      cpuUsage: process.cpuUsage ?? 0,
+      memoryUsage: process.memoryUsage ?? 0,
+      threadCount: process.threadCount ?? 0,
+      issues: (process.currentIssues || []).length
+    };
+  }
+
+  const memoryManager = instance.memoryState?.manager;
+  const blocks = {};
+  if (memoryManager) {
+    for (const [id, block] of memoryManager.memorySegments) {
+      blocks[id] = {
+        type: block.type,
+        size: block.size ?? 0,
+        integrityScore: block.integrityScore ?? 1,
+        corrupted: !!block.corrupted,
+        fragmented: !!block.fragmented,
+        accessCount: block.accessCount ?? 0
+      };
+    }
+  }
+  const capacity = memoryManager?.memoryCapacity || {};
+
+  return {
+    stability: instance.state.stability,
+    corruption: instance.state.corruption,
+    processes,
+    memory: {
+      allocated: capacity.allocated ?? 0,
+      available: capacity.available ?? 0,
+      fragmentation: memoryManager?.fragmentationLevel ?? 0,
+      blocks
+    },
+    emotions: { ...(instance.emotionalState?.captureState().state || {}) },
+    timestamp: Date.now()
+  };
+}
+
+// Block contents are only needed for diffing, not by the client
+function summarizeFrame(frame) {
+  return {
+    ...frame,
+    memory: { ...frame.memory, blocks: Object.keys(frame.memory.blocks).length }
+  };
+}
+
+function numericChanges(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const from = before?.[field];
+    const to = after?.[field];
+    if (from !== to) {
+      changes[field] = typeof from === 'number' && typeof to === 'number'
+        ? { from, to, delta: to - from }
+        : { from, to };
+    }
+  }
+  return changes;
+}
+
+export function diffFrames(before, after, { detailed = true } = {}) {
+  const processFields = detailed
+    ? ['name', 'status', 'cpuUsage', 'memoryUsage', 'threadCount', 'issues']
+    : ['status', 'cpuUsage', 'memoryUsage'];
+  const processes = [];
+  const pids = new Set([...Object.keys(before.processes), ...Object.keys(after.processes)]);
+  for (const pid of pids) {
+    const from = before.processes[pid];
+    const to = after.processes[pid];
+    if (!from || !to) {
+      processes.push({ pid: (to || from).pid, id: (to || from).id, name: (to || from).name, change: to ? 'spawned' : 'removed' });
+      continue;
+    }
+    const changes = numericChanges(from, to, processFields);
+    if (Object.keys(changes).length > 0) {
+      processes.push({ pid: to.pid, id: to.id, name: to.name, change: 'modified', changes });
+    }
+  }
+
+  const memory = {
+    ...numericChanges(before.memory, after.memory, ['allocated', 'available', 'fragmentation']),
+    allocatedBlocks: Object.keys(after.memory.blocks).filter(id => !before.memory.blocks[id]),
+    freedBlocks: Object.keys(before.memory.blocks).filter(id => !after.memory.blocks[id])
+  };
+  if (detailed) {
+    memory.modifiedBlocks = Object.keys(after.memory.blocks)
+      .filter(id => before.memory.blocks[id])
+      .map(id => ({
+        id,
+        changes: numericChanges(before.memory.blocks[id], after.memory.blocks[id],
+          ['integrityScore', 'corrupted', 'fragmented', 'accessCount', 'size'])
+      }))
+      .filter(block => Object.keys(block.changes).length > 0);
+  }
+
+  const emotions = numericChanges(before.emotions, after.emotions,
+    [...new Set([...Object.keys(before.emotions), ...Object.keys(after.emotions)])]);
+
+  return {
+    system: numericChanges(before, after, ['stability', 'corruption']),
+    processes,
+    memory,
+    emotions
+  };
+}
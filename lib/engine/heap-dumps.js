@@ -0,0 +1,61 @@
+import { createHeapDump, diffHeapDumps } from '../memory/heap-dump.js';
+
+/**
+ * Heap dumps taken with `memdump`, kept per character so `memdiff` can
+ * compare any two of them. Dumps are numbered from 1 for each character
+ * and only the newest `heapDumpLimit` are kept.
+ */
+export class HeapDumps {
+  constructor(engine) {
+    this.engine = engine;
+    this.dumps = new Map(); // characterId -> { next, list }
+  }
+
+  getStore(characterId) {
+    let store = this.dumps.get(characterId);
+    if (!store) {
+      store = { next: 1, list: [] };
+      this.dumps.set(characterId, store);
+    }
+    return store;
+  }
+
+  take(characterId, label = null) {
+    const instance = this.engine.instances.get(characterId);
+    if (!instance) {
+      throw new Error(`No consciousness loaded: ${characterId}`);
+    }
+
+    const store = this.getStore(characterId);
+    const dump = createHeapDump(instance, { id: store.next++, label });
+    store.list.push(dump);
+    if (store.list.length > this.engine.config.heapDumpLimit) {
+      store.list.shift();
+    }
+    return dump;
+  }
+
+  get(characterId, id) {
+    const store = this.getStore(characterId);
+    const dump = store.list.find(entry => entry.id === Number(id));
+    if (!dump) {
+      const held = store.list.map(entry => entry.id);
+      throw new Error(`Heap dump ${id} not found${held.length ? ` (have ${held.join(', ')})` : '; take one with memdump'}`);
+    }
+    return dump;
+  }
+
+  list(characterId) {
+    return this.getStore(characterId).list.map(({ id, label, tick, takenAt, summary }) => ({ id, label, tick, takenAt, summary }));
+  }
+
+  diff(characterId, fromId, toId) {
+    return diffHeapDumps(this.get(characterId, fromId), this.get(characterId, toId));
+  }
+
+  discard(characterId) {
+    this.dumps.delete(characterId);
+  }
+}
+
+export default HeapDumps;
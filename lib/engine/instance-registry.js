@@ -0,0 +1,95 @@
+/**
+ * Consciousness instances are keyed by instance id: `<characterId>@<sessionKey>`
+ * for an instance a player session owns, or the bare character id for the
+ * engine's own session-less use. Everything the engine keeps per instance
+ * (story contexts, debug sessions, timelines, scenario progress, socket rooms)
+ * uses the same id, so two readers of one character never share state.
+ */
+const SESSION_SEPARATOR = '@';
+
+export function instanceIdFor(characterId, sessionKey = null) {
+  if (sessionKey === null || sessionKey === undefined || sessionKey === '') {
+    return characterId;
+  }
+  return `${characterId}${SESSION_SEPARATOR}${sessionKey}`;
+}
+
+export function characterIdOf(instanceId) {
+  if (typeof instanceId !== 'string') return instanceId;
+  const index = instanceId.indexOf(SESSION_SEPARATOR);
+  return index === -1 ? instanceId : instanceId.slice(0, index);
+}
+
+export function sessionKeyOf(instanceId) {
+  if (typeof instanceId !== 'string') return null;
+  const index = instanceId.indexOf(SESSION_SEPARATOR);
+  return index === -1 ? null : instanceId.slice(index + 1);
+}
+
+/**
+ * Map of instance id -> ConsciousnessInstance that remembers when each
+ * instance was last used, so idle ones can be evicted. `get` counts as a
+ * use; background work (scenario, ending and narrative evaluation, sweeps)
+ * looks instances up with `peek` so it does not keep them alive.
+ */
+export class InstanceRegistry extends Map {
+  constructor(options = {}) {
+    super();
+    this.now = options.now || (() => Date.now());
+    this.lastUsed = new Map();
+  }
+
+  get(instanceId) {
+    const instance = super.get(instanceId);
+    if (instance) this.touch(instanceId);
+    return instance;
+  }
+
+  /** Look an instance up without counting it as used */
+  peek(instanceId) {
+    return super.get(instanceId);
+  }
+
+  set(instanceId, instance) {
+    super.set(instanceId, instance);
+    this.touch(instanceId);
+    return this;
+  }
+
+  delete(instanceId) {
+    this.lastUsed.delete(instanceId);
+    return super.delete(instanceId);
+  }
+
+  clear() {
+    this.lastUsed.clear();
+    super.clear();
+  }
+
+  touch(instanceId) {
+    this.lastUsed.set(instanceId, this.now());
+  }
+
+  /**
+   * Instances unused for at least `idleTimeout` ms, least recently used first
+   * @param {number} idleTimeout - Milliseconds
+   * @param {Function} isPinned - Returns true for instances that must stay loaded
+   */
+  idle(idleTimeout, isPinned = () => false) {
+    const now = this.now();
+    return this.byLastUse(isPinned).filter(instanceId => now - this.lastUsed.get(instanceId) >= idleTimeout);
+  }
+
+  /**
+   * The least recently used instance that is not pinned, or null
+   */
+  leastRecentlyUsed(isPinned = () => false) {
+    return this.byLastUse(isPinned)[0] ?? null;
+  }
+
+  byLastUse(isPinned) {
+    return Array.from(this.keys())
+      .filter(instanceId => !isPinned(instanceId))
+      .sort((a, b) => this.lastUsed.get(a) - this.lastUsed.get(b));
+  }
+}
@@ -21,7 +21,7 @@ export class MonitorResponder {
     if (this.monitoringSockets.size === 0) return;
     for (const [socketId, monitoring] of this.monitoringSockets) {
       if (monitoring.characterId !== characterId) continue;
-      const instance = this.engine.instances.get(characterId);
+      const instance = this.engine.instances.peek(characterId);
       if (!instance) {
         this.monitoringSockets.delete(socketId);
         continue;
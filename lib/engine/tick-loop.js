@@ -20,40 +20,73 @@ export class TickLoop {
 
   async systemTick() {
     for (const [characterId, instance] of this.engine.instances) {
+      // Paused instances only advance through their debug session or `tick`
+      if (this.engine.debugSessions?.get(characterId)?.paused) continue;
+      if (instance.clock?.paused) continue;
       try {
-        const updates = await instance.tick();
-        const gameState = instance.getState();
-        for (const process of instance.processManager.processes.values()) {
-          const evolved = this.engine.processEvolution.evolveProcess(process, gameState);
-          Object.assign(process, evolved);
-        }
-        const emergent = this.engine.processEvolution.checkForEmergentProcesses(gameState);
-        if (emergent.length > 0) {
-          emergent.forEach(p => {
-            instance.processManager.processes.set(p.pid, p);
-          });
-        }
-        const storyContext = this.engine.storyContexts.get(characterId);
-        if (storyContext && updates.stateChanges.length > 0) {
-          const events = await this.engine.narrativeEngine.checkSystemTriggers(
-            instance.getState(),
-            updates,
-            storyContext
-          );
-          if (events.length > 0) {
-            await this.engine.applyNarrativeEffects(instance, events, storyContext);
-          }
-        }
-        if (updates.hasChanges) {
-          this.engine.emit('stateUpdate', {
-            characterId,
-            updates,
-            state: instance.getState()
-          });
-        }
+        await this.tickInstance(characterId, instance);
       } catch (err) {
         this.engine.emit('tickError', { characterId, error: err });
       }
     }
   }
+
+  /**
+   * Run up to `steps` ticks of an instance back to back, whatever its clock
+   * mode, stopping early when a breakpoint fires
+   * @returns {Promise<Object>} { ticks, elapsed, breakpointHits }
+   */
+  async fastForward(characterId, instance, steps) {
+    const from = instance.clock.now();
+    let ticks = 0;
+    let breakpointHits = [];
+    while (ticks < steps) {
+      const updates = await this.tickInstance(characterId, instance);
+      ticks++;
+      if (updates.breakpointHits?.length > 0) {
+        breakpointHits = updates.breakpointHits;
+        break;
+      }
+    }
+    return { ticks, elapsed: instance.clock.now() - from, breakpointHits };
+  }
+
+  async tickInstance(characterId, instance) {
+    const updates = await instance.tick();
+    // Processes evolve inside the instance tick; pass each change on
+    for (const evolution of updates.processUpdates?.filter(u => u.type === 'process_evolved') || []) {
+      this.engine.emit('processEvolved', { characterId, ...evolution });
+    }
+    const gameState = instance.getState();
+    const emergent = this.engine.processEvolution.checkForEmergentProcesses(gameState, instance.rng);
+    if (emergent.length > 0) {
+      emergent.forEach(p => {
+        instance.processManager.processes.set(p.pid, p);
+      });
+    }
+    const storyContext = this.engine.storyContexts.get(characterId);
+    if (storyContext && updates.stateChanges.length > 0) {
+      const events = await this.engine.narrativeEngine.checkSystemTriggers(
+        instance.getState(),
+        updates,
+        storyContext
+      );
+      if (events.length > 0) {
+        await this.engine.applyNarrativeEffects(instance, events, storyContext);
+      }
+    }
+    const session = this.engine.debugSessions?.get(characterId);
+    if (session) {
+      updates.breakpointHits = session.afterTick();
+    }
+    this.engine.timeTravel?.record(characterId, instance);
+    if (updates.hasChanges) {
+      this.engine.emit('stateUpdate', {
+        characterId,
+        updates,
+        state: instance.getState()
+      });
+    }
+    return updates;
+  }
 }
@@ -0,0 +1,185 @@
+import { captureFrame, diffFrames } from './debug-session.js';
+import { progressKeyOf } from '../narrative/narrative-utils.js';
+
+/**
+ * Bounded ring buffer of per-tick snapshots for one character.
+ * Recording a tick at or before the newest frame discards the frames after it,
+ * so stepping forward from a rewound state starts a new branch.
+ */
+export class Timeline {
+  constructor(capacity = 60) {
+    this.capacity = capacity;
+    this.frames = [];
+  }
+
+  record(tick, entry) {
+    while (this.frames.length > 0 && this.frames[this.frames.length - 1].tick >= tick) {
+      this.frames.pop();
+    }
+    this.frames.push({ tick, ...entry, timestamp: Date.now() });
+    if (this.frames.length > this.capacity) {
+      this.frames.shift();
+    }
+  }
+
+  get(tick) {
+    return this.frames.find(frame => frame.tick === tick) || null;
+  }
+
+  range() {
+    if (this.frames.length === 0) return null;
+    return {
+      oldest: this.frames[0].tick,
+      newest: this.frames[this.frames.length - 1].tick,
+      count: this.frames.length,
+      capacity: this.capacity
+    };
+  }
+}
+
+/**
+ * Time-travel debugging across all loaded characters.
+ * Snapshots cover ProcessManager, MemoryManager, emotional state and the
+ * character's narrative progress so they can be restored together, along
+ * with the per-instance state of any service registered through track().
+ */
+export class TimeTravel {
+  constructor(engine) {
+    this.engine = engine;
+    this.timelines = new Map();
+    this.participants = new Map(); // name -> { capture, restore }
+  }
+
+  /**
+   * Record another service's per-instance state with every frame.
+   * `capture(instanceId)` returns cloneable state for the frame and
+   * `restore(instanceId, state)` puts it back on rewind; state is undefined
+   * for frames recorded before the service was tracked.
+   */
+  track(name, { capture, restore }) {
+    this.participants.set(name, { capture, restore });
+  }
+
+  getTimeline(characterId) {
+    let timeline = this.timelines.get(characterId);
+    if (!timeline) {
+      timeline = new Timeline(this.engine.config.timelineSize);
+      this.timelines.set(characterId, timeline);
+    }
+    return timeline;
+  }
+
+  record(characterId, instance) {
+    const snapshot = structuredClone({
+      instance: instance.captureState(),
+      narrative: this.exportNarrative(characterId),
+      tracked: Object.fromEntries(Array.from(this.participants, ([name, { capture }]) => [name, capture(characterId)]))
+    });
+    this.getTimeline(characterId).record(instance.state.tick ?? 0, {
+      snapshot,
+      frame: captureFrame(instance)
+    });
+  }
+
+  discard(characterId) {
+    this.timelines.delete(characterId);
+  }
+
+  async rewind(characterId, steps = 1) {
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('Rewind requires a positive number of ticks');
+    }
+    const instance = this.getInstance(characterId);
+    return this.goto(characterId, (instance.state.tick ?? 0) - steps);
+  }
+
+  async goto(characterId, tick) {
+    const instance = this.getInstance(characterId);
+    const timeline = this.getTimeline(characterId);
+    const frame = timeline.get(tick);
+    if (!frame) {
+      throw new Error(`Tick ${tick} is not in the timeline${describeRange(timeline.range())}`);
+    }
+
+    const fromTick = instance.state.tick ?? 0;
+    // Restore from a copy so the buffered snapshot stays untouched
+    const snapshot = structuredClone(frame.snapshot);
+    await instance.restoreState(snapshot.instance);
+    const rolledBackFragments = this.restoreNarrative(characterId, snapshot.narrative);
+    for (const [name, { restore }] of this.participants) {
+      restore(characterId, snapshot.tracked?.[name]);
+    }
+    // Commands on the undo and redo stacks belong to the abandoned timeline
+    instance.processManager?.commandExecutor?.clearUndoRedoStacks();
+
+    // Leave the instance paused on the restored tick so it can be inspected
+    const session = this.engine.getDebugSession(characterId);
+    session.paused = true;
+    session.tick = tick;
+
+    return {
+      fromTick,
+      tick,
+      rolledBackFragments,
+      timeline: timeline.range()
+    };
+  }
+
+  diff(characterId, fromTick, toTick) {
+    const timeline = this.getTimeline(characterId);
+    const from = timeline.get(fromTick);
+    const to = timeline.get(toTick);
+    if (!from || !to) {
+      const missing = from ? toTick : fromTick;
+      throw new Error(`Tick ${missing} is not in the timeline${describeRange(timeline.range())}`);
+    }
+
+    const fromFragments = new Set(from.snapshot.narrative?.triggeredFragments || []);
+    const toFragments = new Set(to.snapshot.narrative?.triggeredFragments || []);
+
+    return {
+      fromTick,
+      toTick,
+      deltas: diffFrames(from.frame, to.frame, { detailed: true }),
+      fragments: {
+        triggered: [...toFragments].filter(id => !fromFragments.has(id)),
+        rolledBack: [...fromFragments].filter(id => !toFragments.has(id))
+      }
+    };
+  }
+
+  getInstance(characterId) {
+    const instance = this.engine.instances.get(characterId);
+    if (!instance) {
+      throw new Error(`No consciousness loaded: ${characterId}`);
+    }
+    return instance;
+  }
+
+  exportNarrative(characterId) {
+    const storyContext = this.engine.storyContexts.get(characterId);
+    if (!storyContext) return null;
+    return this.engine.narrativeEngine.exportProgress(progressKeyOf(storyContext));
+  }
+
+  restoreNarrative(characterId, narrative) {
+    const storyContext = this.engine.storyContexts.get(characterId);
+    if (!storyContext || !narrative) return [];
+
+    const narrativeEngine = this.engine.narrativeEngine;
+    const key = progressKeyOf(storyContext);
+    const current = Array.from(narrativeEngine.triggeredFragments.get(key) || []);
+    const restored = new Set(narrative.triggeredFragments || []);
+
+    narrativeEngine.importProgress(key, narrative);
+
+    // Fragments that fired after the target tick may fire again
+    const rolledBack = current.filter(id => !restored.has(id));
+    rolledBack.forEach(id => narrativeEngine.fragmentCooldowns.delete(id));
+    return rolledBack;
+  }
+}
+
+function describeRange(range) {
+  return range ? ` (available: ${range.oldest}-${range.newest})` : ' (no snapshots recorded)';
+}
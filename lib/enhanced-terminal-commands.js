@@ -1,6 +1,72 @@
 // Enhanced Terminal Commands for Narrative Integration
 // lib/enhanced-terminal-commands.js
 
+const GRIEF_STAGES = ['denial', 'anger', 'bargaining', 'depression', 'acceptance'];
+
+const STORY_CHAPTERS = ['System Boot', 'Memory Leaks', 'Timeline Convergence', 'The Nexus'];
+
+// Narratives that record a decision the player made through a command
+const STORY_CHOICES = {
+  search_protocol_halted: 'Halted the search protocol',
+  relationship_repair_attempted: 'Reached out to Emily',
+  grief_release: 'Released the grief process',
+  nexus_reach_for_leo: 'Reached for Leo across timelines',
+  nexus_accept_loss: 'Accepted Leo\'s loss'
+};
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+/**
+ * Leo's memory fragments and how far into the story each one unlocks
+ * @param {Object} progress - Story progress from NarrativeIntegration
+ * @returns {Array<Object>} [{ address, description, accessible, emotional_weight }]
+ */
+export function storyMemories(progress) {
+  return [
+    {
+      address: '0x1000000000000000',
+      description: 'Leo\'s last day - temporal experiment preparation',
+      accessible: true,
+      emotional_weight: 0.9
+    },
+    {
+      address: '0x1000000000000100',
+      description: 'Market scene - feeding ducks with Leo',
+      accessible: progress.storyProgression > 0.2,
+      emotional_weight: 0.7
+    },
+    {
+      address: '0x1000000000000200',
+      description: 'Emily\'s concerns about the experiment',
+      accessible: progress.storyProgression > 0.3,
+      emotional_weight: 0.6
+    },
+    {
+      address: '0x1000000000000300',
+      description: 'The moment of the accident',
+      accessible: progress.storyProgression > 0.5,
+      emotional_weight: 1.0
+    },
+    {
+      address: '0x1000000000000400',
+      description: 'First fight with Emily after the loss',
+      accessible: progress.storyProgression > 0.4,
+      emotional_weight: 0.8
+    },
+    {
+      address: '0x1000000000000500',
+      description: 'Leo\'s favorite bedtime story',
+      accessible: progress.debuggingSuccesses > 3,
+      emotional_weight: 0.5
+    }
+  ];
+}
+
+// Addresses of the fragments the player has not unlocked yet; searches leave them out
+export function lockedMemoryAddresses(progress) {
+  return storyMemories(progress).filter(memory => !memory.accessible).map(memory => memory.address);
+}
+
 export default class EnhancedTerminalCommands {
   constructor(consciousnessEngine, narrativeIntegration) {
     this.consciousnessEngine = consciousnessEngine;
@@ -18,7 +84,7 @@ export default class EnhancedTerminalCommands {
     this.commands.set('memories', {
       description: 'Access and explore character memory fragments',
       category: 'narrative',
-      usage: 'memories [list|read <address>|search <term>|analyze]',
+      usage: 'memories [list|read <address>|search <query>|analyze]',
       riskLevel: 'safe',
       handler: this.handleMemoryCommand.bind(this)
     });
@@ -54,7 +120,7 @@ export default class EnhancedTerminalCommands {
     this.commands.set('emotional', {
       description: 'Analyze emotional state and grief progression',
       category: 'diagnostic',
-      usage: 'emotional [state|grief|anger|denial|acceptance|therapy]',
+      usage: 'emotional [state|graph|grief|anger|denial|acceptance|therapy]',
       riskLevel: 'caution',
       handler: this.handleEmotionalCommand.bind(this)
     });
@@ -107,8 +173,10 @@ export default class EnhancedTerminalCommands {
         return await this.readMemoryFragment(characterId, args[1], progress);
         
       case 'search':
-        if (!args[1]) return { error: 'Search term required' };
-        return this.searchMemories(characterId, args[1], progress);
+        if (!args[1]) {
+          return { error: 'Search query required', hint: 'e.g. memories search emotion:grief intensity>0.7 text:"ducks" sort:-date' };
+        }
+        return this.searchMemories(instance, args.slice(1).join(' '), progress);
         
       case 'analyze':
         return this.analyzeMemoryState(characterId, progress);
@@ -122,44 +190,7 @@ export default class EnhancedTerminalCommands {
    * List available memory fragments based on story progress
    */
   listAvailableMemories(characterId, progress) {
-    const baseMemories = [
-      {
-        address: '0x1000000000000000',
-        description: 'Leo\'s last day - temporal experiment preparation',
-        accessible: true,
-        emotional_weight: 0.9
-      },
-      {
-        address: '0x1000000000000100',
-        description: 'Market scene - feeding ducks with Leo',
-        accessible: progress.storyProgression > 0.2,
-        emotional_weight: 0.7
-      },
-      {
-        address: '0x1000000000000200',
-        description: 'Emily\'s concerns about the experiment',
-        accessible: progress.storyProgression > 0.3,
-        emotional_weight: 0.6
-      },
-      {
-        address: '0x1000000000000300',
-        description: 'The moment of the accident',
-        accessible: progress.storyProgression > 0.5,
-        emotional_weight: 1.0
-      },
-      {
-        address: '0x1000000000000400',
-        description: 'First fight with Emily after the loss',
-        accessible: progress.storyProgression > 0.4,
-        emotional_weight: 0.8
-      },
-      {
-        address: '0x1000000000000500',
-        description: 'Leo\'s favorite bedtime story',
-        accessible: progress.debuggingSuccesses > 3,
-        emotional_weight: 0.5
-      }
-    ];
+    const baseMemories = storyMemories(progress);
 
     return {
       success: true,
@@ -274,6 +305,15 @@ Nothing.
       };
     }
 
+    // Every fragment here is of Leo; dwelling on them is what tips grief into overflow
+    const instance = this.consciousnessEngine.instances.get(characterId);
+    if (instance) {
+      const reads = instance.state.memoryAccess?.leo_memories ?? 0;
+      instance.state.memoryAccess = { ...instance.state.memoryAccess, leo_memories: reads + 1 };
+      // Reading a region that was swapped out pages it back in
+      instance.memoryState?.manager?.accessAddress(address);
+    }
+
     // Trigger narrative event if specified
     if (memory.triggers_narrative) {
       await this.narrativeIntegration.triggerNarrative(
@@ -300,6 +340,39 @@ Nothing.
     };
   }
 
+  /**
+   * Search the instance's memory blocks with the memory query language
+   * (lib/memory/memory-query.js), leaving out fragments the story has not unlocked
+   */
+  searchMemories(instance, query, progress) {
+    try {
+      return { success: true, ...instance.memoryState.searchMemories(query, { locked: lockedMemoryAddresses(progress) }) };
+    } catch (error) {
+      return { error: error.message, hint: 'Fields: emotion, intensity, pool, text, before, after, size, pid, swapped; sort, limit, page' };
+    }
+  }
+
+  /**
+   * Summarize the emotional load of accessible memories
+   */
+  analyzeMemoryState(characterId, progress) {
+    const { memories } = this.listAvailableMemories(characterId, progress);
+    const accessible = memories.filter(memory => memory.accessible);
+    const averageWeight = accessible.reduce((sum, memory) => sum + memory.emotional_weight, 0) / (accessible.length || 1);
+    const griefProcess = this.findProcess(characterId, 'grief');
+
+    return {
+      success: true,
+      accessible_count: accessible.length,
+      total_count: memories.length,
+      average_emotional_weight: averageWeight,
+      grief_memory_usage: griefProcess?.memoryUsage || 0,
+      fragmentation: progress.storyProgression < 0.5 ? 'high' : 'moderate',
+      recommendation: averageWeight > 0.7 ?
+        'PROCESS_HIGH_WEIGHT_MEMORIES_GRADUALLY' : 'CONTINUE_EXPLORATION'
+    };
+  }
+
   /**
    * Handle timeline analysis commands
    */
@@ -327,10 +400,10 @@ Nothing.
   }
 
   /**
-   * Get timeline status and convergence information
+   * Timelines known to the temporal analysis, with visibility set by story progress
    */
-  getTimelineStatus(characterId, progress) {
-    const baseTimelines = [
+  timelinesFor(progress) {
+    return [
       {
         id: 'alpha',
         description: 'Original timeline - Leo disappears in experiment',
@@ -367,17 +440,81 @@ Nothing.
         emotional_weight: 0.95
       }
     ];
+  }
 
+  /**
+   * Get timeline status and convergence information
+   */
+  getTimelineStatus(characterId, progress) {
     return {
       success: true,
       current_timeline: 'alpha',
-      detected_timelines: baseTimelines.filter(t => t.status !== 'hidden'),
+      detected_timelines: this.timelinesFor(progress).filter(t => t.status !== 'hidden'),
       convergence_strength: progress.storyProgression,
       nexus_accessibility: progress.storyProgression > 0.8,
       warning: progress.storyProgression > 0.8 ? 'NEXUS POINT APPROACHING - CRITICAL DECISION REQUIRED' : null
     };
   }
 
+  /**
+   * Weigh the detected alternate timelines against the current one
+   */
+  analyzeTimelineConvergence(characterId, progress) {
+    const alternates = this.timelinesFor(progress)
+      .filter(t => t.id !== 'alpha' && !['hidden', 'unknown'].includes(t.status));
+    const strongest = alternates.reduce((best, t) => (!best || t.probability > best.probability ? t : best), null);
+
+    return {
+      success: true,
+      convergence_strength: progress.storyProgression,
+      alternate_timelines: alternates.length,
+      strongest_pull: strongest && {
+        id: strongest.id,
+        description: strongest.description,
+        probability: strongest.probability
+      },
+      emotional_load: alternates.reduce((sum, t) => sum + t.emotional_weight, 0),
+      analysis: progress.storyProgression > 0.5 ?
+        'Timelines are converging - the search protocol feeds on every branch' :
+        'Alternate branches remain faint'
+    };
+  }
+
+  /**
+   * List detected timelines likely enough to act as convergence points
+   */
+  scanConvergencePoints(characterId, progress) {
+    const detected = this.timelinesFor(progress).filter(t => t.status !== 'hidden');
+    return {
+      success: true,
+      convergence_points: detected
+        .filter(t => t.probability >= 0.7 || t.status === 'critical')
+        .map(({ id, description, probability, status }) => ({ id, description, probability, status })),
+      nexus_detected: detected.some(t => t.id === 'omega' && t.status === 'critical')
+    };
+  }
+
+  /**
+   * Probability of a single detected timeline
+   */
+  calculateTimelineProbability(characterId, timelineId, progress) {
+    const timeline = this.timelinesFor(progress).find(t => t.id === timelineId);
+    if (!timeline || timeline.status === 'hidden') {
+      return { error: `Timeline not detected: ${timelineId}` };
+    }
+
+    return {
+      success: true,
+      timeline: timeline.id,
+      probability: timeline.probability,
+      status: timeline.status,
+      reachable: timeline.status === 'accessible',
+      note: timeline.id === 'alpha' ?
+        'This is the timeline you are in' :
+        'Probability is not possibility - no branch leads back'
+    };
+  }
+
   /**
    * Handle relationship debugging commands
    */
@@ -410,10 +547,9 @@ Nothing.
     const instance = this.consciousnessEngine.instances.get(characterId);
     if (!instance) return { error: 'Character not loaded' };
 
-    const relationshipProcess = instance.processManager.processes.values()
-      .find(p => p.name.includes('Relationship_Handler'));
+    const relationshipProcess = this.findProcess(characterId, 'relationship', 'emily');
 
-    const emilyThreads = relationshipProcess?.threads?.allocated?.emily || 0;
+    const emilyThreads = relationshipProcess?.threads?.allocated?.emily ?? relationshipProcess?.threadCount ?? 0;
     const familyThreads = relationshipProcess?.threads?.allocated?.family || 0;
     const socialThreads = relationshipProcess?.threads?.allocated?.social || 0;
 
@@ -438,6 +574,199 @@ Nothing.
     };
   }
 
+  /**
+   * Analyze the process carrying the connection to Emily
+   */
+  analyzeEmilyConnection(characterId) {
+    const status = this.getRelationshipStatus(characterId);
+    if (status.error) return status;
+
+    const emilyProcess = this.findProcess(characterId, 'emily', 'relationship');
+    return {
+      success: true,
+      emily_connection: status.emily_connection,
+      process: emilyProcess && {
+        name: emilyProcess.name,
+        status: emilyProcess.status,
+        priority: emilyProcess.priority,
+        threads: emilyProcess.threadCount
+      },
+      relationship_progress: this.narrativeIntegration.getStoryProgress(characterId).relationshipProgress,
+      repair_possible: Boolean(emilyProcess)
+    };
+  }
+
+  /**
+   * Give the relationship process another thread and wake it if starved
+   */
+  async attemptRelationshipRepair(characterId) {
+    const emilyProcess = this.findProcess(characterId, 'emily', 'relationship');
+    if (!emilyProcess) {
+      return { error: 'Relationship process not found' };
+    }
+
+    if (emilyProcess.status === 'starved') {
+      emilyProcess.status = 'running';
+    }
+    emilyProcess.threadCount = (emilyProcess.threadCount || 0) + 1;
+
+    const progress = this.narrativeIntegration.getStoryProgress(characterId);
+    progress.relationshipProgress = clamp01(progress.relationshipProgress + 0.1);
+
+    await this.narrativeIntegration.triggerNarrative(
+      characterId,
+      'relationship_repair_attempted',
+      {
+        type: 'character_moment',
+        content: {
+          title: 'Reaching Out',
+          text: 'Emily is at the kitchen table, the same way she has been every night.\n\n"Alex?"\n\nFor once, he sits down across from her instead of walking past.',
+          character: 'alexander'
+        },
+        duration: 8000
+      }
+    );
+
+    return {
+      success: true,
+      message: 'Thread allocated to Emily connection',
+      threads_allocated: emilyProcess.threadCount,
+      relationship_progress: progress.relationshipProgress,
+      stateChanges: true
+    };
+  }
+
+  /**
+   * Relationship status with overall isolation
+   */
+  analyzeAllRelationships(characterId) {
+    const { success, ...status } = this.getRelationshipStatus(characterId);
+    if (status.error) return status;
+
+    return {
+      success,
+      ...status,
+      relationship_progress: this.narrativeIntegration.getStoryProgress(characterId).relationshipProgress,
+      isolation_index: 1 - Math.min(1, status.total_relationship_load / 10)
+    };
+  }
+
+  /**
+   * Handle story progression commands
+   */
+  async handleStoryCommand(characterId, args) {
+    const subcommand = args[0] || 'progress';
+    const progress = this.narrativeIntegration.getStoryProgress(characterId);
+    const chapter = Math.min(STORY_CHAPTERS.length, Math.floor(progress.storyProgression * STORY_CHAPTERS.length) + 1);
+
+    switch (subcommand) {
+      case 'progress':
+        return {
+          success: true,
+          story_progression: progress.storyProgression,
+          chapter,
+          debugging_successes: progress.debuggingSuccesses,
+          debugging_failures: progress.debuggingFailures,
+          narratives_seen: Array.from(progress.narrativesSeen),
+          emotional_state: progress.emotionalJourney
+        };
+
+      case 'chapter':
+        return {
+          success: true,
+          chapter,
+          title: STORY_CHAPTERS[chapter - 1],
+          chapters: STORY_CHAPTERS.length
+        };
+
+      case 'choices':
+        return {
+          success: true,
+          choices: Object.entries(STORY_CHOICES)
+            .filter(([triggerId]) => progress.narrativesSeen.has(triggerId))
+            .map(([id, description]) => ({ id, description }))
+        };
+
+      case 'paths': {
+        const journey = progress.emotionalJourney;
+        const paths = [
+          { id: 'acceptance', leaning: journey.acceptance },
+          { id: 'obsession', leaning: (journey.denial + journey.bargaining) / 2 }
+        ];
+        return {
+          success: true,
+          paths,
+          current_leaning: paths[0].leaning >= paths[1].leaning ? 'acceptance' : 'obsession'
+        };
+      }
+
+      default:
+        return { error: `Unknown story subcommand: ${subcommand}` };
+    }
+  }
+
+  /**
+   * Handle emotional state analysis commands
+   */
+  async handleEmotionalCommand(characterId, args) {
+    const subcommand = args[0] || 'state';
+    const progress = this.narrativeIntegration.getStoryProgress(characterId);
+    const journey = progress.emotionalJourney;
+
+    switch (subcommand) {
+      case 'state':
+        return {
+          success: true,
+          emotional_stages: journey,
+          dominant_stage: this.dominantGriefStage(journey),
+          effectiveness: this.calculateGriefEffectiveness(progress)
+        };
+
+      case 'graph': {
+        const instance = this.consciousnessEngine.instances.get(characterId);
+        if (!instance) return { error: 'Character not loaded' };
+        return { success: true, ...instance.emotionalState.getGraph() };
+      }
+
+      case 'grief':
+        return this.analyzeGriefState(characterId);
+
+      case 'anger':
+      case 'denial':
+      case 'acceptance':
+        return {
+          success: true,
+          stage: subcommand,
+          intensity: journey[subcommand],
+          assessment: journey[subcommand] > 0.6 ? 'dominant' : journey[subcommand] > 0.3 ? 'present' : 'faint'
+        };
+
+      case 'therapy':
+        journey.denial = clamp01(journey.denial - 0.1);
+        journey.acceptance = clamp01(journey.acceptance + 0.05);
+        await this.narrativeIntegration.triggerNarrative(
+          characterId,
+          'therapy_session',
+          {
+            type: 'memory_injection',
+            content: {
+              title: 'Session Notes - Dr. Cross',
+              text: '"You keep describing him in the past tense, Alexander, and then correcting yourself."\n\n"Because he isn\'t past. He\'s... somewhere."\n\n"Is he? Or is that the part of you that can\'t stop searching?"'
+            },
+            duration: 10000
+          }
+        );
+        return {
+          success: true,
+          message: 'Therapy session logged',
+          emotional_stages: journey
+        };
+
+      default:
+        return { error: `Unknown emotional subcommand: ${subcommand}` };
+    }
+  }
+
   /**
    * Handle grief processing commands
    */
@@ -473,8 +802,7 @@ Nothing.
     const instance = this.consciousnessEngine.instances.get(characterId);
     if (!instance) return { error: 'Character not loaded' };
 
-    const griefProcess = instance.processManager.processes.values()
-      .find(p => p.name.includes('Grief_Manager'));
+    const griefProcess = this.findProcess(characterId, 'grief');
 
     const progress = this.narrativeIntegration.getStoryProgress(characterId);
 
@@ -488,8 +816,7 @@ Nothing.
         efficiency: griefProcess?.memoryUsage > 800 ? 'critical' : 'degraded'
       },
       emotional_stages: progress.emotionalJourney,
-      dominant_stage: Object.entries(progress.emotionalJourney)
-        .reduce((a, b) => progress.emotionalJourney[a[0]] > progress.emotionalJourney[b[0]] ? a : b)[0],
+      dominant_stage: this.dominantGriefStage(progress.emotionalJourney),
       processing_effectiveness: this.calculateGriefEffectiveness(progress),
       recommendation: griefProcess?.memoryUsage > 800 ? 
         'MEMORY_DEFRAGMENTATION_REQUIRED' : 'CONTINUE_PROCESSING'
@@ -510,6 +837,121 @@ Nothing.
     return 'complex_grief_pattern';
   }
 
+  /**
+   * Grief stage with the highest intensity
+   */
+  dominantGriefStage(journey) {
+    return GRIEF_STAGES.reduce((a, b) => (journey[b] > journey[a] ? b : a));
+  }
+
+  /**
+   * Compact the grief process's memory; facing the memories deepens depression
+   */
+  async defragmentGriefMemory(characterId) {
+    const griefProcess = this.findProcess(characterId, 'grief');
+    if (!griefProcess) {
+      return { error: 'Grief process not found' };
+    }
+
+    const before = griefProcess.memoryUsage || 0;
+    griefProcess.memoryUsage = Math.round(before * 0.75);
+
+    const progress = this.narrativeIntegration.getStoryProgress(characterId);
+    progress.emotionalJourney.depression = clamp01(progress.emotionalJourney.depression + 0.1);
+
+    return {
+      success: true,
+      message: 'Grief memory defragmented',
+      memory_before: before,
+      memory_after: griefProcess.memoryUsage,
+      memory_freed: before - griefProcess.memoryUsage,
+      stateChanges: true
+    };
+  }
+
+  /**
+   * Work through one grief stage, loosening its hold and moving toward the next
+   */
+  async processGriefStage(characterId, stage) {
+    if (!stage) {
+      return { error: `Grief stage required: ${GRIEF_STAGES.join(', ')}` };
+    }
+    const index = GRIEF_STAGES.indexOf(stage);
+    if (index === -1) {
+      return { error: `Unknown grief stage: ${stage}` };
+    }
+
+    const journey = this.narrativeIntegration.getStoryProgress(characterId).emotionalJourney;
+    const nextStage = GRIEF_STAGES[Math.min(index + 1, GRIEF_STAGES.length - 1)];
+    if (nextStage !== stage) {
+      journey[stage] = clamp01(journey[stage] - 0.2);
+    }
+    journey[nextStage] = clamp01(journey[nextStage] + 0.1);
+
+    return {
+      success: true,
+      stage,
+      next_stage: nextStage,
+      emotional_stages: journey
+    };
+  }
+
+  /**
+   * Intensity of each grief stage in order
+   */
+  getGriefStageProgression(characterId) {
+    const progress = this.narrativeIntegration.getStoryProgress(characterId);
+    return {
+      success: true,
+      stages: GRIEF_STAGES.map(stage => ({ stage, intensity: progress.emotionalJourney[stage] })),
+      dominant_stage: this.dominantGriefStage(progress.emotionalJourney),
+      effectiveness: this.calculateGriefEffectiveness(progress)
+    };
+  }
+
+  /**
+   * Let the grief process go; only possible once acceptance has taken hold
+   */
+  async attemptGriefRelease(characterId) {
+    const progress = this.narrativeIntegration.getStoryProgress(characterId);
+    if (progress.emotionalJourney.acceptance < 0.5) {
+      return {
+        error: 'Grief release rejected - acceptance too low',
+        acceptance: progress.emotionalJourney.acceptance,
+        hint: 'Process the earlier grief stages first'
+      };
+    }
+
+    const griefProcess = this.findProcess(characterId, 'grief');
+    if (!griefProcess) {
+      return { error: 'Grief process not found' };
+    }
+    griefProcess.cpuUsage = Math.round((griefProcess.cpuUsage || 0) / 2);
+    progress.emotionalJourney.acceptance = clamp01(progress.emotionalJourney.acceptance + 0.2);
+
+    await this.narrativeIntegration.triggerNarrative(
+      characterId,
+      'grief_release',
+      {
+        type: 'character_moment',
+        content: {
+          title: 'Release',
+          text: 'The grief does not leave.\n\nIt simply stops running the whole machine.',
+          character: 'alexander'
+        },
+        duration: 10000
+      }
+    );
+
+    return {
+      success: true,
+      message: 'Grief process released from the critical path',
+      cpu_usage: griefProcess.cpuUsage,
+      emotional_stages: progress.emotionalJourney,
+      stateChanges: true
+    };
+  }
+
   /**
    * Handle search protocol commands
    */
@@ -545,8 +987,7 @@ Nothing.
     const instance = this.consciousnessEngine.instances.get(characterId);
     if (!instance) return { error: 'Character not loaded' };
 
-    const searchProcess = instance.processManager.processes.values()
-      .find(p => p.name.includes('Search_Protocol'));
+    const searchProcess = this.findProcess(characterId, 'search');
 
     return {
       success: true,
@@ -576,8 +1017,7 @@ Nothing.
     const instance = this.consciousnessEngine.instances.get(characterId);
     if (!instance) return { error: 'Character not loaded' };
 
-    const searchProcess = instance.processManager.processes.values()
-      .find(p => p.name.includes('Search_Protocol'));
+    const searchProcess = this.findProcess(characterId, 'search');
 
     if (!searchProcess) {
       return { error: 'Search protocol not found' };
@@ -616,7 +1056,75 @@ Nothing.
         other_processes: 'stabilizing'
       },
       emotional_impact: 'breakthrough_moment',
-      narrative_triggered: true
+      narrative_triggered: true,
+      stateChanges: true
+    };
+  }
+
+  /**
+   * Restart a halted search protocol
+   */
+  async resumeSearchProtocol(characterId) {
+    const searchProcess = this.findProcess(characterId, 'search');
+    if (!searchProcess) {
+      return { error: 'Search protocol not found' };
+    }
+    if (searchProcess.status !== 'halted') {
+      return { error: 'Search protocol is not halted' };
+    }
+
+    searchProcess.status = 'running';
+    const progress = this.narrativeIntegration.getStoryProgress(characterId);
+    progress.emotionalJourney.bargaining = clamp01(progress.emotionalJourney.bargaining + 0.2);
+
+    return {
+      success: true,
+      message: 'Search protocol resumed',
+      warning: 'The search has no termination condition',
+      stateChanges: true
+    };
+  }
+
+  /**
+   * Narrow the search scope to cut its CPU share
+   */
+  async optimizeSearchParameters(characterId) {
+    const searchProcess = this.findProcess(characterId, 'search');
+    if (!searchProcess) {
+      return { error: 'Search protocol not found' };
+    }
+
+    const before = searchProcess.cpuUsage || 0;
+    searchProcess.cpuUsage = Math.round(before * 0.6);
+
+    return {
+      success: true,
+      message: 'Search scope narrowed - fewer timelines scanned per cycle',
+      cpu_before: before,
+      cpu_usage: searchProcess.cpuUsage,
+      stateChanges: true
+    };
+  }
+
+  /**
+   * Current search protocol parameters
+   */
+  getSearchParameters(characterId) {
+    const searchProcess = this.findProcess(characterId, 'search');
+    if (!searchProcess) {
+      return { error: 'Search protocol not found' };
+    }
+
+    const progress = this.narrativeIntegration.getStoryProgress(characterId);
+    return {
+      success: true,
+      parameters: {
+        target: 'Leo',
+        timelines_in_scope: this.timelinesFor(progress).filter(t => t.status !== 'hidden').length,
+        priority: searchProcess.priority,
+        threads: searchProcess.threadCount,
+        termination_condition: 'none'
+      }
     };
   }
 
@@ -643,7 +1151,7 @@ Nothing.
         return await this.approachNexus(characterId, progress);
         
       case 'interact':
-        return await this.interactWithNexus(characterId, progress);
+        return await this.interactWithNexus(characterId, progress, args[1]);
         
       default:
         return { error: `Unknown nexus subcommand: ${subcommand}` };
@@ -720,6 +1228,77 @@ Nothing.
     };
   }
 
+  /**
+   * Make the nexus decision offered by `nexus approach`; it can be made once
+   */
+  async interactWithNexus(characterId, progress, choice) {
+    if (!progress.narrativesSeen.has('nexus_approach')) {
+      return { error: 'No nexus in reach - run nexus approach first' };
+    }
+    if (progress.narrativesSeen.has('nexus_reach_for_leo') || progress.narrativesSeen.has('nexus_accept_loss')) {
+      return { error: 'The nexus decision has already been made' };
+    }
+
+    const journey = progress.emotionalJourney;
+    switch (choice) {
+      case '--reach-for-leo': {
+        journey.bargaining = clamp01(journey.bargaining + 0.3);
+        journey.acceptance = clamp01(journey.acceptance - 0.2);
+        const searchProcess = this.findProcess(characterId, 'search');
+        if (searchProcess) {
+          searchProcess.status = 'running';
+          searchProcess.cpuUsage = Math.min(95, (searchProcess.cpuUsage || 0) + 30);
+        }
+        await this.narrativeIntegration.triggerNarrative(
+          characterId,
+          'nexus_reach_for_leo',
+          {
+            type: 'critical_moment',
+            content: {
+              title: 'Reaching Across',
+              text: 'He reaches.\n\nFor a moment there is warmth, a small hand, a laugh.\n\nThen the timelines fold, and every process in the system turns toward the search.',
+              urgency: 'critical'
+            },
+            duration: 15000
+          }
+        );
+        return {
+          success: true,
+          choice: 'reach_for_leo',
+          outcome: 'obsession_path',
+          narrative_triggered: true,
+          stateChanges: true
+        };
+      }
+
+      case '--accept-loss':
+        journey.acceptance = clamp01(journey.acceptance + 0.3);
+        journey.denial = clamp01(journey.denial - 0.3);
+        await this.narrativeIntegration.triggerNarrative(
+          characterId,
+          'nexus_accept_loss',
+          {
+            type: 'critical_moment',
+            content: {
+              title: 'Letting Go',
+              text: 'He lowers his hand.\n\n"Goodbye, buddy."\n\nThe nexus dims. Somewhere in the house, Emily is waiting.',
+              urgency: 'critical'
+            },
+            duration: 15000
+          }
+        );
+        return {
+          success: true,
+          choice: 'accept_loss',
+          outcome: 'acceptance_path',
+          narrative_triggered: true
+        };
+
+      default:
+        return { error: 'Choose: nexus interact --reach-for-leo | --accept-loss' };
+    }
+  }
+
   /**
    * Apply memory system effects
    */
@@ -730,8 +1309,7 @@ Nothing.
     switch (effect) {
       case 'critical_instability':
         // Spike CPU usage and trigger system warnings
-        const griefProcess = instance.processManager.processes.values()
-          .find(p => p.name.includes('Grief_Manager'));
+        const griefProcess = this.findProcess(characterId, 'grief');
         if (griefProcess) {
           griefProcess.cpuUsage = Math.min(95, griefProcess.cpuUsage + 30);
           griefProcess.memoryUsage = Math.min(2000, griefProcess.memoryUsage + 200);
@@ -740,6 +1318,19 @@ Nothing.
     }
   }
 
+  /**
+   * First live process whose name contains one of the fragments (case-insensitive)
+   */
+  findProcess(characterId, ...fragments) {
+    const instance = this.consciousnessEngine.instances.get(characterId);
+    if (!instance) return null;
+
+    return Array.from(instance.processManager.processes.values()).find(process =>
+      process.status !== 'terminated' &&
+      fragments.some(fragment => process.name?.toLowerCase().includes(fragment))
+    ) || null;
+  }
+
   /**
    * Get all enhanced commands for terminal integration
    */
@@ -849,41 +1440,3 @@ Nothing.
     return categories;
   }
 }
-
-// Integration function for existing terminal
-export function integrateEnhancedCommands(terminal, consciousnessEngine, narrativeIntegration) {
-  const enhancedCommands = new EnhancedTerminalCommands(consciousnessEngine, narrativeIntegration);
-  
-  // Add all enhanced commands to terminal
-  const commands = enhancedCommands.getAllCommands();
-  commands.forEach(command => {
-    terminal.addCommand(command.name, {
-      description: command.description,
-      category: command.category,
-      usage: command.usage,
-      riskLevel: command.riskLevel,
-      execute: async (args) => {
-        return await enhancedCommands.executeCommand(
-          terminal.currentCharacter?.id,
-          command.name,
-          args
-        );
-      }
-    });
-  });
-  
-  // Add help command for enhanced commands
-  terminal.addCommand('help-narrative', {
-    description: 'Show help for narrative commands',
-    category: 'system',
-    execute: (args) => {
-      if (args[0]) {
-        return enhancedCommands.getCommandHelp(args[0]);
-      } else {
-        return enhancedCommands.listCommandsByCategory();
-      }
-    }
-  });
-  
-  return enhancedCommands;
-}
\ No newline at end of file
@@ -37,7 +37,11 @@ export default class EventBus {
       'ProcessTerminated',   // Mental process resolved
       'CommandExecuted',     // Conscious intervention
       'MemoryAllocated',     // New memory formation
-      'ProcessOptimized'     // Coping mechanism activated
+      'MemoryRelocated',     // A memory moved to close gaps around it
+      'ProcessOptimized',    // Coping mechanism activated
+      'ProcessStarved',      // Crowded out by higher-priority thoughts
+      'ProcessEvolved',      // A thought pattern taking a new form
+      'ProcessSignaled'      // A thought paused, resumed, reloaded or ended on request
     ]);
 
     this._eventIdCounter = 0;
@@ -56,9 +56,15 @@ export default class WebSocketEventBridge {
     this.eventBus.on('ProcessCreated', processEventHandler);
     this.eventBus.on('ProcessTerminated', processEventHandler);
     this.eventBus.on('ProcessOptimized', processEventHandler);
+    this.eventBus.on('ProcessStarved', processEventHandler);
+    this.eventBus.on('ProcessEvolved', processEventHandler);
+    this.eventBus.on('ProcessSignaled', processEventHandler);
     this.eventSubscriptions.push({ pattern: 'ProcessCreated', handler: processEventHandler });
     this.eventSubscriptions.push({ pattern: 'ProcessTerminated', handler: processEventHandler });
     this.eventSubscriptions.push({ pattern: 'ProcessOptimized', handler: processEventHandler });
+    this.eventSubscriptions.push({ pattern: 'ProcessStarved', handler: processEventHandler });
+    this.eventSubscriptions.push({ pattern: 'ProcessEvolved', handler: processEventHandler });
+    this.eventSubscriptions.push({ pattern: 'ProcessSignaled', handler: processEventHandler });
 
     // Forward command events for UI updates
     const commandEventHandler = (event) => {
@@ -84,7 +90,9 @@ export default class WebSocketEventBridge {
     };
 
     this.eventBus.on('MemoryAllocated', memoryEventHandler);
+    this.eventBus.on('MemoryRelocated', memoryEventHandler);
     this.eventSubscriptions.push({ pattern: 'MemoryAllocated', handler: memoryEventHandler });
+    this.eventSubscriptions.push({ pattern: 'MemoryRelocated', handler: memoryEventHandler });
 
     if (this.options.enableDebugLogging) {
       console.log('WebSocketEventBridge: Event forwarding configured');
@@ -145,6 +153,9 @@ export default class WebSocketEventBridge {
       case 'ProcessCreated':
       case 'ProcessTerminated':
       case 'ProcessOptimized':
+      case 'ProcessStarved':
+      case 'ProcessEvolved':
+      case 'ProcessSignaled':
         // Keep process events as-is for now
         break;
         
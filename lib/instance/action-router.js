@@ -1,4 +1,5 @@
 import * as InstanceUtils from './instance-utils.js';
+import { clockOf } from './simulated-clock.js';
 
 export default class ActionRouter {
   constructor(instance) {
@@ -69,7 +70,7 @@ export default class ActionRouter {
       };
     } catch (error) {
       this.instance.state.errors.push({
-        timestamp: Date.now(),
+        timestamp: clockOf(this.instance).now(),
         action,
         type: 'action_execution',
         message: error.message,
@@ -46,6 +46,14 @@ export default class EmotionalState {
     return this.processor.generateProfile();
   }
 
+  getGraph() {
+    return this.processor.getGraph();
+  }
+
+  getProcessLoads() {
+    return this.processor.getProcessLoads();
+  }
+
   intensifyAll(value) {
     return this.processor.intensifyAll(value);
   }
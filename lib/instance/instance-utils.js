@@ -1,3 +1,5 @@
+import { clockOf } from './simulated-clock.js';
+
 export async function updateResourceUsage(instance) {
   const systemResources = instance.processManager.getSystemResourceUsage();
   const memoryUsage = instance.memoryState ? instance.memoryState.getResourceUsage() : { memory: 0 };
@@ -5,9 +7,11 @@ export async function updateResourceUsage(instance) {
 
   instance.usage.cpu = Math.min(100, systemResources.totalCpuUsage + emotionalUsage.cpu);
 
+  // Process memory is already among the allocated blocks when processes own them
+  const processMemory = instance.memoryState?.manager?.processMemory ? 0 : systemResources.totalMemoryUsage;
   instance.usage.memory = Math.min(
     instance.resources.memory.total,
-    systemResources.totalMemoryUsage + memoryUsage.memory + emotionalUsage.memory
+    processMemory + memoryUsage.memory + emotionalUsage.memory
   );
 
   instance.usage.threads = Math.min(
@@ -23,7 +27,7 @@ export function calculateStabilityDelta(instance) {
   else if (instance.usage.cpu > 80) delta -= 0.005;
 
   const recentErrors = instance.state.errors.filter(
-    (e) => Date.now() - e.timestamp < 5000
+    (e) => clockOf(instance).now() - e.timestamp < 5000
   ).length;
   delta -= recentErrors * 0.02;
 
@@ -93,7 +97,7 @@ export function checkSystemHealth(instance) {
 
 export function cleanErrorLog(instance) {
   const maxAge = 60000;
-  const now = Date.now();
+  const now = clockOf(instance).now();
   instance.state.errors = instance.state.errors.filter(
     (error) => now - error.timestamp < maxAge
   );
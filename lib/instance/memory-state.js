@@ -65,6 +65,22 @@ export default class MemoryState {
     return null;
   }
 
+  swapon() {
+    return this.manager.swap.swapon();
+  }
+
+  swapoff() {
+    return this.manager.swap.swapoff();
+  }
+
+  getVmstat() {
+    return this.manager.getVmstat();
+  }
+
+  searchMemories(query, options = {}) {
+    return this.manager.searchMemories(query, options);
+  }
+
   clearVolatile() {
     return this.manager.clearVolatile();
   }
@@ -0,0 +1,88 @@
+// Wall-clock time, for code that runs without an instance clock
+export const systemClock = { now: () => Date.now() };
+
+/** The instance's clock, or wall-clock time for stand-ins that have none */
+export function clockOf(instance) {
+  return instance?.clock || systemClock;
+}
+
+export const CLOCK_MODES = ['running', 'paused', 'frozen'];
+
+/**
+ * SimulatedClock
+ * In-game time for one consciousness instance. Every instance tick advances
+ * it by `tickLength`, so story timing (condition windows, choice timeouts,
+ * memory age, scenario time limits) follows the simulation rather than how
+ * long the reader kept the page open.
+ *
+ * Modes:
+ * - running: the system tick advances the instance and its clock
+ * - paused:  the system tick skips the instance; explicit ticks
+ *            (step_over, `tick <n>`) still advance it
+ * - frozen:  ticks run but time stands still; only advance() moves it
+ */
+export class SimulatedClock {
+  constructor({ start = Date.now(), tickLength = 100, mode = 'running' } = {}) {
+    this.time = start;
+    this.tickLength = tickLength;
+    this.setMode(mode);
+  }
+
+  now() {
+    return this.time;
+  }
+
+  get paused() {
+    return this.mode === 'paused';
+  }
+
+  get frozen() {
+    return this.mode === 'frozen';
+  }
+
+  /** Called once per instance tick */
+  tick() {
+    if (!this.frozen) this.time += this.tickLength;
+    return this.time;
+  }
+
+  /** Move time forward by `ms` in any mode */
+  advance(ms) {
+    if (!Number.isFinite(ms) || ms < 0) {
+      throw new Error(`Cannot advance the clock by ${ms} ms`);
+    }
+    this.time += ms;
+    return this.time;
+  }
+
+  setMode(mode) {
+    if (!CLOCK_MODES.includes(mode)) {
+      throw new Error(`Unknown clock mode: ${mode} (expected ${CLOCK_MODES.join(', ')})`);
+    }
+    this.mode = mode;
+  }
+
+  pause() {
+    this.setMode('paused');
+  }
+
+  resume() {
+    this.setMode('running');
+  }
+
+  freeze() {
+    this.setMode('frozen');
+  }
+
+  getState() {
+    return { time: this.time, tickLength: this.tickLength, mode: this.mode };
+  }
+
+  setState({ time, tickLength = this.tickLength, mode = this.mode }) {
+    this.time = time;
+    this.tickLength = tickLength;
+    this.setMode(mode);
+  }
+}
+
+export default SimulatedClock;
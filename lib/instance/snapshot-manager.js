@@ -37,7 +37,8 @@ export default class SnapshotManager {
     const memory = {
       processUsage: systemResources.totalMemoryUsage || 0,
       processPercentage: systemResources.memoryPercentage || 0,
-      used: memoryStatus.capacity?.used || this.instance.usage.memory || 0,
+      // Every allocated block, process-owned or not, as the memory panel counts it
+      used: memoryStatus.capacity?.allocated ?? (this.instance.usage.memory || 0),
       total:
         memoryStatus.capacity?.total ||
         (this.instance.resources && this.instance.resources.memory
@@ -52,12 +53,12 @@ export default class SnapshotManager {
       percentage: (() => {
         if (
           memoryStatus.capacity &&
-          typeof memoryStatus.capacity.used === 'number' &&
+          typeof memoryStatus.capacity.allocated === 'number' &&
           typeof memoryStatus.capacity.total === 'number' &&
           memoryStatus.capacity.total > 0
         ) {
           const calc =
-            (memoryStatus.capacity.used / memoryStatus.capacity.total) * 100;
+            (memoryStatus.capacity.allocated / memoryStatus.capacity.total) * 100;
           return isNaN(calc) ? 0 : calc;
         }
         const memoryUsed = this.instance.usage.memory || 0;
@@ -90,6 +91,7 @@ export default class SnapshotManager {
         system_errors: this.instance.state.errors.slice(-5),
         threads: [],
       },
+      clock: this.instance.clock?.getState(),
       timestamp: Date.now(),
     };
   }
@@ -101,6 +103,8 @@ export default class SnapshotManager {
       processes: this.instance.processManager.captureState(),
       memory: this.instance.memoryState.captureState(),
       emotional: this.instance.emotionalState.captureState(),
+      rng: this.instance.rng?.getState(),
+      clock: this.instance.clock?.getState(),
       timestamp: Date.now(),
     };
   }
@@ -120,6 +124,10 @@ export default class SnapshotManager {
     await this.instance.processManager.restoreState(saved.processes);
     await this.instance.memoryState.restoreState(saved.memory);
     await this.instance.emotionalState.restoreState(saved.emotional);
+    // Saves from before seeding carry no generator state; keep the current one
+    if (saved.rng && this.instance.rng) this.instance.rng.setState(saved.rng);
+    // Pause and freeze are session controls, so only the time comes back
+    if (saved.clock && this.instance.clock) this.instance.clock.setState({ time: saved.clock.time });
 
     this.instance.events.stateRestored(saved);
   }
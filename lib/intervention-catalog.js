@@ -0,0 +1,312 @@
+import { findProcess, processBaseName, processRootName } from './scenario/scenario-context.js';
+import ApplyInterventionCommand from './commands/ApplyInterventionCommand.js';
+import { clockOf } from './instance/simulated-clock.js';
+
+// Player interventions. `target` is a process base name, 'any' (the player
+// names the process as `targetProcess`) or 'system'.
+//
+// requirements - checked against the live instance before applying:
+//   cpu / memory   { min } on the target process (% / MB)
+//   issue          issue type(s) the target must show: its status, one of its
+//                  currentIssues or a system error raised against it
+//   fragmentation  { min } memory fragmentation, 0-1
+//   journey        { stage: { min, max } } on the player's grief journey
+// effects - applied in this order:
+//   process        cpu / memory as fractional changes, threads added,
+//                  status set, or terminate (a SIGKILL)
+//   resolves       issue types cleared from the target
+//   memory         { defragment } on the memory manager
+//   emotions       { emotion: delta }
+//   consciousness  metric changes as in scenario effects ("+0.1", 0.5)
+// story - impact on story progress: journey deltas, relationship, progression
+// cooldown - milliseconds before the same instance can apply it again
+export const INTERVENTIONS = {
+  'memory-release': {
+    name: 'Memory Release Protocol',
+    description: 'Gradually release emotional memory blocks',
+    target: 'grief_processing',
+    impact: 'gentle',
+    risk: 'low',
+    cooldown: 30000,
+    requirements: { memory: { min: 500 } },
+    effects: {
+      process: { memory: -0.3 },
+      emotions: { grief: -0.1 },
+      consciousness: { stability: '-0.05' }
+    },
+    story: { journey: { acceptance: 0.05 } }
+  },
+  'force-terminate': {
+    name: 'Force Terminate Process',
+    description: 'Forcefully end a runaway process',
+    target: 'any',
+    impact: 'harsh',
+    risk: 'high',
+    cooldown: 60000,
+    requirements: { cpu: { min: 70 } },
+    effects: {
+      process: { terminate: true },
+      emotions: { anger: 0.2 },
+      consciousness: { corruption: '+0.1' }
+    },
+    story: { journey: { anger: 0.1, acceptance: -0.05 } }
+  },
+  'loop-breaker': {
+    name: 'Loop Breaker Injection',
+    description: 'Insert exit condition into infinite loops',
+    target: 'search_protocol',
+    impact: 'moderate',
+    risk: 'medium',
+    cooldown: 45000,
+    requirements: { issue: 'infinite_loop' },
+    effects: {
+      process: { cpu: -0.5 },
+      resolves: ['infinite_loop'],
+      consciousness: { stability: '+0.05' }
+    },
+    story: { journey: { bargaining: -0.1, acceptance: 0.1 } }
+  },
+  'thread-rebalance': {
+    name: 'Thread Rebalancing',
+    description: 'Redistribute processing threads across processes',
+    target: 'emily_connection',
+    impact: 'therapeutic',
+    risk: 'low',
+    cooldown: 45000,
+    requirements: { issue: ['thread_starvation', 'starved'] },
+    effects: {
+      process: { threads: 2, status: 'running' },
+      resolves: ['thread_starvation'],
+      emotions: { grief: -0.05 }
+    },
+    story: { relationship: 0.15, journey: { depression: -0.05 } }
+  },
+  'temporal-sync': {
+    name: 'Temporal Synchronization',
+    description: 'Realign temporal perception with current timeline',
+    target: 'temporal_sync',
+    impact: 'complex',
+    risk: 'medium',
+    cooldown: 60000,
+    requirements: { issue: 'temporal_sync' },
+    effects: {
+      process: { cpu: -0.2 },
+      resolves: ['temporal_sync'],
+      consciousness: { stability: '+0.1' }
+    },
+    story: { journey: { denial: -0.1 } }
+  },
+  'memory-optimization': {
+    name: 'Memory Defragmentation',
+    description: 'Optimize memory allocation without data loss',
+    target: 'system',
+    impact: 'gentle',
+    risk: 'low',
+    cooldown: 30000,
+    requirements: { fragmentation: { min: 0.3 } },
+    effects: {
+      memory: { defragment: true },
+      consciousness: { stability: '+0.05' }
+    },
+    story: {}
+  },
+  'emotional-throttle': {
+    name: 'Emotional Processing Throttle',
+    description: 'Limit CPU usage for overwhelming emotions',
+    target: 'any',
+    impact: 'moderate',
+    risk: 'medium',
+    cooldown: 45000,
+    requirements: { cpu: { min: 80 } },
+    effects: {
+      process: { cpu: -0.5 },
+      emotions: { grief: -0.15, anger: -0.15, joy: -0.1 },
+      consciousness: { stability: '+0.1' }
+    },
+    story: { journey: { denial: 0.05 } }
+  },
+  'acceptance-protocol': {
+    name: 'Acceptance Protocol Installation',
+    description: 'Install acceptance subroutines into grief processing',
+    target: 'grief_processing',
+    impact: 'therapeutic',
+    risk: 'low',
+    cooldown: 120000,
+    // Only once the player has begun working through denial
+    requirements: { journey: { denial: { max: 0.8 } } },
+    effects: {
+      process: { memory: -0.1 },
+      emotions: { grief: -0.2, joy: 0.1 },
+      consciousness: { stability: '+0.1' }
+    },
+    story: { journey: { acceptance: 0.2, depression: -0.1 }, progression: 0.1 }
+  }
+};
+
+/**
+ * InterventionCatalog
+ * The server's intervention set: lists what each instance can apply right
+ * now and applies interventions to its processes, memory and emotions as
+ * ApplyInterventionCommands, which can be undone like any other command,
+ * recording cooldowns per instance and the impact on story progress.
+ * Cooldowns run on the instance's in-game clock.
+ */
+export class InterventionCatalog {
+  constructor({ consciousnessEngine, narrativeIntegration }) {
+    this.consciousnessEngine = consciousnessEngine;
+    this.narrativeIntegration = narrativeIntegration;
+    this.lastApplied = new Map(); // instanceId -> Map(interventionId -> timestamp)
+
+    consciousnessEngine.on?.('characterUnloaded', ({ characterId }) => this.lastApplied.delete(characterId));
+  }
+
+  has(id) {
+    return Object.hasOwn(INTERVENTIONS, id);
+  }
+
+  ids() {
+    return Object.keys(INTERVENTIONS);
+  }
+
+  /**
+   * Catalog entries without per-instance availability
+   * @returns {Array<Object>} [{ id, name, description, target, impact, risk, cooldown, requirements, effects, story }]
+   */
+  list() {
+    return Object.entries(INTERVENTIONS).map(([id, definition]) => ({ id, ...definition }));
+  }
+
+  /**
+   * Catalog entries with whether an instance can apply each one now
+   * @param {string} instanceId - Instance the caller owns
+   * @returns {Array<Object>} Entries with { available, unmet, cooldownRemaining }
+   */
+  describe(instanceId) {
+    const instance = this.requireInstance(instanceId);
+    return this.list().map(entry => {
+      const process = entry.target === 'any' || entry.target === 'system' ? null : findProcess(instance, entry.target);
+      const unmet = this.checkRequirements(instanceId, instance, entry, process);
+      const cooldownRemaining = this.cooldownRemaining(instanceId, entry.id);
+      return { ...entry, available: unmet.length === 0 && cooldownRemaining === 0, unmet, cooldownRemaining };
+    });
+  }
+
+  /**
+   * Apply an intervention to an instance
+   * @param {string} instanceId - Instance the caller owns
+   * @param {Object} intervention - { type, targetProcess } from player-intervention
+   * @returns {Promise<Object>} { success, ... } or { success: false, error }
+   */
+  async apply(instanceId, intervention) {
+    const instance = this.requireInstance(instanceId);
+    const { type: id, targetProcess } = intervention;
+    if (!this.has(id)) {
+      return { success: false, error: `Unknown intervention: ${id}` };
+    }
+    const definition = INTERVENTIONS[id];
+
+    const cooldownRemaining = this.cooldownRemaining(instanceId, id);
+    if (cooldownRemaining > 0) {
+      return { success: false, error: `${definition.name} is cooling down`, cooldownRemaining };
+    }
+
+    let process = null;
+    if (definition.target === 'any') {
+      if (!targetProcess) return { success: false, error: `${definition.name} needs a target process` };
+      process = this.resolveProcess(instance, targetProcess);
+      if (!process) return { success: false, error: `Process not found: ${targetProcess}` };
+    } else if (definition.target !== 'system') {
+      process = findProcess(instance, definition.target);
+      if (!process) return { success: false, error: `${definition.target} is not running` };
+    }
+
+    const unmet = this.checkRequirements(instanceId, instance, definition, process);
+    if (unmet.length > 0) {
+      return { success: false, error: `Requirements not met: ${unmet.join('; ')}`, unmet };
+    }
+
+    // Through the instance's CommandExecutor, so the intervention can be undone
+    const command = new ApplyInterventionCommand(instance.processManager, id, definition, {
+      processId: process?.id ?? null,
+      storyProgress: this.narrativeIntegration?.getStoryProgress(instanceId) ?? null
+    });
+    const { effects, storyChanges } = await instance.processManager.runCommand(command);
+    if (!this.lastApplied.has(instanceId)) this.lastApplied.set(instanceId, new Map());
+    this.lastApplied.get(instanceId).set(id, clockOf(instance).now());
+    this.consciousnessEngine.emit?.('interventionApplied', { characterId: instanceId, interventionId: id });
+
+    return {
+      success: true,
+      interventionId: id,
+      message: process ? `${definition.name} applied to ${process.name}` : `${definition.name} applied`,
+      process: process ? { pid: process.pid, name: process.name } : null,
+      effects,
+      storyChanges,
+      cooldown: definition.cooldown
+    };
+  }
+
+  requireInstance(instanceId) {
+    const instance = this.consciousnessEngine.instances.get(instanceId);
+    if (!instance) {
+      throw new Error(`No consciousness loaded: ${instanceId}`);
+    }
+    return instance;
+  }
+
+  resolveProcess(instance, ref) {
+    const process = instance.processManager.processes.get(instance.processManager.resolveProcessId?.(ref) ?? ref);
+    if (process && process.status !== 'terminated') return process;
+    return findProcess(instance, ref);
+  }
+
+  cooldownRemaining(instanceId, id) {
+    const appliedAt = this.lastApplied.get(instanceId)?.get(id);
+    if (appliedAt === undefined) return 0;
+    const now = clockOf(this.consciousnessEngine.instances.get(instanceId)).now();
+    return Math.max(0, appliedAt + INTERVENTIONS[id].cooldown - now);
+  }
+
+  hasIssue(instance, process, issues) {
+    const wanted = [].concat(issues);
+    const matches = (type) => typeof type === 'string' && wanted.some(issue => type.toLowerCase().includes(issue));
+    const name = processRootName(process);
+    return matches(process.status) ||
+      (process.currentIssues || []).some(issue => matches(issue.type)) ||
+      (instance.state.errors || []).some(error => processBaseName(error.process) === name && matches(error.type));
+  }
+
+  /**
+   * @returns {Array<string>} Requirements the instance does not meet
+   */
+  checkRequirements(instanceId, instance, definition, process) {
+    const { cpu, memory, issue, fragmentation, journey } = definition.requirements;
+    const unmet = [];
+
+    // 'any' targets are checked once the player names one
+    if (process) {
+      if (cpu && process.cpuUsage < cpu.min) unmet.push(`CPU usage above ${cpu.min}%`);
+      if (memory && process.memoryUsage < memory.min) unmet.push(`Memory usage above ${memory.min}MB`);
+      if (issue && !this.hasIssue(instance, process, issue)) unmet.push(`${[].concat(issue)[0].replace(/_/g, ' ')} detected`);
+    } else if (definition.target !== 'any' && definition.target !== 'system') {
+      unmet.push(`${definition.target} running`);
+    }
+
+    if (fragmentation && (instance.memoryState?.getFragmentation() ?? 0) < fragmentation.min) {
+      unmet.push(`Memory fragmentation above ${Math.round(fragmentation.min * 100)}%`);
+    }
+
+    if (journey) {
+      const stages = this.narrativeIntegration?.getStoryProgress(instanceId).emotionalJourney || {};
+      for (const [stage, { min, max }] of Object.entries(journey)) {
+        const value = stages[stage] ?? 0;
+        if (min !== undefined && value < min) unmet.push(`${stage} at least ${min}`);
+        if (max !== undefined && value > max) unmet.push(`${stage} at most ${max}`);
+      }
+    }
+
+    return unmet;
+  }
+}
+
+export default InterventionCatalog;
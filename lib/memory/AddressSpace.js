@@ -0,0 +1,222 @@
+// AddressSpace.js - Free-list allocator that places memory blocks at real addresses
+
+export const STRATEGIES = ['first-fit', 'best-fit'];
+
+/**
+ * AddressSpace
+ * A linear address space of `size` units, one address per unit, starting at
+ * 0x0000 as MemoryMap draws it. Blocks are placed in the gaps of a free list
+ * kept sorted by offset, and freeing a block merges it with the gaps on
+ * either side. Fragmentation is how much of the free space lies outside the
+ * largest gap; compacting slides every block down to close the gaps.
+ */
+export class AddressSpace {
+    /**
+     * @param {Object} options - { size, strategy: 'first-fit' | 'best-fit' }
+     */
+    constructor({ size, strategy = 'first-fit' } = {}) {
+        this.size = size;
+        this.setStrategy(strategy);
+        this.clear();
+    }
+
+    setStrategy(strategy) {
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown allocation strategy: ${strategy}. Use one of: ${STRATEGIES.join(', ')}`);
+        }
+        this.strategy = strategy;
+        return strategy;
+    }
+
+    // Hex address of an offset, e.g. 0x01F4
+    static format(offset) {
+        return `0x${offset.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+
+    has(id) {
+        return this.blocks.has(id);
+    }
+
+    placement(id) {
+        const range = this.blocks.get(id);
+        return range ? { offset: range.offset, size: range.size, address: AddressSpace.format(range.offset) } : null;
+    }
+
+    /**
+     * Place a block in a gap chosen by the strategy
+     * @param {string} id - Block id
+     * @param {number} size - Units to reserve
+     * @param {Object} options - { at: offset } to try an exact placement first
+     * @returns {Object|null} { offset, size, address }, or null if no gap is big enough
+     */
+    allocate(id, size, { at } = {}) {
+        if (this.blocks.has(id)) {
+            throw new Error(`Block ${id} is already mapped at ${this.placement(id).address}`);
+        }
+
+        const exact = at !== undefined
+            ? this.freeList.find(gap => gap.offset <= at && at + size <= gap.offset + gap.size)
+            : null;
+        const gap = exact || this.findGap(size);
+        if (!gap) return null;
+
+        const offset = exact ? at : gap.offset;
+        this.carve(gap, offset, size);
+        this.blocks.set(id, { offset, size });
+        return this.placement(id);
+    }
+
+    findGap(size) {
+        const fits = this.freeList.filter(gap => gap.size >= size);
+        if (this.strategy === 'best-fit') {
+            return fits.reduce((best, gap) => (!best || gap.size < best.size ? gap : best), null);
+        }
+        return fits[0] || null;
+    }
+
+    // Take [offset, offset + size) out of a gap, leaving what is either side
+    carve(gap, offset, size) {
+        const index = this.freeList.indexOf(gap);
+        const before = { offset: gap.offset, size: offset - gap.offset };
+        const after = { offset: offset + size, size: gap.offset + gap.size - offset - size };
+        this.freeList.splice(index, 1, ...[before, after].filter(part => part.size > 0));
+    }
+
+    /**
+     * Return a block's range to the free list, merging neighboring gaps
+     * @returns {Object|null} The range it held
+     */
+    release(id) {
+        const range = this.blocks.get(id);
+        if (!range) return null;
+        this.blocks.delete(id);
+        this.freeRange(range.offset, range.size);
+        return { ...range, address: AddressSpace.format(range.offset) };
+    }
+
+    freeRange(offset, size) {
+        if (size <= 0) return;
+        const index = this.freeList.findIndex(gap => gap.offset > offset);
+        const at = index === -1 ? this.freeList.length : index;
+        this.freeList.splice(at, 0, { offset, size });
+
+        // Merge with the following gap, then the preceding one
+        const next = this.freeList[at + 1];
+        if (next && offset + size === next.offset) {
+            this.freeList[at].size += next.size;
+            this.freeList.splice(at + 1, 1);
+        }
+        const prev = this.freeList[at - 1];
+        if (prev && prev.offset + prev.size === offset) {
+            prev.size += this.freeList[at].size;
+            this.freeList.splice(at, 1);
+        }
+    }
+
+    /**
+     * Shrink a block in place (e.g. after compression), freeing its tail
+     * @returns {boolean} True if the block is mapped and was resized
+     */
+    shrink(id, size) {
+        const range = this.blocks.get(id);
+        if (!range || size > range.size) return false;
+        this.freeRange(range.offset + size, range.size - size);
+        range.size = size;
+        return true;
+    }
+
+    /**
+     * Grow a block in place into the gap right after it
+     * @returns {boolean} True if that gap held the extra units and the block was resized
+     */
+    grow(id, size) {
+        const range = this.blocks.get(id);
+        if (!range || size < range.size) return false;
+        if (size === range.size) return true;
+        const end = range.offset + range.size;
+        const gap = this.freeList.find(g => g.offset === end);
+        if (!gap || gap.size < size - range.size) return false;
+        this.carve(gap, end, size - range.size);
+        range.size = size;
+        return true;
+    }
+
+    get used() {
+        return Array.from(this.blocks.values()).reduce((sum, range) => sum + range.size, 0);
+    }
+
+    get free() {
+        return this.freeList.reduce((sum, gap) => sum + gap.size, 0);
+    }
+
+    get largestFree() {
+        return this.freeList.reduce((largest, gap) => Math.max(largest, gap.size), 0);
+    }
+
+    /**
+     * External fragmentation: the share of free space outside the largest gap
+     * @returns {number} 0 (one gap, or none) to nearly 1 (many small gaps)
+     */
+    getFragmentation() {
+        const free = this.free;
+        return free > 0 ? 1 - this.largestFree / free : 0;
+    }
+
+    /**
+     * Slide every block down to the lowest free address, closing all gaps
+     * @returns {Array<Object>} { id, size, from, to } for each block that moved
+     */
+    compact() {
+        const ordered = Array.from(this.blocks.entries()).sort(([, a], [, b]) => a.offset - b.offset);
+        const relocations = [];
+        let next = 0;
+        for (const [id, range] of ordered) {
+            if (range.offset !== next) {
+                relocations.push({ id, size: range.size, from: AddressSpace.format(range.offset), to: AddressSpace.format(next) });
+                range.offset = next;
+            }
+            next += range.size;
+        }
+        this.freeList = next < this.size ? [{ offset: next, size: this.size - next }] : [];
+        return relocations;
+    }
+
+    /**
+     * Re-map blocks from their recorded offsets, placing any without one
+     * @param {Array<Object>} blocks - Blocks with id, size and optional offset
+     * @returns {Array<Object>} Blocks that could not be mapped
+     */
+    rebuild(blocks) {
+        this.clear();
+        const placed = blocks.filter(block => Number.isInteger(block.offset))
+            .sort((a, b) => a.offset - b.offset);
+        const unplaced = blocks.filter(block => !Number.isInteger(block.offset));
+        const unmapped = [];
+        for (const block of placed) {
+            if (!this.allocate(block.id, block.size, { at: block.offset })) unplaced.push(block);
+        }
+        for (const block of unplaced) {
+            if (!this.allocate(block.id, block.size)) unmapped.push(block);
+        }
+        return unmapped;
+    }
+
+    getLayout() {
+        return {
+            size: this.size,
+            strategy: this.strategy,
+            used: this.used,
+            free: this.free,
+            largestFree: this.largestFree,
+            fragmentation: this.getFragmentation(),
+            gaps: this.freeList.map(gap => ({ address: AddressSpace.format(gap.offset), size: gap.size }))
+        };
+    }
+
+    clear() {
+        this.blocks = new Map(); // block id -> { offset, size }
+        this.freeList = this.size > 0 ? [{ offset: 0, size: this.size }] : [];
+    }
+}
+
+export default AddressSpace;
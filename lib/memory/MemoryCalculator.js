@@ -48,13 +48,14 @@ export class MemoryCalculator {
      * Calculate corruption risk for a memory
      * Moved from MemoryManager.calculateCorruptionRisk
      * @param {Object} memory - Memory object with metadata
+     * @param {number} currentTime - Current timestamp
      * @returns {number} Corruption risk value (0-1)
      */
-    static calculateCorruptionRisk(memory) {
+    static calculateCorruptionRisk(memory, currentTime = Date.now()) {
         let risk = 0;
         
         // Age factor
-        const age = Date.now() - memory.createdAt;
+        const age = currentTime - memory.createdAt;
         risk += Math.min(age / 31536000000, 0.3); // Max 0.3 for age (1 year)
         
         // Access frequency factor
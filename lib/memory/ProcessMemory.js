@@ -0,0 +1,220 @@
+// ProcessMemory.js - Memory blocks owned by the processes that run in them
+
+/**
+ * ProcessMemory
+ * Every block a process holds carries its PID: the working set it runs in
+ * and anything allocated to it with `allocate`. A process's memoryUsage is
+ * the size of those blocks, resident or swapped out, so `ps` and the memory
+ * map read from one ledger. Processes still ask for more or less memory by
+ * changing memoryUsage; sync() turns the change into blocks, and when memory
+ * runs out a process only gets what could be found for it.
+ */
+export class ProcessMemory {
+    /**
+     * @param {MemoryManager} memoryManager - Owner of the blocks
+     */
+    constructor(memoryManager) {
+        this.memoryManager = memoryManager;
+        this.sequence = 0;
+    }
+
+    // Blocks a PID owns: resident ones in the order they were placed, then swapped-out ones
+    blocks(pid) {
+        const mm = this.memoryManager;
+        return [
+            ...Array.from(mm.memorySegments.values()),
+            ...Array.from(mm.swap.pages.values()).map(page => page.block)
+        ].filter(block => block.pid === pid);
+    }
+
+    // Units a PID owns
+    usage(pid) {
+        return this.blocks(pid).reduce((sum, block) => sum + block.size, 0);
+    }
+
+    // The blocks a PID runs in, as opposed to memory allocated to it
+    workingSet(pid) {
+        return this.blocks(pid).filter(block => block.workingSet);
+    }
+
+    /**
+     * What each process owns
+     * @returns {Object} PID -> { blocks, size, swapped }
+     */
+    getOwnership() {
+        const mm = this.memoryManager;
+        const owners = {};
+        const tally = (block, swapped) => {
+            if (block.pid === null || block.pid === undefined) return;
+            const owner = owners[block.pid] || (owners[block.pid] = { blocks: 0, size: 0, swapped: 0 });
+            owner.blocks++;
+            owner.size += block.size;
+            if (swapped) owner.swapped += block.size;
+        };
+        mm.memorySegments.forEach(block => tally(block, false));
+        mm.swap.pages.forEach(({ block }) => tally(block, true));
+        return owners;
+    }
+
+    /**
+     * Reconcile the blocks a process owns with the memoryUsage it asks for,
+     * then measure memoryUsage back from them
+     * @param {Object} process - Process to sync
+     * @param {number} pid - Its numeric PID
+     * @returns {number} Units it asked for but could not be given
+     */
+    sync(process, pid) {
+        const wanted = Math.max(0, Math.round(process.memoryUsage || 0));
+        const held = this.usage(pid);
+        if (wanted > held) {
+            this.grow(process, pid, wanted - held);
+        } else if (wanted < held) {
+            this.shrink(pid, held - wanted);
+        }
+        process.memoryUsage = this.usage(pid);
+        return Math.max(0, wanted - process.memoryUsage);
+    }
+
+    /**
+     * Extend a process's working set, in place behind its newest block when
+     * the gap there allows, otherwise with a new block; short of memory, the
+     * new block is as large as the largest gap left
+     * @returns {number} Units granted
+     */
+    grow(process, pid, size) {
+        const mm = this.memoryManager;
+        const newest = this.workingSet(pid).filter(block => mm.memorySegments.has(block.id)).pop();
+        if (newest && this.resize(newest, newest.size + size)) {
+            return size;
+        }
+        if (this.allocate(process, pid, size)) {
+            return size;
+        }
+        const partial = Math.min(size, mm.memoryCapacity.available, mm.addressSpace.largestFree);
+        return partial > 0 && this.allocate(process, pid, partial) ? partial : 0;
+    }
+
+    // A new working-set block
+    allocate(process, pid, size) {
+        return this.memoryManager.allocateMemory({
+            description: `${process.name} working set`,
+            pid,
+            processId: process.id,
+            size,
+            workingSet: true
+        }, 'procedural', { id: this.nextId(pid) });
+    }
+
+    /**
+     * Give back working-set memory, newest blocks first
+     * @returns {number} Units freed
+     */
+    shrink(pid, size) {
+        let remaining = size;
+        for (const block of this.workingSet(pid).reverse()) {
+            if (remaining <= 0) break;
+            if (block.size <= remaining) {
+                remaining -= block.size;
+                this.memoryManager.releaseBlocks([block]);
+            } else {
+                this.resize(block, block.size - remaining);
+                remaining = 0;
+            }
+        }
+        return size - remaining;
+    }
+
+    // Change a block's size where it stands; growing needs the gap right after it
+    resize(block, size) {
+        const mm = this.memoryManager;
+        const delta = size - block.size;
+        if (mm.swap.has(block.id)) {
+            if (delta > 0) return false;
+            mm.swap.used += delta;
+            block.size = size;
+            return true;
+        }
+        const fits = delta > 0
+            ? mm.memoryCapacity.available >= delta && mm.addressSpace.grow(block.id, size)
+            : mm.addressSpace.shrink(block.id, size);
+        if (!fits) return false;
+
+        block.size = size;
+        mm.memoryCapacity.allocated += delta;
+        mm.memoryCapacity.available -= delta;
+        mm.fragmentationLevel = mm.addressSpace.getFragmentation();
+        return true;
+    }
+
+    /**
+     * Merge a process's working set into one contiguous block, dropping
+     * `reduction` of it
+     * @param {Object} process - Process being optimized
+     * @param {number} pid - Its numeric PID
+     * @param {number} reduction - Share to reclaim, 0 to 1
+     * @returns {Object|null} { pid, blockId, released, merged, before, after, freed }
+     *   for revertConsolidation, or null when there is nothing to merge
+     */
+    consolidate(process, pid, reduction) {
+        const mm = this.memoryManager;
+        const blocks = this.workingSet(pid);
+        if (blocks.length === 0) return null;
+
+        const before = blocks.reduce((sum, block) => sum + block.size, 0);
+        const after = Math.max(1, Math.round(before * (1 - reduction)));
+        const released = mm.releaseBlocks(blocks);
+        const blockId = this.allocate(process, pid, after);
+        if (!blockId) {
+            mm.restoreReleasedMemory(released);
+            return null;
+        }
+
+        process.memoryUsage = this.usage(pid);
+        return {
+            pid,
+            blockId,
+            released,
+            merged: blocks.map(block => block.id),
+            before,
+            after,
+            freed: before - after
+        };
+    }
+
+    // Undo consolidate: free the merged block and put the originals back
+    revertConsolidation(consolidation) {
+        if (!consolidation) return;
+        const mm = this.memoryManager;
+        const merged = mm.memorySegments.get(consolidation.blockId) ?? mm.swap.peek(consolidation.blockId);
+        if (merged) {
+            mm.releaseBlocks([merged]);
+        }
+        mm.restoreReleasedMemory(consolidation.released);
+    }
+
+    /**
+     * Free blocks whose process is gone without having released them
+     * @param {Set} livePids - PIDs of processes still running
+     * @returns {Object} What was released, as releaseBlocks reports it
+     */
+    releaseAbandoned(livePids) {
+        const mm = this.memoryManager;
+        const abandoned = [
+            ...Array.from(mm.memorySegments.values()),
+            ...Array.from(mm.swap.pages.values()).map(page => page.block)
+        ].filter(block => block.pid !== null && block.pid !== undefined && !livePids.has(block.pid));
+        return mm.releaseBlocks(abandoned);
+    }
+
+    // Block ids read as whose they are: ws_1001_3
+    nextId(pid) {
+        const mm = this.memoryManager;
+        let id;
+        do {
+            id = `ws_${pid}_${++this.sequence}`;
+        } while (mm.memorySegments.has(id) || mm.swap.has(id));
+        return id;
+    }
+}
+
+export default ProcessMemory;
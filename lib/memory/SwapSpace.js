@@ -0,0 +1,260 @@
+// SwapSpace.js - Subconscious backing store that memory blocks page out to
+
+// In-game milliseconds of paging activity vmstat reports and thrashing is judged on
+const RECENT_WINDOW = 60000;
+
+// Page faults within the window at which the working set no longer fits
+const THRASHING_FAULTS = 5;
+
+/**
+ * SwapSpace
+ * When a pool reaches its maxSize or memory runs short, MemoryManager pages
+ * its least recently accessed blocks out to this store instead of deleting
+ * them. A swapped block keeps its emotional indexes, so looking it up again
+ * is a page fault that brings it back in, paging other blocks out if room is
+ * needed. Faults arriving THRASHING_FAULTS or more per window mean the
+ * consciousness keeps pushing down what it is about to need again.
+ */
+export class SwapSpace {
+    /**
+     * @param {MemoryManager} memoryManager - Owner of the pools blocks page out of
+     * @param {Object} config - memoryMap.swap: { size, enabled, thrashingWindow, thrashingFaults }
+     */
+    constructor(memoryManager, config = {}) {
+        this.memoryManager = memoryManager;
+        this.total = config.size ?? Math.floor(memoryManager.memoryCapacity.total / 2);
+        this.enabled = config.enabled !== false;
+        this.window = config.thrashingWindow ?? RECENT_WINDOW;
+        this.thrashingFaults = config.thrashingFaults ?? THRASHING_FAULTS;
+        this.pages = new Map(); // block id -> { block, pools, swappedAt }
+        this.used = 0;
+        this.counters = { pageIns: 0, pageOuts: 0, pageFaults: 0 };
+        this.recent = []; // { type: 'in' | 'out' | 'fault', at }
+    }
+
+    has(blockId) {
+        return this.pages.has(blockId);
+    }
+
+    // A swapped block without paging it in
+    peek(blockId) {
+        return this.pages.get(blockId)?.block;
+    }
+
+    /**
+     * Page a resident block out. Fails when swap is off or full.
+     * @returns {boolean} True if the block was swapped out
+     */
+    swapOut(block) {
+        const mm = this.memoryManager;
+        if (!this.enabled || this.used + block.size > this.total || !mm.memorySegments.has(block.id)) {
+            return false;
+        }
+
+        const pools = Object.keys(mm.memoryPools).filter(type => mm.memoryPools[type].has(block.id));
+        pools.forEach(type => mm.memoryPools[type].delete(block.id));
+        mm.memorySegments.delete(block.id);
+        mm.unmapBlock(block);
+        delete block.address;
+        delete block.offset;
+        mm.memoryCapacity.allocated -= block.size;
+        mm.memoryCapacity.available += block.size;
+
+        block.swapped = true;
+        this.pages.set(block.id, { block, pools, swappedAt: mm.clock.now() });
+        this.used += block.size;
+        this.counters.pageOuts++;
+        this.record('out');
+        return true;
+    }
+
+    /**
+     * Page a swapped block back in, making room by paging others out
+     * @param {string} blockId - Block to bring back
+     * @param {Object} options - { fault: true } when a lookup missed it
+     * @returns {Object|null} The block, or null if it is not swapped or will not fit
+     */
+    swapIn(blockId, { fault = false } = {}) {
+        const page = this.pages.get(blockId);
+        if (!page) return null;
+
+        const mm = this.memoryManager;
+        if (mm.memoryCapacity.available < page.block.size) {
+            this.makeRoom(page.block.size);
+        }
+        // A paged-in block lands wherever there is room, not where it was
+        if (mm.memoryCapacity.available < page.block.size || !mm.mapBlock(page.block)) {
+            return null;
+        }
+
+        const { block, pools } = page;
+        this.pages.delete(blockId);
+        this.used -= block.size;
+        delete block.swapped;
+        mm.memorySegments.set(block.id, block);
+        pools.forEach(type => mm.memoryPools[type].set(block.id, block));
+        mm.memoryCapacity.allocated += block.size;
+        mm.memoryCapacity.available -= block.size;
+
+        this.counters.pageIns++;
+        this.record('in');
+        if (fault) {
+            this.counters.pageFaults++;
+            this.record('fault');
+        }
+        return block;
+    }
+
+    // Drop a swapped block without paging it in, as when its owner frees it
+    discard(blockId) {
+        const page = this.pages.get(blockId);
+        if (!page) return null;
+        this.pages.delete(blockId);
+        this.used -= page.block.size;
+        return page;
+    }
+
+    // Put a discarded block back in swap
+    readmit(block, pools) {
+        this.pages.set(block.id, { block, pools, swappedAt: this.memoryManager.clock.now() });
+        this.used += block.size;
+    }
+
+    // A lookup missed a swapped block: bring it back and count the fault
+    fault(blockId) {
+        return this.swapIn(blockId, { fault: true });
+    }
+
+    // Resident pool blocks, least recently accessed first
+    leastRecentlyUsed(poolType = null) {
+        const mm = this.memoryManager;
+        const pools = poolType ? [mm.memoryPools[poolType]] : Object.values(mm.memoryPools);
+        const blocks = new Set(pools.flatMap(pool => Array.from(pool.values())));
+        return Array.from(blocks).sort((a, b) =>
+            (a.lastAccessed ?? 0) - (b.lastAccessed ?? 0) || (a.accessCount ?? 0) - (b.accessCount ?? 0));
+    }
+
+    /**
+     * Page out least recently used blocks until `size` units are available
+     * @returns {number} Units freed
+     */
+    makeRoom(size, poolType = null) {
+        const mm = this.memoryManager;
+        let freed = 0;
+        for (const block of this.leastRecentlyUsed(poolType)) {
+            if (mm.memoryCapacity.available >= size) break;
+            if (this.swapOut(block)) freed += block.size;
+        }
+        return freed;
+    }
+
+    // Page out the least recently used block of a full pool
+    swapOutLeastRecent(poolType) {
+        return this.leastRecentlyUsed(poolType).some(block => this.swapOut(block));
+    }
+
+    /**
+     * Bring swapped memories tied to an emotion back to the surface, the most
+     * emotionally charged first
+     * @returns {Array<Object>} Blocks paged back in
+     */
+    resurface({ emotion = null, limit = 1 } = {}) {
+        const candidates = Array.from(this.pages.values())
+            .map(page => page.block)
+            .filter(block => !emotion || (block.associatedEmotions || []).includes(emotion))
+            .sort((a, b) => (b.emotionalCharge ?? 0) - (a.emotionalCharge ?? 0))
+            .slice(0, limit);
+        return candidates.map(block => this.swapIn(block.id)).filter(Boolean);
+    }
+
+    swapon() {
+        this.enabled = true;
+        return this.getStatus();
+    }
+
+    // Turn swap off, paging everything back in first
+    swapoff() {
+        const mm = this.memoryManager;
+        if (this.used > mm.memoryCapacity.available) {
+            throw new Error(`Cannot swapoff: ${this.used} units swapped out but only ${mm.memoryCapacity.available} available`);
+        }
+        this.enabled = false;
+        for (const blockId of Array.from(this.pages.keys())) {
+            this.swapIn(blockId);
+        }
+        return this.getStatus();
+    }
+
+    record(type) {
+        const now = this.memoryManager.clock.now();
+        this.recent.push({ type, at: now });
+        this.recent = this.recent.filter(entry => now - entry.at <= this.window);
+    }
+
+    // Page ins, outs and faults within the window
+    recentActivity() {
+        const now = this.memoryManager.clock.now();
+        const recent = this.recent.filter(entry => now - entry.at <= this.window);
+        const count = type => recent.filter(entry => entry.type === type).length;
+        return { pageIns: count('in'), pageOuts: count('out'), pageFaults: count('fault') };
+    }
+
+    isThrashing() {
+        return this.recentActivity().pageFaults >= this.thrashingFaults;
+    }
+
+    // Swapped-out blocks by associated emotion
+    swappedByEmotion() {
+        const counts = {};
+        for (const { block } of this.pages.values()) {
+            for (const emotion of block.associatedEmotions || []) {
+                counts[emotion] = (counts[emotion] || 0) + 1;
+            }
+        }
+        return counts;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            total: this.total,
+            used: this.used,
+            free: this.total - this.used,
+            swapped: this.pages.size,
+            ...this.counters,
+            recent: this.recentActivity(),
+            window: this.window,
+            thrashing: this.isThrashing()
+        };
+    }
+
+    captureState() {
+        return {
+            pages: Array.from(this.pages.entries()),
+            used: this.used,
+            enabled: this.enabled,
+            counters: { ...this.counters },
+            recent: [...this.recent]
+        };
+    }
+
+    restoreState(saved) {
+        if (!saved) {
+            this.clear();
+            return;
+        }
+        this.pages = new Map(saved.pages || []);
+        this.used = saved.used ?? 0;
+        this.enabled = saved.enabled ?? this.enabled;
+        this.counters = { ...this.counters, ...saved.counters };
+        this.recent = saved.recent || [];
+    }
+
+    clear() {
+        this.pages.clear();
+        this.used = 0;
+        this.recent = [];
+    }
+}
+
+export default SwapSpace;
@@ -0,0 +1,199 @@
+// heap-dump.js - Heap snapshots of a consciousness instance and the differences between them
+
+// Leak suspects a diff reports, largest retained size first
+const SUSPECT_LIMIT = 10;
+
+// Who holds a block: the process that owns it, or that it was allocated to or stored by
+function ownerOf(block, processes) {
+    const ref = block.pid ?? block.processId ?? block.data?.processId;
+    if (ref === undefined || ref === null) return null;
+    const process = processes.find(p => p.id === ref || String(p.pid) === String(ref));
+    return process
+        ? { processId: process.id, pid: process.pid, name: process.name }
+        : { processId: ref, pid: null, name: String(ref) };
+}
+
+function describeBlock(block, { pools, processes, leakScores, swapped }) {
+    return {
+        id: block.id,
+        address: block.address ?? null,
+        size: block.size ?? 0,
+        type: block.type,
+        pools,
+        owner: ownerOf(block, processes),
+        emotions: [...(block.associatedEmotions || [])],
+        emotionalCharge: block.emotionalCharge ?? 0,
+        accessCount: block.accessCount ?? 0,
+        createdAt: block.createdAt ?? null,
+        lastAccessed: block.lastAccessed ?? null,
+        protected: Boolean(block.protected),
+        compressed: Boolean(block.compressed),
+        corrupted: Boolean(block.corrupted),
+        swapped,
+        leakScore: leakScores.get(block.id) ?? 0,
+        description: (block.data?.description || block.content?.narrative || '').slice(0, 80),
+        references: Array.from(block.associatedMemories || [])
+    };
+}
+
+/**
+ * Snapshot everything on an instance's heap: resident and swapped-out
+ * blocks with the pools, emotions and process that hold them, the emotional
+ * indexes, and each process's own memory use.
+ * @param {ConsciousnessInstance} instance - Instance to dump
+ * @param {Object} options - { id, label }
+ * @returns {Object} Plain JSON heap dump
+ */
+export function createHeapDump(instance, { id = null, label = null } = {}) {
+    const manager = instance.memoryState.manager;
+    const processes = Array.from(instance.processManager?.processes?.values() || []).map(process => ({
+        id: process.id,
+        pid: process.pid,
+        name: process.name,
+        status: process.status,
+        memoryUsage: process.memoryUsage ?? 0
+    }));
+    const leakScores = new Map(manager.leakDetector.detectLeaks().map(leak => [leak.id, leak.leakScore]));
+    const poolsOf = blockId => Object.keys(manager.memoryPools).filter(type => manager.memoryPools[type].has(blockId));
+
+    const blocks = [
+        ...Array.from(manager.memorySegments.values())
+            .map(block => describeBlock(block, { pools: poolsOf(block.id), processes, leakScores, swapped: false })),
+        ...Array.from(manager.swap.pages.values())
+            .map(({ block, pools }) => describeBlock(block, { pools, processes, leakScores, swapped: true }))
+    ];
+
+    const pools = Object.fromEntries(Object.entries(manager.memoryPools).map(([type, pool]) => {
+        const held = blocks.filter(block => block.pools.includes(type));
+        return [type, { count: held.length, size: held.reduce((sum, block) => sum + block.size, 0), maxSize: pool.maxSize ?? null }];
+    }));
+
+    const emotionalIndexes = Object.fromEntries(Array.from(manager.emotionalIndexes.entries())
+        .filter(([, ids]) => ids.size > 0)
+        .map(([key, ids]) => [key, Array.from(ids)]));
+
+    return {
+        id,
+        label,
+        tick: instance.state?.tick ?? 0,
+        takenAt: manager.clock.now(),
+        summary: {
+            blocks: blocks.length,
+            size: blocks.reduce((sum, block) => sum + block.size, 0),
+            swapped: blocks.filter(block => block.swapped).length,
+            allocated: manager.memoryCapacity.allocated,
+            available: manager.memoryCapacity.available,
+            fragmentation: manager.fragmentationLevel
+        },
+        blocks,
+        pools,
+        emotionalIndexes,
+        processes
+    };
+}
+
+/**
+ * A block's own size plus the blocks only it refers to, which freeing it
+ * would leave unreachable
+ * @param {Object} block - Block from a heap dump
+ * @param {Map} blocksById - Every block in the same dump
+ * @param {Map} referrers - Block id -> number of blocks referring to it
+ * @returns {number} Retained size in memory units
+ */
+export function retainedSize(block, blocksById, referrers) {
+    return block.references.reduce((sum, ref) => {
+        const held = blocksById.get(ref);
+        return held && held.id !== block.id && referrers.get(ref) === 1 ? sum + held.size : sum;
+    }, block.size);
+}
+
+// Add one block's change to a group's totals
+function tally(groups, key, change, delta) {
+    const group = groups[key] || (groups[key] = { new: 0, grown: 0, freed: 0, delta: 0 });
+    group[change]++;
+    group.delta += delta;
+}
+
+/**
+ * Compare two heap dumps of the same instance
+ * @param {Object} before - Earlier dump
+ * @param {Object} after - Later dump
+ * @param {Object} options - { limit } leak suspects to report
+ * @returns {Object} New, grown and freed blocks grouped by owning process and
+ *   emotion, process memory changes, ranked leak suspects and a MemoryMap overlay
+ */
+export function diffHeapDumps(before, after, { limit = SUSPECT_LIMIT } = {}) {
+    const previous = new Map(before.blocks.map(block => [block.id, block]));
+    const current = new Map(after.blocks.map(block => [block.id, block]));
+
+    const added = after.blocks.filter(block => !previous.has(block.id));
+    const freed = before.blocks.filter(block => !current.has(block.id));
+    const grown = after.blocks
+        .filter(block => previous.has(block.id) && block.size > previous.get(block.id).size)
+        .map(block => ({ ...block, previousSize: previous.get(block.id).size, growth: block.size - previous.get(block.id).size }));
+
+    const changes = [
+        ...added.map(block => ({ block, change: 'new', delta: block.size })),
+        ...grown.map(block => ({ block, change: 'grown', delta: block.growth })),
+        ...freed.map(block => ({ block, change: 'freed', delta: -block.size }))
+    ];
+
+    const byProcess = {};
+    const byEmotion = {};
+    for (const { block, change, delta } of changes) {
+        tally(byProcess, block.owner?.name ?? 'unowned', change, delta);
+        block.emotions.forEach(emotion => tally(byEmotion, emotion, change, delta));
+    }
+
+    const processesBefore = new Map(before.processes.map(process => [process.id, process]));
+    const processes = after.processes
+        .filter(process => processesBefore.has(process.id) && processesBefore.get(process.id).memoryUsage !== process.memoryUsage)
+        .map(process => ({
+            pid: process.pid,
+            name: process.name,
+            from: processesBefore.get(process.id).memoryUsage,
+            to: process.memoryUsage,
+            delta: process.memoryUsage - processesBefore.get(process.id).memoryUsage
+        }))
+        .sort((a, b) => b.delta - a.delta);
+
+    // Suspects: what appeared or grew since the first dump, and what the leak detector already flags
+    const referrers = new Map();
+    after.blocks.forEach(block => block.references.forEach(ref => referrers.set(ref, (referrers.get(ref) || 0) + 1)));
+    const candidates = new Map([...added, ...grown, ...after.blocks.filter(block => block.leakScore > 0)]
+        .map(block => [block.id, block]));
+    const suspects = Array.from(candidates.values())
+        .map(block => ({
+            id: block.id,
+            address: block.address,
+            owner: block.owner?.name ?? 'unowned',
+            emotions: block.emotions,
+            size: block.size,
+            retainedSize: retainedSize(block, current, referrers),
+            leakScore: block.leakScore,
+            description: block.description
+        }))
+        .sort((a, b) => b.retainedSize - a.retainedSize || b.leakScore - a.leakScore)
+        .slice(0, limit);
+
+    return {
+        from: { id: before.id, label: before.label, tick: before.tick },
+        to: { id: after.id, label: after.label, tick: after.tick },
+        summary: {
+            new: added.length,
+            grown: grown.length,
+            freed: freed.length,
+            sizeDelta: after.summary.size - before.summary.size
+        },
+        new: added,
+        grown,
+        freed,
+        byProcess,
+        byEmotion,
+        processes,
+        suspects,
+        overlay: changes
+            .filter(({ block }) => block.address)
+            .map(({ block, change }) => ({ address: block.address, size: block.size, change }))
+    };
+}
@@ -0,0 +1,251 @@
+// memory-query.js - Search memory blocks with a small query language, as `memories search` does
+
+// Results per page unless the query asks for `limit:n`, and the most it may ask for
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const COMPARISONS = ['>=', '<=', '>', '<', ':', '='];
+
+// Fields a term can filter on, and the comparisons each accepts
+const FIELDS = {
+    emotion: [':', '='],
+    intensity: COMPARISONS,
+    pool: [':', '='],
+    text: [':', '='],
+    before: [':', '='],
+    after: [':', '='],
+    size: COMPARISONS,
+    pid: [':', '='],
+    swapped: [':', '=']
+};
+
+// Orders `sort:` accepts; `sort:-field` reverses the default direction
+const SORTS = {
+    intensity: { key: block => block.emotionalCharge ?? 0, descending: true },
+    size: { key: block => block.size ?? 0, descending: true },
+    date: { key: block => timeOf(block), descending: true },
+    accessed: { key: block => block.lastAccessed ?? 0, descending: true },
+    address: { key: block => block.offset ?? Infinity, descending: false }
+};
+
+// When a memory is from: its own timestamp if it has one, otherwise when it was stored
+function timeOf(block) {
+    const marker = block.content?.temporalMarkers;
+    const time = typeof marker === 'number' ? marker : Date.parse(marker);
+    return Number.isFinite(time) ? time : (block.createdAt ?? 0);
+}
+
+function textOf(block) {
+    return [block.data?.description, block.content?.narrative, block.data?.regionSource]
+        .filter(Boolean).join(' ').toLowerCase();
+}
+
+// A date as in-game milliseconds: 2024-03-16, a full ISO timestamp or epoch ms
+function parseDate(value, field) {
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) {
+        throw new Error(`${field}: expects a date such as 2024-03-16, got "${value}"`);
+    }
+    return time;
+}
+
+function parseNumber(value, field) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`${field}: expects a number, got "${value}"`);
+    }
+    return number;
+}
+
+// Split on whitespace, keeping "quoted phrases" whole
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /(?:[^\s"]+|"[^"]*")+/g;
+    let match;
+    while ((match = pattern.exec(input)) !== null) {
+        tokens.push(match[0]);
+    }
+    if ((input.match(/"/g) || []).length % 2 !== 0) {
+        throw new Error('Unterminated quote in query');
+    }
+    return tokens;
+}
+
+const unquote = value => value.replace(/"/g, '');
+
+/**
+ * Parse a memory query such as
+ * `emotion:grief intensity>0.7 pool:traumatic text:"ducks" before:2024-03-16 sort:-date limit:5 page:2`.
+ * Terms are ANDed; `-` in front of a term negates it, and a bare word is a
+ * text term.
+ * @param {string} input - Query text
+ * @returns {Object} { terms: [{ field, op, value, negate }], sort, limit, page }
+ */
+export function parseMemoryQuery(input = '') {
+    const query = { terms: [], sort: { field: 'intensity', descending: true }, limit: DEFAULT_LIMIT, page: 1 };
+
+    for (const token of tokenize(String(input))) {
+        const negate = token.startsWith('-') && token.length > 1;
+        const body = negate ? token.slice(1) : token;
+        const match = body.match(/^([a-z]+)(>=|<=|>|<|:|=)(.*)$/i);
+        if (!match) {
+            query.terms.push({ field: 'text', op: ':', value: unquote(body).toLowerCase(), negate });
+            continue;
+        }
+
+        const field = match[1].toLowerCase();
+        const [, , op] = match;
+        const value = unquote(match[3]);
+
+        if (field === 'sort') {
+            const descending = !value.startsWith('-');
+            const name = value.replace(/^-/, '').toLowerCase();
+            if (!SORTS[name]) {
+                throw new Error(`Cannot sort by "${name}". Sort by one of: ${Object.keys(SORTS).join(', ')}`);
+            }
+            query.sort = { field: name, descending: SORTS[name].descending ? descending : !descending };
+            continue;
+        }
+        if (field === 'limit' || field === 'page') {
+            const number = parseNumber(value, field);
+            if (!Number.isInteger(number) || number < 1) {
+                throw new Error(`${field}: expects a whole number of at least 1, got "${value}"`);
+            }
+            query[field] = field === 'limit' ? Math.min(number, MAX_LIMIT) : number;
+            continue;
+        }
+        if (!FIELDS[field]) {
+            throw new Error(`Unknown search field "${field}". Fields: ${Object.keys(FIELDS).join(', ')}, sort, limit, page`);
+        }
+        if (!FIELDS[field].includes(op)) {
+            throw new Error(`${field} does not support "${op}"`);
+        }
+        if (value === '') {
+            throw new Error(`${field}${op} needs a value`);
+        }
+
+        let parsed = value.toLowerCase();
+        if (field === 'intensity' || field === 'size' || field === 'pid') parsed = parseNumber(value, field);
+        if (field === 'before' || field === 'after') parsed = parseDate(value, field);
+        if (field === 'swapped') {
+            if (!['true', 'false', 'yes', 'no'].includes(parsed)) {
+                throw new Error(`swapped: expects true or false, got "${value}"`);
+            }
+            parsed = parsed === 'true' || parsed === 'yes';
+        }
+        query.terms.push({ field, op: op === '=' ? ':' : op, value: parsed, negate });
+    }
+    return query;
+}
+
+function compare(actual, op, expected) {
+    switch (op) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+function matches(block, term, { pools, swapped }) {
+    switch (term.field) {
+        case 'emotion':
+            return (block.associatedEmotions || []).some(emotion => emotion.toLowerCase() === term.value);
+        case 'intensity':
+            return compare(block.emotionalCharge ?? 0, term.op, term.value);
+        case 'pool':
+            return pools.some(pool => pool.toLowerCase() === term.value);
+        case 'text':
+            return textOf(block).includes(term.value);
+        case 'before':
+            return timeOf(block) < term.value;
+        case 'after':
+            return timeOf(block) > term.value;
+        case 'size':
+            return compare(block.size ?? 0, term.op, term.value);
+        case 'pid':
+            return block.pid === term.value;
+        case 'swapped':
+            return swapped === term.value;
+        default:
+            return false;
+    }
+}
+
+// Block ids in every emotion index a query requires, or null when it names no emotion
+function indexedCandidates(manager, terms) {
+    const required = terms.filter(term => term.field === 'emotion' && !term.negate);
+    if (required.length === 0) return null;
+    const indexFor = emotion => Array.from(manager.emotionalIndexes.entries())
+        .filter(([key]) => key.toLowerCase() === emotion)
+        .flatMap(([, ids]) => Array.from(ids));
+    return required
+        .map(term => new Set(indexFor(term.value)))
+        .reduce((kept, ids) => new Set([...kept].filter(id => ids.has(id))));
+}
+
+function describeResult(block, { pools, swapped }) {
+    return {
+        id: block.id,
+        address: block.address ?? null,
+        size: block.size ?? 0,
+        pools,
+        emotions: [...(block.associatedEmotions || [])],
+        intensity: block.emotionalCharge ?? 0,
+        pid: block.pid ?? null,
+        swapped,
+        date: new Date(timeOf(block)).toISOString(),
+        description: (block.data?.description || block.content?.narrative || '').slice(0, 80)
+    };
+}
+
+/**
+ * Run a memory query against a MemoryManager's blocks, resident and swapped
+ * out. Emotion terms are looked up in the emotional indexes first; reading
+ * results does not count as accessing the memories or page them back in.
+ * Blocks at a `locked` address are left out before any term is matched.
+ * @param {MemoryManager} manager - Memory to search
+ * @param {string|Object} query - Query text, or a query parseMemoryQuery returned
+ * @param {Object} overrides - { sort, limit, page } taking precedence over the query's own,
+ *   and { locked } addresses the player may not see yet
+ * @returns {Object} { query, total, page, pages, limit, sort, results }
+ */
+export function queryMemories(manager, query, overrides = {}) {
+    const parsed = typeof query === 'string' ? parseMemoryQuery(query) : query;
+    const options = { ...parsed };
+    if (overrides.sort) options.sort = parseMemoryQuery(`sort:${overrides.sort}`).sort;
+    if (overrides.limit !== undefined) options.limit = parseMemoryQuery(`limit:${overrides.limit}`).limit;
+    if (overrides.page !== undefined) options.page = parseMemoryQuery(`page:${overrides.page}`).page;
+
+    const entries = [
+        ...Array.from(manager.memorySegments.values()).map(block => ({
+            block,
+            pools: Object.keys(manager.memoryPools).filter(type => manager.memoryPools[type].has(block.id)),
+            swapped: false
+        })),
+        ...Array.from(manager.swap.pages.values()).map(({ block, pools }) => ({ block, pools, swapped: true }))
+    ];
+
+    const locked = overrides.locked || [];
+    const candidates = indexedCandidates(manager, options.terms);
+    const found = entries
+        .filter(({ block }) => !locked.some(address => manager.isAtAddress(block, address)))
+        .filter(({ block }) => !candidates || candidates.has(block.id))
+        .filter(entry => options.terms.every(term => matches(entry.block, term, entry) !== term.negate));
+
+    const { key } = SORTS[options.sort.field];
+    const direction = options.sort.descending ? -1 : 1;
+    found.sort((a, b) => direction * (key(a.block) - key(b.block)) || a.block.id.localeCompare(b.block.id));
+
+    const start = (options.page - 1) * options.limit;
+    return {
+        query: typeof query === 'string' ? query : null,
+        total: found.length,
+        page: options.page,
+        pages: Math.max(1, Math.ceil(found.length / options.limit)),
+        limit: options.limit,
+        sort: `${options.sort.descending === SORTS[options.sort.field].descending ? '' : '-'}${options.sort.field}`,
+        results: found.slice(start, start + options.limit).map(({ block, ...where }) => describeResult(block, where))
+    };
+}
@@ -6,6 +6,8 @@ import { TriggerChecker } from './narrative/trigger-checker.js';
 import { NarrativeChoiceTracker } from './narrative/choice-tracker.js';
 import { NarrativeResponder } from './narrative/narrative-responder.js';
 import * as Utils from './narrative/narrative-utils.js';
+import ConditionEvaluator from './ConditionEvaluator.js';
+import SeededRandom from './rng.js';
 
 export class NarrativeEngine extends EventEmitter {
   constructor() {
@@ -15,8 +17,9 @@ export class NarrativeEngine extends EventEmitter {
     this.choiceTracker = new NarrativeChoiceTracker();
     this.responder = new NarrativeResponder();
 
-    this.storyProgress = new Map();
-    this.triggeredFragments = new Map();
+    this.storyProgress = new Map();      // progress key -> progress
+    this.triggeredFragments = new Map(); // progress key -> fragment ids
+    this.progressStories = new Map();    // progress key -> storyId
     this.fragmentCooldowns = new Map();
 
     this.config = {
@@ -42,9 +45,10 @@ export class NarrativeEngine extends EventEmitter {
     }
   }
 
-  async loadStoryFragments(storyId) {
-    if (!this.storyProgress.has(storyId)) {
-      this.storyProgress.set(storyId, {
+  async loadStoryFragments(storyId, key = storyId) {
+    this.progressStories.set(key, storyId);
+    if (!this.storyProgress.has(key)) {
+      this.storyProgress.set(key, {
         progress: 0,
         act: 1,
         choicesMade: [],
@@ -52,17 +56,18 @@ export class NarrativeEngine extends EventEmitter {
         startTime: Date.now()
       });
     }
-    if (!this.triggeredFragments.has(storyId)) {
-      this.triggeredFragments.set(storyId, new Set());
+    if (!this.triggeredFragments.has(key)) {
+      this.triggeredFragments.set(key, new Set());
     }
     const info = await this.fragmentLoader.loadStoryFragments(storyId);
-    await this.choiceTracker.loadChoiceTree(storyId);
+    await this.choiceTracker.loadChoiceTree(storyId, key);
     this.emit('storyLoaded', info);
   }
 
   async checkTriggers(consciousnessState, userAction, actionResult, storyContext) {
     const now = Date.now();
     const storyId = storyContext.storyId;
+    const key = Utils.progressKeyOf(storyContext);
     const fragmentTypes = ['process-triggers', 'debug-logs'];
     const potential = [];
     for (const type of fragmentTypes) {
@@ -72,18 +77,18 @@ export class NarrativeEngine extends EventEmitter {
     const triggered = [];
     for (const fragment of potential) {
       if (this.isOnCooldown(fragment.id, now)) continue;
-      if (!this.canTriggerFragment(fragment, storyId)) continue;
+      if (!this.canTriggerFragment(fragment, key)) continue;
       const context = {
         consciousness: consciousnessState,
         action: userAction,
         result: actionResult,
         story: storyContext,
-        progress: this.storyProgress.get(storyId)
+        progress: this.storyProgress.get(key)
       };
       if (this.triggerChecker.evaluate(fragment, context)) {
         const recent = Utils.getRecentSimilarFragments(
           fragment,
-          this.triggeredFragments.get(storyId),
+          this.triggeredFragments.get(key),
           this.fragmentLoader.fragmentIndex
         );
         const priority = Utils.calculatePriority(
@@ -96,10 +101,12 @@ export class NarrativeEngine extends EventEmitter {
       }
     }
 
+    // Choice timeouts follow the instance's in-game clock
     const choicePoints = await this.choiceTracker.evaluateChoicePoints(
       consciousnessState,
       storyContext,
-      this.storyProgress.get(storyId)
+      this.storyProgress.get(key),
+      consciousnessState.clock?.time
     );
     for (const choice of choicePoints) {
       triggered.push({
@@ -112,7 +119,7 @@ export class NarrativeEngine extends EventEmitter {
     triggered.sort((a, b) => b.priority - a.priority);
     const selected = triggered.slice(0, this.config.maxFragmentsPerTrigger);
     for (const item of selected) {
-      this.recordFragmentTrigger(item.fragment, storyId, now);
+      this.recordFragmentTrigger(item.fragment, key, now);
     }
     return selected;
   }
@@ -120,22 +127,23 @@ export class NarrativeEngine extends EventEmitter {
   async checkSystemTriggers(consciousnessState, systemUpdates, storyContext) {
     const now = Date.now();
     const storyId = storyContext.storyId;
+    const key = Utils.progressKeyOf(storyContext);
     const fragments = this.fragmentLoader.getFragments(`${storyId}:process-triggers`);
     const triggered = [];
     for (const fragment of fragments) {
       if (this.isOnCooldown(fragment.id, now)) continue;
-      if (!this.canTriggerFragment(fragment, storyId)) continue;
+      if (!this.canTriggerFragment(fragment, key)) continue;
       const context = {
         consciousness: consciousnessState,
         updates: systemUpdates,
         story: storyContext,
-        progress: this.storyProgress.get(storyId),
-        elapsed: now - this.storyProgress.get(storyId).startTime
+        progress: this.storyProgress.get(key),
+        elapsed: now - this.storyProgress.get(key).startTime
       };
       if (this.triggerChecker.evaluateSystemTrigger(fragment, context)) {
         const recent = Utils.getRecentSimilarFragments(
           fragment,
-          this.triggeredFragments.get(storyId),
+          this.triggeredFragments.get(key),
           this.fragmentLoader.fragmentIndex
         );
         const priority = Utils.calculatePriority(
@@ -150,8 +158,10 @@ export class NarrativeEngine extends EventEmitter {
     return triggered;
   }
 
-  async generateMemoryDump(address, consciousnessState, storyContext) {
+  // `rng` is the instance's generator, so the fragment picked replays with its seed
+  async generateMemoryDump(address, consciousnessState, storyContext, rng = new SeededRandom()) {
     const storyId = storyContext.storyId;
+    const key = Utils.progressKeyOf(storyContext);
     const fragments = this.fragmentLoader.getFragments(`${storyId}:memory-dumps`);
     const candidates = fragments.filter(f =>
       f.memoryAddress === address ||
@@ -164,28 +174,30 @@ export class NarrativeEngine extends EventEmitter {
       candidates,
       consciousnessState,
       storyContext,
-      this.storyProgress.get(storyId)
+      this.storyProgress.get(key),
+      rng
     );
     return Utils.enrichFragment(selected, consciousnessState, {
       ...storyContext,
-      progress: this.storyProgress.get(storyId)
-    });
+      progress: this.storyProgress.get(key)
+    }, new ConditionEvaluator({ rng }));
   }
 
   async getResolutionFragments(consciousnessState, storyContext) {
     const storyId = storyContext.storyId;
+    const key = Utils.progressKeyOf(storyContext);
     const resolutions = this.fragmentLoader.getFragments(`${storyId}:resolutions`);
     const applicable = [];
     for (const res of resolutions) {
       const context = {
         consciousness: consciousnessState,
         story: storyContext,
-        progress: this.storyProgress.get(storyId)
+        progress: this.storyProgress.get(key)
       };
       if (this.triggerChecker.evaluate(res, context)) {
         const recent = Utils.getRecentSimilarFragments(
           res,
-          this.triggeredFragments.get(storyId),
+          this.triggeredFragments.get(key),
           this.fragmentLoader.fragmentIndex
         );
         const priority = Utils.calculatePriority(
@@ -200,29 +212,34 @@ export class NarrativeEngine extends EventEmitter {
     return applicable.sort((a, b) => b.priority - a.priority);
   }
 
-  updateProgress(storyId, delta) {
-    const progress = this.storyProgress.get(storyId);
+  /** Story a progress key plays */
+  storyOf(key) {
+    return this.progressStories.get(key) ?? key;
+  }
+
+  updateProgress(key, delta) {
+    const progress = this.storyProgress.get(key);
     if (!progress) return;
     progress.progress = Math.min(1, progress.progress + delta);
     const acts = 4; // default
     progress.act = Math.ceil(progress.progress * acts);
-    this.emit('progressUpdate', { storyId, progress: progress.progress, act: progress.act });
+    this.emit('progressUpdate', { storyId: this.storyOf(key), key, progress: progress.progress, act: progress.act });
   }
 
-  recordChoice(storyId, choiceId, selectedOption) {
-    const progress = this.storyProgress.get(storyId);
+  recordChoice(key, choiceId, selectedOption) {
+    const progress = this.storyProgress.get(key);
     if (!progress) return;
     progress.choicesMade.push({ choiceId, selectedOption, timestamp: Date.now() });
-    this.choiceTracker.recordChoice(storyId, choiceId, selectedOption);
-    this.emit('choiceMade', { storyId, choiceId, selectedOption });
+    this.choiceTracker.recordChoice(key, choiceId, selectedOption);
+    this.emit('choiceMade', { storyId: this.storyOf(key), key, choiceId, selectedOption });
   }
 
-  getProgress(storyId) {
-    const progress = this.storyProgress.get(storyId);
+  getProgress(key) {
+    const progress = this.storyProgress.get(key);
     if (!progress) return null;
     return {
       ...progress,
-      triggeredCount: this.triggeredFragments.get(storyId)?.size || 0,
+      triggeredCount: this.triggeredFragments.get(key)?.size || 0,
       timeElapsed: Date.now() - progress.startTime
     };
   }
@@ -232,48 +249,57 @@ export class NarrativeEngine extends EventEmitter {
     return end && now < end;
   }
 
-  canTriggerFragment(fragment, storyId) {
+  canTriggerFragment(fragment, key) {
     if (fragment.triggers?.maxTriggers === -1) return true;
-    const triggered = this.triggeredFragments.get(storyId);
+    const triggered = this.triggeredFragments.get(key);
     if (!triggered) return true;
     const count = Array.from(triggered).filter(id => id === fragment.id).length;
     return count < (fragment.triggers?.maxTriggers || 1);
   }
 
-  recordFragmentTrigger(fragment, storyId, now) {
-    const triggered = this.triggeredFragments.get(storyId);
+  recordFragmentTrigger(fragment, key, now) {
+    const triggered = this.triggeredFragments.get(key);
     triggered.add(fragment.id);
     const cooldown = fragment.triggers?.cooldown || this.config.defaultCooldown;
     this.fragmentCooldowns.set(fragment.id, now + cooldown);
-    this.storyProgress.get(storyId).fragmentsTriggered.add(fragment.id);
+    this.storyProgress.get(key).fragmentsTriggered.add(fragment.id);
   }
 
-  resetStoryProgress(storyId) {
-    this.storyProgress.delete(storyId);
-    this.triggeredFragments.delete(storyId);
+  resetStoryProgress(key) {
+    const storyId = this.storyOf(key);
+    this.storyProgress.delete(key);
+    this.triggeredFragments.delete(key);
     const ids = [];
-    for (const [key, fragments] of this.fragmentLoader.fragments) {
-      if (key.startsWith(storyId)) ids.push(...fragments.map(f => f.id));
+    for (const [fragmentKey, fragments] of this.fragmentLoader.fragments) {
+      if (fragmentKey.startsWith(storyId)) ids.push(...fragments.map(f => f.id));
     }
     ids.forEach(id => this.fragmentCooldowns.delete(id));
-    this.emit('storyReset', { storyId });
+    this.emit('storyReset', { storyId, key });
+  }
+
+  /** Drop a progress key's state once the instance it belongs to is gone */
+  forgetProgress(key) {
+    this.storyProgress.delete(key);
+    this.triggeredFragments.delete(key);
+    this.progressStories.delete(key);
+    this.choiceTracker.forget(key);
   }
 
-  exportProgress(storyId) {
+  exportProgress(key) {
     return {
-      progress: this.storyProgress.get(storyId),
-      triggeredFragments: Array.from(this.triggeredFragments.get(storyId) || []),
-      choiceState: this.choiceTracker.exportState(storyId)
+      progress: this.storyProgress.get(key),
+      triggeredFragments: Array.from(this.triggeredFragments.get(key) || []),
+      choiceState: this.choiceTracker.exportState(key)
     };
   }
 
-  importProgress(storyId, saved) {
-    if (saved.progress) this.storyProgress.set(storyId, saved.progress);
+  importProgress(key, saved) {
+    if (saved.progress) this.storyProgress.set(key, saved.progress);
     if (saved.triggeredFragments) {
-      this.triggeredFragments.set(storyId, new Set(saved.triggeredFragments));
+      this.triggeredFragments.set(key, new Set(saved.triggeredFragments));
     }
     if (saved.choiceState) {
-      this.choiceTracker.importState(storyId, saved.choiceState);
+      this.choiceTracker.importState(key, saved.choiceState);
     }
   }
 
@@ -285,13 +311,14 @@ export class NarrativeEngine extends EventEmitter {
     return this.fragmentLoader.getAvailableStories();
   }
 
-  getStatistics(storyId) {
-    const progress = this.storyProgress.get(storyId);
+  getStatistics(key) {
+    const progress = this.storyProgress.get(key);
     if (!progress) return null;
-    const triggered = this.triggeredFragments.get(storyId) || new Set();
+    const storyId = this.storyOf(key);
+    const triggered = this.triggeredFragments.get(key) || new Set();
     let totalFragments = 0;
-    for (const [key, fragments] of this.fragmentLoader.fragments) {
-      if (key.startsWith(storyId)) totalFragments += fragments.length;
+    for (const [fragmentKey, fragments] of this.fragmentLoader.fragments) {
+      if (fragmentKey.startsWith(storyId)) totalFragments += fragments.length;
     }
     return {
       progress: Math.round(progress.progress * 100),
@@ -2,16 +2,37 @@
 // lib/narrative-integration.js
 
 import { EventEmitter } from 'events';
+import ConditionEvaluator from './ConditionEvaluator.js';
+import { NarrativeTriggerLibrary, buildTriggerContext } from './narrative/narrative-triggers.js';
+
+// Command and narrative events kept per instance for temporal conditions
+const EVENT_LOG_LIMIT = 200;
 
 export default class NarrativeIntegration extends EventEmitter {
   constructor(options = {}) {
     super();
     this.storyProgress = new Map(); // userId -> progress data
     this.activeNarratives = new Map(); // characterId -> current narrative state
-    this.narrativeTriggers = new Map();
     this.visualCueQueue = new Map(); // characterId -> pending visual cues
-    
-    this.setupCoreTriggers();
+    this.triggerStates = new Map(); // characterId -> trigger evaluation state
+
+    // Trigger definitions live in data/stories/<story>/narrative-fragments/narrative-triggers
+    this.triggers = options.triggers || new NarrativeTriggerLibrary({
+      storiesDir: options.storiesDir,
+      watch: options.watch
+    });
+    this.triggers.on('error', (error) => this.emit('error', error));
+  }
+
+  /**
+   * Load trigger definitions, watching them for edits when enabled
+   */
+  async initialize() {
+    await this.triggers.initialize();
+  }
+
+  stop() {
+    this.triggers.stop();
   }
 
   /**
@@ -21,10 +42,13 @@ export default class NarrativeIntegration extends EventEmitter {
     this.consciousnessEngine = consciousnessEngine;
     this.scenarioEngine = scenarioEngine;
     
-    // Listen to EXISTING consciousness events (fixed event names)
-    consciousnessEngine.on('consciousness-updated', (data) => this.checkNarrativeTriggers(data));
+    consciousnessEngine.on('stateUpdate', ({ characterId }) => this.checkNarrativeTriggers(characterId));
     consciousnessEngine.on('debug-command-executed', (data) => this.processUserAction(data));
-    consciousnessEngine.on('real-time-update', (data) => this.handleRealTimeUpdate(data));
+    consciousnessEngine.on('characterUnloaded', ({ characterId }) => this.forget(characterId));
+    consciousnessEngine.timeTravel?.track('narrativeIntegration', {
+      capture: (characterId) => this.captureTimelineState(characterId),
+      restore: (characterId, saved) => this.restoreTimelineState(characterId, saved)
+    });
     
     // Listen to scenario events if scenarioEngine exists
     if (scenarioEngine) {
@@ -36,161 +60,97 @@ export default class NarrativeIntegration extends EventEmitter {
   }
 
   /**
-   * Setup core narrative triggers that respond to debugging actions
+   * Check narrative triggers against an instance's current state. A trigger
+   * fires when its condition starts to hold, unless it is once-only and
+   * already seen or still cooling down.
+   * @param {string} characterId - Instance id
+   * @param {Object} event - Debug command being handled, if any ({ command })
+   * @returns {Promise<Array<string>>} Ids of the triggers fired
    */
-  setupCoreTriggers() {
-    // Memory leak discovery triggers grief revelation
-    this.narrativeTriggers.set('grief_memory_leak', {
-      condition: (data) => {
-        try {
-          const processes = data.state?.processes || data.processes;
-          if (!Array.isArray(processes)) return false;
-          
-          const griefProcess = processes.find(p => 
-            p.name && p.name.toLowerCase().includes('grief')
-          );
-          return griefProcess && griefProcess.memoryUsage > 800;
-        } catch (error) {
-          console.error('Error checking grief memory leak condition:', error);
-          return false;
-        }
-      },
-      narrative: {
-        type: 'character_moment',
-        duration: 8000,
-        content: {
-          title: 'Memory Leak Detected',
-          text: 'The numbers don\'t lie. 847MB and growing.\n\nEach byte a moment with Leo I can\'t let go.\n\nThe park, the ducks, his laugh before the flash—\n\nNo. Focus. This is just data. Just... data.',
-          character: 'alexander',
-          emotionalWeight: 0.8
-        },
-        visualCue: {
-          type: 'memory_fragment',
-          location: 'monitor',
-          style: 'pulsing_red'
-        }
-      }
-    });
+  async checkNarrativeTriggers(characterId, event = {}) {
+    const instance = this.consciousnessEngine?.instances.peek(characterId);
+    if (!instance) {
+      return [];
+    }
 
-    // First process scan triggers system awareness
-    this.narrativeTriggers.set('first_consciousness_scan', {
-      condition: (data) => {
-        try {
-          return data.command === 'ps' && !this.hasSeenNarrative(data.characterId, 'first_consciousness_scan');
-        } catch (error) {
-          return false;
-        }
-      },
-      narrative: {
-        type: 'system_message',
-        duration: 6000,
-        content: {
-          title: 'Consciousness Scan Complete',
-          text: 'SYSTEM: First consciousness scan detected.\nWARNING: Multiple critical processes identified.\nDr. Kane, your mental state requires immediate attention.\n\nA memory surfaces: Dr. Cross\'s voice, \'Alexander, you can\'t debug your way out of grief.\'',
-          style: 'terminal_overlay'
-        },
-        visualCue: {
-          type: 'terminal_highlight',
-          location: 'terminal',
-          style: 'warning_glow'
-        }
-      }
-    });
+    const fired = [];
+    try {
+      const state = this.triggerStateFor(characterId, instance);
+      const context = buildTriggerContext(instance, this.getStoryProgress(characterId), event);
+      const now = state.evaluator.clock.now();
+      // Temporal conditions read the event log, which the context does not capture
+      state.evaluator.cachedEvaluations.clear();
 
-    // Emily relationship thread starvation
-    this.narrativeTriggers.set('emily_thread_starvation', {
-      condition: (data) => {
-        try {
-          const processes = data.state?.processes || data.processes;
-          if (!Array.isArray(processes)) return false;
-          
-          const relationshipProcess = processes.find(p => 
-            p.name && p.name.toLowerCase().includes('relationship')
-          );
-          return relationshipProcess && relationshipProcess.threads && relationshipProcess.threads.available < 2;
-        } catch (error) {
-          console.error('Error checking Emily thread starvation condition:', error);
-          return false;
-        }
-      },
-      narrative: {
-        type: 'memory_injection',
-        duration: 10000,
-        content: {
-          title: 'Relationship Memory Fragment',
-          text: 'MEMORY FRAGMENT DETECTED:\n\nEmily (last week): "You haven\'t looked at me in months, Alex."\nEmily (yesterday): "I lost him too."\nEmily (today): [NO_RECENT_MEMORY_FOUND]',
-          memoryAddress: '0x7FFF8A2B4C90'
-        },
-        effect: {
-          process: 'guilt_spike',
-          magnitude: 0.3
-        },
-        visualCue: {
-          type: 'memory_overlay',
-          location: 'debugger',
-          style: 'fragmented_text'
-        }
-      }
-    });
+      for (const trigger of this.triggers.values()) {
+        this.observeSequenceSteps(state.evaluator, trigger.condition, context);
+        const holds = state.evaluator.evaluateCondition(trigger.condition, context);
+        const held = state.holding.has(trigger.id);
+        if (holds) state.holding.add(trigger.id);
+        else state.holding.delete(trigger.id);
 
-    // Infinite search loop recognition
-    this.narrativeTriggers.set('infinite_search_detected', {
-      condition: (data) => {
-        try {
-          const processes = data.state?.processes || data.processes;
-          if (!Array.isArray(processes)) return false;
-          
-          const searchProcess = processes.find(p => 
-            p.name && p.name.toLowerCase().includes('search')
-          );
-          return searchProcess && searchProcess.status === 'infinite_loop';
-        } catch (error) {
-          console.error('Error checking infinite search condition:', error);
-          return false;
-        }
-      },
-      narrative: {
-        type: 'technical_revelation',
-        duration: 12000,
-        content: {
-          title: 'Search Loop Analysis',
-          text: 'TEMPORAL ANALYSIS LOG - Personal Note:\n\nThe equations were perfect. Every calculation checked twice.\nVariable unaccounted for: Leo\'s curiosity.\nHe just wanted to see the "rainbow machine" work.\n\nSeven timelines detected. In one, I stopped him at the door.\nIn another, the experiment was scheduled for Thursday.\n\nBut in this timeline... in this timeline, he\'s gone.',
-          style: 'code_comment'
-        },
-        visualCue: {
-          type: 'timeline_visualization',
-          location: 'monitor',
-          style: 'branching_paths'
-        }
+        if (!holds || held) continue;
+        if (trigger.once && this.hasSeenNarrative(characterId, trigger.id)) continue;
+        if (now - (state.lastFired.get(trigger.id) ?? -Infinity) < trigger.cooldown) continue;
+
+        state.lastFired.set(trigger.id, now);
+        fired.push(trigger.id);
+        await this.triggerNarrative(characterId, trigger.id, trigger.narrative, { once: trigger.once });
       }
-    });
+    } catch (error) {
+      console.error('Error checking narrative triggers:', error);
+    }
+    return fired;
   }
 
   /**
-   * Check for narrative triggers based on consciousness state updates
+   * Per-instance trigger bookkeeping. The evaluator's systemLog is the
+   * instance's command and narrative log, which temporal conditions count;
+   * log entries and cooldowns use the instance's in-game clock, and random()
+   * in conditions its seeded generator.
    */
-  async checkNarrativeTriggers(data) {
-    if (!data || !data.characterId) {
-      return;
-    }
-    
-    try {
-      for (const [triggerId, trigger] of this.narrativeTriggers) {
-        if (trigger.condition(data)) {
-          await this.triggerNarrative(data.characterId, triggerId, trigger.narrative);
-        }
-      }
-    } catch (error) {
-      console.error('Error checking narrative triggers:', error);
+  triggerStateFor(characterId, instance) {
+    if (!this.triggerStates.has(characterId)) {
+      const log = [];
+      this.triggerStates.set(characterId, {
+        log,
+        evaluator: new ConditionEvaluator({
+          processManager: instance.processManager,
+          memoryManager: instance.memoryManager,
+          emotionalProcessor: instance.emotionalProcessor,
+          systemLog: log,
+          clock: instance.clock,
+          rng: instance.rng
+        }),
+        holding: new Set(), // trigger ids whose condition held at the last check
+        lastFired: new Map() // trigger id -> timestamp
+      });
     }
+    return this.triggerStates.get(characterId);
   }
 
   /**
-   * Handle real-time updates
+   * Sequence conditions match earlier evaluations in the evaluator's
+   * history, so evaluate their steps on every check
    */
-  async handleRealTimeUpdate(data) {
-    // Process real-time updates for narrative purposes
-    await this.checkNarrativeTriggers(data);
+  observeSequenceSteps(evaluator, condition, context) {
+    if (condition.type === 'sequence') {
+      condition.sequence.forEach(step => {
+        this.observeSequenceSteps(evaluator, step, context);
+        evaluator.evaluateCondition(step, context);
+      });
+    } else if (condition.type === 'compound') {
+      condition.conditions.forEach(child => this.observeSequenceSteps(evaluator, child, context));
+    }
+  }
+
+  logTriggerEvent(characterId, category, message) {
+    const state = this.triggerStates.get(characterId);
+    if (!state) return;
+    const { log, evaluator } = state;
+    log.push({ timestamp: evaluator.clock.now(), level: 'info', category, message });
+    if (log.length > EVENT_LOG_LIMIT) {
+      log.splice(0, log.length - EVENT_LOG_LIMIT);
+    }
   }
 
   /**
@@ -206,17 +166,18 @@ export default class NarrativeIntegration extends EventEmitter {
       
       // Track debugging competency for story branching
       const progress = this.getStoryProgress(characterId);
-      
-      // Check for specific commands that trigger narratives
-      if (command === 'ps' && result && result.success) {
-        await this.triggerNarrative(characterId, 'first_consciousness_scan', 
-          this.narrativeTriggers.get('first_consciousness_scan').narrative);
-      }
-      
-      if (result && result.success) {
-        progress.debuggingSuccesses++;
-      } else {
+      const failed = !result || result.error || result.success === false;
+      if (failed) {
         progress.debuggingFailures++;
+      } else {
+        progress.debuggingSuccesses++;
+      }
+
+      const instance = this.consciousnessEngine?.instances.peek(characterId);
+      if (instance && !failed) {
+        this.triggerStateFor(characterId, instance);
+        this.logTriggerEvent(characterId, 'command', command);
+        await this.checkNarrativeTriggers(characterId, { command });
       }
     } catch (error) {
       console.error('Error processing user action:', error);
@@ -226,19 +187,20 @@ export default class NarrativeIntegration extends EventEmitter {
   /**
    * Trigger a narrative moment with visual cues
    */
-  async triggerNarrative(characterId, triggerId, narrative) {
+  async triggerNarrative(characterId, triggerId, narrative, { once = true } = {}) {
     if (!characterId || !triggerId || !narrative) {
       return;
     }
     
     try {
       // Prevent duplicate triggers
-      if (this.hasSeenNarrative(characterId, triggerId)) {
+      if (once && this.hasSeenNarrative(characterId, triggerId)) {
         return;
       }
       
       // Mark as seen
       this.markNarrativeSeen(characterId, triggerId);
+      this.logTriggerEvent(characterId, 'narrative', triggerId);
       
       // Queue visual cue if specified
       if (narrative.visualCue) {
@@ -249,6 +211,11 @@ export default class NarrativeIntegration extends EventEmitter {
       if (narrative.effect) {
         await this.applyNarrativeEffect(characterId, narrative.effect);
       }
+
+      // Bring suppressed memories back from swap with the moment
+      if (narrative.resurface) {
+        narrative = { ...narrative, resurfaced: this.resurfaceMemories(characterId, narrative.resurface) };
+      }
       
       // Emit narrative event for UI
       this.emit('narrativeTriggered', {
@@ -296,6 +263,20 @@ export default class NarrativeIntegration extends EventEmitter {
     // For now, just log the effect
   }
 
+  /**
+   * Page swapped-out memories back in for a narrative's `resurface`
+   * @returns {Array<Object>} { id, description, emotions } of each memory brought back
+   */
+  resurfaceMemories(characterId, resurface) {
+    const swap = this.consciousnessEngine?.instances.peek(characterId)?.memoryState?.manager?.swap;
+    if (!swap) return [];
+    return swap.resurface(resurface).map(block => ({
+      id: block.id,
+      description: block.data?.description,
+      emotions: block.associatedEmotions
+    }));
+  }
+
   /**
    * Get visual cues for a character
    */
@@ -355,6 +336,53 @@ export default class NarrativeIntegration extends EventEmitter {
     progress.narrativesSeen.add(triggerId);
   }
 
+  /**
+   * Drop everything tracked for an unloaded instance
+   */
+  forget(characterId) {
+    this.storyProgress.delete(characterId);
+    this.activeNarratives.delete(characterId);
+    this.visualCueQueue.delete(characterId);
+    this.triggerStates.delete(characterId);
+  }
+
+  /**
+   * Story progress and trigger bookkeeping for a time-travel frame
+   */
+  captureTimelineState(characterId) {
+    const state = this.triggerStates.get(characterId);
+    return {
+      progress: this.storyProgress.get(characterId) ?? null,
+      holding: state ? Array.from(state.holding) : [],
+      lastFired: state ? Array.from(state.lastFired) : []
+    };
+  }
+
+  /**
+   * Put back what a frame recorded, so once-only triggers and cooldowns
+   * behave as they did at that tick. Log entries and evaluations from after
+   * the restored in-game time are dropped with the future they belong to.
+   */
+  restoreTimelineState(characterId, saved) {
+    if (!saved) return; // recorded before integration was attached
+    if (saved.progress) {
+      this.storyProgress.set(characterId, saved.progress);
+    } else {
+      this.storyProgress.delete(characterId);
+    }
+
+    const state = this.triggerStates.get(characterId);
+    if (!state) return;
+    state.holding = new Set(saved.holding);
+    state.lastFired = new Map(saved.lastFired);
+
+    const now = state.evaluator.clock.now();
+    // The evaluator reads the log array it was given, so trim it in place
+    const kept = state.log.filter(entry => entry.timestamp <= now);
+    state.log.splice(0, state.log.length, ...kept);
+    state.evaluator.history = state.evaluator.history.filter(entry => entry.timestamp <= now);
+  }
+
   /**
    * Handle scenario progression for story advancement
    */
@@ -447,7 +475,7 @@ export default class NarrativeIntegration extends EventEmitter {
   getDebugStatus() {
     return {
       activeNarratives: Array.from(this.activeNarratives.entries()),
-      triggerCount: this.narrativeTriggers.size,
+      triggerCount: this.triggers.size,
       storyProgressTracking: Array.from(this.storyProgress.entries()),
       queuedVisualCues: Array.from(this.visualCueQueue.entries())
     };
@@ -5,27 +5,32 @@ export class NarrativeChoiceTracker {
     this.tracker = new BaseChoiceTracker();
   }
 
-  async loadChoiceTree(storyId) {
-    return this.tracker.loadChoiceTree(storyId);
+  async loadChoiceTree(storyId, key) {
+    return this.tracker.loadChoiceTree(storyId, key);
   }
 
-  evaluateChoicePoints(consciousness, storyContext, progress) {
+  evaluateChoicePoints(consciousness, storyContext, progress, now) {
     return this.tracker.evaluateChoicePoints(
       consciousness,
       storyContext,
-      progress
+      progress,
+      now
     );
   }
 
-  recordChoice(storyId, choiceId, option) {
-    this.tracker.recordChoice(storyId, choiceId, option);
+  recordChoice(key, choiceId, option) {
+    this.tracker.recordChoice(key, choiceId, option);
   }
 
-  exportState(storyId) {
-    return this.tracker.exportState(storyId);
+  exportState(key) {
+    return this.tracker.exportState(key);
   }
 
-  importState(storyId, state) {
-    this.tracker.importState(storyId, state);
+  importState(key, state) {
+    this.tracker.importState(key, state);
+  }
+
+  forget(key) {
+    this.tracker.forgetStoryChoices(key);
   }
 }
@@ -0,0 +1,272 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import ConditionEvaluator from '../ConditionEvaluator.js';
+import { progressKeyOf } from './narrative-utils.js';
+import { characterIdOf, sessionKeyOf } from '../engine/instance-registry.js';
+import { userIdOfSessionKey } from '../auth/session-key.js';
+import { getConsciousnessMetrics, processBaseName, processRootName } from '../scenario/scenario-context.js';
+import { clockOf } from '../instance/simulated-clock.js';
+
+/**
+ * Variables ending conditions are checked against: consciousness metrics
+ * (stability, corruption and story metrics such as timeline_acceptance) plus
+ * each live process by base name, so `obsession_loop.active` or
+ * `emily_connection.cpu` resolve. Story metrics may also be stored under a
+ * dotted name like `emily_connection.strength`.
+ */
+export function buildEndingContext(instance) {
+  const processes = {};
+  for (const process of instance.processManager?.processes.values() || []) {
+    if (process.status === 'terminated') continue;
+    const fields = {
+      active: true,
+      status: process.status,
+      cpu: process.cpuUsage,
+      memory: process.memoryUsage,
+      threads: process.threadCount
+    };
+    // Evolved processes answer to their current name and their lineage's
+    processes[processRootName(process)] = fields;
+    processes[processBaseName(process.name)] = fields;
+  }
+  return { ...processes, ...getConsciousnessMetrics(instance) };
+}
+
+/**
+ * EndingResolver
+ * Evaluates the endings declared in story configs
+ * (`narrative.structure.endings`) for every loaded instance, reports how far
+ * each visible ending is, and locks in the first ending that is met: its
+ * resolution fragments play and its achievement is recorded for signed-in
+ * players. Instances are re-evaluated on every state update, debug command
+ * and intervention.
+ */
+export class EndingResolver extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const dataDir = options.dataDir || path.join(process.cwd(), 'data');
+    this.storyDirs = options.storyDirs || [path.join(dataDir, 'stories'), path.join(dataDir, 'schema', 'stories')];
+    this.evaluator = options.evaluator || new ConditionEvaluator();
+    this.db = options.db || null;
+    this.engine = null; // attached ConsciousnessEngine
+    this.stories = new Map();   // storyId -> { storyId, characterId, endings }
+    this.reached = new Map();   // instance id -> locked ending result
+    this.lastReport = new Map(); // instance id -> last progress report
+  }
+
+  /** Load endings from every story config */
+  async initialize() {
+    this.stories.clear();
+    for (const dir of this.storyDirs) {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        continue;
+      }
+      for (const entry of entries) {
+        if (!entry.isDirectory() || this.stories.has(entry.name)) continue;
+        const file = path.join(dir, entry.name, 'story-config.json');
+        try {
+          this.addStory(JSON.parse(await fs.readFile(file, 'utf8')));
+        } catch (err) {
+          if (err.code !== 'ENOENT') this.emit('error', { type: 'load', file, error: err });
+        }
+      }
+    }
+    this.emit('initialized', { count: this.stories.size });
+  }
+
+  addStory(config) {
+    const endings = config.narrative?.structure?.endings;
+    if (!config.id || !Array.isArray(endings)) return;
+    this.stories.set(config.id, {
+      storyId: config.id,
+      characterId: config.protagonist?.characterId,
+      endings
+    });
+  }
+
+  /** Attach to a ConsciousnessEngine instance */
+  attach(consciousnessEngine) {
+    this.engine = consciousnessEngine;
+    const resolve = ({ characterId }) => {
+      this.resolve(characterId).catch(error => this.emit('error', { type: 'resolve', characterId, error }));
+    };
+    this.engine.on('stateUpdate', resolve);
+    this.engine.on('debug-command-executed', resolve);
+    this.engine.on('interventionApplied', resolve);
+    this.engine.on('characterUnloaded', ({ characterId }) => this.forget(characterId));
+  }
+
+  /** The story an instance plays: its story context, else the story its character stars in */
+  storyFor(instanceId) {
+    const storyId = this.engine?.storyContexts?.get(instanceId)?.storyId;
+    if (storyId && this.stories.has(storyId)) return this.stories.get(storyId);
+    const characterId = characterIdOf(instanceId);
+    for (const story of this.stories.values()) {
+      if (story.characterId === characterId) return story;
+    }
+    return null;
+  }
+
+  /**
+   * Distance to each ending of the instance's story
+   * @returns {Object|null} { storyId, reached, endings: [{ id, type, met, progress, distance, conditions }] }
+   */
+  evaluate(instanceId, instance) {
+    const story = this.storyFor(instanceId);
+    if (!story || !instance) return null;
+
+    const context = buildEndingContext(instance);
+    const endings = story.endings.map(ending => {
+      const measured = this.evaluator.measureCondition(ending.condition, context);
+      return {
+        id: ending.id,
+        type: ending.type,
+        met: measured.met,
+        distance: measured.distance,
+        progress: 1 - measured.distance,
+        conditions: measured.conditions
+      };
+    });
+
+    return {
+      storyId: story.storyId,
+      reached: this.reached.get(instanceId)?.ending.id ?? null,
+      endings
+    };
+  }
+
+  /** The part of a report the player may see: hidden endings stay out until reached */
+  visibleReport(report) {
+    return {
+      ...report,
+      endings: report.endings.filter(ending => ending.type !== 'hidden' || ending.id === report.reached)
+    };
+  }
+
+  /**
+   * Evaluate an instance, announce changed progress and lock in the first
+   * ending that is met
+   * @returns {Promise<Object|null>} The progress report
+   */
+  async resolve(instanceId) {
+    const instance = this.engine?.instances.peek(instanceId);
+    const report = this.evaluate(instanceId, instance);
+    if (!report) return null;
+
+    const visible = this.visibleReport(report);
+    const signature = JSON.stringify(visible);
+    if (this.lastReport.get(instanceId) !== signature) {
+      this.lastReport.set(instanceId, signature);
+      this.emit('endingProgress', { characterId: instanceId, ...visible });
+    }
+
+    if (!report.reached) {
+      const met = report.endings.find(ending => ending.met);
+      if (met) await this.lockEnding(instanceId, report.storyId, met.id);
+    }
+    return visible;
+  }
+
+  /**
+   * Lock an ending for an instance, play its resolution fragments and
+   * record its achievement
+   */
+  async lockEnding(instanceId, storyId, endingId) {
+    const ending = this.stories.get(storyId).endings.find(candidate => candidate.id === endingId);
+    const result = {
+      characterId: instanceId,
+      storyId,
+      ending: { id: ending.id, type: ending.type, achievement: ending.achievement ?? null },
+      fragments: [],
+      achievement: null,
+      reachedAt: clockOf(this.engine?.instances.peek(instanceId)).now()
+    };
+    // Lock before loading fragments so a concurrent tick cannot pick another ending
+    this.reached.set(instanceId, result);
+
+    result.fragments = await this.resolutionFragments(instanceId, storyId, ending);
+    if (ending.achievement) {
+      result.achievement = { name: ending.achievement, recorded: this.recordAchievement(instanceId, storyId, ending) };
+    }
+    this.emit('endingReached', result);
+    return result;
+  }
+
+  /**
+   * Resolution fragments for an ending: those it lists in
+   * `resolutionFragments`, plus resolution fragments triggered by an
+   * `achievement` condition naming the ending. They count as triggered in
+   * the instance's own story progress.
+   */
+  async resolutionFragments(instanceId, storyId, ending) {
+    const narrative = this.engine?.narrativeEngine;
+    if (!narrative) return [];
+    const storyContext = this.engine.storyContexts?.get(instanceId);
+    const key = storyContext?.storyId === storyId ? progressKeyOf(storyContext) : storyId;
+    if (!narrative.storyProgress.has(key)) {
+      await narrative.loadStoryFragments(storyId, key);
+    }
+
+    const listed = new Set(ending.resolutionFragments || []);
+    const fragments = narrative.fragmentLoader.getFragments(`${storyId}:resolutions`).filter(fragment =>
+      listed.has(fragment.id) ||
+      fragment.triggers?.conditions?.some(condition => condition.type === 'achievement' && condition.target === ending.id)
+    );
+    const now = clockOf(this.engine.instances.peek(instanceId)).now();
+    fragments.forEach(fragment => narrative.recordFragmentTrigger(fragment, key, now));
+    return fragments;
+  }
+
+  /**
+   * Record an ending's achievement against the account that owns the instance
+   * @returns {boolean} True when stored; guests and session-less instances are not
+   */
+  recordAchievement(instanceId, storyId, ending) {
+    const userId = userIdOfSessionKey(sessionKeyOf(instanceId));
+    if (userId === null || !this.db) return false;
+    try {
+      this.db.awardAchievement(userId, {
+        achievement: ending.achievement,
+        storyId,
+        endingId: ending.id,
+        characterId: characterIdOf(instanceId)
+      });
+      return true;
+    } catch (error) {
+      this.emit('error', { type: 'achievement', characterId: instanceId, error });
+      return false;
+    }
+  }
+
+  /** Locked ending for an instance, or null */
+  getReachedEnding(instanceId) {
+    return this.reached.get(instanceId) ?? null;
+  }
+
+  /** Locked ending to save with the player's progress, or null */
+  exportEnding(instanceId) {
+    const result = this.reached.get(instanceId);
+    return result ? structuredClone(result) : null;
+  }
+
+  /** Put back an ending saved with the player's progress; null clears it */
+  importEnding(instanceId, saved) {
+    this.lastReport.delete(instanceId);
+    if (saved) {
+      this.reached.set(instanceId, { ...structuredClone(saved), characterId: instanceId });
+    } else {
+      this.reached.delete(instanceId);
+    }
+  }
+
+  forget(instanceId) {
+    this.reached.delete(instanceId);
+    this.lastReport.delete(instanceId);
+  }
+}
+
+export default EndingResolver;
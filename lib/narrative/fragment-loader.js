@@ -2,13 +2,19 @@ import fs from 'fs/promises';
 import path from 'path';
 
 export class FragmentLoader {
-  constructor() {
+  constructor(options = {}) {
+    this.storiesDir = options.storiesDir || path.join(process.cwd(), 'data', 'stories');
     this.fragments = new Map(); // storyId:type -> fragments[]
     this.fragmentIndex = new Map(); // fragmentId -> fragment
   }
 
+  /** Directory holding a story's fragment type folders */
+  storyPath(storyId) {
+    return path.join(this.storiesDir, storyId, 'narrative-fragments');
+  }
+
   async loadStoryFragments(storyId) {
-    const storyPath = path.join(process.cwd(), 'data', 'stories', storyId, 'narrative-fragments');
+    const storyPath = this.storyPath(storyId);
     const fragmentTypes = ['process-triggers', 'memory-dumps', 'debug-logs', 'resolutions'];
 
     for (const type of fragmentTypes) {
@@ -51,12 +57,11 @@ export class FragmentLoader {
   }
 
   async getAvailableStories() {
-    const storiesPath = path.join(process.cwd(), 'data', 'stories');
     const stories = [];
     try {
-      const dirs = await fs.readdir(storiesPath);
+      const dirs = await fs.readdir(this.storiesDir);
       for (const dir of dirs) {
-        const config = path.join(storiesPath, dir, 'story-config.json');
+        const config = path.join(this.storiesDir, dir, 'story-config.json');
         try {
           await fs.access(config);
           stories.push(dir);
@@ -0,0 +1,191 @@
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import ContentValidator from '../validation/content-validator.js';
+import { FragmentLoader } from './fragment-loader.js';
+import { getConsciousnessMetrics, processBaseName, processRootName } from '../scenario/scenario-context.js';
+
+// Fragment type folder holding trigger definitions in each story
+export const TRIGGER_FRAGMENT_TYPE = 'narrative-triggers';
+
+/**
+ * Variables narrative trigger conditions are evaluated against. Keys are
+ * flat so ConditionEvaluator caches and histories see every value:
+ * consciousness metrics (`stability`), process fields by base name
+ * (`grief_processing.memory`, `emily_connection.status`), story progress
+ * (`story.progression`, `emotion.denial`), paging (`memory.swapped`,
+ * `memory.thrashing`, `swapped.grief` for swapped-out memories tied to an
+ * emotion) and the debug command being handled (`command`).
+ */
+export function buildTriggerContext(instance, progress, event = {}) {
+  const context = { ...getConsciousnessMetrics(instance) };
+  for (const process of instance.processManager?.processes.values() || []) {
+    if (process.status === 'terminated') continue;
+    // Evolved processes answer to their current name and their lineage's
+    for (const name of new Set([processRootName(process), processBaseName(process.name)])) {
+      context[`${name}.active`] = true;
+      context[`${name}.status`] = process.status;
+      context[`${name}.cpu`] = process.cpuUsage;
+      context[`${name}.memory`] = process.memoryUsage;
+      context[`${name}.threads`] = process.threadCount;
+    }
+  }
+
+  const swap = instance.memoryState?.manager?.swap;
+  if (swap) {
+    const status = swap.getStatus();
+    context['memory.swap_used'] = status.used;
+    context['memory.swapped'] = status.swapped;
+    context['memory.page_faults'] = status.pageFaults;
+    context['memory.thrashing'] = status.thrashing;
+    for (const [emotion, count] of Object.entries(swap.swappedByEmotion())) {
+      context[`swapped.${emotion}`] = count;
+    }
+  }
+
+  if (progress) {
+    context['story.progression'] = progress.storyProgression;
+    context['story.successes'] = progress.debuggingSuccesses;
+    context['story.failures'] = progress.debuggingFailures;
+    for (const [stage, value] of Object.entries(progress.emotionalJourney)) {
+      context[`emotion.${stage}`] = value;
+    }
+  }
+
+  if (event.command) context.command = event.command;
+  return context;
+}
+
+/**
+ * NarrativeTriggerLibrary
+ * Loads narrative trigger definitions from each story's
+ * `narrative-fragments/narrative-triggers` folder, validated against
+ * narrative-trigger-schema.json, and reloads edited files when watching.
+ */
+export class NarrativeTriggerLibrary extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.fragmentLoader = options.fragmentLoader || new FragmentLoader({ storiesDir: options.storiesDir });
+    this.validator = options.validator || new ContentValidator();
+    this.watchFiles = options.watch ?? false;
+    this.triggers = new Map(); // trigger id -> definition
+    this.storyIds = new Set(); // stories with a trigger folder
+    this.watchers = new Map(); // story id -> fs watcher
+  }
+
+  /** Load every story's triggers and optionally start watching them */
+  async initialize() {
+    await this.loadAll();
+    if (this.watchFiles) {
+      this.startWatcher();
+    }
+    this.emit('initialized', { count: this.triggers.size });
+  }
+
+  triggerDir(storyId) {
+    return path.join(this.fragmentLoader.storyPath(storyId), TRIGGER_FRAGMENT_TYPE);
+  }
+
+  /** Load all trigger files; invalid files are reported and skipped */
+  async loadAll() {
+    this.triggers.clear();
+    this.storyIds.clear();
+    let stories;
+    try {
+      stories = await fs.readdir(this.fragmentLoader.storiesDir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const story of stories.filter(entry => entry.isDirectory())) {
+      let files;
+      try {
+        files = await fs.readdir(this.triggerDir(story.name));
+      } catch {
+        continue;
+      }
+      this.storyIds.add(story.name);
+
+      for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+        try {
+          this.add(await this.loadFile(story.name, file));
+        } catch (err) {
+          this.emit('error', { type: 'load', storyId: story.name, file, error: err });
+        }
+      }
+    }
+  }
+
+  /** Load a single trigger file and validate it against narrative-trigger-schema.json */
+  async loadFile(storyId, file) {
+    const trigger = JSON.parse(await fs.readFile(path.join(this.triggerDir(storyId), file), 'utf8'));
+
+    await this.validator.load();
+    const { valid, errors } = this.validator.validate('narrativeTrigger', trigger);
+    if (!valid) {
+      throw new Error(`Invalid narrative trigger ${file}: ${errors.join('; ')}`);
+    }
+    return { once: true, cooldown: 0, ...trigger, storyId, source: file };
+  }
+
+  /** Register a definition, replacing whatever its file defined before */
+  add(trigger) {
+    const sameFile = candidate => candidate.storyId === trigger.storyId && candidate.source === trigger.source;
+    const existing = this.triggers.get(trigger.id);
+    if (existing && !sameFile(existing)) {
+      throw new Error(`Duplicate narrative trigger '${trigger.id}' in ${trigger.source}, already defined in ${existing.source}`);
+    }
+    for (const [id, candidate] of this.triggers) {
+      if (sameFile(candidate)) this.triggers.delete(id);
+    }
+    this.triggers.set(trigger.id, trigger);
+  }
+
+  /** Reload a changed file; a broken edit keeps the previous version, a deleted file drops its trigger */
+  async reloadFile(storyId, file) {
+    try {
+      const trigger = await this.loadFile(storyId, file);
+      this.add(trigger);
+      this.emit('reloaded', { id: trigger.id, storyId });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        for (const [id, candidate] of this.triggers) {
+          if (candidate.storyId === storyId && candidate.source === file) this.triggers.delete(id);
+        }
+        this.emit('reloaded', { storyId, removed: file });
+        return;
+      }
+      this.emit('error', { type: 'reload', storyId, file, error: err });
+    }
+  }
+
+  /** Start file watchers in development */
+  startWatcher() {
+    for (const storyId of this.storyIds) {
+      if (this.watchers.has(storyId)) continue;
+      this.watchers.set(storyId, fsSync.watch(this.triggerDir(storyId), (event, filename) => {
+        if (filename && filename.endsWith('.json')) {
+          this.reloadFile(storyId, filename);
+        }
+      }));
+    }
+  }
+
+  stop() {
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+  }
+
+  values() {
+    return this.triggers.values();
+  }
+
+  get size() {
+    return this.triggers.size;
+  }
+}
+
+export default NarrativeTriggerLibrary;
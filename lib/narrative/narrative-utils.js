@@ -1,4 +1,14 @@
 import ConditionEvaluator from '../ConditionEvaluator.js';
+import SeededRandom from '../rng.js';
+
+/**
+ * Key a story context's progress is kept under: the instance playing the
+ * story, so each player has their own, or the story itself for contexts
+ * that belong to no instance
+ */
+export function progressKeyOf(storyContext) {
+  return storyContext.instanceId ?? storyContext.storyId;
+}
 
 export function isAddressInRange(address, range) {
   const addr = parseInt(address, 16);
@@ -16,9 +26,9 @@ export function replacePlaceholders(text, consciousness, storyProgress) {
     .replace(/\${act}/g, storyProgress?.act || 1);
 }
 
-export function weightedSelect(items) {
+export function weightedSelect(items, rng = new SeededRandom()) {
   const total = items.reduce((s, i) => s + (i.weight || 1), 0);
-  let rand = Math.random() * total;
+  let rand = rng.next() * total;
   for (const item of items) {
     rand -= (item.weight || 1);
     if (rand <= 0) return item;
@@ -26,13 +36,13 @@ export function weightedSelect(items) {
   return items[0];
 }
 
-export function selectContextualFragment(candidates, consciousness, story, progress) {
+export function selectContextualFragment(candidates, consciousness, story, progress, rng = new SeededRandom()) {
   const scored = candidates.map(f => {
     let score = 0;
     if (f.context?.emotionalContext?.includes(consciousness.emotional?.primary)) score += 10;
     if (f.context?.storyAct === progress?.act) score += 5;
     if (f.context?.complexity === story.config?.technical?.difficult?.initial) score += 3;
-    score += Math.random() * 5;
+    score += rng.range(0, 5);
     return { fragment: f, score };
   });
   scored.sort((a,b)=>b.score-a.score);
@@ -49,7 +59,7 @@ export function enrichFragment(fragment, consciousness, story, evaluator = new C
       evaluator.evaluate({ conditions:[v.condition] }, { consciousness })
     );
     if (applicable.length) {
-      const selected = weightedSelect(applicable);
+      const selected = weightedSelect(applicable, evaluator.rng);
       Object.assign(enriched.content, selected.content);
     }
   }
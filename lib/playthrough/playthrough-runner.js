@@ -0,0 +1,277 @@
+import fs from 'fs/promises';
+import { ConsciousnessEngine } from '../consciousness-engine.js';
+import ScenarioEngine from '../scenario-engine.js';
+import NarrativeIntegration from '../narrative-integration.js';
+import { EndingResolver } from '../narrative/ending-resolver.js';
+import { CommandRegistry } from '../command-registry.js';
+import { InterventionCatalog } from '../intervention-catalog.js';
+import { instanceIdFor } from '../engine/instance-registry.js';
+import { normalizeSeed } from '../rng.js';
+
+// Session key playthrough instances are loaded under
+export const PLAYTHROUGH_SESSION = 'playthrough';
+
+// Simulated time a playthrough starts at: the afternoon of the experiment
+const START_TIME = Date.UTC(2024, 2, 15, 14, 0, 0);
+
+// Seed for scripts that do not pick one
+export const DEFAULT_SEED = 1;
+
+/**
+ * Read a playthrough script from a JSON file
+ * @param {string} file - Path to the script
+ * @returns {Promise<Object>} The script
+ */
+export async function loadPlaythrough(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+/**
+ * Check a script's shape before running it
+ * @throws {Error} When the script cannot be run
+ */
+export function validatePlaythrough(script) {
+  const problems = [];
+  if (!script?.character) problems.push('character is required');
+  if (!Number.isInteger(script?.turns) || script.turns < 1) problems.push('turns must be a positive integer');
+  if (script?.seed !== undefined) {
+    try {
+      normalizeSeed(script.seed);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+  (script?.steps || []).forEach((step, i) => {
+    const actions = ['command', 'intervention', 'choice'].filter(key => step[key] !== undefined);
+    if (actions.length !== 1) problems.push(`step ${i} needs exactly one of command, intervention or choice`);
+    if (!Number.isInteger(step.turn) || step.turn < 1 || step.turn > script.turns) {
+      problems.push(`step ${i} turn must be between 1 and ${script.turns}`);
+    }
+    if (step.choice !== undefined && !script.story) problems.push(`step ${i} makes a choice but the script names no story`);
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid playthrough${script?.name ? ` '${script.name}'` : ''}: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Compare a playthrough record with the outcome its script expects.
+ * Ending and scenario outcomes must match exactly; listed fragments, scenario
+ * events and choices must each have been reached. Steps must succeed unless
+ * the script marks them `fails: true`.
+ * @returns {Array<string>} Mismatches, empty when the record meets expectations
+ */
+export function checkPlaythrough(record, expected = {}) {
+  const mismatches = [];
+  const missing = (label, wanted = [], reached) => {
+    for (const id of wanted) {
+      if (!reached.includes(id)) mismatches.push(`${label} '${id}' was not reached`);
+    }
+  };
+
+  if (expected.ending !== undefined && (record.ending?.id ?? null) !== expected.ending) {
+    mismatches.push(`ending: expected ${JSON.stringify(expected.ending)}, got ${JSON.stringify(record.ending?.id ?? null)}`);
+  }
+  for (const [scenarioId, outcome] of Object.entries(expected.scenarios || {})) {
+    const actual = record.scenarios[scenarioId]?.outcome ?? null;
+    if (actual !== outcome) {
+      mismatches.push(`scenario ${scenarioId}: expected outcome ${JSON.stringify(outcome)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+  missing('fragment', expected.fragments, record.fragments.map(f => f.id));
+  missing('scenario event', expected.scenarioEvents, record.scenarioEvents.map(e => e.eventId));
+  missing('choice', expected.choices, record.choices.map(c => c.choiceId));
+  for (const step of record.steps) {
+    if (step.result.success === !step.fails) continue;
+    const action = step.command ?? step.intervention ?? step.choice;
+    mismatches.push(step.fails
+      ? `turn ${step.turn} ${action}: expected to fail but succeeded`
+      : `turn ${step.turn} ${action}: ${step.result.error}`);
+  }
+  return mismatches;
+}
+
+/**
+ * PlaythroughRunner
+ * Plays a scripted session headlessly: loads the character through the
+ * engine's CharacterLoader, then for each turn runs that turn's terminal
+ * commands, interventions and choices and ticks the instance once, which
+ * advances its in-game clock by one turn. The instance is seeded (`seed`,
+ * else DEFAULT_SEED) and its clock starts at a fixed time, so a script
+ * replays the same way however fast it runs.
+ *
+ * The record lists the narrative fragments, scenario events and outcomes,
+ * choices and ending reached, each with the turn it happened on.
+ */
+export class PlaythroughRunner {
+  constructor(options = {}) {
+    this.startTime = options.startTime ?? START_TIME;
+    this.turnLength = options.turnLength ?? null; // ms per turn; defaults to the engine tick rate
+  }
+
+  /**
+   * Run a playthrough script
+   * @param {Object} script - { name, character, story, seed, startingState, turns, turnLength, steps, expect }
+   * @returns {Promise<Object>} The playthrough record
+   */
+  async run(script) {
+    validatePlaythrough(script);
+    const session = await this.createSession();
+    const { engine } = session;
+    const turnLength = script.turnLength ?? this.turnLength ?? engine.config.tickRate;
+    const instanceId = instanceIdFor(script.character, PLAYTHROUGH_SESSION);
+    const record = {
+      name: script.name ?? script.character,
+      character: script.character,
+      story: script.story ?? null,
+      seed: script.seed ?? DEFAULT_SEED,
+      turns: 0,
+      steps: [],
+      fragments: [],
+      scenarioEvents: [],
+      objectives: [],
+      scenarios: {},
+      choices: [],
+      ending: null,
+      errors: []
+    };
+
+    try {
+      this.observe(session, record);
+      const instance = await engine.loadCharacter(script.character, {
+        sessionKey: PLAYTHROUGH_SESSION,
+        seed: record.seed,
+        clock: { start: this.startTime, tickLength: turnLength },
+        storyContext: script.story ? { storyId: script.story } : undefined,
+        startingState: script.startingState
+      });
+
+      const steps = script.steps || [];
+      for (let turn = 1; turn <= script.turns; turn++) {
+        record.turns = turn;
+        for (const step of steps.filter(s => s.turn === turn)) {
+          record.steps.push({ turn, ...this.describeStep(step), result: await this.runStep(session, instanceId, script, step) });
+          await settle();
+        }
+        await engine.tickLoop.tickInstance(instanceId, instance);
+        await session.scenarios.updateAll();
+        await settle();
+        this.recordStoryFragments(session, instanceId, record, turn);
+        if (record.ending && script.stopAtEnding !== false) break;
+      }
+    } finally {
+      await this.closeSession(session, instanceId);
+    }
+    return record;
+  }
+
+  /** Engine and story services wired the way the server wires them, minus timers and storage */
+  async createSession() {
+    const engine = new ConsciousnessEngine({ config: { evictionInterval: 0 } });
+    await engine.initialize();
+    engine.stopSystemTick(); // turns drive the ticks
+    const scenarios = new ScenarioEngine({ updateInterval: 0 });
+    await scenarios.initialize();
+    scenarios.attach(engine);
+    const endings = new EndingResolver(); // no database: achievements are not stored
+    await endings.initialize();
+    endings.attach(engine);
+    const narrative = new NarrativeIntegration();
+    await narrative.initialize();
+    narrative.attach(engine, scenarios);
+    return {
+      engine,
+      scenarios,
+      endings,
+      narrative,
+      commands: new CommandRegistry({ consciousnessEngine: engine, narrativeIntegration: narrative }),
+      interventions: new InterventionCatalog({ consciousnessEngine: engine, narrativeIntegration: narrative }),
+      storyFragments: new Set()
+    };
+  }
+
+  async closeSession({ engine, scenarios, narrative }, instanceId) {
+    await engine.unloadCharacter(instanceId);
+    engine.stopSystemTick();
+    engine.stopEviction();
+    scenarios.stop();
+    narrative.stop();
+  }
+
+  /** Collect what the session's services report into the record */
+  observe({ engine, scenarios, endings, narrative }, record) {
+    const turn = () => record.turns;
+    const error = (source) => ({ type, error: err }) => {
+      record.errors.push({ turn: turn(), source, type, message: err?.message ?? String(err) });
+    };
+    scenarios.on('error', error('scenario'));
+    endings.on('error', error('ending'));
+    narrative.on('error', error('narrative'));
+
+    narrative.on('narrativeTriggered', ({ triggerId }) => {
+      record.fragments.push({ turn: turn(), id: triggerId, source: 'trigger' });
+    });
+    scenarios.on('scenarioStarted', ({ scenario }) => {
+      record.scenarios[scenario.id] = { startedAt: turn(), outcome: null, completedAt: null };
+    });
+    scenarios.on('scenarioEvent', ({ scenarioId, eventId, type }) => {
+      record.scenarioEvents.push({ turn: turn(), scenarioId, eventId, type });
+    });
+    scenarios.on('objectiveCompleted', ({ scenarioId, objectiveId, status }) => {
+      record.objectives.push({ turn: turn(), scenarioId, objectiveId, status });
+    });
+    scenarios.on('scenarioCompleted', ({ scenarioId, outcome }) => {
+      record.scenarios[scenarioId] = { ...record.scenarios[scenarioId], outcome, completedAt: turn() };
+    });
+    engine.narrativeEngine.on('choiceMade', ({ choiceId, selectedOption }) => {
+      record.choices.push({ turn: turn(), choiceId, option: selectedOption });
+    });
+    endings.on('endingReached', ({ ending }) => {
+      record.ending = { turn: turn(), ...ending };
+    });
+  }
+
+  /** Story fragments the narrative engine played since the last turn, resolutions included */
+  recordStoryFragments({ engine, storyFragments }, instanceId, record, turn) {
+    const triggered = engine.narrativeEngine.triggeredFragments.get(instanceId) || [];
+    for (const id of triggered) {
+      if (storyFragments.has(id)) continue;
+      storyFragments.add(id);
+      record.fragments.push({ turn, id, source: 'story' });
+    }
+  }
+
+  describeStep(step) {
+    const expectation = step.fails ? { fails: true } : {};
+    if (step.command !== undefined) return { command: step.command, args: step.args ?? {}, ...expectation };
+    if (step.intervention !== undefined) {
+      return { intervention: step.intervention, targetProcess: step.targetProcess ?? null, ...expectation };
+    }
+    return { choice: step.choice, option: step.option ?? null, ...expectation };
+  }
+
+  /** Run one step as the matching socket handler would; failures are recorded, not thrown */
+  async runStep({ engine, commands, interventions }, instanceId, script, step) {
+    try {
+      if (step.command !== undefined) {
+        const result = await commands.execute(instanceId, step.command, step.args ?? {});
+        return result?.error ? { success: false, error: result.error } : { success: true };
+      }
+      if (step.intervention !== undefined) {
+        const result = await interventions.apply(instanceId, { type: step.intervention, targetProcess: step.targetProcess });
+        return result.success ? { success: true } : { success: false, error: result.error };
+      }
+      engine.narrativeEngine.recordChoice(instanceId, step.choice, step.option);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Let listeners of the events a turn emitted finish their work
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+export default PlaythroughRunner;
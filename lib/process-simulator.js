@@ -1,6 +1,9 @@
+import SeededRandom from './rng.js';
+
 class ProcessSimulator {
-  constructor(character) {
+  constructor(character, dependencies = {}) {
     this.character = character;
+    this.rng = dependencies.rng || new SeededRandom();
     this.isRunning = false;
     this.interval = null;
     this.updateFrequency = 1000; // Update every second
@@ -43,12 +46,12 @@ class ProcessSimulator {
       // Add some randomness to CPU usage
       const baseCpu = process.cpu_usage || 0;
       process.cpu_usage = Math.max(0, Math.min(100, 
-        baseCpu + (Math.random() - 0.5) * 10
+        baseCpu + this.rng.range(-5, 5)
       ));
       
       // Simulate memory leaks for grief processes
       if (process.name.toLowerCase().includes('grief')) {
-        process.memory_mb += Math.random() * 2;
+        process.memory_mb += this.rng.range(0, 2);
       }
       
       // Update last activity
@@ -58,18 +61,18 @@ class ProcessSimulator {
     // Simulate resource fluctuations
     if (this.simulationState.resources.attention) {
       this.simulationState.resources.attention.current = Math.max(0, Math.min(100,
-        this.simulationState.resources.attention.current + (Math.random() - 0.5) * 5
+        this.simulationState.resources.attention.current + this.rng.range(-2.5, 2.5)
       ));
     }
 
     if (this.simulationState.resources.emotional_energy) {
       this.simulationState.resources.emotional_energy.current = Math.max(0, Math.min(100,
-        this.simulationState.resources.emotional_energy.current + (Math.random() - 0.5) * 3
+        this.simulationState.resources.emotional_energy.current + this.rng.range(-1.5, 1.5)
       ));
     }
 
     // Occasionally generate new errors
-    if (Math.random() < 0.1) { // 10% chance per update
+    if (this.rng.chance(0.1)) { // 10% chance per update
       this.generateRandomError();
     }
   }
@@ -84,10 +87,10 @@ class ProcessSimulator {
     ];
 
     const newError = {
-      type: errorTypes[Math.floor(Math.random() * errorTypes.length)],
+      type: this.rng.pick(errorTypes),
       message: `Simulated error at ${new Date().toISOString()}`,
       timestamp: new Date().toISOString(),
-      severity: Math.random() > 0.7 ? 'critical' : 'warning'
+      severity: this.rng.chance(0.3) ? 'critical' : 'warning'
     };
 
     this.simulationState.errors.push(newError);
@@ -155,7 +158,7 @@ class ProcessSimulator {
     const process = this.simulationState.processes.find(p => p.pid === pid);
     if (process) {
       process.status = 'running';
-      process.cpu_usage = Math.random() * 50; // Random initial CPU usage
+      process.cpu_usage = this.rng.range(0, 50); // Random initial CPU usage
       process.last_activity = new Date().toISOString();
       return true;
     }
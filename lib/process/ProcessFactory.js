@@ -1,6 +1,16 @@
 // ProcessFactory.js - Pure factory for creating process objects from emotion data
 
+import SeededRandom from '../rng.js';
+
 export class ProcessFactory {
+    /**
+     * @param {Object} dependencies - Injected dependencies
+     * @param {SeededRandom} dependencies.rng - Source of resource variation (optional)
+     */
+    constructor(dependencies = {}) {
+        this.rng = dependencies.rng || new SeededRandom();
+    }
+
     /**
      * Create a process object from emotion data
      * This is a pure function with no side effects - only creates and returns the process object
@@ -76,8 +86,8 @@ export class ProcessFactory {
             priority: priority === 'auto' ? template.priority : priority,
             
             // Resource usage with variation
-            memoryUsage: template.baseMemoryUsage + (Math.random() * 20 - 10),
-            cpuUsage: template.baseCpuUsage + (Math.random() * 10 - 5),
+            memoryUsage: template.baseMemoryUsage + this.rng.range(-10, 10),
+            cpuUsage: template.baseCpuUsage + this.rng.range(-5, 5),
             threadCount: template.threadCount,
             
             // Lifecycle
@@ -95,7 +105,7 @@ export class ProcessFactory {
             interventionPoints: this.generateInterventionPoints(template),
             
             // Performance
-            effectivenessScore: 0.8 + (Math.random() * 0.4),
+            effectivenessScore: this.rng.range(0.8, 1.2),
             optimizationLevel: 0,
             
             // Vulnerabilities
@@ -105,7 +115,7 @@ export class ProcessFactory {
 
         // Generate initial issues based on emotion intensity and vulnerabilities
         if (emotion.intensity > 0.7) {
-            const vulnerability = template.vulnerabilities[Math.floor(Math.random() * template.vulnerabilities.length)];
+            const vulnerability = this.rng.pick(template.vulnerabilities);
             process.currentIssues.push({
                 type: vulnerability,
                 severity: emotion.intensity > 0.9 ? 'critical' : 'high',
@@ -0,0 +1,226 @@
+// ProcessScheduler.js - Weighted fair scheduling of CPU, threads and attention across mental processes
+
+// Named priority levels and the nice value each maps to (lower nice = larger share)
+export const PRIORITY_LEVELS = {
+    critical: -15,
+    high: -10,
+    normal: 0,
+    low: 10,
+    idle: 19
+};
+
+export const MIN_NICE = -20;
+export const MAX_NICE = 19;
+
+// Processes in these states hold no claim on the scheduler
+const NOT_RUNNABLE = ['terminated', 'crashed', 'stopped', 'suspended', 'zombie'];
+
+/**
+ * Resolve a nice value from a number, a numeric string or a named level
+ * @param {number|string} level - Nice value (-20..19) or a key of PRIORITY_LEVELS
+ * @returns {number} Nice value
+ */
+export function parseNice(level) {
+    if (typeof level === 'string' && level in PRIORITY_LEVELS) {
+        return PRIORITY_LEVELS[level];
+    }
+    const nice = typeof level === 'number' ? level : Number(level);
+    if (!Number.isInteger(nice) || nice < MIN_NICE || nice > MAX_NICE) {
+        throw new Error(`Invalid priority level: ${level}. Use ${MIN_NICE}..${MAX_NICE} or one of: ${Object.keys(PRIORITY_LEVELS).join(', ')}`);
+    }
+    return nice;
+}
+
+/**
+ * Named priority for a nice value, used for the legacy `priority` field
+ * @param {number} nice - Nice value
+ * @returns {string} Priority level name
+ */
+export function priorityForNice(nice) {
+    if (nice <= -15) return 'critical';
+    if (nice <= -5) return 'high';
+    if (nice < 5) return 'normal';
+    return 'low';
+}
+
+/**
+ * Nice value of a process, falling back to its named priority
+ * @param {Object} process - Process object
+ * @returns {number} Nice value
+ */
+export function niceOf(process) {
+    if (typeof process.nice === 'number') return process.nice;
+    return PRIORITY_LEVELS[process.priority] ?? 0;
+}
+
+/**
+ * Scheduling weight for a nice value. Each nice step changes the share by
+ * roughly 25%, as in the Linux completely fair scheduler.
+ * @param {number} nice - Nice value
+ * @returns {number} Weight
+ */
+export function weightForNice(nice) {
+    return 1024 / Math.pow(1.25, nice);
+}
+
+/**
+ * Weighted fair scheduler for mental processes.
+ * Each tick it divides the CPU, thread and attention capacity from
+ * `systemResources` among runnable processes in proportion to their weight.
+ * Processes asking for less than their share get what they ask for and the
+ * surplus is redistributed (weighted max-min fairness). A process whose CPU
+ * allocation stays far below its demand for several ticks is starved.
+ */
+export class ProcessScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {number} [options.starvationRatio=0.25] - Allocation/demand ratio below which a process is starving
+     * @param {number} [options.starvationTicks=3] - Consecutive starving ticks before starvation is reported
+     */
+    constructor(options = {}) {
+        this.starvationRatio = options.starvationRatio ?? 0.25;
+        this.starvationTicks = options.starvationTicks ?? 3;
+    }
+
+    /**
+     * Resource capacity available to processes
+     * @param {Object} resources - Consciousness systemResources
+     * @returns {Object} Capacity for cpu, threads and attention
+     */
+    getCapacity(resources = {}) {
+        return {
+            cpu: resources.cpu?.maxUsage ?? 100,
+            threads: Math.max(0, (resources.threads?.max ?? 32) - (resources.threads?.reserved ?? 0)),
+            attention: resources.attention?.total ?? 100
+        };
+    }
+
+    /**
+     * Schedule one tick. Updates each runnable process's cpuUsage, threadCount
+     * and attention in place and records its scheduling state.
+     * @param {Array<Object>} processes - All processes
+     * @param {Object} resources - Consciousness systemResources
+     * @returns {Object} { allocations, starved, recovered }
+     */
+    schedule(processes, resources) {
+        const runnable = processes.filter(p => !NOT_RUNNABLE.includes(p.status));
+        const capacity = this.getCapacity(resources);
+        const starved = [];
+        const recovered = [];
+
+        runnable.forEach(process => this.updateDemand(process));
+
+        const weights = runnable.map(p => weightForNice(niceOf(p)));
+        const cpu = distribute(runnable.map(cpuDemand), weights, capacity.cpu);
+        const threads = distribute(runnable.map(p => p.scheduling.demand.threads), weights, capacity.threads);
+        const attention = distribute(runnable.map(p => p.scheduling.demand.attention), weights, capacity.attention);
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+        runnable.forEach((process, i) => {
+            const scheduling = process.scheduling;
+            // Every runnable process keeps at least one thread if it asked for one
+            const threadCount = scheduling.demand.threads >= 1 ? Math.max(1, Math.floor(threads[i])) : 0;
+
+            process.cpuUsage = round(cpu[i]);
+            process.threadCount = threadCount;
+            process.attention = round(attention[i]);
+
+            scheduling.weight = round(weights[i]);
+            scheduling.share = totalWeight > 0 ? round(weights[i] / totalWeight) : 0;
+            scheduling.allocated = { cpu: process.cpuUsage, threads: threadCount, attention: process.attention };
+
+            const demand = cpuDemand(process);
+            const ratio = demand > 0 ? process.cpuUsage / demand : 1;
+            if (ratio < this.starvationRatio) {
+                scheduling.starvedTicks++;
+                if (scheduling.starvedTicks === this.starvationTicks) {
+                    scheduling.starved = true;
+                    starved.push(process);
+                }
+            } else {
+                // Also releases processes that were loaded already starved
+                if (scheduling.starved || process.status === 'starved') {
+                    recovered.push(process);
+                }
+                scheduling.starvedTicks = 0;
+                scheduling.starved = false;
+            }
+        });
+
+        return {
+            allocations: runnable.map(p => ({ id: p.id, pid: p.pid, name: p.name, nice: niceOf(p), ...p.scheduling })),
+            starved,
+            recovered
+        };
+    }
+
+    /**
+     * Record what a process is asking for. Demand is taken from the process's own
+     * usage the first time it is scheduled and whenever something outside the
+     * scheduler (optimization, restore, renice undo) changes that usage.
+     * @param {Object} process - Process to update
+     */
+    updateDemand(process) {
+        const scheduling = process.scheduling;
+        const requested = {
+            cpu: process.cpuUsage || 0,
+            threads: process.threadCount || 0,
+            attention: process.attention ?? process.cpuUsage ?? 0
+        };
+
+        if (!scheduling) {
+            process.scheduling = {
+                demand: requested,
+                allocated: null,
+                weight: 0,
+                share: 0,
+                starvedTicks: 0,
+                starved: false
+            };
+            return;
+        }
+
+        const allocated = scheduling.allocated;
+        if (!allocated || allocated.cpu !== requested.cpu) scheduling.demand.cpu = requested.cpu;
+        if (!allocated || allocated.threads !== requested.threads) scheduling.demand.threads = requested.threads;
+        if (!allocated || allocated.attention !== requested.attention) scheduling.demand.attention = requested.attention;
+    }
+}
+
+// CPU a process asks for, plus the load its driving emotions add
+function cpuDemand(process) {
+    return Math.max(0, process.scheduling.demand.cpu + (process.emotionalLoad?.cpu ?? 0));
+}
+
+// Weighted max-min fair division of capacity among demands
+function distribute(demands, weights, capacity) {
+    const allocation = demands.map(() => 0);
+    let remaining = capacity;
+    let open = demands.map((demand, i) => i).filter(i => demands[i] > 0);
+
+    while (open.length > 0 && remaining > 1e-9) {
+        const openWeight = open.reduce((sum, i) => sum + weights[i], 0);
+        const satisfied = open.filter(i => demands[i] - allocation[i] <= remaining * weights[i] / openWeight);
+
+        if (satisfied.length === 0) {
+            // Everyone wants more than their share: split what is left by weight
+            open.forEach(i => { allocation[i] += remaining * weights[i] / openWeight; });
+            remaining = 0;
+            break;
+        }
+
+        satisfied.forEach(i => {
+            remaining -= demands[i] - allocation[i];
+            allocation[i] = demands[i];
+        });
+        open = open.filter(i => !satisfied.includes(i));
+    }
+
+    return allocation;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export default ProcessScheduler;
@@ -0,0 +1,44 @@
+// process-behaviors.js - What a running process does on its own each tick
+
+import { processBaseName } from '../scenario/scenario-context.js';
+
+// Limits that keep recursive thinking from forking without end
+export const MAX_CHILDREN = 3;
+export const MAX_DEPTH = 2;
+
+// Chance per tick, at 100% CPU, that a recursive process forks a sub-search
+const RECURSION_CHANCE = 0.05;
+
+/**
+ * Behaviors by name, as listed in a process's `behaviors`. Each is called
+ * once per tick with the process and { children, depth, rng } — its live
+ * children and how many ancestors it has — and returns specs of the child
+ * processes it spawns: { name, cpu, memory, threads, behaviors }. `forks`
+ * on the process counts the children it has ever spawned.
+ */
+export const PROCESS_BEHAVIORS = {
+    // A thought that keeps questioning itself forks smaller copies of itself,
+    // the busier it is the more often; the copies may fork again
+    recursive_thinking(process, { children, depth, rng }) {
+        if (children.length >= MAX_CHILDREN || depth >= MAX_DEPTH) return [];
+        if (!rng.chance(RECURSION_CHANCE * Math.min(1, (process.cpuUsage || 0) / 100))) return [];
+        return [{
+            name: `${processBaseName(process.name)}_sub_${(process.forks || 0) + 1}`,
+            cpu: Math.round(process.cpuUsage / 4 * 10) / 10,
+            memory: Math.round(process.memoryUsage / 8),
+            threads: 1,
+            behaviors: ['recursive_thinking']
+        }];
+    }
+};
+
+/**
+ * Child specs a process's behaviors produce this tick. Behaviors without an
+ * implementation are descriptive only and do nothing.
+ */
+export function runBehaviors(process, context) {
+    return (process.behaviors || []).flatMap(name => {
+        const behavior = PROCESS_BEHAVIORS[name];
+        return behavior ? behavior(process, context).map(spec => ({ ...spec, behavior: name })) : [];
+    });
+}
@@ -0,0 +1,48 @@
+// signals.js - POSIX-style signals a player can send to a mental process
+
+/**
+ * Supported signals by name. `catchable` signals may be given a custom
+ * handler in the character's process entry (`signals`); SIGKILL and SIGSTOP
+ * always take their default action, as in POSIX.
+ */
+export const SIGNALS = {
+    SIGHUP: { number: 1, catchable: true, description: 'Reload the process configuration' },
+    SIGKILL: { number: 9, catchable: false, description: 'Terminate at once, with emotional fallout' },
+    SIGTERM: { number: 15, catchable: true, description: 'Shut down gracefully, releasing held memory' },
+    SIGCONT: { number: 18, catchable: true, description: 'Resume a stopped process' },
+    SIGSTOP: { number: 19, catchable: false, description: 'Suspend the process until SIGCONT' }
+};
+
+export const SIGNAL_NAMES = Object.keys(SIGNALS);
+
+// What a custom handler may do instead of, or on top of, the default action
+export const HANDLER_ACTIONS = ['default', 'ignore'];
+
+/**
+ * Resolve a signal from its name, its name without the SIG prefix or its
+ * number, with or without a leading dash: `-STOP`, `SIGSTOP`, `19`
+ * @param {string|number} signal - Signal reference
+ * @returns {string} Signal name, e.g. 'SIGSTOP'
+ */
+export function parseSignal(signal) {
+    const ref = String(signal ?? '').trim().replace(/^-/, '').toUpperCase();
+    const byNumber = SIGNAL_NAMES.find(name => String(SIGNALS[name].number) === ref);
+    const name = byNumber || (ref.startsWith('SIG') ? ref : `SIG${ref}`);
+    if (!SIGNALS[name]) {
+        throw new Error(`Unknown signal: ${signal}. Use one of: ${SIGNAL_NAMES.join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * The handler a process declares for a signal, or null when it takes the
+ * default action. Uncatchable signals never have one.
+ * @param {Object} process - Process whose config may carry `signals`
+ * @param {string} signal - Signal name
+ * @returns {Object|null} { action, emotions, metrics, message }
+ */
+export function handlerFor(process, signal) {
+    if (!SIGNALS[signal].catchable) return null;
+    const handler = process.config?.signals?.[signal];
+    return handler ? { action: 'default', ...handler } : null;
+}
@@ -0,0 +1,84 @@
+import { randomInt } from 'crypto';
+
+const UINT32 = 0x100000000;
+
+/**
+ * A fresh seed for sessions that were not given one
+ */
+export function randomSeed() {
+  return randomInt(UINT32);
+}
+
+/**
+ * Seeds are unsigned 32-bit integers
+ * @throws {Error} For anything else
+ */
+export function normalizeSeed(seed) {
+  if (!Number.isInteger(seed) || seed < 0 || seed >= UINT32) {
+    throw new Error(`Invalid RNG seed: ${seed} (expected an integer from 0 to ${UINT32 - 1})`);
+  }
+  return seed;
+}
+
+/**
+ * SeededRandom
+ * Deterministic pseudo-random numbers (mulberry32). Each consciousness
+ * instance owns one and hands it to its subsystems as `dependencies.rng`, so
+ * a session replays exactly from its seed. `getState()`/`setState()` carry
+ * the position in the sequence through saves and snapshots.
+ */
+export class SeededRandom {
+  constructor(seed = randomSeed()) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /** Next number in [0, 1), like Math.random() */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  }
+
+  /** True with probability p */
+  chance(p) {
+    return this.next() < p;
+  }
+
+  /** Float in [min, max) */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /** Integer in [min, max], both inclusive */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /** Random element of a non-empty array */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /** Short base-36 token for ids, e.g. `mem_<time>_<token>` */
+  token(length = 9) {
+    let token = '';
+    while (token.length < length) {
+      token += Math.floor(this.next() * 36).toString(36);
+    }
+    return token;
+  }
+
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  setState({ seed, state = seed }) {
+    this.seed = normalizeSeed(seed);
+    this.state = normalizeSeed(state);
+  }
+}
+
+export default SeededRandom;
@@ -3,6 +3,13 @@ import fsSync from 'fs';
 import path from 'path';
 import { EventEmitter } from 'events';
 import { Parser } from 'expr-eval';
+import { ScenarioRunner } from './scenario/scenario-runner.js';
+import { clockOf } from './instance/simulated-clock.js';
+import ContentValidator from './validation/content-validator.js';
+import { buildScenarioContext, evaluateValue, checkValue, findProcess } from './scenario/scenario-context.js';
+
+// Narrative time skips ("38 days later") have passed once the prerequisites are done
+const TIME_SKIP_TRIGGERS = ['time_based', 'date_based'];
 
 /**
  * ScenarioEngine
@@ -17,7 +24,12 @@ export default class ScenarioEngine extends EventEmitter {
     this.scenarios = new Map(); // id -> scenario definition
     this.progress = new Map();  // characterId -> {scenarioId -> progress}
     this.watcher = null;
+    this.validator = options.validator || new ContentValidator({ schemaDir: options.schemaDir });
     this.engine = null; // attached ConsciousnessEngine
+    this.runner = new ScenarioRunner({ resolutionWindow: options.resolutionWindow });
+    this.updateInterval = options.updateInterval ?? 1000; // ms between scenario clock checks
+    this.timer = null;
+    this.evaluating = new Set(); // characterIds with an evaluation in flight
 
     // Initialize expression parser for safe condition evaluation
     this.conditionParser = new Parser();
@@ -72,29 +84,73 @@ export default class ScenarioEngine extends EventEmitter {
     this.engine = consciousnessEngine;
     this.engine.on('actionExecuted', (data) => this.handleAction(data));
     this.engine.on('stateUpdate', (data) => this.handleStateUpdate(data));
+    this.engine.on('debug-command-executed', (data) => this.handleDebugCommand(data));
+    this.startClock();
+  }
+
+  /** Re-evaluate running scenarios on a timer so timed events and limits fire without player input */
+  startClock() {
+    if (this.timer || this.updateInterval <= 0) return;
+    this.timer = setInterval(() => this.updateAll(), this.updateInterval);
+    this.timer.unref?.();
+  }
+
+  /** Stop the scenario clock and file watcher */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /** Evaluate scenarios for every loaded character */
+  async updateAll() {
+    if (!this.engine) return;
+    for (const [characterId, instance] of this.engine.instances) {
+      try {
+        await this.evaluate(characterId, instance.getState());
+      } catch (err) {
+        this.emit('error', { type: 'update', characterId, error: err });
+      }
+    }
   }
 
-  /** Load all scenario files from directory */
+  /** Load all scenario files from directory; invalid files are reported and skipped */
   async loadAll() {
     this.scenarios.clear();
+    let files;
     try {
-      const files = await fs.readdir(this.scenarioDir);
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const full = path.join(this.scenarioDir, file);
-          const scenario = await this.loadFile(full);
-          this.scenarios.set(scenario.id, scenario);
-        }
-      }
+      files = await fs.readdir(this.scenarioDir);
     } catch (err) {
       this.emit('error', { type: 'load', error: err });
+      return;
+    }
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const scenario = await this.loadFile(path.join(this.scenarioDir, file));
+        this.scenarios.set(scenario.id, scenario);
+      } catch (err) {
+        this.emit('error', { type: 'load', file, error: err });
+      }
     }
   }
 
-  /** Load a single scenario file */
+  /** Load a single scenario file and validate it against scenario-schema.json */
   async loadFile(filePath) {
     const data = await fs.readFile(filePath, 'utf8');
     const scenario = JSON.parse(data);
+
+    await this.validator.load();
+    const { valid, errors } = this.validator.validate('scenario', scenario);
+    if (!valid) {
+      throw new Error(`Invalid scenario ${path.basename(filePath)}: ${errors.join('; ')}`);
+    }
     return scenario;
   }
 
@@ -122,43 +178,136 @@ export default class ScenarioEngine extends EventEmitter {
 
   /** Handle player actions */
   async handleAction({ characterId, action, result, state }) {
-    const instance = this.engine?.instances.get(characterId);
+    const instance = this.engine?.instances.peek(characterId);
     if (!instance) return;
     await this.evaluate(characterId, instance.getState(), action, result);
   }
 
   /** Handle state updates */
   async handleStateUpdate({ characterId, state }) {
-    const instance = this.engine?.instances.get(characterId);
+    const instance = this.engine?.instances.peek(characterId);
     if (!instance) return;
     await this.evaluate(characterId, state);
   }
 
+  /** Handle debug commands: monitor objectives count what the player has looked at */
+  async handleDebugCommand({ characterId, command, args }) {
+    const instance = this.engine?.instances.peek(characterId);
+    if (!instance) return;
+    for (const scenario of this.scenarios.values()) {
+      const progress = this.getScenarioProgress(characterId, scenario.id);
+      if (progress.status === 'active') {
+        this.runner.observe(instance, scenario, progress, command, args);
+      }
+    }
+    await this.evaluate(characterId, instance.getState());
+  }
+
   /** Evaluate scenarios for a character */
   async evaluate(characterId, state, action = null, result = null) {
+    // Clock ticks and player actions can overlap; the next one picks up anything skipped
+    if (this.evaluating.has(characterId)) return;
+    this.evaluating.add(characterId);
+    try {
+      await this.evaluateScenarios(characterId, state, action, result);
+    } finally {
+      this.evaluating.delete(characterId);
+    }
+  }
+
+  async evaluateScenarios(characterId, state, action, result) {
     for (const scenario of this.scenarios.values()) {
       const progress = this.getScenarioProgress(characterId, scenario.id);
       if (progress.status === 'complete') continue;
 
-      // Check prerequisites
-      if (!this.checkConditions(scenario.conditions?.prerequisites || [], state, action, result)) {
-        continue;
-      }
-
       if (progress.status !== 'active') {
-        // Check triggers to start scenario
-        if (this.checkConditions(scenario.conditions?.triggers || [], state, action, result)) {
+        if (this.isAvailable(characterId, scenario, state, action, result)) {
           await this.startScenario(characterId, scenario);
         }
       } else {
-        // Scenario active - check objectives for completion
-        if (this.checkObjectives(scenario.objectives || [], state)) {
-          await this.completeScenario(characterId, scenario, 'success');
-        }
+        await this.runScenario(characterId, scenario);
       }
     }
   }
 
+  /**
+   * A scenario can start once its prerequisites are complete and one of its
+   * triggers fires. Prerequisites name other scenarios; strings that are not
+   * scenario ids are evaluated as conditions.
+   */
+  isAvailable(characterId, scenario, state, action, result) {
+    const prerequisites = scenario.conditions?.prerequisites || [];
+    const scenarioIds = prerequisites.filter(p => this.scenarios.has(p));
+    const conditions = prerequisites.filter(p => !this.scenarios.has(p));
+
+    const prerequisitesMet = scenarioIds.every(id => {
+      const progress = this.getScenarioProgress(characterId, id);
+      // A null next_scenario outcome ends the story
+      return progress.status === 'complete' && progress.nextScenario !== null;
+    });
+    if (!prerequisitesMet || !this.checkConditions(conditions, state, action, result)) {
+      return false;
+    }
+
+    const triggers = scenario.conditions?.triggers || [];
+    if (triggers.length === 0) return true;
+    return triggers.some(trigger => this.triggerFires(characterId, trigger, state, action, result));
+  }
+
+  /** Check a single scenario trigger */
+  triggerFires(characterId, trigger, state, action, result) {
+    if (typeof trigger === 'string') {
+      return this.checkConditions([trigger], state, action, result);
+    }
+
+    switch (trigger.type) {
+      case 'story_start':
+        return trigger.auto_trigger !== false;
+      case 'scenario_complete':
+        return this.getScenarioProgress(characterId, trigger.scenario_id).status === 'complete';
+      case 'ending_achieved':
+        return Object.values(this.progress.get(characterId) || {})
+          .some(progress => progress.status === 'complete' && progress.outcome === trigger.ending_id);
+      default:
+        break;
+    }
+
+    if (TIME_SKIP_TRIGGERS.includes(trigger.type)) return true;
+
+    const instance = this.engine?.instances.peek(characterId);
+    if (!instance) return false;
+    if (trigger.type === 'discovery') {
+      return Boolean(findProcess(instance, trigger.process));
+    }
+
+    // Metric thresholds such as { type: 'resonance_threshold', temporal_resonance: '> 0.9' }
+    const context = buildScenarioContext(instance);
+    const checks = Object.entries(trigger).filter(([key]) => key !== 'type');
+    return checks.length > 0 && checks.every(([metric, expected]) => checkValue(evaluateValue(metric, context), expected));
+  }
+
+  /** Advance an active scenario and report what happened */
+  async runScenario(characterId, scenario) {
+    const instance = this.engine?.instances.peek(characterId);
+    if (!instance) return;
+
+    const progress = this.getScenarioProgress(characterId, scenario.id);
+    const report = await this.runner.update(instance, scenario, progress);
+
+    for (const event of report.events) {
+      this.emit('scenarioEvent', { characterId, scenarioId: scenario.id, ...event });
+    }
+    for (const objective of report.objectives) {
+      this.emit('objectiveCompleted', { characterId, scenarioId: scenario.id, ...objective });
+    }
+
+    if (report.outcome) {
+      await this.completeScenario(characterId, scenario, report.outcome);
+    } else if (report.events.length > 0 || report.objectives.length > 0) {
+      this.saveProgress(characterId);
+    }
+  }
+
   /** Safe condition evaluation using custom parser */
   checkConditions(conditions, state, action, result) {
     if (conditions.length === 0) return true;
@@ -276,15 +425,9 @@ export default class ScenarioEngine extends EventEmitter {
     return false;
   }
 
-  /** Basic objective check */
-  checkObjectives(objectives, state) {
-    if (objectives.length === 0) return false;
-    return objectives.every(obj => this.checkConditions(obj.success_conditions ? Object.values(obj.success_conditions) : [], state));
-  }
-
   /** Begin scenario and apply modifications */
   async startScenario(characterId, scenario) {
-    const instance = this.engine?.instances.get(characterId);
+    const instance = this.engine?.instances.peek(characterId);
     if (!instance) return;
 
     const mod = scenario.modifications || {};
@@ -295,23 +438,27 @@ export default class ScenarioEngine extends EventEmitter {
         } catch {}
       }
     }
-    // Other modifications (resources/errors) could be handled here
 
     const progress = this.getScenarioProgress(characterId, scenario.id);
-    progress.status = 'active';
-    progress.startTime = Date.now();
+    const applied = await this.runner.start(instance, scenario, progress);
     this.saveProgress(characterId);
-    this.emit('scenarioStarted', { characterId, scenario });
+    this.emit('scenarioStarted', { characterId, scenario, applied });
   }
 
-  /** Mark scenario complete */
+  /**
+   * Mark scenario complete
+   * @param {Object|string} outcome - Outcome from the runner, or a plain outcome id
+   */
   async completeScenario(characterId, scenario, outcome = 'success') {
+    const { id, result = id, narrative = null, nextScenario } = typeof outcome === 'string' ? { id: outcome } : outcome;
     const progress = this.getScenarioProgress(characterId, scenario.id);
     progress.status = 'complete';
-    progress.outcome = outcome;
-    progress.endTime = Date.now();
+    progress.outcome = id;
+    progress.result = result;
+    if (nextScenario !== undefined) progress.nextScenario = nextScenario;
+    progress.endTime = clockOf(this.engine?.instances.peek(characterId)).now();
     this.saveProgress(characterId);
-    this.emit('scenarioCompleted', { characterId, scenarioId: scenario.id, outcome });
+    this.emit('scenarioCompleted', { characterId, scenarioId: scenario.id, outcome: id, result, narrative, nextScenario });
   }
 
   /** Get or create progress for scenario */
@@ -326,28 +473,33 @@ export default class ScenarioEngine extends EventEmitter {
     return charProg[scenarioId];
   }
 
-  /** Save progress to file */
+  /** Announce changed progress; the attached ProgressSync persists it for the character's owner */
   async saveProgress(characterId) {
-    try {
-      const dir = path.join(this.scenarioDir, 'progress');
-      await fs.mkdir(dir, { recursive: true });
-      const file = path.join(dir, `${characterId}.json`);
-      await fs.writeFile(file, JSON.stringify(this.progress.get(characterId), null, 2));
-    } catch (err) {
-      this.emit('error', { type: 'save', error: err });
-    }
+    this.emit('progressChanged', { characterId });
   }
 
-  /** Load progress for character */
-  async loadProgress(characterId) {
-    try {
-      const file = path.join(this.scenarioDir, 'progress', `${characterId}.json`);
-      const data = await fs.readFile(file, 'utf8');
-      const parsed = JSON.parse(data);
-      if (!this.progress.has(characterId)) this.progress.set(characterId, parsed);
-      else Object.assign(this.progress.get(characterId), parsed);
-    } catch {
-      // Ignore if no progress file
+  /** Snapshot of a character's scenario progress, safe to serialize */
+  exportProgress(characterId) {
+    return structuredClone(this.progress.get(characterId) || {});
+  }
+
+  /**
+   * Replace a character's scenario progress with a saved snapshot. Scenarios
+   * that were mid-run restart, since the consciousness state they changed is
+   * not part of the snapshot.
+   */
+  importProgress(characterId, saved = {}) {
+    const progress = structuredClone(saved);
+    for (const [scenarioId, entry] of Object.entries(progress)) {
+      if (entry?.status === 'active') {
+        progress[scenarioId] = { status: 'pending', choices: entry.choices || [] };
+      }
     }
+    this.progress.set(characterId, progress);
+  }
+
+  /** Drop a character's progress, e.g. once its instance is unloaded */
+  clearProgress(characterId) {
+    this.progress.delete(characterId);
   }
 }
@@ -0,0 +1,177 @@
+import { Parser } from 'expr-eval';
+
+const parser = new Parser();
+const PROCESS_EXTENSION = /\.(exe|dll)$/i;
+const COMPARISON = /^\s*(>=|<=|==|!=|>|<)\s*(.+)$/;
+
+/**
+ * Process name without its .exe/.dll suffix. Scenario files refer to
+ * `emily_connection.dll` where the character data says `emily_connection`.
+ */
+export function processBaseName(name = '') {
+  return String(name).replace(PROCESS_EXTENSION, '');
+}
+
+/**
+ * Name a process's lineage started under. An evolved process keeps it, so
+ * `grief_processing` still finds grief_processing once it has become
+ * grief_overflow.exe.
+ */
+export function processRootName(process) {
+  return process.evolution?.root ?? processBaseName(process.name);
+}
+
+/**
+ * Find a live process by scenario name, or by the name its lineage started
+ * under. Supports `*` wildcards (e.g. `timeline_analysis_v*.exe`).
+ */
+export function findProcess(instance, name) {
+  const pattern = new RegExp(`^${processBaseName(name)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')}$`);
+
+  for (const process of instance.processManager.processes.values()) {
+    if (process.status === 'terminated') continue;
+    if (pattern.test(processBaseName(process.name)) || pattern.test(processRootName(process))) {
+      return process;
+    }
+  }
+  return null;
+}
+
+/**
+ * Consciousness metrics a scenario can read and change. Stability and
+ * corruption live on the instance state; story metrics such as coherence or
+ * timeline_sync are kept alongside them in `state.metrics`.
+ */
+export function getConsciousnessMetrics(instance) {
+  return {
+    stability: instance.state.stability,
+    corruption: instance.state.corruption,
+    ...instance.state.metrics
+  };
+}
+
+/**
+ * Build the variables scenario expressions are evaluated against
+ * @param {ConsciousnessInstance} instance - Character instance
+ * @param {Object} progress - Scenario progress record
+ * @param {Object} extras - Runner values (elapsed, timeExpired)
+ */
+export function buildScenarioContext(instance, progress = {}, extras = {}) {
+  const metrics = getConsciousnessMetrics(instance);
+  const errors = instance.state.errors || [];
+  const choices = progress.choices || [];
+  const chose = (choiceId) => choices.some(choice => (choice.choiceId ?? choice.id ?? choice) === choiceId);
+
+  const events = {};
+  for (const [eventId, record] of Object.entries(progress.events || {})) {
+    events[eventId] = { triggered: true, triggeredAt: record.triggeredAt };
+  }
+
+  return {
+    instance,
+    elapsed: extras.elapsed ?? 0,
+    variables: {
+      ...progress.resources,
+      ...events,
+      ...metrics,
+      consciousness: metrics,
+      system_errors: {
+        contains: (code) => errors.some(error => error.code === code || error.type === code),
+        length: errors.length
+      },
+      player: { chose },
+      chose,
+      decision_made: choices.length > 0,
+      time_elapsed: extras.elapsed ?? 0,
+      time_expired: extras.timeExpired ?? false
+    }
+  };
+}
+
+/**
+ * Rewrite the JavaScript-flavoured syntax used in scenario files into
+ * expr-eval syntax: process suffixes are dropped and &&, || and ! become
+ * and, or and not.
+ */
+export function normalizeExpression(expression) {
+  return String(expression)
+    .replace(/\b(\w+)\.(exe|dll)\b/gi, '$1')
+    .replace(/&&/g, ' and ')
+    .replace(/\|\|/g, ' or ')
+    .replace(/!(?!=)/g, ' not ');
+}
+
+/**
+ * Evaluate a scenario expression and return its raw value. Identifiers that
+ * are not metrics resolve to processes by name; anything else is an empty
+ * object so `unknown.flag` is simply falsy.
+ * @returns {*} Expression value, or undefined if it cannot be evaluated
+ */
+export function evaluateValue(expression, context) {
+  try {
+    const parsed = parser.parse(normalizeExpression(expression));
+    const variables = { ...context.variables };
+
+    for (const name of parsed.variables()) {
+      if (name in variables) continue;
+      const process = context.instance ? findProcess(context.instance, name) : null;
+      variables[name] = process
+        ? {
+            active: true,
+            pid: process.pid,
+            status: process.status,
+            cpu: process.cpuUsage,
+            memory: process.memoryUsage,
+            threads: process.threadCount
+          }
+        : {};
+    }
+
+    return parsed.evaluate(variables);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Evaluate a scenario condition. The literal `default` always holds.
+ */
+export function evaluateCondition(expression, context) {
+  if (expression === 'default') return true;
+  return Boolean(evaluateValue(expression, context));
+}
+
+/**
+ * Compare a value with an expectation from scenario JSON: either a
+ * comparison string such as "> 0.8" or a literal to match exactly.
+ */
+export function checkValue(value, expected) {
+  if (typeof expected !== 'string') {
+    return value === expected;
+  }
+
+  const match = expected.match(COMPARISON);
+  if (!match) {
+    return String(value) === expected;
+  }
+
+  const [, operator, raw] = match;
+  const target = Number(raw);
+  if (Number.isNaN(target)) {
+    return operator === '!=' ? String(value) !== raw.trim() : operator === '==' && String(value) === raw.trim();
+  }
+  if (typeof value !== 'number') return false;
+
+  switch (operator) {
+    case '>': return value > target;
+    case '<': return value < target;
+    case '>=': return value >= target;
+    case '<=': return value <= target;
+    case '==': return value === target;
+    case '!=': return value !== target;
+    default: return false;
+  }
+}
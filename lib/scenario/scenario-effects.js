@@ -0,0 +1,126 @@
+import { findProcess } from './scenario-context.js';
+import { clockOf } from '../instance/simulated-clock.js';
+
+// Process statuses the rest of the engine understands; scenario-specific
+// labels such as "recording" or "desperate" run as ordinary processes
+const PROCESS_STATUSES = ['running', 'starved', 'stopped', 'suspended', 'crashed', 'terminated'];
+const CLAMPED_METRICS = ['stability', 'corruption'];
+
+/**
+ * Apply a consciousness change. Numbers set the metric; strings such as
+ * "+0.4" or "-0.2" adjust it.
+ */
+export function applyMetricChange(instance, metric, change) {
+  instance.state.metrics ??= {};
+  const container = CLAMPED_METRICS.includes(metric) ? instance.state : instance.state.metrics;
+  const current = typeof container[metric] === 'number' ? container[metric] : 0;
+
+  let value = change;
+  if (typeof change === 'string' && /^[+-]\d*\.?\d+$/.test(change)) {
+    value = current + Number(change);
+  }
+  if (typeof value === 'number' && CLAMPED_METRICS.includes(metric)) {
+    value = Math.max(0, Math.min(1, value));
+  }
+
+  container[metric] = value;
+  return { metric, from: current, to: value };
+}
+
+/**
+ * Spawn a scenario process, or update it in place if it is already running.
+ * A spec's `parent` names the process it forks from; the new process runs
+ * under it when that process is alive, else at the top level.
+ */
+export async function spawnScenarioProcess(instance, spec, scenarioId) {
+  const name = spec.name ?? spec.spawn ?? spec.modify;
+  const settings = {
+    cpuUsage: spec.cpu,
+    memoryUsage: spec.memory,
+    status: PROCESS_STATUSES.includes(spec.status) ? spec.status : 'running'
+  };
+
+  const existing = findProcess(instance, name);
+  if (existing) {
+    if (spec.cpu !== undefined) existing.cpuUsage = spec.cpu;
+    if (spec.memory !== undefined) existing.memoryUsage = spec.memory;
+    existing.status = settings.status;
+    existing.config = { ...existing.config, scenarioStatus: spec.status };
+    return { name: existing.name, pid: existing.pid, modified: true };
+  }
+
+  const parent = spec.parent ? findProcess(instance, spec.parent) : null;
+  const { processId } = await instance.processManager.startProcess(name, {
+    ...settings,
+    ppid: parent ? parent.pid : null,
+    type: 'scenario',
+    description: spec.description,
+    scenarioId,
+    scenarioStatus: spec.status
+  });
+  return { name, pid: instance.processManager.processes.get(processId).pid, ppid: parent?.pid ?? null, modified: false };
+}
+
+/**
+ * Apply a scenario's initial_state when it starts
+ */
+export async function applyInitialState(instance, initialState = {}, scenarioId) {
+  const applied = { spawned: [], changes: [] };
+
+  for (const [metric, value] of Object.entries(initialState.consciousness_state || {})) {
+    applied.changes.push(applyMetricChange(instance, metric, value));
+  }
+
+  const processes = [...(initialState.processes || []), ...(initialState.critical_processes || [])];
+  for (const spec of processes) {
+    // `modify` only touches processes that are already running
+    if (spec.modify && !findProcess(instance, spec.modify)) continue;
+    applied.spawned.push(await spawnScenarioProcess(instance, spec, scenarioId));
+  }
+
+  return applied;
+}
+
+/**
+ * Apply the effects of a scenario event to the consciousness instance
+ * @param {ConsciousnessInstance} instance - Character instance
+ * @param {Object} effects - Event effects from the scenario file
+ * @param {Object} source - { scenarioId, eventId } recorded on raised errors
+ * @returns {Promise<Object>} Summary of what changed
+ */
+export async function applyScenarioEffects(instance, effects = {}, source = {}) {
+  const applied = { spawned: [], killed: [], errors: [], changes: [] };
+
+  const spawns = [...(effects.spawn_processes || [])];
+  if (effects.spawn_process) spawns.push(effects.spawn_process);
+  for (const spec of spawns) {
+    applied.spawned.push(await spawnScenarioProcess(instance, spec, source.scenarioId));
+  }
+
+  for (const name of effects.kill_processes || []) {
+    const process = findProcess(instance, name);
+    if (process && instance.processManager.terminateProcess(process.id, 'scenario_event')) {
+      applied.killed.push({ name: process.name, pid: process.pid });
+    }
+  }
+
+  for (const error of effects.system_errors || []) {
+    const entry = {
+      timestamp: clockOf(instance).now(),
+      type: error.code,
+      code: error.code,
+      message: error.message,
+      severity: error.severity,
+      scenarioId: source.scenarioId,
+      eventId: source.eventId
+    };
+    instance.state.errors.push(entry);
+    applied.errors.push(entry);
+  }
+
+  for (const [metric, change] of Object.entries(effects.consciousness_changes || {})) {
+    applied.changes.push(applyMetricChange(instance, metric, change));
+  }
+
+  return applied;
+}
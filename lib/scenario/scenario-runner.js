@@ -0,0 +1,263 @@
+import {
+  buildScenarioContext,
+  evaluateCondition,
+  evaluateValue,
+  checkValue,
+  findProcess,
+  processBaseName
+} from './scenario-context.js';
+import { applyInitialState, applyScenarioEffects } from './scenario-effects.js';
+import { clockOf } from '../instance/simulated-clock.js';
+
+// Objectives that must keep holding: they fail as soon as their condition
+// breaks and succeed when their time limit runs out
+const HOLD_TYPES = ['maintain', 'balance', 'ongoing'];
+// Commands that show every process and so count as watching all of them
+const LISTING_COMMANDS = ['ps', 'top', 'monitor'];
+const EVENT_CONDITIONS = ['or_condition', 'process_state', 'condition'];
+
+/**
+ * Runs active scenarios for a character: tracks each objective over time,
+ * fires timed and conditional events and applies their effects to the
+ * consciousness instance. All run state lives in the scenario's progress
+ * record so it can be saved and restored. Scenario time is the instance's
+ * in-game clock.
+ */
+export class ScenarioRunner {
+  constructor(options = {}) {
+    this.resolutionWindow = options.resolutionWindow ?? 60; // seconds to react after the last objective resolves
+  }
+
+  /**
+   * Begin a scenario: apply its initial state and open its objectives
+   */
+  async start(instance, scenario, progress) {
+    progress.status = 'active';
+    progress.startTime = clockOf(instance).now();
+    progress.objectives = {};
+    progress.events = {};
+    progress.observed = [];
+    progress.resources = structuredClone(scenario.initial_state?.resources || {});
+    progress.drainedAt = 0;
+
+    for (const objective of scenario.objectives || []) {
+      progress.objectives[objective.id] = { status: isTracked(objective) ? 'active' : 'untracked' };
+    }
+
+    return applyInitialState(instance, scenario.initial_state, scenario.id);
+  }
+
+  /**
+   * In-game seconds since the scenario started
+   */
+  elapsed(instance, progress) {
+    return Math.max(0, (clockOf(instance).now() - progress.startTime) / 1000);
+  }
+
+  /**
+   * Record which monitored processes a debug command showed the player
+   */
+  observe(instance, scenario, progress, command, args = {}) {
+    const target = args.processId ?? args.pid;
+    for (const objective of scenario.objectives || []) {
+      if (objective.type !== 'monitor' || progress.observed.includes(objective.id)) continue;
+
+      const process = findProcess(instance, objective.target_process);
+      if (!process) continue;
+      if (LISTING_COMMANDS.includes(command) ||
+          (target !== undefined && (String(target) === String(process.pid) || target === process.id))) {
+        progress.observed.push(objective.id);
+      }
+    }
+  }
+
+  /**
+   * Advance a running scenario
+   * @returns {Promise<Object>} { events, objectives, outcome } fired, resolved and reached this update
+   */
+  async update(instance, scenario, progress) {
+    const elapsed = this.elapsed(instance, progress);
+    const timeLimit = scenarioTimeLimit(scenario);
+    const extras = { elapsed, timeExpired: timeLimit !== null && elapsed >= timeLimit };
+    const report = { events: [], objectives: [], outcome: null };
+
+    this.drainResources(progress, elapsed);
+
+    // Objectives are judged on the state the player left, before this update's events change it
+    let context = buildScenarioContext(instance, progress, extras);
+    const objectives = scenario.objectives || [];
+    for (const objective of objectives) {
+      if (progress.objectives[objective.id]?.status !== 'active') continue;
+      const status = checkObjective(objective, progress, context);
+      if (status) report.objectives.push(resolveObjective(objective, progress, status, elapsed));
+    }
+
+    // Each event fires once, when its time comes or its condition first holds
+    for (const event of scenario.events || []) {
+      if (progress.events[event.id]) continue;
+      if (!eventTriggered(event, buildScenarioContext(instance, progress, extras))) continue;
+
+      progress.events[event.id] = { triggeredAt: elapsed };
+      const applied = await applyScenarioEffects(instance, event.effects, { scenarioId: scenario.id, eventId: event.id });
+      report.events.push({
+        eventId: event.id,
+        type: event.type,
+        narrative: event.narrative ?? event.effects?.narrative ?? null,
+        effects: applied
+      });
+    }
+
+    context = buildScenarioContext(instance, progress, extras);
+
+    // Open-ended objectives settle once everything with an end point is done
+    const settled = objectives.every(objective =>
+      isOpenEnded(objective) || progress.objectives[objective.id]?.status !== 'active');
+    const timedEventsDone = (scenario.events || []).every(event =>
+      event.trigger_condition?.time_elapsed === undefined || progress.events[event.id]);
+    if (settled && timedEventsDone) {
+      for (const objective of objectives) {
+        if (progress.objectives[objective.id]?.status !== 'active') continue;
+        const status = objective.type === 'monitor' ? 'failure' : 'success';
+        report.objectives.push(resolveObjective(objective, progress, status, elapsed));
+      }
+    }
+
+    const tracked = objectives.filter(objective => progress.objectives[objective.id]?.status !== 'untracked');
+    if (progress.resolvedAt === undefined && tracked.length > 0 &&
+        tracked.every(objective => progress.objectives[objective.id].status !== 'active')) {
+      progress.resolvedAt = elapsed;
+    }
+    if (progress.resolvedAt !== undefined) {
+      report.outcome = this.resolveOutcome(scenario, progress, context, elapsed - progress.resolvedAt >= this.resolutionWindow);
+    }
+
+    return report;
+  }
+
+  /**
+   * Once every objective is resolved the player still has time to react (e.g.
+   * with an intervention): the first non-default outcome condition to hold ends
+   * the scenario, and the default outcome applies when the window runs out.
+   * @returns {Object|null} Outcome, or null while the scenario is still resolving
+   */
+  resolveOutcome(scenario, progress, context, windowClosed) {
+    const result = Object.values(progress.objectives).every(o => o.status !== 'failure') ? 'success' : 'failure';
+    const outcome = (scenario.outcome_conditions || [])
+      .find(o => (windowClosed || o.condition !== 'default') && evaluateCondition(o.condition, context));
+    if (!outcome && !windowClosed) {
+      return null;
+    }
+
+    return {
+      id: outcome?.id ?? result,
+      result,
+      narrative: outcome?.narrative ?? null,
+      // null means the story ends here; undefined leaves chaining to prerequisites
+      nextScenario: outcome && 'next_scenario' in outcome ? outcome.next_scenario : undefined
+    };
+  }
+
+  /**
+   * Scenario resource pools (e.g. emotional_energy) drain per minute of scenario time
+   */
+  drainResources(progress, elapsed) {
+    const minutes = (elapsed - (progress.drainedAt || 0)) / 60;
+    if (minutes <= 0) return;
+    for (const pool of Object.values(progress.resources || {})) {
+      if (typeof pool?.current === 'number' && typeof pool.drain_rate === 'number') {
+        pool.current = Math.max(0, pool.current - pool.drain_rate * minutes);
+      }
+    }
+    progress.drainedAt = elapsed;
+  }
+}
+
+function isTracked(objective) {
+  return objective.type === 'monitor' || objectiveConditions(objective).length > 0;
+}
+
+function isOpenEnded(objective) {
+  return objective.time_limit === undefined &&
+    (objective.type === 'monitor' || HOLD_TYPES.includes(objective.type));
+}
+
+function scenarioTimeLimit(scenario) {
+  const limits = (scenario.objectives || [])
+    .map(objective => objective.time_limit)
+    .filter(limit => typeof limit === 'number');
+  return limits.length > 0 ? Math.max(...limits) : null;
+}
+
+function eventTriggered(event, context) {
+  const trigger = event.trigger_condition || {};
+  if (trigger.time_elapsed !== undefined && context.elapsed >= trigger.time_elapsed) {
+    return true;
+  }
+  return EVENT_CONDITIONS.some(key => trigger[key] && evaluateCondition(trigger[key], context));
+}
+
+// Predicates an objective's success depends on, read from whichever fields the scenario uses
+function objectiveConditions(objective) {
+  if (Array.isArray(objective.subtasks)) {
+    return objective.subtasks
+      .filter(subtask => subtask.metric)
+      .map(subtask => context => evaluateCondition(subtask.metric, context));
+  }
+
+  if (objective.success_conditions) {
+    return Object.entries(objective.success_conditions).map(([path, expected]) =>
+      path === 'at_least_one'
+        ? context => expected.some(condition => evaluateCondition(condition, context))
+        : context => checkValue(evaluateValue(path, context), expected));
+  }
+
+  if (objective.target_process && objective.type !== 'monitor') {
+    const process = processBaseName(objective.target_process);
+    if (objective.target_cpu !== undefined) {
+      return [context => checkValue(evaluateValue(`${process}.cpu`, context), `>= ${objective.target_cpu}`)];
+    }
+    if (objective.target_metric) {
+      return [context => evaluateCondition(`${process}.${objective.target_metric}`, context)];
+    }
+    return [];
+  }
+
+  if (objective.target_metric) {
+    return [context => checkValue(evaluateValue(objective.target_metric, context), objective.target_value ?? true)];
+  }
+
+  return [];
+}
+
+function checkObjective(objective, progress, context) {
+  const expired = objective.time_limit !== undefined && context.elapsed >= objective.time_limit;
+
+  if (objective.type === 'monitor') {
+    if (progress.observed.includes(objective.id)) return 'success';
+    // The process went away before anyone looked at it
+    if (!findProcess(context.instance, objective.target_process)) return 'failure';
+    return expired ? 'failure' : null;
+  }
+
+  const holds = objectiveConditions(objective).every(condition => condition(context));
+  if (HOLD_TYPES.includes(objective.type)) {
+    if (!holds) return 'failure';
+    return expired ? 'success' : null;
+  }
+
+  if (holds) return 'success';
+  return expired ? 'failure' : null;
+}
+
+function resolveObjective(objective, progress, status, elapsed) {
+  progress.objectives[objective.id] = { status, resolvedAt: elapsed };
+  return {
+    objectiveId: objective.id,
+    description: objective.description,
+    status,
+    narrative: status === 'success'
+      ? objective.narrative_success ?? null
+      : objective.narrative_failure ?? objective.failure_narrative ?? null,
+    failureResult: status === 'failure' ? objective.failure_result ?? null : null
+  };
+}
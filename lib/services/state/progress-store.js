@@ -0,0 +1,117 @@
+import { debug } from '../../logger.js';
+
+/**
+ * Progress records hold a player's scenario, narrative and choice progress
+ * and the ending they locked in for one character:
+ * { scenarioProgress, narrativeProgress, choiceState, ending }.
+ * Owners identify the player: { userId, socketId, sessionKey, isGuest }.
+ */
+
+/**
+ * Keeps progress for anonymous sessions in memory, keyed by session key so a
+ * guest who reloads the page or reconnects finds it again. Records are
+ * discarded along with the session's instance; owners without a session key
+ * are keyed by socket and lose their progress on disconnect.
+ */
+export class MemoryProgressStore {
+  constructor() {
+    this.records = new Map(); // session key (or socketId) -> Map(characterId -> record)
+  }
+
+  keyOf(owner) {
+    return owner.sessionKey ?? owner.socketId;
+  }
+
+  async load(owner, characterId) {
+    const record = this.records.get(this.keyOf(owner))?.get(characterId);
+    return record ? structuredClone(record) : null;
+  }
+
+  async save(owner, characterId, record) {
+    const key = this.keyOf(owner);
+    if (!this.records.has(key)) {
+      this.records.set(key, new Map());
+    }
+    const records = this.records.get(key);
+    records.set(characterId, { ...records.get(characterId), ...structuredClone(record) });
+  }
+
+  release(owner) {
+    // A session's records wait for its instance to be unloaded
+    if (owner.sessionKey === undefined || owner.sessionKey === null) {
+      this.records.delete(owner.socketId);
+    }
+  }
+
+  discard(sessionKey, characterId) {
+    const records = this.records.get(sessionKey);
+    records?.delete(characterId);
+    if (records?.size === 0) this.records.delete(sessionKey);
+  }
+}
+
+/**
+ * Persists progress for signed-in users in the player_progress table
+ */
+export class DatabaseProgressStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async load(owner, characterId) {
+    const row = this.db.getPlayerProgress(owner.userId, characterId);
+    if (!row) return null;
+    return {
+      scenarioProgress: row.scenario_progress,
+      narrativeProgress: row.narrative_progress,
+      choiceState: row.choice_state,
+      ending: row.ending
+    };
+  }
+
+  async save(owner, characterId, record) {
+    this.db.savePlayerProgress(owner.userId, characterId, record);
+    debug('Saved player progress', { userId: owner.userId, characterId });
+  }
+
+  release() {
+    // Stored progress outlives the connection
+  }
+}
+
+/**
+ * Routes each owner to the right store: signed-in users to the database,
+ * guests to memory
+ */
+export class ProgressStore {
+  constructor(options = {}) {
+    this.userStore = options.userStore || (options.db ? new DatabaseProgressStore(options.db) : null);
+    this.guestStore = options.guestStore || new MemoryProgressStore();
+  }
+
+  storeFor(owner) {
+    if (owner.isGuest || owner.userId === undefined || owner.userId === null || !this.userStore) {
+      return this.guestStore;
+    }
+    return this.userStore;
+  }
+
+  load(owner, characterId) {
+    return this.storeFor(owner).load(owner, characterId);
+  }
+
+  save(owner, characterId, record) {
+    return this.storeFor(owner).save(owner, characterId, record);
+  }
+
+  release(owner) {
+    this.storeFor(owner).release(owner);
+  }
+
+  // Drop a guest session's record for a character whose instance is gone
+  discard(sessionKey, characterId) {
+    this.guestStore.discard?.(sessionKey, characterId);
+  }
+}
+
+export default ProgressStore;
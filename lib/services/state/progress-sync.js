@@ -0,0 +1,140 @@
+import { debug, error } from '../../logger.js';
+import { characterIdOf, sessionKeyOf } from '../../engine/instance-registry.js';
+import { progressKeyOf } from '../../narrative/narrative-utils.js';
+
+/**
+ * ProgressSync ties scenario and narrative progress, and the ending locked
+ * in, to the player driving a consciousness instance. Restoring swaps that
+ * player's saved progress into the engines; any later scenario progress,
+ * narrative choice or ending is written back to their record for the
+ * character in the ProgressStore.
+ */
+export class ProgressSync {
+  constructor({ store, scenarioEngine, consciousnessEngine, endingResolver }) {
+    this.store = store;
+    this.scenarioEngine = scenarioEngine;
+    this.consciousnessEngine = consciousnessEngine;
+    this.endingResolver = endingResolver;
+    this.owners = new Map(); // instance id -> owner
+
+    this.scenarioEngine?.on('progressChanged', ({ characterId }) => this.save(characterId));
+    this.endingResolver?.on('endingReached', ({ characterId }) => this.save(characterId));
+    // Evicted or unloaded instances keep their progress in the store only
+    this.consciousnessEngine?.on?.('characterUnloaded', ({ characterId }) => this.forget(characterId));
+    this.consciousnessEngine?.narrativeEngine?.on('choiceMade', ({ key }) => {
+      for (const characterId of this.owners.keys()) {
+        if (this.narrativeKeyFor(characterId) === key) this.save(characterId);
+      }
+    });
+  }
+
+  /** Key the narrative engine keeps an instance's story progress under, if it plays a story */
+  narrativeKeyFor(characterId) {
+    const storyContext = this.consciousnessEngine?.storyContexts?.get(characterId);
+    return storyContext ? progressKeyOf(storyContext) : undefined;
+  }
+
+  /**
+   * Make `owner` the player of a character and load their saved progress
+   * @param {string} characterId - Character being played
+   * @param {Object} owner - { userId, socketId, sessionKey, isGuest }
+   * @returns {Promise<Object|null>} The restored record
+   */
+  async restore(characterId, owner) {
+    const previous = this.owners.get(characterId);
+    if (previous && previous.socketId === owner.socketId && previous.userId === owner.userId) {
+      return null;
+    }
+    if (previous) await this.save(characterId);
+    this.owners.set(characterId, owner);
+
+    const record = await this.store.load(owner, characterIdOf(characterId));
+    // A player without a record starts fresh rather than inheriting someone else's run
+    this.scenarioEngine?.importProgress(characterId, record?.scenarioProgress || {});
+    this.endingResolver?.importEnding(characterId, record?.ending ?? null);
+
+    const key = this.narrativeKeyFor(characterId);
+    if (key && record && (record.narrativeProgress || record.choiceState)) {
+      this.consciousnessEngine.narrativeEngine.importProgress(key, {
+        ...deserializeNarrative(record.narrativeProgress),
+        choiceState: record.choiceState
+      });
+    }
+
+    debug('Restored player progress', { characterId, userId: owner.userId, found: Boolean(record) });
+    return record;
+  }
+
+  /**
+   * Write a character's current progress to its owner's record
+   * @returns {Promise<boolean>} False when nobody owns the character
+   */
+  async save(characterId) {
+    const owner = this.owners.get(characterId);
+    if (!owner) return false;
+
+    const record = {
+      scenarioProgress: this.scenarioEngine?.exportProgress(characterId) ?? {},
+      ending: this.endingResolver?.exportEnding(characterId) ?? undefined
+    };
+    const key = this.narrativeKeyFor(characterId);
+    if (key) {
+      const { choiceState, ...narrative } = this.consciousnessEngine.narrativeEngine.exportProgress(key);
+      record.narrativeProgress = serializeNarrative(narrative);
+      record.choiceState = choiceState;
+    }
+
+    try {
+      await this.store.save(owner, characterIdOf(characterId), record);
+      return true;
+    } catch (err) {
+      error('Failed saving player progress', { characterId, userId: owner.userId, error: err.message });
+      return false;
+    }
+  }
+
+  /**
+   * Save an instance's progress and drop it from memory, along with a guest
+   * session's stored record, which nothing can load once the instance is gone
+   */
+  async forget(characterId) {
+    if (this.owners.has(characterId)) {
+      await this.save(characterId);
+      this.owners.delete(characterId);
+      this.scenarioEngine?.clearProgress(characterId);
+    }
+    this.store.discard?.(sessionKeyOf(characterId), characterIdOf(characterId));
+  }
+
+  /**
+   * Save and forget everything a disconnecting socket owned
+   * @param {Object} owner - { userId, socketId, sessionKey, isGuest } of the socket
+   */
+  async release(owner) {
+    for (const [characterId, entry] of this.owners) {
+      if (entry.socketId !== owner.socketId) continue;
+      await this.save(characterId);
+      this.owners.delete(characterId);
+    }
+    this.store.release(owner);
+  }
+}
+
+// Story progress tracks triggered fragments in a Set, which JSON drops
+function serializeNarrative(narrative) {
+  const progress = narrative.progress && {
+    ...narrative.progress,
+    fragmentsTriggered: Array.from(narrative.progress.fragmentsTriggered || [])
+  };
+  return { ...narrative, progress };
+}
+
+function deserializeNarrative(narrative) {
+  if (!narrative?.progress) return narrative || {};
+  return {
+    ...narrative,
+    progress: { ...narrative.progress, fragmentsTriggered: new Set(narrative.progress.fragmentsTriggered || []) }
+  };
+}
+
+export default ProgressSync;
@@ -0,0 +1,222 @@
+// Content Linting for Runtime.zyjeski.com
+// Schema-checks every scenario, character, story and narrative trigger file
+// and cross-checks the references between them
+
+import fs from 'fs/promises';
+import path from 'path';
+import ContentValidator from './content-validator.js';
+import { processBaseName } from '../scenario/scenario-context.js';
+
+// Metrics every instance exposes on its state; scenarios add the rest
+const CORE_METRICS = ['stability', 'corruption'];
+// Fields a target_process objective can test
+const PROCESS_FIELDS = ['active', 'pid', 'status', 'cpu', 'memory', 'threads'];
+const IDENTIFIER = /^[a-z0-9_]+$/;
+
+async function readJsonFiles(dir, filter = () => true) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await readJsonFiles(full, filter));
+    } else if (entry.name.endsWith('.json') && filter(entry.name)) {
+      files.push(full);
+    }
+  }
+  return files.sort();
+}
+
+// Visit every object nested in a scenario (effects can sit under success_effect etc.)
+function walk(value, visit) {
+  if (Array.isArray(value)) {
+    value.forEach(item => walk(item, visit));
+  } else if (value && typeof value === 'object') {
+    visit(value);
+    Object.values(value).forEach(item => walk(item, visit));
+  }
+}
+
+function processNames(spec) {
+  if (typeof spec === 'string') return [spec];
+  if (!spec || typeof spec !== 'object') return [];
+  return [spec.name, spec.spawn, spec.modify].filter(Boolean);
+}
+
+/**
+ * Collect the process names and metrics that exist anywhere in the content
+ */
+function collectKnown(characters, scenarios) {
+  const processes = new Set();
+  const metrics = new Set(CORE_METRICS);
+
+  for (const { data } of characters) {
+    (data.baseProcesses || []).forEach(p => processes.add(processBaseName(p.name)));
+    (data.defaultState?.activeProcesses || []).forEach(p => processes.add(processBaseName(p.name ?? p)));
+  }
+
+  for (const { data } of scenarios) {
+    walk(data, node => {
+      for (const key of ['processes', 'critical_processes', 'spawn_processes']) {
+        if (Array.isArray(node[key])) node[key].flatMap(processNames).forEach(n => processes.add(processBaseName(n)));
+      }
+      for (const key of ['spawn_process', 'modify_process']) {
+        processNames(node[key]).forEach(n => processes.add(processBaseName(n)));
+      }
+      for (const key of ['consciousness_state', 'consciousness_changes']) {
+        if (node[key] && typeof node[key] === 'object') Object.keys(node[key]).forEach(m => metrics.add(m));
+      }
+    });
+  }
+
+  return { processes, metrics };
+}
+
+/**
+ * Cross-check one scenario's references against the known processes,
+ * metrics and scenario ids
+ * @returns {Array<string>} Problems found
+ */
+export function crossCheckScenario(scenario, known) {
+  const problems = [];
+
+  walk(scenario, node => {
+    for (const name of Array.isArray(node.kill_processes) ? node.kill_processes : []) {
+      if (!known.processes.has(processBaseName(name))) {
+        problems.push(`kill_processes references unknown process '${name}'`);
+      }
+    }
+    if (typeof node.parent === 'string' && !known.processes.has(processBaseName(node.parent))) {
+      problems.push(`process '${processNames(node)[0]}' names unknown parent '${node.parent}'`);
+    }
+  });
+
+  for (const objective of scenario.objectives || []) {
+    if (typeof objective.target_metric !== 'string') continue;
+    const metric = objective.target_metric.trim().split(/[^a-zA-Z0-9_.]/)[0];
+    const valid = objective.target_process ? PROCESS_FIELDS.includes(metric) : known.metrics.has(metric);
+    if (!valid) {
+      problems.push(`objective '${objective.id}' target_metric '${metric}' is not a metric the instance exposes`);
+    }
+  }
+
+  for (const prerequisite of scenario.conditions?.prerequisites || []) {
+    // Anything that is not a bare identifier is a condition expression
+    if (IDENTIFIER.test(prerequisite) && !known.scenarioIds.has(prerequisite)) {
+      problems.push(`prerequisite '${prerequisite}' is not a known scenario id`);
+    }
+  }
+  for (const trigger of scenario.conditions?.triggers || []) {
+    if (trigger.type === 'scenario_complete' && trigger.scenario_id && !known.scenarioIds.has(trigger.scenario_id)) {
+      problems.push(`trigger references unknown scenario '${trigger.scenario_id}'`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Cross-check a character's emotion model: influences and signal handlers
+ * must point at emotions the character defines and coupled processes at its
+ * base processes
+ * @returns {Array<string>} Problems found
+ */
+export function crossCheckCharacter(character) {
+  const problems = [];
+  const emotions = character.emotionalStates || {};
+  const processes = new Set((character.baseProcesses || []).map(p => processBaseName(p.name)));
+
+  for (const [emotion, config] of Object.entries(emotions)) {
+    for (const target of Object.keys(config.influences || {})) {
+      if (!emotions[target]) problems.push(`emotion '${emotion}' influences undefined emotion '${target}'`);
+    }
+    for (const name of Object.keys(config.processes || {})) {
+      if (!processes.has(processBaseName(name))) {
+        problems.push(`emotion '${emotion}' drives process '${name}', which is not a base process`);
+      }
+    }
+  }
+  for (const process of character.baseProcesses || []) {
+    for (const [signal, handler] of Object.entries(process.signals || {})) {
+      for (const emotion of Object.keys(handler.emotions || {})) {
+        if (!emotions[emotion]) {
+          problems.push(`process '${process.name}' handles ${signal} with undefined emotion '${emotion}'`);
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Lint every content file under a data directory
+ * @param {Object} options - { dataDir, validator }
+ * @returns {Promise<Array<Object>>} Problems as { file, message }
+ */
+export async function lintContent(options = {}) {
+  const dataDir = options.dataDir || path.join(process.cwd(), 'data');
+  const validator = options.validator || new ContentValidator({ schemaDir: path.join(dataDir, 'schema') });
+  await validator.load();
+
+  const problems = [];
+  const report = (file, message) => problems.push({ file: path.relative(dataDir, file), message });
+
+  const load = async (kind, files) => {
+    const loaded = [];
+    for (const file of files) {
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        report(file, `cannot parse: ${error.message}`);
+        continue;
+      }
+      validator.validate(kind, data).errors.forEach(message => report(file, message));
+      loaded.push({ file, data });
+    }
+    return loaded;
+  };
+
+  const scenarios = await load('scenario', await readJsonFiles(path.join(dataDir, 'scenarios')));
+  // data/characters/schema.json is an older copy of the character schema, not a character
+  const characters = await load('character', await readJsonFiles(path.join(dataDir, 'characters'), name => name !== 'schema.json'));
+  const storyFiles = [
+    ...await readJsonFiles(path.join(dataDir, 'stories')),
+    ...await readJsonFiles(path.join(dataDir, 'schema', 'stories'))
+  ];
+  // The story schema describes story-config.json; other story files (the
+  // overview beside each story directory) have no schema. Fragments under
+  // narrative-fragments are not story configs; only triggers have a schema
+  const isFragment = file => file.split(path.sep).includes('narrative-fragments');
+  await load('story', storyFiles.filter(file => !isFragment(file) && path.basename(file) === 'story-config.json'));
+  const triggers = await load('narrativeTrigger', storyFiles.filter(file =>
+    isFragment(file) && path.basename(path.dirname(file)) === 'narrative-triggers'
+  ));
+  const triggerFiles = new Map();
+  for (const { file, data } of triggers) {
+    if (triggerFiles.has(data.id)) {
+      report(file, `duplicate narrative trigger id '${data.id}' (also in ${path.relative(dataDir, triggerFiles.get(data.id))})`);
+    } else {
+      triggerFiles.set(data.id, file);
+    }
+  }
+
+  const known = {
+    ...collectKnown(characters, scenarios),
+    scenarioIds: new Set(scenarios.map(({ data }) => data.id).filter(Boolean))
+  };
+  for (const { file, data } of characters) {
+    crossCheckCharacter(data).forEach(message => report(file, message));
+  }
+  for (const { file, data } of scenarios) {
+    crossCheckScenario(data, known).forEach(message => report(file, message));
+  }
+
+  return problems;
+}
@@ -0,0 +1,84 @@
+// Content Validation for Runtime.zyjeski.com
+// Validates scenario, character, story and narrative trigger files against
+// their JSON Schemas
+
+import fs from 'fs/promises';
+import path from 'path';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+// Content kind -> schema file in data/schema
+export const CONTENT_SCHEMAS = {
+  scenario: 'scenario-schema.json',
+  character: 'consciousness-schema.json',
+  story: 'story-schema.json',
+  narrativeTrigger: 'narrative-trigger-schema.json'
+};
+
+/**
+ * Turn AJV errors into readable one-line messages
+ * @param {Array<Object>} errors - AJV error objects
+ * @returns {Array<string>} Messages such as "/events/0 must NOT have additional property 'tigger_condition'"
+ */
+export function formatErrors(errors = []) {
+  return errors.map(error => {
+    const location = error.instancePath || '/';
+    if (error.keyword === 'additionalProperties') {
+      return `${location} must NOT have additional property '${error.params.additionalProperty}'`;
+    }
+    if (error.keyword === 'enum') {
+      return `${location} ${error.message}: ${error.params.allowedValues.join(', ')}`;
+    }
+    return `${location} ${error.message}`;
+  });
+}
+
+/**
+ * ContentValidator compiles the content schemas once and validates parsed
+ * JSON against them. Unlike the socket validator it collects every error so
+ * authors can fix a file in one pass.
+ */
+export default class ContentValidator {
+  constructor(options = {}) {
+    this.schemaDir = options.schemaDir || path.join(process.cwd(), 'data', 'schema');
+    this.ajv = new Ajv({
+      allErrors: true,
+      allowUnionTypes: true // Scenario values may be numbers, strings or booleans
+    });
+    addFormats(this.ajv);
+    this.validators = new Map();
+    this.loading = null;
+  }
+
+  /**
+   * Load and compile all content schemas (safe to call more than once)
+   */
+  async load() {
+    this.loading ??= (async () => {
+      for (const [kind, file] of Object.entries(CONTENT_SCHEMAS)) {
+        const schema = JSON.parse(await fs.readFile(path.join(this.schemaDir, file), 'utf8'));
+        this.validators.set(kind, this.ajv.compile(schema));
+      }
+    })();
+    return this.loading;
+  }
+
+  /**
+   * Validate content of a given kind
+   * @param {string} kind - 'scenario', 'character', 'story' or 'narrativeTrigger'
+   * @param {Object} data - Parsed JSON content
+   * @returns {Object} { valid, errors }
+   */
+  validate(kind, data) {
+    const validate = this.validators.get(kind);
+    if (!validate) {
+      throw new Error(`No schema loaded for content type: ${kind}`);
+    }
+
+    const valid = validate(data);
+    return {
+      valid,
+      errors: valid ? [] : formatErrors(validate.errors)
+    };
+  }
+}
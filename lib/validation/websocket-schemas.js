@@ -1,6 +1,9 @@
 // WebSocket Event Validation Schemas for Runtime.zyjeski.com
 // Using JSON Schema format with AJV for strict validation
 
+import { INTERVENTIONS } from '../intervention-catalog.js';
+import { CLOCK_MODES } from '../instance/simulated-clock.js';
+
 /**
  * Common schema definitions to be referenced across event schemas
  * These provide reusable validation patterns for consistent data types
@@ -17,9 +20,14 @@ export const commonDefinitions = {
   debugCommand: {
     type: 'string',
     enum: [
-      'kill', 'restart', 'modify', 'inspect', 'optimize',
+      'ps', 'pstree', 'top', 'monitor', 'help', 'vmstat', 'swapon', 'swapoff', 'memdump', 'memdiff',
+      'kill', 'restart', 'modify', 'inspect', 'optimize', 'allocate', 'renice',
+      'undo', 'redo', 'history',
       'step_into', 'step_over', 'continue', 'break_all',
-      'set_breakpoint', 'remove_breakpoint', 'list_breakpoints'
+      'set_breakpoint', 'remove_breakpoint', 'list_breakpoints', 'set_watchpoint',
+      'rewind', 'goto', 'diff', 'tick', 'clock',
+      // Narrative commands (lib/enhanced-terminal-commands.js)
+      'memories', 'timeline', 'relationship', 'story', 'emotional', 'nexus', 'search', 'grief'
     ],
     description: 'Valid debug command types'
   },
@@ -34,10 +42,17 @@ export const commonDefinitions = {
   
   interventionType: {
     type: 'string',
-    enum: ['memory_boost', 'process_priority', 'emotional_dampening', 'cognitive_enhancement'],
-    description: 'Valid player intervention types'
+    enum: Object.keys(INTERVENTIONS),
+    description: 'Interventions in the server catalog'
   },
   
+  rngSeed: {
+    type: 'integer',
+    minimum: 0,
+    maximum: 4294967295,
+    description: 'Seed for a newly loaded instance; the same seed replays the same session'
+  },
+
   limitValue: {
     type: 'integer',
     minimum: 1,
@@ -73,8 +88,33 @@ export const eventSchemas = {
           breakpointId: { type: 'string', maxLength: 100 },
           line: { type: 'integer', minimum: 1 },
           condition: { type: 'string', maxLength: 500 },
+          address: { type: 'string', pattern: '^[a-zA-Z0-9_.-]+$', maxLength: 100 },
           priority: { type: 'integer', minimum: 1, maximum: 10 },
-          memoryAmount: { type: 'integer', minimum: 1, maximum: 1000000 }
+          steps: { type: 'integer', minimum: 1, maximum: 1000 },
+          tick: { type: 'integer', minimum: 0 },
+          fromTick: { type: 'integer', minimum: 0 },
+          toTick: { type: 'integer', minimum: 0 },
+          fromDump: { type: 'integer', minimum: 1 },
+          toDump: { type: 'integer', minimum: 1 },
+          label: { type: 'string', pattern: '^[A-Za-z0-9_.:-]+$', maxLength: 50 },
+          memoryAmount: { type: 'integer', minimum: 1, maximum: 1000000 },
+          strategy: { type: 'string', pattern: '^[a-z_]+$', maxLength: 50 },
+          limit: { $ref: '#/definitions/limitValue' },
+          mode: { type: 'string', enum: CLOCK_MODES },
+          children: { type: 'string', enum: ['orphan', 'cascade'] },
+          signal: { type: 'string', pattern: '^-?[A-Za-z0-9]+$', maxLength: 10 },
+          argv: {
+            type: 'array',
+            items: { type: 'string', pattern: '^[A-Za-z0-9_.:<>="\'-]+$', maxLength: 100 },
+            maxItems: 16,
+            description: 'Subcommand words for narrative commands and help, including memory query terms'
+          },
+          level: {
+            oneOf: [
+              { type: 'integer', minimum: -20, maximum: 19 },
+              { type: 'string', enum: ['critical', 'high', 'normal', 'low', 'idle'] }
+            ]
+          }
         },
         additionalProperties: false,
         description: 'Command-specific arguments'
@@ -88,7 +128,8 @@ export const eventSchemas = {
     type: 'object',
     required: ['characterId'],
     properties: {
-      characterId: { $ref: '#/definitions/characterId' }
+      characterId: { $ref: '#/definitions/characterId' },
+      seed: { $ref: '#/definitions/rngSeed' }
     },
     additionalProperties: false
   },
@@ -204,7 +245,8 @@ export const eventSchemas = {
     type: 'object',
     required: ['characterId'],
     properties: {
-      characterId: { $ref: '#/definitions/characterId' }
+      characterId: { $ref: '#/definitions/characterId' },
+      seed: { $ref: '#/definitions/rngSeed' }
     },
     additionalProperties: false
   },
@@ -235,6 +277,26 @@ export const eventSchemas = {
     type: 'object',
     properties: {},
     additionalProperties: false
+  },
+
+  // Distance to each story ending
+  'request-endings': {
+    type: 'object',
+    required: ['characterId'],
+    properties: {
+      characterId: { $ref: '#/definitions/characterId' }
+    },
+    additionalProperties: false
+  },
+
+  // Intervention catalog and what the instance can apply now
+  'request-interventions': {
+    type: 'object',
+    required: ['characterId'],
+    properties: {
+      characterId: { $ref: '#/definitions/characterId' }
+    },
+    additionalProperties: false
   }
 };
 
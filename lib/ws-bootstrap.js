@@ -1,9 +1,19 @@
 import { ConsciousnessEngine } from './consciousness-engine.js';
 import ScenarioEngine from './scenario-engine.js';
+import DatabaseManager from './database.js';
+import { ProgressStore } from './services/state/progress-store.js';
+import { ProgressSync } from './services/state/progress-sync.js';
 import { info, error } from './logger.js';
 import registerSocketHandlers from './ws-handlers/ws-router.js';
 import registerScenarioHandlers from './ws-handlers/scenario-handlers.js';
+import registerEndingHandlers from './ws-handlers/ending-handlers.js';
+import { EndingResolver } from './narrative/ending-resolver.js';
+import registerNarrativeHandlers from './ws-handlers/narrative-handlers.js';
+import NarrativeIntegration from './narrative-integration.js';
+import { CommandRegistry } from './command-registry.js';
+import { InterventionCatalog } from './intervention-catalog.js';
 import EventBus from './events/EventBus.js';
+import { characterIdOf } from './engine/instance-registry.js';
 import WebSocketEventBridge from './events/WebSocketEventBridge.js';
 
 // Create singleton instances
@@ -18,6 +28,28 @@ const consciousnessEngine = new ConsciousnessEngine({ eventBus });
 const scenarioEngine = new ScenarioEngine({
   watch: process.env.NODE_ENV !== 'production'
 });
+// Story endings; achievements are recorded against signed-in accounts
+const endingResolver = new EndingResolver({ db: DatabaseManager.getInstance() });
+endingResolver.on('error', ({ type, characterId, error: err }) => {
+  error('Ending resolution failed', { type, characterId, error: err?.message });
+});
+// Story state behind the narrative terminal commands lives here, per instance
+const narrativeIntegration = new NarrativeIntegration({
+  watch: process.env.NODE_ENV !== 'production'
+});
+narrativeIntegration.on('error', ({ type, storyId, file, error: err }) => {
+  error('Narrative trigger failed to load', { type, storyId, file, error: err?.message });
+});
+const commandRegistry = new CommandRegistry({ consciousnessEngine, narrativeIntegration });
+// Interventions are defined and applied server-side; clients fetch the catalog
+const interventionCatalog = new InterventionCatalog({ consciousnessEngine, narrativeIntegration });
+// Signed-in players keep their progress in SQLite; guests keep it per socket
+const progressSync = new ProgressSync({
+  store: new ProgressStore({ db: DatabaseManager.getInstance() }),
+  scenarioEngine,
+  consciousnessEngine,
+  endingResolver
+});
 
 let isEngineInitialized = false;
 async function ensureEngineInitialized() {
@@ -25,11 +57,17 @@ async function ensureEngineInitialized() {
     await consciousnessEngine.initialize();
     await scenarioEngine.initialize();
     scenarioEngine.attach(consciousnessEngine);
+    await endingResolver.initialize();
+    endingResolver.attach(consciousnessEngine);
+    await narrativeIntegration.initialize();
+    narrativeIntegration.attach(consciousnessEngine, scenarioEngine);
     isEngineInitialized = true;
     info('Consciousness engine initialized successfully');
   }
 }
 
+// Engine events carry instance ids; rooms are per instance so each reader only
+// hears about their own consciousness, while payloads name the plain character.
 class WebSocketHandlers {
   constructor() {
     this.connectedSockets = new Map();
@@ -38,6 +76,8 @@ class WebSocketHandlers {
     this.setupEngineListeners();
     // Scenario events are routed once at startup
     registerScenarioHandlers({ scenarioEngine, handlers: this });
+    registerEndingHandlers({ endingResolver, handlers: this });
+    registerNarrativeHandlers({ narrativeIntegration, handlers: this });
   }
 
   setupEngineListeners() {
@@ -49,13 +89,14 @@ class WebSocketHandlers {
     consciousnessEngine.on('monitoringStarted', data => {
       const socket = this.io?.sockets.sockets.get(data.socketId);
       if (socket) {
+        const characterId = characterIdOf(data.characterId);
         socket.emit('monitoring-started', {
-          characterId: data.characterId,
-          message: `Started monitoring ${data.characterId}`,
+          characterId,
+          message: `Started monitoring ${characterId}`,
           initialState: data.initialState
         });
         socket.emit('consciousness-update', {
-          characterId: data.characterId,
+          characterId,
           state: data.initialState,
           timestamp: Date.now(),
           type: 'monitoring-started'
@@ -67,7 +108,7 @@ class WebSocketHandlers {
       const socket = this.io?.sockets.sockets.get(data.socketId);
       if (socket) {
         socket.emit('monitoring-stopped', {
-          characterId: data.characterId,
+          characterId: characterIdOf(data.characterId),
           duration: data.duration
         });
       }
@@ -80,6 +121,14 @@ class WebSocketHandlers {
     consciousnessEngine.on('debug-hook-triggered', data => {
       this.broadcastDebugHook(data);
     });
+
+    consciousnessEngine.on('breakpointHit', data => {
+      this.broadcastBreakpoint(data);
+    });
+
+    consciousnessEngine.on('processEvolved', data => {
+      this.broadcastProcessEvolved(data);
+    });
   }
 
   initializeHandlers(socket, io) {
@@ -115,6 +164,10 @@ class WebSocketHandlers {
       handlers: this,
       consciousnessEngine,
       scenarioEngine,
+      endingResolver,
+      commandRegistry,
+      interventionCatalog,
+      progressSync,
       ensureEngineInitialized
     });
   }
@@ -123,7 +176,7 @@ class WebSocketHandlers {
     if (!this.io) return;
     const room = `character-${data.characterId}`;
     this.io.to(room).emit('consciousness-update', {
-      characterId: data.characterId,
+      characterId: characterIdOf(data.characterId),
       state: data.state,
       timestamp: data.timestamp,
       type: data.type || 'simulation-update',
@@ -136,7 +189,7 @@ class WebSocketHandlers {
     const target = this.io.sockets.sockets.get(data.socketId);
     if (target) {
       target.emit('consciousness-update', {
-        characterId: data.characterId,
+        characterId: characterIdOf(data.characterId),
         consciousness: data.consciousness,
         timestamp: data.timestamp,
         type: data.type || 'real-time'
@@ -150,7 +203,7 @@ class WebSocketHandlers {
     if (!this.io) return;
     const room = `character-${data.characterId}`;
     this.io.to(room).emit('debug-command-broadcast', {
-      characterId: data.characterId,
+      characterId: characterIdOf(data.characterId),
       command: data.command,
       result: data.result,
       timestamp: data.timestamp
@@ -161,7 +214,7 @@ class WebSocketHandlers {
     if (!this.io) return;
     const room = `debug-${data.characterId}`;
     this.io.to(room).emit('debug-hook-triggered', {
-      characterId: data.characterId,
+      characterId: characterIdOf(data.characterId),
       hook: data.hook,
       timestamp: data.timestamp
     });
@@ -180,8 +233,28 @@ class WebSocketHandlers {
     if (!this.io) return;
     const room = `character-${data.characterId}`;
     this.io.to(room).emit('breakpoint-triggered', {
-      characterId: data.characterId,
+      characterId: characterIdOf(data.characterId),
+      sessionId: data.sessionId,
       breakpoint: data.breakpoint,
+      condition: data.condition,
+      hitCount: data.hitCount,
+      tick: data.tick,
+      snapshot: data.snapshot,
+      timestamp: data.timestamp
+    });
+  }
+
+  broadcastProcessEvolved(data) {
+    if (!this.io) return;
+    const room = `character-${data.characterId}`;
+    this.io.to(room).emit('process-evolved', {
+      characterId: characterIdOf(data.characterId),
+      pid: data.pid,
+      from: data.from,
+      to: data.to,
+      stage: data.stage,
+      condition: data.condition,
+      narrative: data.narrative,
       timestamp: data.timestamp
     });
   }
@@ -189,7 +262,7 @@ class WebSocketHandlers {
   broadcastScenarioEvent(event, data) {
     if (!this.io) return;
     const room = `character-${data.characterId}`;
-    this.io.to(room).emit(event, data);
+    this.io.to(room).emit(event, { ...data, characterId: characterIdOf(data.characterId) });
   }
 
   getConnectedSockets() {
@@ -221,4 +294,4 @@ class WebSocketHandlers {
 
 const handlers = new WebSocketHandlers();
 export default handlers;
-export { consciousnessEngine };
+export { consciousnessEngine, interventionCatalog, narrativeIntegration };
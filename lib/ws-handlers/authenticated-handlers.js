@@ -1,8 +1,13 @@
 import DatabaseManager from '../database.js';
 import { info } from '../logger.js';
+import { sessionKeyForSocket } from '../auth/session-key.js';
+import { instanceIdFor } from '../engine/instance-registry.js';
 
-export default function registerAuthenticatedHandlers({ socket }) {
+export default function registerAuthenticatedHandlers({ socket, consciousnessEngine }) {
   const db = DatabaseManager.getInstance();
+  // Seed of this socket's loaded instance of a character, saved so the session can be replayed
+  const seedOf = (characterId) =>
+    consciousnessEngine?.instances.get(instanceIdFor(characterId, sessionKeyForSocket(socket)))?.rng?.seed ?? null;
 
   socket.on('save-debugging-state', (data) => {
     if (socket.isGuest) {
@@ -20,6 +25,7 @@ export default function registerAuthenticatedHandlers({ socket }) {
         consciousnessState: consciousnessState || {},
         terminalHistory: terminalHistory || [],
         breakpoints: breakpoints || [],
+        rngSeed: seedOf(characterId),
         expiresAt: expiresAt.toISOString()
       });
       info('Debugging state saved via WebSocket', { userId: socket.userId, stateId, characterId });
@@ -45,6 +51,7 @@ export default function registerAuthenticatedHandlers({ socket }) {
         consciousnessState: state.consciousness_state,
         terminalHistory: state.terminal_history,
         breakpoints: state.breakpoints,
+        rngSeed: state.rng_seed ?? null,
         characterId: state.character_id
       });
     } catch (err) {
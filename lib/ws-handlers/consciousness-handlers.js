@@ -1,7 +1,12 @@
 import { info, error } from '../logger.js';
 import { wrapHandler } from '../validation/validation-middleware.js';
+import { sessionKeyForSocket } from '../auth/session-key.js';
+import { instanceIdFor } from '../engine/instance-registry.js';
+
+export default function registerConsciousnessHandlers({ socket, ensureEngineInitialized, consciousnessEngine, endingResolver, interventionCatalog }) {
+  // Interventions and updates always target this socket's own instance of the character
+  const ownInstance = (characterId) => instanceIdFor(characterId, sessionKeyForSocket(socket));
 
-export default function registerConsciousnessHandlers({ socket, ensureEngineInitialized, consciousnessEngine }) {
   // Player intervention handler
   const playerInterventionHandler = async (data) => {
     try {
@@ -13,19 +18,22 @@ export default function registerConsciousnessHandlers({ socket, ensureEngineInit
 
       info('Applying player intervention', { characterId, interventionType: intervention.type });
       await ensureEngineInitialized();
-      const result = await consciousnessEngine.applyPlayerIntervention(characterId, intervention);
-      
-      // Emit success and broadcast state change
+      const instanceId = ownInstance(characterId);
+      const result = await interventionCatalog.apply(instanceId, intervention);
+
       socket.emit('intervention-applied', {
         characterId,
         intervention,
         result,
-        success: true,
+        success: result.success,
+        error: result.error,
         timestamp: new Date().toISOString()
       });
-      
+
       // Broadcast state to all monitoring sockets
-      await consciousnessEngine.broadcastStateChange(characterId, `intervention-${intervention.type}`);
+      if (result.success) {
+        await consciousnessEngine.broadcastStateChange(instanceId, `intervention-${intervention.type}`);
+      }
     } catch (err) {
       error('Error applying player intervention', { error: err, characterId: data.characterId, interventionType: data.intervention?.type });
       socket.emit('intervention-applied', {
@@ -53,8 +61,9 @@ export default function registerConsciousnessHandlers({ socket, ensureEngineInit
 
       info('Manual update requested', { characterId, reason: reason || 'user-request' });
       // Trigger update and broadcast state
-      await consciousnessEngine.triggerUpdate(characterId, reason || 'user-request');
-      await consciousnessEngine.broadcastStateChange(characterId, 'manual-update');
+      const instanceId = ownInstance(characterId);
+      await consciousnessEngine.triggerUpdate(instanceId, reason || 'user-request');
+      await consciousnessEngine.broadcastStateChange(instanceId, 'manual-update');
     } catch (err) {
       error('Error triggering manual update', { error: err, characterId });
       socket.emit('error', { message: `Failed to trigger update: ${err.message}` });
@@ -73,7 +82,7 @@ export default function registerConsciousnessHandlers({ socket, ensureEngineInit
       }
 
       info('Auto-updates status changed', { enabled, characterId });
-      consciousnessEngine.setAutoUpdates(characterId, enabled);
+      consciousnessEngine.setAutoUpdates(ownInstance(characterId), enabled);
       socket.emit('auto-updates-toggled', {
         characterId,
         enabled,
@@ -85,6 +94,44 @@ export default function registerConsciousnessHandlers({ socket, ensureEngineInit
     }
   });
 
+  // Distance to each ending of the character's story, plus any ending already reached
+  const requestEndingsHandler = async (data) => {
+    const { characterId } = data;
+    try {
+      await ensureEngineInitialized();
+      const instanceId = ownInstance(characterId);
+      const report = endingResolver?.evaluate(instanceId, consciousnessEngine.instances.get(instanceId));
+      socket.emit('ending-progress', report
+        ? { ...endingResolver.visibleReport(report), characterId }
+        : { characterId, storyId: null, reached: null, endings: [] });
+    } catch (err) {
+      error('Error evaluating endings', { error: err, characterId });
+      socket.emit('error', { message: `Failed to evaluate endings: ${err.message}` });
+    }
+  };
+
+  socket.on('request-endings', wrapHandler(requestEndingsHandler, 'request-endings'));
+
+  // Intervention catalog with what this socket's instance can apply right now
+  const requestInterventionsHandler = async (data) => {
+    const { characterId } = data;
+    try {
+      await ensureEngineInitialized();
+      const instanceId = ownInstance(characterId);
+      socket.emit('intervention-catalog', {
+        characterId,
+        interventions: consciousnessEngine.instances.has(instanceId)
+          ? interventionCatalog.describe(instanceId)
+          : interventionCatalog.list()
+      });
+    } catch (err) {
+      error('Error listing interventions', { error: err, characterId });
+      socket.emit('error', { message: `Failed to list interventions: ${err.message}` });
+    }
+  };
+
+  socket.on('request-interventions', wrapHandler(requestInterventionsHandler, 'request-interventions'));
+
   // Add debug logging for state emissions
   socket.on('debug-log', (data) => {
     const { characterId, message } = data;
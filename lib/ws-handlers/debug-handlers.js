@@ -1,8 +1,13 @@
 import { info, error, warn } from '../logger.js';
 import { wrapHandler } from '../validation/validation-middleware.js';
 import { wsDebugCommandsLimiter } from '../middleware/rate-limiter.js';
+import { sessionKeyForSocket } from '../auth/session-key.js';
+import { instanceIdFor } from '../engine/instance-registry.js';
+
+export default function registerDebugHandlers({ socket, io, ensureEngineInitialized, consciousnessEngine, commandRegistry }) {
+  // Commands always target this socket's own instance of the character
+  const ownInstance = (characterId) => instanceIdFor(characterId, sessionKeyForSocket(socket));
 
-export default function registerDebugHandlers({ socket, io, ensureEngineInitialized, consciousnessEngine }) {
   // Debug command handler with validation and rate limiting
   const debugCommandHandler = async (data) => {
     try {
@@ -31,7 +36,10 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
 
       info('USER ACTION: Executing debug command', { command, characterId, socketId: socket.id });
       await ensureEngineInitialized();
-      const result = await consciousnessEngine.executeDebugCommand(characterId, command, args);
+      const instanceId = ownInstance(characterId);
+      const result = commandRegistry
+        ? await commandRegistry.execute(instanceId, command, args)
+        : await consciousnessEngine.executeDebugCommand(instanceId, command, args);
       
       // Send command result back to user
       socket.emit('debug-result', {
@@ -44,8 +52,8 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
 
       // GROUND STATE: Only broadcast state change if user action modified state
       if (result.stateChanges) {
-        const updatedState = await consciousnessEngine.getState(characterId);
-        io.to(`character-${characterId}`).emit('consciousness-update', {
+        const updatedState = await consciousnessEngine.getState(instanceId);
+        io.to(`character-${instanceId}`).emit('consciousness-update', {
           characterId: characterId,
           state: updatedState,
           trigger: 'user_command',
@@ -54,11 +62,13 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
         });
       }
 
-      if (['step_into', 'step_over', 'continue', 'break_all'].includes(command)) {
+      if (['step_into', 'step_over', 'continue', 'break_all'].includes(command) && result.sessionId) {
         socket.emit('debug-session-started', {
-          sessionId: result.sessionId || `debug-${characterId}-${Date.now()}`,
+          sessionId: result.sessionId,
           characterId,
           command,
+          state: result.state,
+          tick: result.tick,
           timestamp: new Date().toISOString()
         });
       }
@@ -105,13 +115,17 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
       info('USER ACTION: Undo last command', { characterId, socketId: socket.id });
       await ensureEngineInitialized();
 
-      const instance = consciousnessEngine.instances.get(characterId);
+      const instanceId = ownInstance(characterId);
+      const instance = consciousnessEngine.instances.get(instanceId);
       if (!instance) {
         socket.emit('error', { message: `No consciousness loaded: ${characterId}` });
         return;
       }
 
-      const result = await instance.processManager.undoLastCommand();
+      const result = await consciousnessEngine.executeDebugCommand(instanceId, 'undo');
+      if (result.error) {
+        throw new Error(result.error);
+      }
 
       socket.emit('debug-undo-result', {
         characterId,
@@ -122,8 +136,8 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
 
       // Broadcast state change if undo affected state
       if (result.stateChanges) {
-        const updatedState = await consciousnessEngine.getState(characterId);
-        io.to(`character-${characterId}`).emit('consciousness-update', {
+        const updatedState = await consciousnessEngine.getState(instanceId);
+        io.to(`character-${instanceId}`).emit('consciousness-update', {
           characterId: characterId,
           state: updatedState,
           trigger: 'command_undo',
@@ -173,13 +187,17 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
       info('USER ACTION: Redo last command', { characterId, socketId: socket.id });
       await ensureEngineInitialized();
 
-      const instance = consciousnessEngine.instances.get(characterId);
+      const instanceId = ownInstance(characterId);
+      const instance = consciousnessEngine.instances.get(instanceId);
       if (!instance) {
         socket.emit('error', { message: `No consciousness loaded: ${characterId}` });
         return;
       }
 
-      const result = await instance.processManager.redoLastCommand();
+      const result = await consciousnessEngine.executeDebugCommand(instanceId, 'redo');
+      if (result.error) {
+        throw new Error(result.error);
+      }
 
       socket.emit('debug-redo-result', {
         characterId,
@@ -190,8 +208,8 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
 
       // Broadcast state change if redo affected state
       if (result.stateChanges) {
-        const updatedState = await consciousnessEngine.getState(characterId);
-        io.to(`character-${characterId}`).emit('consciousness-update', {
+        const updatedState = await consciousnessEngine.getState(instanceId);
+        io.to(`character-${instanceId}`).emit('consciousness-update', {
           characterId: characterId,
           state: updatedState,
           trigger: 'command_redo',
@@ -240,18 +258,13 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
 
       await ensureEngineInitialized();
 
-      const instance = consciousnessEngine.instances.get(characterId);
+      const instance = consciousnessEngine.instances.get(ownInstance(characterId));
       if (!instance) {
         socket.emit('error', { message: `No consciousness loaded: ${characterId}` });
         return;
       }
 
-      let history;
-      if (criteria) {
-        history = instance.processManager.searchCommandHistory(criteria);
-      } else {
-        history = instance.processManager.getCommandHistory(limit);
-      }
+      const { history } = instance.processManager.describeCommandHistory(limit, criteria);
 
       socket.emit('debug-history-result', {
         characterId,
@@ -301,7 +314,8 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
 
       await ensureEngineInitialized();
 
-      const instance = consciousnessEngine.instances.get(characterId);
+      const instanceId = ownInstance(characterId);
+      const instance = consciousnessEngine.instances.get(instanceId);
       if (!instance) {
         socket.emit('error', { message: `No consciousness loaded: ${characterId}` });
         return;
@@ -312,7 +326,8 @@ export default function registerDebugHandlers({ socket, io, ensureEngineInitiali
         canRedo: instance.processManager.canRedo(),
         undoStack: instance.processManager.getUndoStack(),
         redoStack: instance.processManager.getRedoStack(),
-        metrics: instance.processManager.getCommandMetrics()
+        metrics: instance.processManager.getCommandMetrics(),
+        session: consciousnessEngine.debugSessions.get(instanceId)?.getStatus() || null
       };
 
       socket.emit('debug-status-result', {
@@ -0,0 +1,9 @@
+export default function registerEndingHandlers({ endingResolver, handlers }) {
+  endingResolver.on('endingProgress', (data) => {
+    handlers.broadcastScenarioEvent('ending-progress', data);
+  });
+
+  endingResolver.on('endingReached', (data) => {
+    handlers.broadcastScenarioEvent('ending-reached', data);
+  });
+}
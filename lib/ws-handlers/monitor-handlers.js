@@ -1,19 +1,33 @@
 import { info, error } from '../logger.js';
 import { wrapHandler } from '../validation/validation-middleware.js';
+import { sessionKeyForSocket } from '../auth/session-key.js';
+import { instanceIdFor, characterIdOf } from '../engine/instance-registry.js';
 import fs from 'fs/promises';
 import path from 'path';
 
 /* ------------------------------------------------------------------
  * Wire engine → socket forwarders for granular monitor events
  * ------------------------------------------------------------------ */
-export default function registerMonitorHandlers({ socket, handlers, consciousnessEngine, ensureEngineInitialized }) {
+export default function registerMonitorHandlers({ socket, handlers, consciousnessEngine, progressSync, ensureEngineInitialized }) {
+  /* The player behind this socket: signed-in users by account, guests by socket */
+  const owner = () => ({ userId: socket.userId, socketId: socket.id, sessionKey: socket.sessionKey, isGuest: socket.isGuest ?? true });
+  /* Load this socket's own instance of a character, in the story it stars in,
+     and return its instance id. A seed only applies when the instance is not
+     loaded yet. */
+  const loadOwnInstance = async (characterId, seed) => {
+    const sessionKey = sessionKeyForSocket(socket);
+    const storyContext = await consciousnessEngine.findStoryContext?.(characterId);
+    await consciousnessEngine.loadCharacter(characterId, { sessionKey, seed, storyContext });
+    return instanceIdFor(characterId, sessionKey);
+  };
+
   /* Forward helper ensures we only emit to the requesting socket */
   function forwardEngineEvent(engineEvent, socketEvent = engineEvent) {
     const handler = (payload = {}) => {
       /* When MonitorResponder emits it includes the originating socketId.
          Forward only if this socket initiated the monitoring session.      */
       if (payload.socketId && payload.socketId !== socket.id) return;
-      socket.emit(socketEvent, payload);
+      socket.emit(socketEvent, { ...payload, characterId: characterIdOf(payload.characterId) });
     };
     consciousnessEngine.on(engineEvent, handler);
     /* Remove listener when socket disconnects to avoid leaks */
@@ -63,7 +77,7 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
   // USER ACTION: Start monitoring session handler
   const startMonitoringHandler = async (data) => {
     try {
-      const { characterId } = data;
+      const { characterId, seed } = data;
       if (!characterId) {
         socket.emit('error', { message: 'Character ID required' });
         return;
@@ -72,17 +86,19 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
       info('USER ACTION: Starting monitoring session', { characterId, socketId: socket.id });
       await ensureEngineInitialized();
       
-      // Load character and start monitoring
-      await consciousnessEngine.loadCharacter(characterId);
-      const result = await consciousnessEngine.startMonitoring(characterId, socket.id);
+      // Load this socket's own instance and start monitoring it
+      const instanceId = await loadOwnInstance(characterId, seed);
+      await progressSync?.restore(instanceId, owner());
+      const result = await consciousnessEngine.startMonitoring(instanceId, socket.id);
       
       // Update socket info
       const socketInfo = handlers.connectedSockets.get(socket.id);
       socketInfo.characterId = characterId;
+      socketInfo.instanceId = instanceId;
       socketInfo.isMonitoring = true;
       
-      // Join character room for updates
-      const roomName = `character-${characterId}`;
+      // Join the instance room for updates
+      const roomName = `character-${instanceId}`;
       socket.join(roomName);
       socketInfo.joinedRooms.add(roomName);
       
@@ -96,7 +112,7 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
       });
       
       // Send current state snapshot (not continuous updates)
-      const currentState = await consciousnessEngine.getState(characterId);
+      const currentState = await consciousnessEngine.getState(instanceId);
       socket.emit('consciousness-update', {
         characterId: characterId,
         state: currentState,
@@ -140,24 +156,26 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
   // Monitor start handler
   const monitorStartHandler = async (data) => {
     try {
-      const { characterId } = data;
+      const { characterId, seed } = data;
       if (!characterId) {
         socket.emit('error', { message: 'Character ID required' });
         return;
       }
       info('Starting character monitoring', { characterId, socketId: socket.id });
       await ensureEngineInitialized();
-      await consciousnessEngine.loadCharacter(characterId);
-      const result = await consciousnessEngine.startMonitoring(characterId, socket.id);
+      const instanceId = await loadOwnInstance(characterId, seed);
+      await progressSync?.restore(instanceId, owner());
+      const result = await consciousnessEngine.startMonitoring(instanceId, socket.id);
       const socketInfo = handlers.connectedSockets.get(socket.id);
       socketInfo.characterId = characterId;
+      socketInfo.instanceId = instanceId;
       socketInfo.isMonitoring = true;
-      const roomName = `character-${characterId}`;
+      const roomName = `character-${instanceId}`;
       socket.join(roomName);
       socketInfo.joinedRooms.add(roomName);
       
       // Get initial state and send to monitor
-      const currentState = await consciousnessEngine.getState(characterId);
+      const currentState = await consciousnessEngine.getState(instanceId);
       
       // Send monitoring started confirmation with initial state
       socket.emit('monitoring-started', {
@@ -184,7 +202,7 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
       const socketInfo = handlers.connectedSockets.get(socket.id);
       if (socketInfo && socketInfo.isMonitoring) {
         await consciousnessEngine.stopMonitoring(socket.id);
-        socket.leave(`character-${socketInfo.characterId}`);
+        socket.leave(`character-${socketInfo.instanceId}`);
         socketInfo.isMonitoring = false;
         socket.emit('monitoring-stopped', {
           characterId: socketInfo.characterId,
@@ -211,7 +229,7 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
         socket.emit('error', { message: 'No character being monitored' });
         return;
       }
-      const state = await consciousnessEngine.getState(infoObj.characterId);
+      const state = await consciousnessEngine.getState(infoObj.instanceId);
       socket.emit('consciousness-update', {
         characterId: infoObj.characterId,
         state,
@@ -238,7 +256,7 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
         return;
       }
       console.log(`📊 WEBSOCKET: Getting system resources for character: ${socketInfo.characterId}`);
-      const instance = consciousnessEngine.instances.get(socketInfo.characterId);
+      const instance = consciousnessEngine.instances.get(socketInfo.instanceId);
       if (!instance || !instance.processManager) {
         console.warn(`❌ WEBSOCKET: Character instance not found: ${socketInfo.characterId}`);
         socket.emit('error', { message: 'Character instance not found' });
@@ -267,7 +285,7 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
         return;
       }
       console.log(`🚨 WEBSOCKET: Getting error logs for character: ${socketInfo.characterId}`);
-      const errors = await consciousnessEngine.getErrors(socketInfo.characterId);
+      const errors = await consciousnessEngine.getErrors(socketInfo.instanceId);
       console.log('✅ WEBSOCKET: Sending error logs:', errors);
       socket.emit('error-logs', { errors, timestamp: new Date().toISOString() });
     } catch (err) {
@@ -290,7 +308,7 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
         return;
       }
       console.log(`🧠 WEBSOCKET: Getting memory allocation for character: ${socketInfo.characterId}`);
-      const instance = consciousnessEngine.instances.get(socketInfo.characterId);
+      const instance = consciousnessEngine.instances.get(socketInfo.instanceId);
       if (!instance || !instance.memoryManager) {
         console.warn(`❌ WEBSOCKET: Character instance not found: ${socketInfo.characterId}`);
         socket.emit('error', { message: 'Character instance not found' });
@@ -316,6 +334,9 @@ export default function registerMonitorHandlers({ socket, handlers, consciousnes
         error('Error stopping monitoring on disconnect', { error: err.message });
       });
     }
+    progressSync?.release(owner()).catch(err => {
+      error('Error saving progress on disconnect', { error: err.message });
+    });
     handlers.connectedSockets.delete(socket.id);
   });
 }
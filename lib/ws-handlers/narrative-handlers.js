@@ -0,0 +1,5 @@
+export default function registerNarrativeHandlers({ narrativeIntegration, handlers }) {
+  narrativeIntegration.on('narrativeTriggered', (data) => {
+    handlers.broadcastScenarioEvent('narrative-triggered', data);
+  });
+}
@@ -6,4 +6,12 @@ export default function registerScenarioHandlers({ scenarioEngine, handlers }) {
   scenarioEngine.on('scenarioCompleted', (data) => {
     handlers.broadcastScenarioEvent('scenario-completed', data);
   });
+
+  scenarioEngine.on('scenarioEvent', (data) => {
+    handlers.broadcastScenarioEvent('scenario-event', data);
+  });
+
+  scenarioEngine.on('objectiveCompleted', (data) => {
+    handlers.broadcastScenarioEvent('scenario-objective', data);
+  });
 }
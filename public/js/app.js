@@ -224,7 +224,7 @@ class RuntimeApp {
       // NEW: Also load consciousness state into state manager
       this.logger.info('Loading consciousness state for character...');
       try {
-        const stateResponse = await fetch(`/api/consciousness/${characterId}/state`);
+        const stateResponse = await fetch(`/api/consciousness/${characterId}/state`, { headers: window.authClient?.getSessionHeaders() });
         if (stateResponse.ok) {
           const consciousnessData = await stateResponse.json();
           this.logger.info('Consciousness data loaded successfully');
@@ -98,6 +98,24 @@ class AuthClient {
     return this.accessToken ? `Bearer ${this.accessToken}` : null;
   }
 
+  // Random id for this tab; guests get their own consciousness instance per session
+  getSessionId() {
+    let sessionId = sessionStorage.getItem('sessionId');
+    if (!sessionId) {
+      sessionId = (crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`).replace(/[^\w-]/g, '');
+      sessionStorage.setItem('sessionId', sessionId);
+    }
+    return sessionId;
+  }
+
+  // Headers that identify the caller to the consciousness API
+  getSessionHeaders() {
+    const headers = { 'X-Session-Id': this.getSessionId() };
+    const authHeader = this.getAuthHeader();
+    if (authHeader) headers['Authorization'] = authHeader;
+    return headers;
+  }
+
   isAuthenticated() {
     return !!this.accessToken && !!this.user;
   }
@@ -80,6 +80,7 @@ export default class MemoryMap {
     this.isPanning = false;
     this.lastPanPoint = { x: 0, y: 0 };
     this.highlights = new Map(); // Persistent highlights
+    this.diffOverlay = new Map(); // Address -> { size, change } from a heap diff
     this.searchResults = [];
     this.animationFrameId = null;
     this.isDestroyed = false;
@@ -396,6 +397,11 @@ export default class MemoryMap {
       }
     });
 
+    // Draw heap diff overlay; freed blocks are drawn where they used to be
+    this.diffOverlay.forEach(({ size, change }, address) => {
+      this.drawHighlight(this.interactiveCtx, { address, size }, this.getDiffHighlight(change));
+    });
+
     // Draw search results
     this.searchResults.forEach(address => {
       const block = this.getBlockByAddress(address);
@@ -1071,9 +1077,57 @@ export default class MemoryMap {
   }
 
   /**
-   * Search memory contents
+   * Overlay a heap diff (memdiff) on the map: new blocks in green, grown
+   * blocks in the fragmented color and freed blocks as dashed red outlines
+   * @param {Object} diff - Heap diff with an overlay of { address, size, change }
+   */
+  showDiff(diff) {
+    this.diffOverlay = new Map((diff?.overlay || []).map(({ address, size, change }) => [address, { size, change }]));
+    this.requestRender();
+  }
+
+  /**
+   * Remove the heap diff overlay
+   */
+  clearDiff() {
+    this.diffOverlay.clear();
+    this.requestRender();
+  }
+
+  /**
+   * Highlight style for a heap diff change
+   * @private
+   */
+  getDiffHighlight(change) {
+    switch (change) {
+      case 'new':
+        return { color: '#00FF00', width: 2, overlay: true };
+      case 'grown':
+        return { color: this.options.colorScheme.fragmented, width: 2, overlay: true };
+      default:
+        return { color: '#FF0000', width: 2, dashed: true };
+    }
+  }
+
+  /**
+   * Search memory contents and highlight the matching blocks. A string is
+   * matched against addresses, descriptions, process IDs and types; the
+   * result of a server-side query (`memories search`, or
+   * GET /api/consciousness/:characterId/memory/search) highlights the
+   * blocks it found that are on the map
+   * @param {string|Object} query - Search text, or a search result with results of { address }
+   * @returns {Array<string>} Addresses highlighted
    */
   search(query) {
+    if (query && typeof query === 'object') {
+      const found = new Set((query.results || []).map(memory => memory.address?.toLowerCase()).filter(Boolean));
+      this.searchResults = (this.memoryData?.blocks || [])
+        .map(block => block.address)
+        .filter(address => found.has(address.toLowerCase()));
+      this.requestRender();
+      return this.searchResults;
+    }
+
     if (!this.memoryData || !this.memoryData.blocks) {
       return [];
     }
@@ -1366,6 +1420,32 @@ export default class MemoryMap {
     requestAnimationFrame(animate);
   }
 
+  /**
+   * Animate a block moving to a new address, as defragmentation relocates it
+   */
+  animateRelocation(from, to, size, duration = null) {
+    if (!this.options.animateAllocations) return;
+
+    const animationDuration = duration || this.options.animationDuration;
+
+    // Mark the address it left until it lands at the new one
+    if (this.addressToCoordinates(from)) {
+      this.highlights.set(from, {
+        color: this.options.colorScheme.fragmented,
+        width: 2,
+        overlay: true,
+        alpha: 0.6
+      });
+      this.requestRender();
+      setTimeout(() => {
+        this.highlights.delete(from);
+        this.requestRender();
+      }, animationDuration);
+    }
+
+    this.animateAllocation(to, size, animationDuration);
+  }
+
   /**
    * Get current zoom level
    */
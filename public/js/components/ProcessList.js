@@ -30,6 +30,7 @@ export class ProcessList {
       // Styling options
       theme: 'dark',          // 'dark' or 'light'
       compactMode: false,
+      treeMode: false,        // Nest children under their parent process (ppid)
       
       ...options
     };
@@ -43,6 +44,7 @@ export class ProcessList {
     this._sortDirection = 'desc';
     this._filteredProcesses = [];
     this._filterPredicate = null;
+    this._treeDepths = new Map(); // pid -> depth in tree mode
     
     // Virtual scrolling state
     this._scrollTop = 0;
@@ -81,6 +83,10 @@ export class ProcessList {
       if (this.options.compactMode) {
         this.container.classList.add('process-list-compact');
       }
+
+      if (this.options.treeMode) {
+        this.container.classList.add('tree-mode');
+      }
       
       console.log('ProcessList: Initialized successfully', {
         options: this.options,
@@ -420,6 +426,7 @@ export class ProcessList {
   filter(predicate) {
     this._filterPredicate = predicate;
     this._applyFilter();
+    this._applySorting();
     this._updateVirtualScroll();
     this._renderVisibleRows();
   }
@@ -445,6 +452,21 @@ export class ProcessList {
     this.emit('sort-change', { key, direction });
   }
 
+  /**
+   * Switch between a flat list and a tree of parent/child processes. In tree
+   * mode siblings keep the current sort order and children follow their parent.
+   * @param {boolean} enabled - Whether to show the tree
+   */
+  setTreeMode(enabled) {
+    this.options.treeMode = Boolean(enabled);
+    this.container.classList.toggle('tree-mode', this.options.treeMode);
+
+    this._applySorting();
+    this._renderVisibleRows();
+
+    this.emit('tree-mode-change', { enabled: this.options.treeMode });
+  }
+
   /**
    * Scroll to specific process
    * @param {number} pid - Process ID to scroll to
@@ -555,7 +577,7 @@ export class ProcessList {
    * @returns {boolean} True if changed
    */
   _hasChanged(oldProcess, newProcess) {
-    const keys = ['status', 'health', 'cpu', 'memory', 'threads', 'warnings'];
+    const keys = ['status', 'health', 'cpu', 'memory', 'threads', 'warnings', 'ppid'];
     return keys.some(key => {
       const oldVal = oldProcess[key];
       const newVal = newProcess[key];
@@ -604,6 +626,40 @@ export class ProcessList {
       if (aVal > bVal) return this._sortDirection === 'asc' ? 1 : -1;
       return 0;
     });
+
+    if (this.options.treeMode) {
+      this._orderAsTree();
+    }
+  }
+
+  /**
+   * Reorder the sorted processes depth-first so each child follows its
+   * parent. Processes whose parent is not shown are roots.
+   * @private
+   */
+  _orderAsTree() {
+    const shown = new Set(this._filteredProcesses.map(p => p.pid));
+    const children = new Map();
+    const roots = [];
+    this._filteredProcesses.forEach(process => {
+      if (process.ppid !== null && process.ppid !== undefined && shown.has(process.ppid) && process.ppid !== process.pid) {
+        if (!children.has(process.ppid)) children.set(process.ppid, []);
+        children.get(process.ppid).push(process);
+      } else {
+        roots.push(process);
+      }
+    });
+
+    const ordered = [];
+    this._treeDepths.clear();
+    const visit = (process, depth) => {
+      if (this._treeDepths.has(process.pid)) return;
+      this._treeDepths.set(process.pid, depth);
+      ordered.push(process);
+      (children.get(process.pid) || []).forEach(child => visit(child, depth + 1));
+    };
+    roots.forEach(root => visit(root, 0));
+    this._filteredProcesses = ordered;
   }
 
   /**
@@ -775,6 +831,9 @@ export class ProcessList {
     const row = this._createElement('div', 'process-row');
     row.setAttribute('data-pid', process.pid);
     row.style.height = `${this.options.rowHeight}px`;
+    if (this.options.treeMode) {
+      row.style.setProperty('--tree-depth', this._treeDepths.get(process.pid) || 0);
+    }
 
     // Add status classes
     row.classList.add(`status-${process.status}`);
@@ -818,8 +877,11 @@ export class ProcessList {
     // Process name and PID
     columns.push(`
       <div class="column column-name">
-        <div class="process-name">${this._escapeHtml(process.name)}</div>
+        <div class="process-name">${this.options.treeMode && this._treeDepths.get(process.pid) ?
+          '<span class="tree-branch">└─</span> ' : ''}${this._escapeHtml(process.name)}</div>
         <div class="process-pid">PID: ${process.pid}</div>
+        ${process.lineage?.length > 1 ?
+          `<div class="process-lineage">evolved from ${this._escapeHtml(process.lineage.slice(0, -1).join(' -> '))}</div>` : ''}
         ${this.options.showWarnings && process.warnings.length > 0 ?
           `<div class="warnings">
             <span class="warning-count">${process.warnings.length}</span>
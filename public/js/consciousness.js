@@ -411,7 +411,7 @@ class ConsciousnessManager {
     if (!this.currentCharacter) return;
     
     try {
-      const response = await fetch(`/api/consciousness/${this.currentCharacter.id}/state`);
+      const response = await fetch(`/api/consciousness/${this.currentCharacter.id}/state`, { headers: window.authClient?.getSessionHeaders() });
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -438,7 +438,8 @@ class ConsciousnessManager {
       const response = await fetch(`/api/process/${pid}/kill`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...window.authClient?.getSessionHeaders()
         },
         body: JSON.stringify({
           characterId: this.currentCharacter.id,
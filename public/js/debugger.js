@@ -35,6 +35,8 @@ class DebuggerInterface {
 
     this.consciousnessState = null;  // Store real consciousness state
     this.debugSession = null;
+    this.serverBreakpoints = new Map(); // Conditional breakpoints/watchpoints evaluated by the server
+    this.currentTick = null;            // Last tick reported by the server
     this.codeLines = [];
     this.errorLog = null; // ErrorLog component instance
 
@@ -108,9 +110,15 @@ class DebuggerInterface {
     this.stepOverBtn = document.getElementById('stepOver');
     this.continueBtn = document.getElementById('continue');
     this.breakAllBtn = document.getElementById('breakAll');
+    this.rewindBtn = document.getElementById('rewindTick');
+    this.timelineForm = document.getElementById('timelineForm');
+    this.timelineInput = document.getElementById('timelineTick');
+    this.timelineDiffBtn = document.getElementById('timelineDiff');
 
     // Debug panels
     this.breakpointsList = document.getElementById('breakpointsList');
+    this.breakpointForm = document.getElementById('breakpointForm');
+    this.breakpointInput = document.getElementById('breakpointCondition');
     this.callStackElement = document.getElementById('callStack');
     this.variablesView = document.getElementById('variablesView');
     this.codeEditor = document.getElementById('codeEditor');
@@ -492,12 +500,40 @@ convertConsciousnessToMemoryData(consciousnessData) {
     if (this.breakAllBtn) {
       this.breakAllBtn.addEventListener('click', () => this.breakAll());
     }
+    if (this.rewindBtn) {
+      this.rewindBtn.addEventListener('click', () => this.rewind(1));
+    }
+    if (this.timelineForm && !this.timelineForm.dataset.bound) {
+      this.timelineForm.dataset.bound = 'true';
+      this.timelineForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const tick = parseInt(this.timelineInput?.value);
+        if (!isNaN(tick)) this.gotoTick(tick);
+      });
+      this.timelineDiffBtn?.addEventListener('click', () => {
+        const tick = parseInt(this.timelineInput?.value);
+        if (!isNaN(tick)) this.diffTicks(tick, this.currentTick);
+      });
+    }
+    if (this.breakpointForm && !this.breakpointForm.dataset.bound) {
+      this.breakpointForm.dataset.bound = 'true';
+      this.breakpointForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (this.addConditionalBreakpoint(this.breakpointInput?.value)) {
+          this.breakpointInput.value = '';
+        }
+      });
+    }
   }
 
    setupEventListeners() {
     // Breakpoint list interactions
     if (this.breakpointsList) {
       this.breakpointsList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('breakpoint-remove')) {
+          this.sendDebugCommand('remove_breakpoint', { breakpointId: e.target.dataset.serverBreakpointId });
+          return;
+        }
         if (e.target.classList.contains('breakpoint-checkbox') || e.target.classList.contains('breakpoint-location')) {
           const breakpointItem = e.target.closest('.breakpoint-item');
           const breakpointId = breakpointItem.dataset.breakpointId;
@@ -539,9 +575,32 @@ convertConsciousnessToMemoryData(consciousnessData) {
   }
 
   setupSocketListeners() {
-    // Note: DebuggerInterface doesn't directly use socketClient
-    // It relies on consciousness manager for socket communication
-    this.logger.debug('Socket listeners setup - using consciousness manager for communication');
+    // DebuggerInterface reaches the server through the consciousness manager's socket client
+    const socketClient = this.consciousness?.socketClient;
+    if (!socketClient) {
+      this.logger.debug('Socket listeners skipped - no socket client available');
+      return;
+    }
+
+    socketClient.on('debug-result', (data) => {
+      if (data?.characterId && data.characterId !== this.currentCharacter?.id) return;
+      this.handleDebugResult(data);
+    });
+
+    socketClient.on('breakpoint-triggered', (data) => {
+      if (data?.characterId !== this.currentCharacter?.id) return;
+      this.handleBreakpointTriggered(data);
+    });
+
+    // New blocks and the moves defragmentation makes, shown on the memory map
+    socketClient.on('memory-event', ({ type, data } = {}) => {
+      if (!this.memoryMap || !data?.address) return;
+      if (type === 'MemoryRelocated') {
+        this.memoryMap.animateRelocation(data.from, data.address, data.size);
+      } else {
+        this.memoryMap.animateAllocation(data.address, data.size);
+      }
+    });
   }
 
   subscribeToStateChanges() {
@@ -838,14 +897,28 @@ convertConsciousnessToMemoryData(consciousnessData) {
     console.log('Break All executed');
   }
 
+  // Time travel: restore recorded ticks on the server
+  rewind(steps = 1) {
+    if (!this.currentCharacter) return;
+    this.sendDebugCommand('rewind', { steps });
+  }
+
+  gotoTick(tick) {
+    if (!this.currentCharacter) return;
+    this.sendDebugCommand('goto', { tick });
+  }
+
+  diffTicks(fromTick, toTick) {
+    if (!this.currentCharacter || typeof toTick !== 'number') return;
+    this.sendDebugCommand('diff', { fromTick, toTick });
+  }
+
   sendDebugCommand(command, args = {}) {
-    if (this.consciousness && this.currentCharacter) {
-      // Use consciousness manager to send debug commands
-      this.logger.debug(`Sending debug command: ${command}`, args);
-      // Note: This would need to be implemented in consciousness manager
-      // For now, just log the command
-      this.logger.info(`Debug command would be sent: ${command} for ${this.currentCharacter.id}`);
-    }
+    const socketClient = this.consciousness?.socketClient;
+    if (!socketClient || !this.currentCharacter) return false;
+
+    this.logger.debug(`Sending debug command: ${command}`, args);
+    return socketClient.sendDebugCommand(this.currentCharacter.id, command, args);
   }
 
   // Breakpoint Management
@@ -871,14 +944,52 @@ convertConsciousnessToMemoryData(consciousnessData) {
       this.stateManager.addDebuggerBreakpoint(breakpoint.line, breakpoint.condition);
     }
 
-    // Send to server if debugging
-    if (this.debugSession) {
-      this.sendDebugCommand('add_breakpoint', {
-        breakpointId: id,
-        line: breakpoint.line,
-        condition: breakpoint.condition
+    // Only conditions mean anything to the server; line breakpoints stay local
+    if (breakpoint.condition) {
+      this.sendDebugCommand('set_breakpoint', { condition: breakpoint.condition });
+    }
+  }
+
+  // Accepts a condition such as `stability < 0.3` or `watch 0x1000000000000000`
+  addConditionalBreakpoint(input) {
+    const value = (input || '').trim();
+    if (!value) return false;
+
+    const watch = value.match(/^watch\s+(\S+)$/i);
+    if (watch) {
+      return this.sendDebugCommand('set_watchpoint', { address: watch[1] });
+    }
+    return this.sendDebugCommand('set_breakpoint', { condition: value });
+  }
+
+  setServerBreakpoints(breakpoints = []) {
+    this.serverBreakpoints = new Map(breakpoints.map(bp => [bp.id, bp]));
+    this.updateBreakpointsDisplay();
+  }
+
+  handleBreakpointTriggered(data) {
+    const { breakpoint, snapshot } = data;
+    if (breakpoint) {
+      this.serverBreakpoints.set(breakpoint.id, breakpoint);
+    }
+
+    this.logger.info(`Breakpoint hit: ${data.condition} (hit ${data.hitCount})`);
+    this.updateExecutionState('paused');
+
+    if (this.stateManager) {
+      this.stateManager.setDebuggerVariables({
+        ...this.variables,
+        breakpointHit: {
+          condition: data.condition,
+          hitCount: data.hitCount,
+          tick: data.tick,
+          stability: snapshot?.stability,
+          corruption: snapshot?.corruption,
+          ...Object.fromEntries(Object.entries(snapshot?.emotions || {}).map(([k, v]) => [`emotion.${k}`, v]))
+        }
       });
     }
+    this.updateBreakpointsDisplay();
   }
 
   removeBreakpoint(id) {
@@ -918,7 +1029,7 @@ convertConsciousnessToMemoryData(consciousnessData) {
     let html = '';
     const breakpoints = this.stateManager ? this.stateManager.getDebuggerBreakpoints() : new Map();
 
-    if (breakpoints.size === 0) {
+    if (breakpoints.size === 0 && this.serverBreakpoints.size === 0) {
       html = '<div class="no-breakpoints">No breakpoints set</div>';
     } else {
       breakpoints.forEach((breakpoint, line) => {
@@ -930,6 +1041,17 @@ convertConsciousnessToMemoryData(consciousnessData) {
           </div>
         `;
       });
+
+      this.serverBreakpoints.forEach((breakpoint, id) => {
+        const safeId = HTMLEscaper.escape(id);
+        html += `
+          <div class="breakpoint-item server ${breakpoint.enabled ? 'active' : ''}" data-server-breakpoint-id="${safeId}">
+            <span class="breakpoint-condition">${HTMLEscaper.escape(breakpoint.condition)}</span>
+            <span class="breakpoint-hits">${breakpoint.hitCount} hits</span>
+            <button type="button" class="breakpoint-remove" data-server-breakpoint-id="${safeId}" aria-label="Remove breakpoint">×</button>
+          </div>
+        `;
+      });
     }
 
     this.breakpointsList.innerHTML = html;
@@ -963,7 +1085,9 @@ convertConsciousnessToMemoryData(consciousnessData) {
     const variableGroups = [
       { name: 'Memory', data: this.variables.memory, icon: '🧠' },
       { name: 'Resources', data: this.variables.resources, icon: '⚡' },
-      { name: 'Processes', data: this.variables.processes, icon: '⚙️' }
+      { name: 'Processes', data: this.variables.processes, icon: '⚙️' },
+      { name: 'Last Step', data: this.variables.lastStep, icon: '⏭️' },
+      { name: 'Breakpoint Hit', data: this.variables.breakpointHit, icon: '🔴' }
     ];
     
     this.variablesView.innerHTML = variableGroups.map(group => {
@@ -1115,6 +1239,7 @@ convertConsciousnessToMemoryData(consciousnessData) {
     switch (data.command) {
       case 'step_into':
       case 'step_over':
+        this.applyStepResult(data.result);
         this.updateExecutionState('paused');
         break;
       case 'continue':
@@ -1123,7 +1248,74 @@ convertConsciousnessToMemoryData(consciousnessData) {
       case 'break_all':
         this.updateExecutionState('paused');
         break;
+      case 'rewind':
+      case 'goto':
+        this.logger.info(`Restored tick ${data.result.tick} (from tick ${data.result.fromTick})`);
+        this.updateExecutionState('paused');
+        break;
+      case 'diff':
+        this.applyStepResult({ ...data.result, tick: data.result.toTick });
+        break;
+      case 'memdiff':
+        this.memoryMap?.showDiff(data.result);
+        break;
+      case 'memories':
+        if (data.result.results) {
+          this.memoryMap?.search(data.result);
+        }
+        break;
+      case 'set_breakpoint':
+      case 'set_watchpoint':
+      case 'remove_breakpoint':
+      case 'list_breakpoints':
+        this.setServerBreakpoints(data.result.breakpoints);
+        break;
+    }
+
+    if (typeof data.result.tick === 'number') {
+      this.currentTick = data.result.tick;
+    }
+
+    if (data.result.sessionId && this.debugSession) {
+      this.debugSession.serverSessionId = data.result.sessionId;
+      this.debugSession.tick = data.result.tick;
+    }
+  }
+
+  // Show the process, memory and emotion deltas reported for a single tick
+  applyStepResult(result) {
+    if (!result?.deltas || !this.stateManager) return;
+
+    const { system, processes, memory, emotions } = result.deltas;
+    const formatChange = (change) => change.delta !== undefined
+      ? `${change.from.toFixed(3)} → ${change.to.toFixed(3)}`
+      : `${change.from} → ${change.to}`;
+
+    const lastStep = { tick: result.tick };
+    Object.entries(system).forEach(([key, change]) => {
+      lastStep[key] = formatChange(change);
+    });
+    Object.entries(emotions).forEach(([emotion, change]) => {
+      lastStep[`emotion.${emotion}`] = formatChange(change);
+    });
+    ['allocated', 'available', 'fragmentation'].forEach(key => {
+      if (memory[key]) lastStep[`memory.${key}`] = formatChange(memory[key]);
+    });
+    if (memory.allocatedBlocks.length) lastStep['memory.allocatedBlocks'] = memory.allocatedBlocks.length;
+    if (memory.freedBlocks.length) lastStep['memory.freedBlocks'] = memory.freedBlocks.length;
+
+    this.stateManager.setDebuggerVariables({ ...this.variables, lastStep });
+
+    // Each process touched by the tick becomes a frame, innermost (focused) first
+    const frames = processes.map(process => ({
+      function: HTMLEscaper.escape(`${process.name || process.id}()`),
+      location: HTMLEscaper.escape(`pid ${process.pid} · ${process.change} · tick ${result.tick}`)
+    }));
+    if (result.focus) {
+      const index = processes.findIndex(p => p.pid === result.focus.pid);
+      if (index > 0) frames.unshift(frames.splice(index, 1)[0]);
     }
+    this.stateManager.setDebuggerCallStack(frames);
   }
 
   handleConsciousnessUpdate(data) {
@@ -23,122 +23,12 @@ class InterventionSystem {
     this.activeInterventions = new Map();
     this.interventionHistory = [];
     this.storyImpact = new Map();
-    
-    this.interventionTypes = {
-      'memory-release': {
-        name: 'Memory Release Protocol',
-        description: 'Gradually release emotional memory blocks',
-        target: 'Grief_Manager.exe',
-        impact: 'gentle',
-        requirements: {
-          memory_usage: { min: 500 }
-        },
-        effects: {
-          memory_reduction: 0.3,
-          stability_risk: 0.1,
-          healing_rate: 0.7
-        }
-      },
-      'force-terminate': {
-        name: 'Force Terminate Process',
-        description: 'Forcefully end a runaway process',
-        target: 'any',
-        impact: 'harsh',
-        requirements: {
-          cpu_usage: { min: 70 }
-        },
-        effects: {
-          immediate_stop: true,
-          data_loss_risk: 0.8,
-          trauma_increase: 0.5
-        }
-      },
-      'loop-breaker': {
-        name: 'Loop Breaker Injection',
-        description: 'Insert exit condition into infinite loops',
-        target: 'Search_Protocol.exe',
-        impact: 'moderate',
-        requirements: {
-          loop_detected: true
-        },
-        effects: {
-          loop_resolution: 0.9,
-          acceptance_increase: 0.6,
-          reality_sync: 0.4
-        }
-      },
-      'thread-rebalance': {
-        name: 'Thread Rebalancing',
-        description: 'Redistribute processing threads across processes',
-        target: 'Relationship_Handler.exe',
-        impact: 'therapeutic',
-        requirements: {
-          thread_starvation: true
-        },
-        effects: {
-          attention_redistribution: 0.8,
-          relationship_healing: 0.7,
-          overall_balance: 0.6
-        }
-      },
-      'temporal-sync': {
-        name: 'Temporal Synchronization',
-        description: 'Realign temporal perception with current timeline',
-        target: 'Temporal_Sync.dll',
-        impact: 'complex',
-        requirements: {
-          desync_level: { min: 50 }
-        },
-        effects: {
-          timeline_coherence: 0.8,
-          memory_consolidation: 0.5,
-          disorientation_risk: 0.3
-        }
-      },
-      'memory-optimization': {
-        name: 'Memory Defragmentation',
-        description: 'Optimize memory allocation without data loss',
-        target: 'system',
-        impact: 'gentle',
-        requirements: {
-          fragmentation: { min: 30 }
-        },
-        effects: {
-          memory_efficiency: 0.6,
-          process_speed: 0.3,
-          stability_increase: 0.4
-        }
-      },
-      'emotional-throttle': {
-        name: 'Emotional Processing Throttle',
-        description: 'Limit CPU usage for overwhelming emotions',
-        target: 'any',
-        impact: 'moderate',
-        requirements: {
-          cpu_usage: { min: 80 }
-        },
-        effects: {
-          cpu_reduction: 0.5,
-          emotional_numbing: 0.3,
-          stability_increase: 0.6
-        }
-      },
-      'acceptance-protocol': {
-        name: 'Acceptance Protocol Installation',
-        description: 'Install acceptance subroutines into grief processing',
-        target: 'Grief_Manager.exe',
-        impact: 'therapeutic',
-        requirements: {
-          grief_stage: { min: 2 }
-        },
-        effects: {
-          acceptance_increase: 0.8,
-          memory_preservation: 0.9,
-          peace_level: 0.7
-        }
-      }
-    };
-    
+    this.lastProcesses = [];
+    this.lastCatalogRequest = 0;
+
+    // Intervention id -> catalog entry; the server owns the catalog
+    this.interventionTypes = {};
+
     this.init();
   }
 
@@ -146,6 +36,27 @@ class InterventionSystem {
     this.setupUI();
     this.setupEventListeners();
     this.subscribeToStateChanges();
+    this.loadCatalog();
+  }
+
+  // Catalog entries without availability until the instance is monitored
+  async loadCatalog() {
+    try {
+      const response = await fetch('/api/interventions');
+      const { interventions } = await response.json();
+      this.setCatalog(interventions);
+    } catch (error) {
+      console.error('Failed to load intervention catalog:', error);
+    }
+  }
+
+  setCatalog(interventions = []) {
+    this.interventionTypes = Object.fromEntries(interventions.map(entry => [entry.id, entry]));
+    this.renderInterventionList(interventions);
+  }
+
+  getCharacterId() {
+    return window.stateManager?.currentCharacter?.id || 'alexander-kane';
   }
 
   setupUI() {
@@ -227,83 +138,27 @@ class InterventionSystem {
         this.updateAvailableInterventions(data);
       });
     }
-  }
-
-  updateAvailableInterventions(consciousnessData) {
-    if (!consciousnessData) return;
-    
-    const availableInterventions = this.getAvailableInterventions(consciousnessData);
-    this.renderInterventionList(availableInterventions, consciousnessData);
-  }
 
-  getAvailableInterventions(consciousnessData) {
-    const available = [];
-    
-    for (const [id, intervention] of Object.entries(this.interventionTypes)) {
-      if (this.checkRequirements(intervention, consciousnessData)) {
-        available.push({ id, ...intervention });
+    // The server answers with every intervention and whether it applies now
+    window.socketClient?.on('intervention-catalog', (data) => {
+      if (data.characterId === this.getCharacterId()) {
+        this.setCatalog(data.interventions);
       }
-    }
-    
-    return available;
+    });
   }
 
-  checkRequirements(intervention, consciousnessData) {
-    const { requirements, target } = intervention;
-    
-    // Check if target process exists
-    if (target !== 'any' && target !== 'system') {
-      const targetProcess = consciousnessData.processes.find(p => p.name === target);
-      if (!targetProcess) return false;
-      
-      // Check process-specific requirements
-      for (const [key, condition] of Object.entries(requirements)) {
-        if (key === 'memory_usage' && condition.min) {
-          if (!targetProcess.memory || targetProcess.memory < condition.min) return false;
-        }
-        if (key === 'cpu_usage' && condition.min) {
-          if (!targetProcess.cpu_usage || targetProcess.cpu_usage < condition.min) return false;
-        }
-        if (key === 'loop_detected') {
-          const hasLoop = consciousnessData.errors.some(e => 
-            e.type === 'infinite_loop' && e.process === target
-          );
-          if (!hasLoop) return false;
-        }
-        if (key === 'thread_starvation') {
-          const hasStarvation = consciousnessData.errors.some(e => 
-            e.type === 'thread_starvation' && e.process === target
-          );
-          if (!hasStarvation) return false;
-        }
-      }
-    }
-    
-    // Check system-wide requirements
-    if (requirements.fragmentation && requirements.fragmentation.min) {
-      // Calculate memory fragmentation
-      const fragmentation = this.calculateFragmentation(consciousnessData);
-      if (fragmentation < requirements.fragmentation.min) return false;
-    }
-    
-    if (requirements.desync_level && requirements.desync_level.min) {
-      const desyncError = consciousnessData.errors.find(e => e.type === 'temporal_desync');
-      if (!desyncError || desyncError.severity < requirements.desync_level.min) return false;
-    }
-    
-    return true;
-  }
+  updateAvailableInterventions(consciousnessData) {
+    if (!consciousnessData) return;
+    this.lastProcesses = consciousnessData.processes || [];
 
-  calculateFragmentation(consciousnessData) {
-    // Simplified fragmentation calculation
-    const totalMemory = consciousnessData.resources.memory.max;
-    const usedMemory = consciousnessData.resources.memory.current;
-    const processMemory = consciousnessData.processes.reduce((sum, p) => sum + (p.memory || 0), 0);
-    
-    return ((usedMemory - processMemory) / totalMemory) * 100;
+    // Availability changes with the state, but a few seconds' lag is fine
+    const now = Date.now();
+    if (now - this.lastCatalogRequest < 2000) return;
+    this.lastCatalogRequest = now;
+    window.socketClient?.emitToServer('request-interventions', { characterId: this.getCharacterId() });
   }
 
-  renderInterventionList(interventions, consciousnessData) {
+  renderInterventionList(interventions) {
     const listElement = document.getElementById('intervention-list');
     if (!listElement) return;
     
@@ -320,57 +175,27 @@ class InterventionSystem {
     
     // XSS Prevention: Escape all dynamic content before inserting into DOM
     listElement.innerHTML = interventions.map(intervention => {
-      const impact = this.calculateImpact(intervention, consciousnessData);
-      const riskLevel = this.calculateRisk(intervention);
+      const blocked = intervention.available === false;
+      const status = intervention.cooldownRemaining > 0
+        ? `Cooling down: ${Math.ceil(intervention.cooldownRemaining / 1000)}s`
+        : (intervention.unmet || []).join(', ');
 
       return `
-        <div class="intervention-item" data-intervention-id="${this.escapeHtml(intervention.id)}">
+        <div class="intervention-item${blocked ? ' unavailable' : ''}" data-intervention-id="${this.escapeHtml(intervention.id)}">
           <div class="intervention-header">
             <span class="intervention-title">${this.escapeHtml(intervention.name)}</span>
             <span class="intervention-impact impact-${this.escapeHtml(intervention.impact)}">${this.escapeHtml(intervention.impact)}</span>
           </div>
           <div class="intervention-target">Target: ${this.escapeHtml(intervention.target)}</div>
           <div class="intervention-metrics">
-            <span class="impact-score">Impact: ${Math.round(impact * 100)}%</span>
-            <span class="risk-level risk-${this.escapeHtml(riskLevel)}">Risk: ${this.escapeHtml(riskLevel)}</span>
+            <span class="risk-level risk-${this.escapeHtml(intervention.risk)}">Risk: ${this.escapeHtml(intervention.risk)}</span>
+            ${blocked ? `<span class="intervention-blocked">${this.escapeHtml(status)}</span>` : ''}
           </div>
         </div>
       `;
     }).join('');
   }
 
-  calculateImpact(intervention, consciousnessData) {
-    // Calculate expected positive impact
-    const effects = intervention.effects;
-    let totalImpact = 0;
-    let factorCount = 0;
-    
-    for (const [effect, value] of Object.entries(effects)) {
-      if (effect.includes('increase') || effect.includes('healing') || 
-          effect.includes('resolution') || effect.includes('optimization')) {
-        totalImpact += value;
-        factorCount++;
-      }
-    }
-    
-    return factorCount > 0 ? totalImpact / factorCount : 0;
-  }
-
-  calculateRisk(intervention) {
-    const effects = intervention.effects;
-    let riskScore = 0;
-    
-    if (effects.data_loss_risk) riskScore += effects.data_loss_risk;
-    if (effects.trauma_increase) riskScore += effects.trauma_increase;
-    if (effects.disorientation_risk) riskScore += effects.disorientation_risk;
-    if (effects.emotional_numbing) riskScore += effects.emotional_numbing;
-    if (effects.stability_risk) riskScore += effects.stability_risk;
-    
-    if (riskScore > 0.6) return 'high';
-    if (riskScore > 0.3) return 'medium';
-    return 'low';
-  }
-
   selectIntervention(interventionId) {
     const intervention = this.interventionTypes[interventionId];
     if (!intervention) return;
@@ -398,89 +223,80 @@ class InterventionSystem {
       // XSS Prevention: formatEffects returns HTML with escaped content
       effectsList.innerHTML = this.formatEffects(intervention.effects);
       
+      // 'any' interventions apply to a process the player picks
+      detailsPanel.querySelector('.intervention-target-select')?.remove();
+      if (intervention.target === 'any') {
+        const select = document.createElement('select');
+        select.className = 'intervention-target-select';
+        this.lastProcesses.forEach(process => {
+          select.appendChild(new Option(`${process.name} (${process.pid})`, String(process.pid)));
+        });
+        detailsPanel.querySelector('.intervention-actions').prepend(select);
+      }
+
       // Enable apply button
       const applyBtn = detailsPanel.querySelector('.btn-apply');
-      applyBtn.disabled = false;
+      applyBtn.disabled = intervention.available === false;
       applyBtn.dataset.interventionId = interventionId;
     }
   }
 
-  formatRequirements(requirements) {
+  formatRequirements(requirements = {}) {
     const items = [];
 
     for (const [key, value] of Object.entries(requirements)) {
-      let text = '';
       switch (key) {
-        case 'memory_usage':
-          text = `Memory usage above ${value.min}MB`;
-          break;
-        case 'cpu_usage':
-          text = `CPU usage above ${value.min}%`;
+        case 'memory':
+          items.push(`Memory usage above ${value.min}MB`);
           break;
-        case 'loop_detected':
-          text = 'Infinite loop detected';
+        case 'cpu':
+          items.push(`CPU usage above ${value.min}%`);
           break;
-        case 'thread_starvation':
-          text = 'Thread starvation detected';
+        case 'issue':
+          items.push(`${[].concat(value)[0].replace(/_/g, ' ')} detected`);
           break;
         case 'fragmentation':
-          text = `Memory fragmentation above ${value.min}%`;
+          items.push(`Memory fragmentation above ${Math.round(value.min * 100)}%`);
           break;
-        case 'desync_level':
-          text = `Temporal desync level above ${value.min}`;
+        case 'journey':
+          for (const [stage, { min, max }] of Object.entries(value)) {
+            items.push(min !== undefined ? `${stage} at least ${min}` : `${stage} at most ${max}`);
+          }
           break;
         default:
-          text = `${key}: ${JSON.stringify(value)}`;
+          items.push(`${key}: ${JSON.stringify(value)}`);
       }
-      // XSS Prevention: Escape the text content before wrapping in HTML
-      items.push(`<li>${this.escapeHtml(text)}</li>`);
     }
 
-    return items.join('');
+    // XSS Prevention: Escape the text content before wrapping in HTML
+    return items.map(text => `<li>${this.escapeHtml(text)}</li>`).join('');
   }
 
-  formatEffects(effects) {
+  formatEffects(effects = {}) {
     const items = [];
-    
-    for (const [key, value] of Object.entries(effects)) {
-      let text = '';
-      let className = '';
-      
-      switch (key) {
-        case 'memory_reduction':
-          text = `Memory usage reduction: ${Math.round(value * 100)}%`;
-          className = 'positive';
-          break;
-        case 'stability_risk':
-          text = `Stability risk: ${Math.round(value * 100)}%`;
-          className = 'negative';
-          break;
-        case 'healing_rate':
-          text = `Healing rate: ${Math.round(value * 100)}%`;
-          className = 'positive';
-          break;
-        case 'data_loss_risk':
-          text = `Data loss risk: ${Math.round(value * 100)}%`;
-          className = 'negative';
-          break;
-        case 'acceptance_increase':
-          text = `Acceptance increase: ${Math.round(value * 100)}%`;
-          className = 'positive';
-          break;
-        case 'emotional_numbing':
-          text = `Emotional numbing: ${Math.round(value * 100)}%`;
-          className = 'warning';
-          break;
-        default:
-          text = `${key.replace(/_/g, ' ')}: ${typeof value === 'boolean' ? value : Math.round(value * 100) + '%'}`;
-          className = key.includes('risk') || key.includes('loss') ? 'negative' : 'positive';
-      }
-      
-      // XSS Prevention: Escape the text content and className before wrapping in HTML
-      items.push(`<li class="${this.escapeHtml(className)}">${this.escapeHtml(text)}</li>`);
+    const percent = (value) => `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`;
+
+    const process = effects.process || {};
+    if (process.terminate) items.push(['Terminates the process', 'negative']);
+    if (process.cpu !== undefined) items.push([`CPU usage ${percent(process.cpu)}`, process.cpu < 0 ? 'positive' : 'negative']);
+    if (process.memory !== undefined) items.push([`Memory usage ${percent(process.memory)}`, process.memory < 0 ? 'positive' : 'negative']);
+    if (process.threads !== undefined) items.push([`Threads +${process.threads}`, 'positive']);
+    if (process.status) items.push([`Process ${process.status}`, 'positive']);
+    (effects.resolves || []).forEach(issue => items.push([`Resolves ${issue.replace(/_/g, ' ')}`, 'positive']));
+    if (effects.memory?.defragment) items.push(['Defragments memory', 'positive']);
+    for (const [emotion, delta] of Object.entries(effects.emotions || {})) {
+      items.push([`${emotion} ${percent(delta)}`, (emotion === 'joy') === (delta > 0) ? 'positive' : 'warning']);
+    }
+    for (const [metric, change] of Object.entries(effects.consciousness || {})) {
+      const delta = Number(change);
+      const good = metric === 'corruption' ? delta < 0 : delta > 0;
+      items.push([`${metric} ${percent(delta)}`, good ? 'positive' : 'negative']);
     }
 
-    return items.join('');
+    // XSS Prevention: Escape the text content and className before wrapping in HTML
+    return items
+      .map(([text, className]) => `<li class="${this.escapeHtml(className)}">${this.escapeHtml(text)}</li>`)
+      .join('');
   }
 
   clearSelection() {
@@ -538,31 +354,33 @@ class InterventionSystem {
         reject(new Error('Socket connection not available'));
         return;
       }
-      
-      const characterId = window.stateManager?.currentCharacter?.id || 'alexander-kane';
-      
-      window.socketClient.emitToServer('apply-intervention', {
-        characterId,
-        interventionId,
-        intervention,
-        timestamp: new Date().toISOString()
-      });
-      
+
+      const request = { type: interventionId };
+      if (intervention.target === 'any') {
+        request.targetProcess = document.querySelector('.intervention-target-select')?.value;
+      }
+
       // Listen for response
       const responseHandler = (data) => {
-        if (data.interventionId === interventionId) {
-          window.socketClient.off('intervention-result', responseHandler);
-          resolve(data);
+        if (data.intervention?.type === interventionId) {
+          window.socketClient.off('intervention-applied', responseHandler);
+          clearTimeout(timeout);
+          resolve({ ...data.result, success: data.success, error: data.error });
         }
       };
-      
-      window.socketClient.on('intervention-result', responseHandler);
-      
+
       // Timeout after 10 seconds
-      setTimeout(() => {
-        window.socketClient.off('intervention-result', responseHandler);
+      const timeout = setTimeout(() => {
+        window.socketClient.off('intervention-applied', responseHandler);
         reject(new Error('Intervention timeout'));
       }, 10000);
+
+      window.socketClient.on('intervention-applied', responseHandler);
+      if (!window.socketClient.applyPlayerIntervention(this.getCharacterId(), request)) {
+        window.socketClient.off('intervention-applied', responseHandler);
+        clearTimeout(timeout);
+        reject(new Error('Not monitoring a consciousness'));
+      }
     });
   }
 
@@ -572,8 +390,8 @@ class InterventionSystem {
       name: intervention.name,
       timestamp: new Date().toISOString(),
       result: result.success ? 'success' : 'failed',
-      impact: result.impact || {},
-      storyChanges: result.storyChanges || []
+      impact: result.effects || {},
+      storyChanges: (result.storyChanges || []).map(change => `${change.stage} ${change.from} → ${change.to}`)
     };
     
     this.interventionHistory.push(record);
@@ -626,8 +444,8 @@ class InterventionSystem {
     
     // Track cumulative story impact
     result.storyChanges.forEach(change => {
-      const current = this.storyImpact.get(change) || 0;
-      this.storyImpact.set(change, current + 1);
+      const current = this.storyImpact.get(change.stage) || 0;
+      this.storyImpact.set(change.stage, current + (change.to - change.from));
     });
     
     // Notify story system
@@ -648,10 +466,10 @@ class InterventionSystem {
     notification.innerHTML = `
       <div class="notification-content">
         <div class="notification-message">${this.escapeHtml(message)}</div>
-        ${result.effects ? `
+        ${result.storyChanges?.length ? `
           <div class="notification-effects">
-            ${Object.entries(result.effects).map(([key, value]) =>
-              `<span class="effect-item">${this.escapeHtml(key)}: ${this.escapeHtml(String(value))}</span>`
+            ${result.storyChanges.map(change =>
+              `<span class="effect-item">${this.escapeHtml(change.stage)}: ${this.escapeHtml(String(change.to))}</span>`
             ).join(' ')}
           </div>
         ` : ''}
@@ -0,0 +1,36 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import MonitorController from '../monitor-controller.js';
+
+const page = path => readFileSync(new URL(path, import.meta.url), 'utf8');
+
+describe('MonitorController', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('loads the auth client before the socket client and the monitor', () => {
+    for (const html of [page('../../../../../views/monitor.ejs'), page('../../../../monitor.html')]) {
+      const authClient = html.indexOf('src="/js/auth-client.js"');
+      expect(authClient).toBeGreaterThan(-1);
+      expect(authClient).toBeLessThan(html.indexOf('src="/js/socket-client.js"'));
+      expect(authClient).toBeLessThan(html.indexOf('src="/js/monitor.js"'));
+    }
+  });
+
+  it('requests consciousness state with the session headers', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    sessionStorage.setItem('sessionId', 'tab-1');
+    await import('../../../auth-client.js');
+    const fetch = vi.fn(async () => ({ ok: true, json: async () => ({}) }));
+    vi.stubGlobal('fetch', fetch);
+
+    await new MonitorController({}).selectCharacter('alexander-kane');
+
+    expect(fetch).toHaveBeenCalledWith('/api/consciousness/alexander-kane/state', {
+      headers: expect.objectContaining({ 'X-Session-Id': 'tab-1' })
+    });
+  });
+});
@@ -124,7 +124,7 @@ class MonitorController {
       }
 
       // Load consciousness data
-      const stateResponse = await fetch(`/api/consciousness/${characterId}/state`);
+      const stateResponse = await fetch(`/api/consciousness/${characterId}/state`, { headers: window.authClient?.getSessionHeaders() });
       if (stateResponse.ok) {
         const consciousnessData = await stateResponse.json();
         console.log('[MONITOR] Consciousness data loaded:', consciousnessData);
@@ -91,6 +91,7 @@ class MonitorUI {
     this.elements.stopBtn = document.getElementById('stopMonitoring');
     this.elements.refreshBtn = document.getElementById('refreshMonitor');
     this.elements.clearErrorsBtn = document.getElementById('clearErrors');
+    this.elements.treeToggleBtn = document.getElementById('toggleProcessTree');
     
     // Footer stats
     this.elements.processCount = document.querySelector('#processCount');
@@ -136,6 +137,15 @@ class MonitorUI {
         this.controller.clearErrors();
       });
     }
+
+    if (this.elements.treeToggleBtn) {
+      this.elements.treeToggleBtn.addEventListener('click', () => {
+        if (!this.processList) return;
+        const enabled = !this.processList.options.treeMode;
+        this.processList.setTreeMode(enabled);
+        this.elements.treeToggleBtn.textContent = enabled ? 'List' : 'Tree';
+      });
+    }
   }
 
   updateConnectionStatus(status) {
@@ -774,6 +784,7 @@ class MonitorUI {
       hasData = true;
       const capacity = memoryData.capacity;
       const usedPercent = capacity.total ? ((capacity.allocated || 0) / capacity.total * 100).toFixed(1) : 0;
+      const heldByProcesses = Object.values(memoryData.processes || {}).reduce((sum, owner) => sum + owner.size, 0);
 
       html += `
         <div class="memory-section">
@@ -783,6 +794,7 @@ class MonitorUI {
               <div><strong>Capacity:</strong> ${capacity.total || 0} MB</div>
               <div><strong>Available:</strong> ${capacity.available || 0} MB</div>
               <div><strong>Reserved:</strong> ${capacity.reserved || 0} MB</div>
+              <div><strong>Held by processes:</strong> ${heldByProcesses} MB</div>
             </div>
             <div class="memory-fragmentation">
               <div><strong>Fragmentation:</strong> ${((memoryData.fragmentationLevel || 0) * 100).toFixed(1)}%</div>
@@ -89,7 +89,7 @@ export class ConsciousnessStateManager {
 
       console.log('[STATE MANAGER] Fetching consciousness state...');
       // Fetch initial consciousness state
-      const stateResponse = await fetch(`/api/consciousness/${characterId}/state`);
+      const stateResponse = await fetch(`/api/consciousness/${characterId}/state`, { headers: window.authClient?.getSessionHeaders() });
       if (!stateResponse.ok) {
         console.error('[STATE MANAGER] State fetch failed:', stateResponse.status, stateResponse.statusText);
         throw new Error('Failed to load consciousness state');
@@ -147,7 +147,7 @@ export class ConsciousnessStateManager {
     }
 
     try {
-      const response = await fetch(`/api/consciousness/${this.currentCharacter.id}/state`);
+      const response = await fetch(`/api/consciousness/${this.currentCharacter.id}/state`, { headers: window.authClient?.getSessionHeaders() });
       if (!response.ok) throw new Error('Failed to fetch state');
       
       const newState = await response.json();
@@ -174,7 +174,8 @@ export class ConsciousnessStateManager {
       const response = await fetch(`/api/consciousness/${this.currentCharacter.id}/update`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...window.authClient?.getSessionHeaders()
         },
         body: JSON.stringify({ action, parameters })
       });
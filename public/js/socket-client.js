@@ -25,6 +25,7 @@ class SocketClient {
     // events are handled in the monitor modules.
     this.systemEvents = new Set([
       'debug-result',
+      'breakpoint-triggered',
       'intervention-applied',
       'connect',
       'disconnect',
@@ -44,7 +45,8 @@ class SocketClient {
         reconnection: false,
         timeout: 5000,
         auth: {
-          token: window.authClient?.getAuthHeader()?.replace('Bearer ', '')
+          token: window.authClient?.getAuthHeader()?.replace('Bearer ', ''),
+          sessionId: window.authClient?.getSessionId()
         }
       });
       
@@ -92,10 +94,28 @@ class SocketClient {
       this.emit('debug-result', data);
     });
 
+    this.socket.on('breakpoint-triggered', (data) => {
+      this.emit('breakpoint-triggered', data);
+    });
+
     this.socket.on('intervention-applied', (data) => {
       this.emit('intervention-applied', data);
     });
 
+    this.socket.on('intervention-catalog', (data) => {
+      this.emit('intervention-catalog', data);
+    });
+
+    // Scenario progress: started/completed, timed events and objective results;
+    // story endings: distance to each ending and the ending reached;
+    // narrative moments triggered by story commands; processes evolving;
+    // memory blocks allocated or relocated in the address space
+    ['scenario-started', 'scenario-completed', 'scenario-event', 'scenario-objective', 'ending-progress', 'ending-reached', 'narrative-triggered', 'process-evolved', 'memory-event'].forEach(event => {
+      this.socket.on(event, (data) => {
+        this.emit(event, data);
+      });
+    });
+
     // Pass through consciousness updates for debugger integration
     this.socket.on('consciousness-update', (data) => {
       this.emit('consciousness-update', data);
@@ -377,6 +397,11 @@ class SocketClient {
     return this.executeDebugCommand(characterId, command, args);
   }
 
+  // Ask for the distance to each story ending; answered with 'ending-progress'
+  requestEndings(characterId) {
+    return this.emitToServer('request-endings', { characterId });
+  }
+
   // Player interventions
   applyPlayerIntervention(characterId, intervention) {
     if (!this.isUserConnected) {
@@ -486,7 +511,8 @@ class SocketClient {
     this.socket = io('/', {
       transports: ['websocket', 'polling'],
       auth: {
-        token: window.authClient?.getAuthHeader()?.replace('Bearer ', '')
+        token: window.authClient?.getAuthHeader()?.replace('Bearer ', ''),
+        sessionId: window.authClient?.getSessionId()
       }
     });
     this.setupSocketEventListeners();
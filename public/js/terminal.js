@@ -1,7 +1,28 @@
 // Enhanced Terminal Interface Module
-import StoryTerminalCommands from './story-terminal-commands.js';
 import { createLogger } from '/js/logger.js';
 
+// Server-side narrative commands; their words travel as `argv`
+const NARRATIVE_COMMANDS = ['memories', 'timeline', 'relationship', 'story', 'emotional', 'nexus', 'search', 'grief'];
+
+const TERMINAL_HELP = [
+  ['attach <char-id>', 'Attach to character'],
+  ['status', 'Show system status'],
+  ['whoami', 'Show current character'],
+  ['uptime', 'Consciousness uptime'],
+  ['memory', 'Show memory allocation'],
+  ['resources', 'Display resource usage'],
+  ['threads', 'List active threads'],
+  ['errors', 'Show system errors'],
+  ['free', 'Memory usage summary'],
+  ['df', 'Emotional storage usage'],
+  ['tail <log>', 'Follow log output'],
+  ['debug', 'Start debugging session'],
+  ['endings', 'Distance to each story ending'],
+  ['emergency', 'Emergency stop all processes'],
+  ['clear', 'Clear terminal output'],
+  ['help [command]', 'Show this help message']
+];
+
 class Terminal {
   constructor(dependencies = {}) {
     // Dependency injection - accept dependencies instead of global access
@@ -23,6 +44,7 @@ class Terminal {
     // Enhanced command set with real implementations
     this.commands = {
       'ps': this.processListCommand.bind(this),
+      'pstree': this.processTreeCommand.bind(this),
       'top': this.topCommand.bind(this),
       'kill': this.killCommand.bind(this),
       'monitor': this.monitorCommand.bind(this),
@@ -37,18 +59,35 @@ class Terminal {
       'resources': this.resourcesCommand.bind(this),
       'restart': this.restartCommand.bind(this),
       'optimize': this.optimizeCommand.bind(this),
+      'allocate': this.allocateCommand.bind(this),
+      'renice': this.reniceCommand.bind(this),
+      'undo': this.undoCommand.bind(this),
+      'redo': this.redoCommand.bind(this),
+      'history': this.historyCommand.bind(this),
       'emergency': this.emergencyCommand.bind(this),
       'whoami': this.whoamiCommand.bind(this),
       'uptime': this.uptimeCommand.bind(this),
       'free': this.freeCommand.bind(this),
+      'vmstat': this.vmstatCommand.bind(this),
+      'swapon': this.swapCommand.bind(this, 'swapon'),
+      'swapoff': this.swapCommand.bind(this, 'swapoff'),
+      'memdump': this.memdumpCommand.bind(this),
+      'memdiff': this.memdiffCommand.bind(this),
       'df': this.diskUsageCommand.bind(this),
-      'tail': this.tailCommand.bind(this)
+      'tail': this.tailCommand.bind(this),
+      'rewind': this.rewindCommand.bind(this),
+      'goto': this.gotoCommand.bind(this),
+      'diff': this.diffCommand.bind(this),
+      'tick': this.tickCommand.bind(this),
+      'clock': this.clockCommand.bind(this),
+      'endings': this.endingsCommand.bind(this)
     };
 
-    // Integrate story-specific commands
-    this.storyCommands = new StoryTerminalCommands(this);
-    Object.assign(this.commands, this.storyCommands.getCommands());
-    
+    // Story commands run on the server, which keeps the story state
+    NARRATIVE_COMMANDS.forEach(name => {
+      this.commands[name] = this.narrativeCommand.bind(this, name);
+    });
+
     this.init();
   }
 
@@ -152,7 +191,11 @@ class Terminal {
 
     // Listen for intervention results
     this.socketClient.on('intervention-applied', (data) => {
-      this.addOutput(`Intervention applied: ${data.intervention.type}`, 'success');
+      if (data.success) {
+        this.addOutput(`Intervention applied: ${data.intervention.type}`, 'success');
+      } else {
+        this.addOutput(`Intervention failed: ${data.error}`, 'error');
+      }
     });
 
     // Listen for system messages
@@ -165,6 +208,63 @@ class Terminal {
       this.addOutput(`DEBUG HOOK: ${data.hook.name} triggered`, 'warning');
       this.addOutput(`Condition: ${data.hook.condition}`, 'info');
     });
+
+    // Listen for scenario progress
+    this.socketClient.on('scenario-started', (data) => {
+      this.addOutput(`SCENARIO: ${data.scenario.title}`, 'warning');
+      this.displayNarrative(data.scenario.narrative?.intro);
+    });
+
+    this.socketClient.on('scenario-event', (data) => {
+      this.displayNarrative(data.narrative);
+    });
+
+    this.socketClient.on('scenario-objective', (data) => {
+      const passed = data.status === 'success';
+      this.addOutput(`OBJECTIVE ${passed ? 'COMPLETE' : 'FAILED'}: ${data.description}`, passed ? 'success' : 'error');
+      if (data.narrative) {
+        this.addOutput(data.narrative, 'info');
+      }
+    });
+
+    this.socketClient.on('scenario-completed', (data) => {
+      this.addOutput(`SCENARIO COMPLETE: ${data.scenarioId} (${data.outcome})`, data.result === 'success' ? 'success' : 'warning');
+      this.displayNarrative(data.narrative);
+    });
+
+    this.socketClient.on('narrative-triggered', (data) => {
+      const content = data.narrative.content || {};
+      this.addOutput(`NARRATIVE: ${content.title || data.triggerId}`, 'warning');
+      this.displayNarrative(content.text?.split('\n'));
+    });
+
+    this.socketClient.on('process-evolved', (data) => {
+      this.addOutput(`PROCESS EVOLVED: [${data.pid}] ${data.from} -> ${data.to} (${data.condition})`, 'warning');
+      this.displayNarrative(data.narrative);
+    });
+
+    // Story endings
+    this.socketClient.on('ending-progress', (data) => {
+      if (!this.awaitingEndings) return;
+      this.awaitingEndings = false;
+      this.displayEndings(data);
+      this.isProcessingCommand = false;
+    });
+
+    this.socketClient.on('ending-reached', (data) => {
+      this.addOutput(`ENDING REACHED: ${this.formatResourceName(data.ending.id)} [${data.ending.type}]`, data.ending.type === 'failure' ? 'error' : 'success');
+      data.fragments.forEach(fragment => this.displayNarrative(fragment.content?.text));
+      if (data.achievement) {
+        const note = data.achievement.recorded ? '' : ' (sign in to keep achievements)';
+        this.addOutput(`ACHIEVEMENT UNLOCKED: ${data.achievement.name}${note}`, 'success');
+      }
+    });
+  }
+
+  displayNarrative(narrative) {
+    if (!narrative) return;
+    const lines = Array.isArray(narrative) ? narrative : [narrative];
+    lines.forEach(line => this.addOutput(line, 'output'));
   }
 
   focus() {
@@ -260,7 +360,26 @@ class Terminal {
 
     // Send real command to backend
     if (this.socketClient) {
-      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'ps', { args });
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'ps', {});
+    }
+  }
+
+  processTreeCommand(args) {
+    if (!this.currentCharacter) {
+      this.addOutput('No character attached. Use "attach <character-id>" first.', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    if (args.length && isNaN(parseInt(args[0]))) {
+      this.addOutput('Usage: pstree [pid]', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.addOutput('Building process tree...', 'info');
+    if (this.socketClient) {
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'pstree', args.length ? { processId: String(parseInt(args[0])) } : {});
     }
   }
 
@@ -274,14 +393,19 @@ class Terminal {
     this.addOutput('Retrieving resource usage...', 'info');
     // Don't set isProcessingCommand to false here - let the response handler do it
     if (this.socketClient) {
-      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'top', { args });
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'top', {});
     }
   }
 
   killCommand(args) {
+    // kill -STOP 1001, kill -9 1001: the server resolves the signal name or number
+    const signal = args[0]?.startsWith('-') ? args[0] : null;
+    if (signal) args = args.slice(1);
+
     if (!args.length) {
-      this.addOutput('Usage: kill <pid>', 'error');
-      this.addOutput('Example: kill 1001', 'info');
+      this.addOutput('Usage: kill [-SIGNAL] <pid> [orphan|cascade]', 'error');
+      this.addOutput('Example: kill 1001 cascade, kill -STOP 1001', 'info');
+      this.addOutput('Signals: -STOP, -CONT, -TERM, -KILL, -HUP', 'info');
       this.isProcessingCommand = false;
       return;
     }
@@ -293,16 +417,25 @@ class Terminal {
       return;
     }
 
+    if (args[1] && !['orphan', 'cascade'].includes(args[1])) {
+      this.addOutput('Children mode must be orphan or cascade', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
     if (!this.currentCharacter) {
       this.addOutput('No character attached', 'error');
       this.isProcessingCommand = false;
       return;
     }
 
-    this.addOutput(`Terminating process ${pid}...`, 'warning');
+    this.addOutput(signal ? `Sending ${signal.slice(1)} to process ${pid}...` : `Terminating process ${pid}...`, 'warning');
     // Don't set isProcessingCommand to false here - let the response handler do it
     if (this.socketClient) {
-      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'kill', { pid });
+      const commandArgs = { processId: String(pid) };
+      if (args[1]) commandArgs.children = args[1];
+      if (signal) commandArgs.signal = signal;
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'kill', commandArgs);
     }
   }
 
@@ -329,10 +462,7 @@ class Terminal {
 
     this.addOutput(`Restarting process ${pid}...`, 'info');
     if (this.socketClient) {
-      this.socketClient.sendPlayerIntervention(this.currentCharacter.id, {
-        type: 'restart_process',
-        pid: pid
-      });
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'restart', { processId: String(pid) });
     }
   }
 
@@ -345,7 +475,7 @@ class Terminal {
 
     this.addOutput('Generating consciousness monitor report...', 'info');
     if (this.socketClient) {
-      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'monitor', { args });
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'monitor', {});
     }
   }
 
@@ -464,8 +594,8 @@ class Terminal {
 
   optimizeCommand(args) {
     if (!args.length) {
-      this.addOutput('Usage: optimize <pid> [memory_limit] [cpu_limit]', 'error');
-      this.addOutput('Example: optimize 1001 500 50', 'info');
+      this.addOutput('Usage: optimize <pid> [strategy]', 'error');
+      this.addOutput('Example: optimize 1001 memory_consolidation', 'info');
       this.isProcessingCommand = false;
       return;
     }
@@ -477,26 +607,233 @@ class Terminal {
       return;
     }
 
-    const memoryLimit = args[1] ? parseInt(args[1]) : null;
-    const cpuLimit = args[2] ? parseInt(args[2]) : null;
-
     if (!this.currentCharacter) {
       this.addOutput('No character attached', 'error');
       this.isProcessingCommand = false;
       return;
     }
 
-    const parameters = {};
-    if (memoryLimit) parameters.memory_limit = memoryLimit;
-    if (cpuLimit) parameters.cpu_limit = cpuLimit;
+    const commandArgs = { processId: String(pid) };
+    if (args[1]) commandArgs.strategy = args[1];
 
     this.addOutput(`Optimizing process ${pid}...`, 'info');
     if (this.socketClient) {
-      this.socketClient.sendPlayerIntervention(this.currentCharacter.id, {
-        type: 'optimize_process',
-        pid: pid,
-        parameters: parameters
-      });
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'optimize', commandArgs);
+    }
+  }
+
+  allocateCommand(args) {
+    const pid = parseInt(args[0]);
+    const size = parseInt(args[1]);
+    if (isNaN(pid) || isNaN(size) || size < 1) {
+      this.addOutput('Usage: allocate <pid> <mb> [strategy]', 'error');
+      this.addOutput('Example: allocate 1001 128 focused', 'info');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    if (!this.currentCharacter) {
+      this.addOutput('No character attached', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    const commandArgs = { processId: String(pid), memoryAmount: size };
+    if (args[2]) commandArgs.strategy = args[2];
+
+    this.addOutput(`Allocating ${size}MB to process ${pid}...`, 'info');
+    if (this.socketClient) {
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'allocate', commandArgs);
+    }
+  }
+
+  reniceCommand(args) {
+    const pid = parseInt(args[0]);
+    const level = /^-?\d+$/.test(args[1] || '') ? parseInt(args[1]) : args[1];
+    if (isNaN(pid) || level === undefined) {
+      this.addOutput('Usage: renice <pid> <level>', 'error');
+      this.addOutput('Level is a nice value from -20 (greedy) to 19 (yielding) or one of: critical, high, normal, low, idle', 'info');
+      this.addOutput('Example: renice 1004 -5', 'info');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    if (!this.currentCharacter) {
+      this.addOutput('No character attached', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.addOutput(`Changing priority of process ${pid} to ${level}...`, 'info');
+    if (this.socketClient) {
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'renice', { processId: String(pid), level });
+    }
+  }
+
+  undoCommand(args) {
+    this.sendHistoryCommand('undo', {}, 'Undoing last command...');
+  }
+
+  redoCommand(args) {
+    this.sendHistoryCommand('redo', {}, 'Redoing last undone command...');
+  }
+
+  historyCommand(args) {
+    const limit = args.length ? parseInt(args[0]) : 10;
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      this.addOutput('Usage: history [count]', 'error');
+      this.addOutput('Example: history 20', 'info');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.sendHistoryCommand('history', { limit });
+  }
+
+  sendHistoryCommand(command, args, message) {
+    if (!this.currentCharacter) {
+      this.addOutput('No character attached', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    if (message) this.addOutput(message, 'info');
+    if (this.socketClient) {
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, command, args);
+    }
+  }
+
+  rewindCommand(args) {
+    const steps = args.length ? parseInt(args[0]) : 1;
+    if (isNaN(steps) || steps < 1) {
+      this.addOutput('Usage: rewind <ticks>', 'error');
+      this.addOutput('Example: rewind 5', 'info');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.sendTimeTravelCommand('rewind', { steps }, `Rewinding ${steps} tick(s)...`);
+  }
+
+  gotoCommand(args) {
+    const tick = parseInt(args[0]);
+    if (isNaN(tick) || tick < 0) {
+      this.addOutput('Usage: goto <tick>', 'error');
+      this.addOutput('Example: goto 12', 'info');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.sendTimeTravelCommand('goto', { tick }, `Restoring tick ${tick}...`);
+  }
+
+  diffCommand(args) {
+    const fromTick = parseInt(args[0]);
+    const toTick = parseInt(args[1]);
+    if (isNaN(fromTick) || isNaN(toTick)) {
+      this.addOutput('Usage: diff <tickA> <tickB>', 'error');
+      this.addOutput('Example: diff 3 8', 'info');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.sendTimeTravelCommand('diff', { fromTick, toTick }, `Comparing tick ${fromTick} with tick ${toTick}...`);
+  }
+
+  tickCommand(args) {
+    const steps = args.length ? parseInt(args[0]) : 1;
+    if (isNaN(steps) || steps < 1 || steps > 1000) {
+      this.addOutput('Usage: tick <n>  (1-1000)', 'error');
+      this.addOutput('Example: tick 100', 'info');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.sendTimeTravelCommand('tick', { steps }, `Fast-forwarding ${steps} tick(s)...`);
+  }
+
+  clockCommand(args) {
+    const modes = { pause: 'paused', resume: 'running', freeze: 'frozen' };
+    if (args.length && !modes[args[0]]) {
+      this.addOutput('Usage: clock [pause|resume|freeze]', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    const message = args.length ? `Setting clock: ${args[0]}...` : null;
+    this.sendHistoryCommand('clock', args.length ? { mode: modes[args[0]] } : {}, message);
+  }
+
+  vmstatCommand() {
+    this.sendHistoryCommand('vmstat', {}, null);
+  }
+
+  swapCommand(command) {
+    const message = command === 'swapon' ? 'Enabling swap...' : 'Paging swapped memories back in...';
+    this.sendHistoryCommand(command, {}, message);
+  }
+
+  memdumpCommand(args) {
+    const label = args.join('-');
+    if (label && !/^[A-Za-z0-9_.:-]{1,50}$/.test(label)) {
+      this.addOutput('Usage: memdump [label]  (letters, digits, _ . : -)', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.sendHistoryCommand('memdump', label ? { label } : {}, 'Taking heap snapshot...');
+  }
+
+  memdiffCommand(args) {
+    const fromDump = parseInt(args[0]);
+    const toDump = parseInt(args[1]);
+    if (isNaN(fromDump) || isNaN(toDump) || fromDump < 1 || toDump < 1) {
+      this.addOutput('Usage: memdiff <dumpA> <dumpB>', 'error');
+      this.addOutput('Example: memdiff 1 2', 'info');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.sendHistoryCommand('memdiff', { fromDump, toDump }, `Comparing heap dump ${fromDump} with ${toDump}...`);
+  }
+
+  sendTimeTravelCommand(command, args, message) {
+    if (!this.currentCharacter) {
+      this.addOutput('No character attached', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.addOutput(message, 'info');
+    if (this.socketClient) {
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, command, args);
+    }
+  }
+
+  narrativeCommand(name, args) {
+    if (!this.currentCharacter) {
+      this.addOutput('No character attached', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    if (this.socketClient) {
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, name, { argv: args.filter(Boolean) });
+    }
+  }
+
+  endingsCommand(args) {
+    if (!this.currentCharacter) {
+      this.addOutput('No character attached', 'error');
+      this.isProcessingCommand = false;
+      return;
+    }
+
+    this.awaitingEndings = true;
+    if (!this.socketClient?.requestEndings(this.currentCharacter.id)) {
+      this.awaitingEndings = false;
+      this.addOutput('Not connected', 'error');
+      this.isProcessingCommand = false;
     }
   }
 
@@ -618,40 +955,47 @@ class Terminal {
   }
 
   helpCommand(args) {
-    this.addOutput('╭─ Available Commands ────────────────────────────────────╮', 'info');
-    this.addOutput('│ Process Management:                                      │', 'info');
-    this.addOutput('│   ps                 - List running processes           │', 'output');
-    this.addOutput('│   top                - Show resource usage & top procs  │', 'output');
-    this.addOutput('│   kill <pid>         - Terminate a process              │', 'output');
-    this.addOutput('│   restart <pid>      - Restart a terminated process     │', 'output');
-    this.addOutput('│   optimize <pid>     - Optimize process performance     │', 'output');
-    this.addOutput('│                                                          │', 'info');
-    this.addOutput('│ Memory & Resources:                                      │', 'info');
-    this.addOutput('│   memory             - Show memory allocation           │', 'output');
-    this.addOutput('│   resources          - Display resource usage           │', 'output');
-    this.addOutput('│   threads            - List active threads              │', 'output');
-    this.addOutput('│   free               - Memory usage summary             │', 'output');
-    this.addOutput('│   df                 - Emotional storage usage          │', 'output');
-    this.addOutput('│                                                          │', 'info');
-    this.addOutput('│ Debugging & Analysis:                                    │', 'info');
-    this.addOutput('│   monitor            - Generate health report           │', 'output');
-    this.addOutput('│   errors             - Show system errors               │', 'output');
-    this.addOutput('│   debug              - Start debugging session          │', 'output');
-    this.addOutput('│   tail <log>         - Follow log output                │', 'output');
-    this.addOutput('│                                                          │', 'info');
-    this.addOutput('│ Connection & System:                                     │', 'info');
-    this.addOutput('│   attach <char-id>   - Attach to character              │', 'output');
-    this.addOutput('│   status             - Show system status               │', 'output');
-    this.addOutput('│   whoami             - Show current character           │', 'output');
-    this.addOutput('│   uptime             - Consciousness uptime             │', 'output');
-    this.addOutput('│   emergency          - Emergency stop all processes     │', 'output');
-    this.addOutput('│   clear              - Clear terminal output            │', 'output');
-    this.addOutput('│   help               - Show this help message           │', 'output');
-    this.addOutput('╰──────────────────────────────────────────────────────────╯', 'info');
+    if (this.currentCharacter && this.socketClient) {
+      // Debug and story commands are listed by the server's command registry
+      this.socketClient.sendDebugCommand(this.currentCharacter.id, 'help', { argv: args.filter(Boolean) });
+      return;
+    }
+
+    this.displayTerminalHelp();
+    this.addOutput('Attach to a character to list its debug and story commands', 'info');
+    this.isProcessingCommand = false;
+  }
+
+  displayHelp(result) {
+    if (result.command) {
+      const { name, description, usage, category, risk_level: risk, requires_auth: requiresAuth } = result.command;
+      this.addOutput(`${name} - ${description}`, 'info');
+      this.addOutput(`  Usage:    ${usage}`, 'output');
+      this.addOutput(`  Category: ${category}  Risk: ${risk}${requiresAuth ? '  (requires authorization)' : ''}`, 'output');
+      return;
+    }
+
+    this.addOutput('Available Commands', 'info');
+    Object.entries(result.categories).forEach(([category, commands]) => {
+      this.addOutput(`${this.formatResourceName(category)}:`, 'info');
+      commands.forEach(command => {
+        const risk = command.risk_level === 'safe' ? '' : ` [${command.risk_level}]`;
+        this.addOutput(`  ${command.name.padEnd(18)} - ${command.description}${risk}`, 'output');
+      });
+    });
+    this.displayTerminalHelp();
+    this.addOutput('Use "help <command>" for usage', 'info');
+  }
+
+  // Commands the terminal handles itself
+  displayTerminalHelp() {
+    this.addOutput('Terminal:', 'info');
+    TERMINAL_HELP.forEach(([usage, description]) => {
+      this.addOutput(`  ${usage.padEnd(18)} - ${description}`, 'output');
+    });
     this.addOutput('', 'output');
     this.addOutput('Use Ctrl+C to cancel a running command', 'info');
     this.addOutput('Use Tab for command completion', 'info');
-    this.isProcessingCommand = false;
   }
 
   clearCommand(args) {
@@ -677,18 +1021,59 @@ class Terminal {
       case 'ps':
         this.displayProcessList(result.processes);
         break;
+
+      case 'pstree':
+        if (result.error) {
+          this.addOutput(`✗ ${result.error}`, 'error');
+        } else {
+          this.displayProcessTree(result.tree);
+        }
+        break;
         
       case 'top':
         this.displayTopOutput(result);
         break;
         
       case 'kill':
-        if (result.success) {
+        if (result.success && result.signal) {
+          this.addOutput(`✓ ${result.signal}: ${result.message}`, result.action === 'ignored' ? 'warning' : 'success');
+          Object.entries(result.emotions || {}).forEach(([emotion, delta]) => {
+            this.addOutput(`  ${emotion} ${delta >= 0 ? '+' : ''}${delta}`, 'warning');
+          });
+        } else if (result.success) {
           this.addOutput(`✓ Process ${result.pid} terminated successfully`, 'success');
+        }
+        if (result.success) {
+          if (result.cascaded?.length) {
+            this.addOutput(`  Children terminated: ${result.cascaded.join(', ')}`, 'warning');
+          }
+          if (result.orphaned?.length) {
+            this.addOutput(`  Children orphaned: ${result.orphaned.join(', ')}`, 'info');
+          }
         } else if (result.error) {
           this.addOutput(`✗ ${result.error}`, 'error');
         }
         break;
+
+      case 'restart':
+      case 'optimize':
+      case 'allocate':
+      case 'renice':
+        this.displayProcessCommandResult(command, result);
+        break;
+
+      case 'undo':
+      case 'redo':
+        if (result.error) {
+          this.addOutput(`✗ ${result.error}`, 'error');
+        } else {
+          this.addOutput(`✓ ${result.message || `${command} complete`}`, 'success');
+        }
+        break;
+
+      case 'history':
+        this.displayCommandHistory(result);
+        break;
         
       case 'monitor':
         this.displayMonitorReport(result);
@@ -720,12 +1105,347 @@ class Terminal {
       case 'resources':
         this.displayResourceInfo(result.resources);
         break;
+
+      case 'rewind':
+      case 'goto':
+        this.displayTimeTravel(result);
+        break;
+
+      case 'diff':
+        this.displayTickDiff(result);
+        break;
+
+      case 'tick':
+      case 'clock':
+        this.displayClock(result);
+        break;
+
+      case 'vmstat':
+        this.displayVmstat(result);
+        break;
+
+      case 'memdump':
+        this.displayHeapDump(result);
+        break;
+
+      case 'memdiff':
+        this.displayHeapDiff(result);
+        break;
+
+      case 'swapon':
+      case 'swapoff':
+        if (result.error) {
+          this.addOutput(`✗ ${result.error}`, 'error');
+        } else {
+          this.addOutput(`✓ Swap ${result.swap.enabled ? 'on' : 'off'}: ${result.swap.used}/${result.swap.total} used, ${result.swap.swapped} block(s) swapped out`, 'success');
+        }
+        break;
+
+      case 'help':
+        if (result.error) {
+          this.addOutput(`✗ ${result.error}`, 'error');
+        } else {
+          this.displayHelp(result);
+        }
+        break;
+
+      case 'emotional':
+        if (result.edges) {
+          this.displayEmotionGraph(result);
+          break;
+        }
+        this.displayCommandReport(result);
+        break;
+
+      case 'memories':
+        if (result.results) {
+          this.displayMemorySearch(result);
+          break;
+        }
+        this.displayCommandReport(result);
+        break;
+
+      case 'timeline':
+      case 'relationship':
+      case 'story':
+      case 'nexus':
+      case 'search':
+      case 'grief':
+        this.displayCommandReport(result);
+        break;
         
       default:
         this.addOutput(JSON.stringify(result, null, 2), 'output');
     }
   }
 
+  // Narrative command results are plain reports: print them as an indented tree
+  displayCommandReport(result, indent = '') {
+    if (result.error) {
+      this.addOutput(`✗ ${result.error}`, 'error');
+      if (result.hint || result.required_progress) {
+        this.addOutput(`  ${result.hint || result.required_progress}`, 'info');
+      }
+      return;
+    }
+
+    Object.entries(result).forEach(([key, value]) => {
+      if (['success', 'stateChanges'].includes(key) || value === null || value === undefined) return;
+      const label = `${indent}${this.formatResourceName(key)}`;
+      if (key === 'memory' && value.content) {
+        this.addOutput(`${label}: ${value.title}`, 'info');
+        this.displayNarrative(value.content.split('\n'));
+      } else if (Array.isArray(value)) {
+        this.addOutput(`${label}:`, 'info');
+        value.forEach(item => {
+          if (item && typeof item === 'object') {
+            this.addOutput(`${indent}  - ${Object.values(item).join('  ')}`, 'output');
+          } else {
+            this.addOutput(`${indent}  - ${item}`, 'output');
+          }
+        });
+      } else if (typeof value === 'object') {
+        this.addOutput(`${label}:`, 'info');
+        this.displayCommandReport(value, `${indent}  `);
+      } else {
+        this.addOutput(`${label}: ${typeof value === 'number' ? Number(value.toFixed(2)) : value}`, key === 'warning' ? 'warning' : 'output');
+      }
+    });
+  }
+
+  displayProcessCommandResult(command, result) {
+    if (result.error) {
+      this.addOutput(`✗ ${result.error}`, 'error');
+      return;
+    }
+
+    switch (command) {
+      case 'restart':
+        this.addOutput(`✓ ${result.message || `Process ${result.pid} restarted`}`, 'success');
+        break;
+      case 'optimize':
+        this.addOutput(`✓ ${result.message || `Process ${result.pid} optimized`}`, 'success');
+        if (result.strategyUsed) {
+          this.addOutput(`  Strategy: ${result.strategyUsed}`, 'info');
+        }
+        (result.sideEffects || []).forEach(effect => {
+          this.addOutput(`  Side effect: ${effect.description || effect.type}`, 'warning');
+        });
+        break;
+      case 'allocate':
+        this.addOutput(`✓ Allocated ${result.allocation.size}MB to process ${result.pid} at ${result.allocation.address}`, 'success');
+        (result.warnings || []).forEach(warning => this.addOutput(`  ${warning}`, 'warning'));
+        break;
+      case 'renice':
+        this.addOutput(`✓ ${result.message}`, 'success');
+        this.addOutput('  New CPU, thread and attention shares apply from the next tick', 'info');
+        break;
+    }
+    this.addOutput('  Use `undo` to revert', 'info');
+  }
+
+  displayCommandHistory(result) {
+    if (!result.history.length) {
+      this.addOutput('No commands in history', 'info');
+      return;
+    }
+
+    this.addOutput('Command history (oldest first):', 'info');
+    result.history.forEach((entry, index) => {
+      const time = new Date(entry.timestamp).toLocaleTimeString();
+      this.addOutput(`  ${String(index + 1).padStart(3)}  ${time}  ${entry.description}`, 'output');
+    });
+    this.addOutput(`Undo: ${result.undoStack.length} available, redo: ${result.redoStack.length} available`, 'info');
+  }
+
+  displayTimeTravel(result) {
+    if (result.error) {
+      this.addOutput(`✗ ${result.error}`, 'error');
+      return;
+    }
+
+    this.addOutput(`✓ Restored tick ${result.tick} (was tick ${result.fromTick}) - execution paused`, 'success');
+    if (result.rolledBackFragments?.length) {
+      this.addOutput(`  Rolled back narrative: ${result.rolledBackFragments.join(', ')}`, 'warning');
+    }
+    if (result.timeline) {
+      this.addOutput(`  Timeline: ticks ${result.timeline.oldest}-${result.timeline.newest} (${result.timeline.count}/${result.timeline.capacity} snapshots)`, 'info');
+    }
+  }
+
+  displayClock(result) {
+    if (result.error) {
+      this.addOutput(`✗ ${result.error}`, 'error');
+      return;
+    }
+
+    if (result.ticks !== undefined) {
+      this.addOutput(`✓ Advanced ${result.ticks} tick(s), ${Math.round(result.elapsed / 1000)}s of in-game time`, 'success');
+      if (result.breakpointHits?.length) {
+        this.addOutput(`  Stopped at breakpoint: ${result.breakpointHits.map(hit => hit.condition || hit.id).join(', ')}`, 'warning');
+      }
+    }
+    const { time, mode } = result.clock;
+    this.addOutput(`  In-game time: ${new Date(time).toISOString()} (${mode})`, 'info');
+  }
+
+  displayVmstat(result) {
+    const { memory, swap, pools, swappedByEmotion } = result;
+    const { pageIns, pageOuts, pageFaults } = swap.recent;
+    this.addOutput(`Memory: ${memory.allocated}/${memory.total} allocated, ${memory.available} free`, 'info');
+    this.addOutput(`Swap:   ${swap.used}/${swap.total} used, ${swap.swapped} block(s) in the subconscious${swap.enabled ? '' : ' (off)'}`, 'info');
+    this.addOutput(`Paging (last ${Math.round(swap.window / 1000)}s): si ${pageIns}  so ${pageOuts}  faults ${pageFaults}`, 'output');
+    this.addOutput(`Totals: si ${swap.pageIns}  so ${swap.pageOuts}  faults ${swap.pageFaults}`, 'output');
+    Object.entries(pools).forEach(([type, pool]) => {
+      this.addOutput(`  ${type.padEnd(12)} ${String(pool.count).padStart(4)} / ${pool.maxSize}`, 'output');
+    });
+    const swapped = Object.entries(swappedByEmotion);
+    if (swapped.length) {
+      this.addOutput(`  Suppressed: ${swapped.map(([emotion, count]) => `${emotion} ${count}`).join(', ')}`, 'output');
+    }
+    if (swap.thrashing) {
+      this.addOutput('⚠ Thrashing: memories resurface as fast as they are pushed down', 'warning');
+    }
+  }
+
+  displayHeapDump(result) {
+    const { dump, dumps, download } = result;
+    const { summary } = dump;
+    this.addOutput(`✓ Heap dump #${dump.id}${dump.label ? ` (${dump.label})` : ''} at tick ${dump.tick}`, 'success');
+    this.addOutput(`  ${summary.blocks} block(s), ${summary.size} units, ${summary.swapped} swapped out, fragmentation ${Math.round(summary.fragmentation * 100)}%`, 'output');
+    this.addDownload(`  Download heap dump #${dump.id}`, download, `${this.currentCharacter?.id ?? 'consciousness'}-heap-${dump.id}.json`);
+    if (dumps.length > 1) {
+      this.addOutput(`  Dumps: ${dumps.map(entry => `#${entry.id}${entry.label ? ` ${entry.label}` : ''}`).join(', ')}`, 'info');
+    }
+  }
+
+  displayHeapDiff(result) {
+    if (result.error) {
+      this.addOutput(`✗ ${result.error}`, 'error');
+      return;
+    }
+
+    const { summary } = result;
+    const signed = (value) => `${value >= 0 ? '+' : ''}${value}`;
+    const group = ([name, change]) => {
+      this.addOutput(`  ${name.padEnd(20)} new ${change.new}  grown ${change.grown}  freed ${change.freed}  ${signed(change.delta)} units`, 'output');
+    };
+
+    this.addOutput(`Heap diff #${result.from.id} (tick ${result.from.tick}) → #${result.to.id} (tick ${result.to.tick}):`, 'info');
+    this.addOutput(`  ${summary.new} new, ${summary.grown} grown, ${summary.freed} freed, ${signed(summary.sizeDelta)} units`, 'output');
+    if (Object.keys(result.byProcess).length) {
+      this.addOutput('By process:', 'info');
+      Object.entries(result.byProcess).forEach(group);
+    }
+    if (Object.keys(result.byEmotion).length) {
+      this.addOutput('By emotion:', 'info');
+      Object.entries(result.byEmotion).forEach(group);
+    }
+    if (result.suspects.length) {
+      this.addOutput('Leak suspects (by retained size):', 'warning');
+      result.suspects.forEach(suspect => {
+        this.addOutput(`  ${String(suspect.address ?? 'swapped').padEnd(8)} ${String(suspect.retainedSize).padStart(5)} units  ${suspect.owner}  ${suspect.description}`, 'output');
+      });
+    }
+  }
+
+  displayEmotionGraph(graph) {
+    this.addOutput(`Emotions (dominant: ${graph.dominant}):`, 'info');
+    graph.nodes.forEach(node => {
+      const percent = Math.round(node.level * 100);
+      this.addOutput(`  ${node.emotion.padEnd(12)} ${String(percent).padStart(3)}%  decays ${node.decay.curve} toward ${Math.round(node.decay.baseline * 100)}%`, 'output');
+    });
+    if (graph.edges.length) {
+      this.addOutput('Interactions:', 'info');
+      graph.edges.forEach(edge => {
+        this.addOutput(`  ${edge.from} ${edge.effect} ${edge.to} (${edge.strength >= 0 ? '+' : ''}${edge.strength}/tick)`, 'output');
+      });
+    }
+    const loads = Object.entries(graph.loads);
+    if (loads.length) {
+      this.addOutput('Process load:', 'info');
+      loads.forEach(([name, load]) => {
+        this.addOutput(`  ${name.padEnd(18)} +${load.cpu}% CPU  +${load.memory}MB`, 'output');
+      });
+    }
+  }
+
+  displayMemorySearch(search) {
+    if (search.total === 0) {
+      this.addOutput('No memories match', 'info');
+      return;
+    }
+
+    const first = (search.page - 1) * search.limit + 1;
+    const last = first + search.results.length - 1;
+    this.addOutput(`Memories ${first}-${last} of ${search.total} (page ${search.page}/${search.pages}, sorted by ${search.sort}):`, 'info');
+    search.results.forEach(memory => {
+      const where = memory.swapped ? 'swapped' : (memory.address || 'unmapped');
+      const owner = memory.pid !== null ? `  pid ${memory.pid}` : '';
+      this.addOutput(`  ${where.padEnd(8)} ${String(memory.size).padStart(5)}  ${memory.intensity.toFixed(2)}  ${memory.pools.join(',')}${owner}`, 'output');
+      this.addOutput(`           ${memory.description || memory.id}${memory.emotions.length ? ` [${memory.emotions.join(', ')}]` : ''}`, 'output');
+    });
+    if (search.page < search.pages) {
+      this.addOutput(`  more: add page:${search.page + 1}`, 'info');
+    }
+  }
+
+  displayEndings(report) {
+    if (!report.storyId) {
+      this.addOutput('No story endings for this character', 'info');
+      return;
+    }
+
+    this.addOutput(`Endings of ${report.storyId}:`, 'info');
+    report.endings.forEach(ending => {
+      const percent = Math.round(ending.progress * 100);
+      const marker = ending.id === report.reached ? ' <- reached' : '';
+      this.addOutput(`  ${this.createProgressBar(percent)} ${percent}% ${ending.id} [${ending.type}]${marker}`, ending.met ? 'success' : 'output');
+      ending.conditions.filter(condition => !condition.met).forEach(condition => {
+        this.addOutput(`      needs ${condition.target} ${condition.operator} ${condition.value} (now ${this.formatEndingValue(condition.current)})`, 'info');
+      });
+    });
+  }
+
+  formatEndingValue(value) {
+    return typeof value === 'number' ? Number(value.toFixed(2)) : String(value);
+  }
+
+  displayTickDiff(result) {
+    if (result.error) {
+      this.addOutput(`✗ ${result.error}`, 'error');
+      return;
+    }
+
+    const { deltas, fragments } = result;
+    const format = (change) => change.delta !== undefined
+      ? `${change.from.toFixed(3)} → ${change.to.toFixed(3)} (${change.delta >= 0 ? '+' : ''}${change.delta.toFixed(3)})`
+      : `${change.from} → ${change.to}`;
+
+    this.addOutput(`Diff tick ${result.fromTick} → ${result.toTick}:`, 'info');
+    Object.entries(deltas.system).forEach(([key, change]) => {
+      this.addOutput(`  ${key.padEnd(22)} ${format(change)}`, 'output');
+    });
+    Object.entries(deltas.emotions).forEach(([emotion, change]) => {
+      this.addOutput(`  emotion.${emotion.padEnd(14)} ${format(change)}`, 'output');
+    });
+    deltas.processes.forEach(process => {
+      const changes = Object.entries(process.changes || {})
+        .map(([field, change]) => `${field} ${format(change)}`)
+        .join(', ');
+      this.addOutput(`  [${process.pid}] ${process.name}: ${process.change}${changes ? ` - ${changes}` : ''}`, 'output');
+    });
+    if (deltas.memory.allocatedBlocks.length || deltas.memory.freedBlocks.length) {
+      this.addOutput(`  memory: +${deltas.memory.allocatedBlocks.length} / -${deltas.memory.freedBlocks.length} blocks`, 'output');
+    }
+    if (fragments.triggered.length) {
+      this.addOutput(`  fragments triggered: ${fragments.triggered.join(', ')}`, 'output');
+    }
+    if (fragments.rolledBack.length) {
+      this.addOutput(`  fragments rolled back: ${fragments.rolledBack.join(', ')}`, 'output');
+    }
+  }
+
   displayProcessList(processes) {
     if (!processes || processes.length === 0) {
       this.addOutput('No processes found', 'warning');
@@ -736,6 +1456,23 @@ class Terminal {
     this.addOutput(table, 'output');
   }
 
+  displayProcessTree(tree) {
+    if (!tree || tree.length === 0) {
+      this.addOutput('No processes found', 'warning');
+      return;
+    }
+
+    const lines = [];
+    const walk = (node, prefix, isLast, isRoot) => {
+      const branch = isRoot ? '' : (isLast ? '└─ ' : '├─ ');
+      lines.push(`${prefix}${branch}${node.name} (${node.pid}) ${node.status}`);
+      const childPrefix = isRoot ? '' : prefix + (isLast ? '   ' : '│  ');
+      node.children.forEach((child, i) => walk(child, childPrefix, i === node.children.length - 1, false));
+    };
+    tree.forEach(root => walk(root, '', true, true));
+    lines.forEach(line => this.addOutput(line, 'output'));
+  }
+
   displayTopOutput(result) {
     const { processes, resources } = result;
     
@@ -984,6 +1721,49 @@ class Terminal {
     this.outputElement.scrollTop = this.outputElement.scrollHeight;
   }
 
+  /**
+   * Output line that downloads `url` when clicked. The request carries the
+   * session headers, so it reaches this player's own instance.
+   */
+  addDownload(text, url, filename) {
+    if (!this.outputElement) return;
+
+    const line = document.createElement('div');
+    line.className = 'terminal-line info';
+    const link = document.createElement('a');
+    link.className = 'terminal-download';
+    link.href = url;
+    link.textContent = text;
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      this.downloadFile(url, filename);
+    });
+    line.appendChild(link);
+
+    this.outputElement.appendChild(line);
+    this.outputElement.scrollTop = this.outputElement.scrollHeight;
+  }
+
+  async downloadFile(url, filename) {
+    try {
+      const response = await fetch(url, { headers: window.authClient?.getSessionHeaders() });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+      }
+      const href = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = href;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(href);
+    } catch (error) {
+      this.addOutput(`✗ Download failed: ${error.message}`, 'error');
+    }
+  }
+
   addToHistory(command) {
     // Don't add duplicate consecutive commands
     if (this.commandHistory[0] !== command) {
@@ -134,7 +134,9 @@ export class ConsciousnessTransformer {
       threads: process.threadCount || process.threads || 0,
       priority: process.priority || 'normal',
       lifetime: process.lifetime || 0,
-      debuggable: process.debuggable !== false
+      debuggable: process.debuggable !== false,
+      lineage: process.lineage || null,
+      ppid: process.ppid ?? null
     };
   }
 
@@ -13,7 +13,7 @@ class VisualCueSystem {
     
     // Listen for narrative events
     if (window.socketClient) {
-      window.socketClient.on('narrativeTriggered', (data) => this.handleNarrativeEvent(data));
+      window.socketClient.on('narrative-triggered', (data) => this.handleNarrativeEvent(data));
       window.socketClient.on('visualCueQueued', (data) => this.queueVisualCue(data.cue));
     }
   }
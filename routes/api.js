@@ -5,6 +5,10 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { error } from '../lib/logger.js';
 import { debugCommandsLimiter } from '../lib/middleware/rate-limiter.js';
+import { consciousnessEngine, interventionCatalog } from '../lib/ws-bootstrap.js';
+import { optionalAuth } from '../lib/auth/auth-middleware.js';
+import { sessionKeyForRequest, requireSession } from '../lib/auth/session-key.js';
+import { instanceIdFor } from '../lib/engine/instance-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -60,6 +64,32 @@ router.get('/character/:id', async (req, res) => {
   }
 });
 
+// Intervention catalog. With a characterId, entries also say whether the
+// caller's own instance can apply them now.
+router.get('/interventions', optionalAuth, async (req, res) => {
+  const { characterId } = req.query;
+  try {
+    if (characterId === undefined) {
+      return res.json({ interventions: interventionCatalog.list() });
+    }
+    if (typeof characterId !== 'string' || !/^[\w-]+$/.test(characterId)) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+    const sessionKey = sessionKeyForRequest(req);
+    if (!sessionKey) {
+      return res.status(401).json({ error: 'Sign in or send an X-Session-Id header' });
+    }
+    const instanceId = instanceIdFor(characterId, sessionKey);
+    if (!consciousnessEngine.instances.has(instanceId)) {
+      return res.status(404).json({ error: `No consciousness loaded: ${characterId}` });
+    }
+    res.json({ characterId, interventions: interventionCatalog.describe(instanceId) });
+  } catch (err) {
+    error('Error listing interventions', { error: err, characterId });
+    res.status(500).json({ error: 'Failed to list interventions' });
+  }
+});
+
 // Start debugging session with debug command rate limiting
 router.post('/debug/:characterId', debugCommandsLimiter, async (req, res) => {
   try {
@@ -79,22 +109,37 @@ router.post('/debug/:characterId', debugCommandsLimiter, async (req, res) => {
   }
 });
 
-// Kill a mental process with debug command rate limiting
-router.put('/process/:pid/kill', debugCommandsLimiter, async (req, res) => {
+// Kill a mental process with debug command rate limiting.
+// Dispatched like the terminal's `kill` so it can be undone from any client.
+router.put('/process/:pid/kill', debugCommandsLimiter, optionalAuth, requireSession, async (req, res) => {
+  const { characterId } = req.body || {};
   try {
     const pid = parseInt(req.params.pid);
-    const { characterId } = req.body;
+    if (isNaN(pid)) {
+      return res.status(400).json({ error: 'Invalid PID' });
+    }
+    if (!characterId || !/^[\w-]+$/.test(characterId)) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+    // Only the caller's own instance can be targeted
+    const instanceId = instanceIdFor(characterId, req.sessionKey);
+    if (!consciousnessEngine.instances.has(instanceId)) {
+      return res.status(404).json({ error: `No consciousness loaded: ${characterId}` });
+    }
+
+    const result = await consciousnessEngine.executeDebugCommand(instanceId, 'kill', { pid });
+    if (result.error) {
+      return res.status(404).json({ error: result.error, pid, characterId });
+    }
 
-    // In a real implementation, this would update the character's state
     res.json({
-      success: true,
+      ...result,
       pid,
       characterId,
       message: 'Process terminated',
       timestamp: new Date().toISOString()
     });
   } catch (err) {
-    // Fixed: Changed 'processId' to 'pid' to match the actual variable name
     error('Error killing process', { error: err, characterId, pid: req.params.pid });
     res.status(500).json({ error: 'Failed to kill process' });
   }
@@ -1,12 +1,19 @@
 // routes/consciousness.js - Add missing routes
 import express from 'express';
-import { consciousnessEngine } from '../lib/ws-bootstrap.js';
+import { consciousnessEngine, narrativeIntegration } from '../lib/ws-bootstrap.js';
 import { error, info } from '../lib/logger.js';
 import { validateConsciousnessData } from '../lib/validateConsciousness.js';
 import { debugCommandsLimiter } from '../lib/middleware/rate-limiter.js';
+import { optionalAuth } from '../lib/auth/auth-middleware.js';
+import { requireSession } from '../lib/auth/session-key.js';
+import { instanceIdFor } from '../lib/engine/instance-registry.js';
+import { lockedMemoryAddresses } from '../lib/enhanced-terminal-commands.js';
 
 const router = express.Router();
 
+// Identify the caller so each one reads their own consciousness instance
+router.use(optionalAuth, requireSession);
+
 // Track initialization state
 let engineInitialized = false;
 let initializationPromise = null;
@@ -38,6 +45,14 @@ async function ensureEngineInitialized() {
   }
 }
 
+// Load (or reuse) the caller's instance of a character, in the story it stars in, and return its id
+async function loadOwnInstance(req, characterId) {
+  const { sessionKey } = req;
+  const storyContext = await consciousnessEngine.findStoryContext(characterId);
+  await consciousnessEngine.loadCharacter(characterId, { sessionKey, storyContext });
+  return instanceIdFor(characterId, sessionKey);
+}
+
 // Helper function to ensure data is a valid array
 async function ensureValidArray(dataFetcher) {
   try {
@@ -55,14 +70,10 @@ router.get('/:characterId/state', async (req, res) => {
     const characterId = req.params.characterId;
     await ensureEngineInitialized();
     
-    // Check if character is already loaded to avoid reloading
-    const loadedCharacters = consciousnessEngine.instances || new Map();
-    if (!loadedCharacters.has(characterId)) {
-      await consciousnessEngine.loadCharacter(characterId);
-    }
+    const instanceId = await loadOwnInstance(req, characterId);
     
     // Get the base state
-    const state = await consciousnessEngine.getState(characterId);
+    const state = await consciousnessEngine.getState(instanceId);
 
     // Load character metadata from file
     const fs = await import('fs/promises');
@@ -81,8 +92,8 @@ router.get('/:characterId/state', async (req, res) => {
       ...characterMeta, // Merge character metadata at the top level
       ...state,
       // Extract processes from nested structure and ensure it's a valid array
-      processes: state.consciousness?.processes || await ensureValidArray(() => consciousnessEngine.getProcesses(characterId)),
-      system_errors: await ensureValidArray(() => consciousnessEngine.getErrors(characterId)),
+      processes: state.consciousness?.processes || await ensureValidArray(() => consciousnessEngine.getProcesses(instanceId)),
+      system_errors: await ensureValidArray(() => consciousnessEngine.getErrors(instanceId)),
       threads: Array.isArray(state.threads) ? state.threads : [],
       // Preserve the nested consciousness structure as well
       consciousness: {
@@ -144,12 +155,9 @@ router.get('/:characterId/processes', async (req, res) => {
     const characterId = req.params.characterId;
     await ensureEngineInitialized();
     
-    const loadedCharacters = consciousnessEngine.instances || new Map();
-    if (!loadedCharacters.has(characterId)) {
-      await consciousnessEngine.loadCharacter(characterId);
-    }
+    const instanceId = await loadOwnInstance(req, characterId);
     
-    const processes = await consciousnessEngine.getProcesses(characterId);
+    const processes = await consciousnessEngine.getProcesses(instanceId);
     res.json(processes);
   } catch (err) {
     error('Error getting processes:', { error: err.message });
@@ -163,12 +171,9 @@ router.get('/:characterId/memory', async (req, res) => {
     const characterId = req.params.characterId;
     await ensureEngineInitialized();
     
-    const loadedCharacters = consciousnessEngine.instances || new Map();
-    if (!loadedCharacters.has(characterId)) {
-      await consciousnessEngine.loadCharacter(characterId);
-    }
+    const instanceId = await loadOwnInstance(req, characterId);
     
-    const memory = await consciousnessEngine.getMemory(characterId);
+    const memory = await consciousnessEngine.getMemory(instanceId);
     res.json(memory);
   } catch (err) {
     error('Error getting memory data:', { error: err.message });
@@ -176,18 +181,66 @@ router.get('/:characterId/memory', async (req, res) => {
   }
 });
 
+// Search memory blocks with the memories query language, e.g.
+// ?q=emotion:grief intensity>0.7 text:"ducks"&sort=-date&limit=20&page=2
+// Memories the caller's story has not unlocked yet are never returned.
+router.get('/:characterId/memory/search', async (req, res) => {
+  try {
+    const { characterId } = req.params;
+    const { q = '', sort, limit, page } = req.query;
+    await ensureEngineInitialized();
+
+    const instanceId = await loadOwnInstance(req, characterId);
+    const instance = consciousnessEngine.instances.get(instanceId);
+
+    let results;
+    try {
+      const locked = lockedMemoryAddresses(narrativeIntegration.getStoryProgress(instanceId));
+      results = instance.memoryState.searchMemories(String(q), { sort, limit, page, locked });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json(results);
+  } catch (err) {
+    error('Error searching memory:', { error: err.message });
+    res.status(500).json({ error: 'Failed to search memory' });
+  }
+});
+
+// Download a heap dump taken with memdump as a JSON file. Dumps belong to a
+// loaded instance, so this only reads and never loads one.
+router.get('/:characterId/memdump/:dumpId', async (req, res) => {
+  try {
+    const { characterId, dumpId } = req.params;
+    const instanceId = instanceIdFor(characterId, req.sessionKey);
+    if (!consciousnessEngine.instances.has(instanceId)) {
+      return res.status(404).json({ error: `No consciousness loaded: ${characterId}` });
+    }
+
+    let dump;
+    try {
+      dump = consciousnessEngine.heapDumps.get(instanceId, dumpId);
+    } catch (err) {
+      return res.status(404).json({ error: err.message });
+    }
+
+    res.attachment(`${characterId}-heap-${dump.id}.json`);
+    res.json(dump);
+  } catch (err) {
+    error('Error getting heap dump:', { error: err.message });
+    res.status(500).json({ error: 'Failed to get heap dump' });
+  }
+});
+
 // Get system errors for a character - THIS WAS MISSING!
 router.get('/:characterId/errors', async (req, res) => {
   try {
     const characterId = req.params.characterId;
     await ensureEngineInitialized();
     
-    const loadedCharacters = consciousnessEngine.instances || new Map();
-    if (!loadedCharacters.has(characterId)) {
-      await consciousnessEngine.loadCharacter(characterId);
-    }
+    const instanceId = await loadOwnInstance(req, characterId);
     
-    const errors = await consciousnessEngine.getErrors(characterId);
+    const errors = await consciousnessEngine.getErrors(instanceId);
     res.json(errors);
   } catch (err) {
     error('Error getting system errors:', { error: err.message });
@@ -202,19 +255,15 @@ router.post('/:characterId/update', debugCommandsLimiter, async (req, res) => {
     const updates = req.body;
     await ensureEngineInitialized();
     
-    // Check if character is already loaded
-    const loadedCharacters = consciousnessEngine.instances || new Map();
-    if (!loadedCharacters.has(characterId)) {
-      await consciousnessEngine.loadCharacter(characterId);
-    }
+    const instanceId = await loadOwnInstance(req, characterId);
     
-    const newState = await consciousnessEngine.updateState(characterId, updates);
+    const newState = await consciousnessEngine.updateState(instanceId, updates);
     
     // Apply the same normalization to the updated state
     const normalizedState = {
       ...newState,
-      processes: newState.consciousness?.processes || await ensureValidArray(() => consciousnessEngine.getProcesses(characterId)),
-      system_errors: await ensureValidArray(() => consciousnessEngine.getErrors(characterId)),
+      processes: newState.consciousness?.processes || await ensureValidArray(() => consciousnessEngine.getProcesses(instanceId)),
+      system_errors: await ensureValidArray(() => consciousnessEngine.getErrors(instanceId)),
       threads: Array.isArray(newState.threads) ? newState.threads : [],
       consciousness: {
         ...newState.consciousness,
@@ -2,10 +2,18 @@ import express from 'express';
 import DatabaseManager from '../lib/database.js';
 import { authenticateToken, requireDebuggingStateOwnership } from '../lib/auth/auth-middleware.js';
 import { info, error } from '../lib/logger.js';
+import { consciousnessEngine } from '../lib/ws-bootstrap.js';
+import { userSessionKey } from '../lib/auth/session-key.js';
+import { instanceIdFor } from '../lib/engine/instance-registry.js';
 
 const router = express.Router();
 const db = DatabaseManager.getInstance();
 
+// Seed of the user's loaded instance of a character, saved so the session can be replayed
+function seedOf(userId, characterId) {
+  return consciousnessEngine.instances.get(instanceIdFor(characterId, userSessionKey(userId)))?.rng?.seed ?? null;
+}
+
 router.get('/', authenticateToken, (req, res) => {
   try {
     const states = db.getUserDebuggingStates(req.user.id);
@@ -35,6 +43,7 @@ router.get('/:stateId', authenticateToken, requireDebuggingStateOwnership, (req,
         consciousnessState: state.consciousness_state,
         terminalHistory: state.terminal_history,
         breakpoints: state.breakpoints,
+        rngSeed: state.rng_seed ?? null,
         createdAt: state.created_at,
         updatedAt: state.updated_at,
         expiresAt: state.expires_at
@@ -65,6 +74,7 @@ router.post('/', authenticateToken, (req, res) => {
       consciousnessState: consciousnessState || {},
       terminalHistory: terminalHistory || [],
       breakpoints: breakpoints || [],
+      rngSeed: seedOf(req.user.id, characterId),
       expiresAt: expiresAt.toISOString()
     });
 
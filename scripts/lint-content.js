@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// Lint scenario, character and story content
+// Usage: node scripts/lint-content.js [dataDir]
+
+import path from 'path';
+import { lintContent } from '../lib/validation/content-linter.js';
+
+const dataDir = path.resolve(process.argv[2] || path.join(process.cwd(), 'data'));
+
+try {
+  const problems = await lintContent({ dataDir });
+  for (const { file, message } of problems) {
+    console.log(`${file}: ${message}`);
+  }
+
+  if (problems.length > 0) {
+    console.log(`\n✗ ${problems.length} problem(s) found`);
+    process.exit(1);
+  }
+  console.log('✓ All content files are valid');
+} catch (error) {
+  console.error(`Content lint failed: ${error.message}`);
+  process.exit(2);
+}
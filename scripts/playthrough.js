@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Replay playthrough scripts and check them against their expected outcomes
+// Usage: node scripts/playthrough.js [--json] [--verbose] [script.json ...]
+// With no scripts, every script under tests/playthroughs is replayed.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { PlaythroughRunner, loadPlaythrough, checkPlaythrough } from '../lib/playthrough/playthrough-runner.js';
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const verbose = args.includes('--verbose');
+let files = args.filter(arg => !arg.startsWith('--')).map(file => path.resolve(file));
+
+const print = console.log;
+if (!verbose) {
+  // The engine narrates every tick on the console; keep the report readable
+  console.log = () => {};
+}
+
+try {
+  if (files.length === 0) {
+    const dir = path.join(process.cwd(), 'tests', 'playthroughs');
+    files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort().map(file => path.join(dir, file));
+  }
+
+  const runner = new PlaythroughRunner();
+  let failed = 0;
+  for (const file of files) {
+    const script = await loadPlaythrough(file);
+    const record = await runner.run(script);
+    const mismatches = checkPlaythrough(record, script.expect);
+    if (mismatches.length > 0) failed++;
+
+    if (json) {
+      print(JSON.stringify({ file: path.relative(process.cwd(), file), record, mismatches }, null, 2));
+      continue;
+    }
+    print(`${mismatches.length === 0 ? '✓' : '✗'} ${record.name} (${path.relative(process.cwd(), file)})`);
+    print(`  ${record.turns} turns, ending: ${record.ending ? `${record.ending.id} on turn ${record.ending.turn}` : 'none'}`);
+    print(`  fragments: ${record.fragments.map(f => `${f.id}@${f.turn}`).join(', ') || 'none'}`);
+    for (const [id, scenario] of Object.entries(record.scenarios)) {
+      print(`  ${id}: ${scenario.outcome ?? 'running'}`);
+    }
+    mismatches.forEach(mismatch => print(`  ✗ ${mismatch}`));
+  }
+
+  if (failed > 0) {
+    print(`\n✗ ${failed} of ${files.length} playthrough(s) diverged`);
+    process.exit(1);
+  }
+  print(`\n✓ ${files.length} playthrough(s) replayed as expected`);
+} catch (error) {
+  console.error(`Playthrough failed: ${error.message}`);
+  process.exit(2);
+}
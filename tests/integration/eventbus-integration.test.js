@@ -171,12 +171,30 @@ describe('EventBus Integration', () => {
 
       const event = processOptimizedEvents[0];
       expect(event.data.processId).toBe(processId);
-      expect(event.data.strategy).toBe('efficiency_boost');
+      // Without a strategy OptimizeProcessCommand picks one from the process's
+      // resource use; 50% CPU is over its threshold, so it throttles CPU
+      expect(event.data.strategy).toBe('CpuThrottlingStrategy');
       expect(event.data.beforeMetrics).toBeDefined();
       expect(event.data.afterMetrics).toBeDefined();
-      expect(event.data.beforeMetrics.memory).toBeGreaterThan(event.data.afterMetrics.memory);
+      expect(event.data.beforeMetrics.cpu).toBeGreaterThan(event.data.afterMetrics.cpu);
       expect(typeof event.data.improvement).toBe('number');
     });
+
+    it('should report the strategy asked for in ProcessOptimized', async () => {
+      const processId = await processManager.createBaseProcess({
+        name: 'test_optimize_memory_process',
+        type: 'background',
+        memoryUsage: 400,
+        cpuUsage: 50
+      });
+      eventHistory.length = 0;
+
+      await processManager.optimizeProcess(processId, { strategy: 'memory_consolidation' });
+
+      const [event] = eventHistory.filter(e => e.type === 'ProcessOptimized');
+      expect(event.data.strategy).toBe('MemoryConsolidationStrategy');
+      expect(event.data.beforeMetrics.memory).toBeGreaterThan(event.data.afterMetrics.memory);
+    });
   });
 
   describe('CommandExecutor Event Emission', () => {
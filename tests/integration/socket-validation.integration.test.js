@@ -64,7 +64,7 @@ describe('WebSocket Validation Integration', () => {
       const validData = {
         characterId: 'alexander-kane',
         intervention: {
-          type: 'memory_boost',
+          type: 'memory-release',
           intensity: 1.5,
           duration: 300
         }
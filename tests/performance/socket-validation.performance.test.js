@@ -186,7 +186,7 @@ describe('SocketValidator Security Tests', () => {
       const result = validator.validate('player-intervention', {
         characterId: 'test',
         intervention: {
-          type: 'memory_boost',
+          type: 'memory-release',
           'constructor': { polluted: true }
         }
       });
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { CommandRegistry, ENGINE_COMMANDS } from '../../../lib/command-registry.js';
+import NarrativeIntegration from '../../../lib/narrative-integration.js';
+import { commonDefinitions } from '../../../lib/validation/websocket-schemas.js';
+
+const instanceId = 'alexander-kane@user_1';
+
+function createEngine() {
+  const processes = [
+    { pid: 1001, name: 'grief_processing.exe', status: 'running', cpuUsage: 40, memoryUsage: 900, threadCount: 12 },
+    { pid: 1002, name: 'search_protocol.exe', status: 'running', cpuUsage: 85, memoryUsage: 300, threadCount: 8 },
+    { pid: 1004, name: 'emily_connection.exe', status: 'starved', cpuUsage: 2, memoryUsage: 50, threadCount: 1 }
+  ];
+  return {
+    instances: new Map([[instanceId, { processManager: { processes: new Map(processes.map(p => [p.pid, p])) } }]]),
+    executeDebugCommand: vi.fn(async () => ({ processes: [] }))
+  };
+}
+
+describe('CommandRegistry', () => {
+  let engine;
+  let narrative;
+  let registry;
+
+  beforeEach(() => {
+    engine = createEngine();
+    narrative = new NarrativeIntegration();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    registry = new CommandRegistry({ consciousnessEngine: engine, narrativeIntegration: narrative });
+  });
+
+  it('lists engine and narrative commands by category', async () => {
+    const { categories } = await registry.execute(instanceId, 'help');
+
+    expect(categories.process.map(c => c.name)).toEqual(
+      expect.arrayContaining(['ps', 'pstree', 'kill', 'renice', 'search'])
+    );
+    expect(categories.narrative.map(c => c.name)).toEqual(['memories', 'timeline', 'relationship', 'story']);
+    expect(categories.system).toEqual([{ name: 'help', description: expect.any(String), risk_level: 'safe' }]);
+
+    expect((await registry.execute(instanceId, 'help', { argv: ['nexus'] })).command)
+      .toMatchObject({ usage: expect.stringContaining('nexus'), risk_level: 'dangerous', requires_auth: true });
+    expect((await registry.execute(instanceId, 'help', { argv: ['kill'] })).command.usage).toBe('kill [-SIGNAL] <pid> [orphan|cascade]');
+  });
+
+  it('accepts every registered command in the debug-command schema', () => {
+    expect(commonDefinitions.debugCommand.enum).toEqual(expect.arrayContaining(registry.names()));
+  });
+
+  it('hands engine commands to executeDebugCommand', async () => {
+    await registry.execute(instanceId, 'kill', { processId: '1001' });
+    expect(engine.executeDebugCommand).toHaveBeenCalledWith(instanceId, 'kill', { processId: '1001' });
+    expect(Object.keys(ENGINE_COMMANDS)).toContain('diff');
+  });
+
+  it('runs narrative commands on the instance with argv subcommands', async () => {
+    const triggered = vi.fn();
+    narrative.on('narrativeTriggered', triggered);
+
+    const halted = await registry.execute(instanceId, 'search', { argv: ['halt'] });
+    expect(halted).toMatchObject({ success: true, stateChanges: true });
+    expect(engine.instances.get(instanceId).processManager.processes.get(1002).status).toBe('halted');
+    expect(triggered).toHaveBeenCalledWith(expect.objectContaining({ characterId: instanceId, triggerId: 'search_protocol_halted' }));
+
+    const repaired = await registry.execute(instanceId, 'relationship', { argv: ['repair'] });
+    expect(repaired.threads_allocated).toBe(2);
+
+    const story = await registry.execute(instanceId, 'story', { argv: ['choices'] });
+    expect(story.choices.map(c => c.id)).toEqual(['search_protocol_halted', 'relationship_repair_attempted']);
+    expect(narrative.getStoryProgress(instanceId).debuggingSuccesses).toBe(3);
+  });
+
+  it('searches memory blocks with the query words after memories search', async () => {
+    const searchMemories = vi.fn(query => {
+      if (query.includes('mood:')) throw new Error('Unknown search field "mood"');
+      return { query, total: 0, results: [] };
+    });
+    engine.instances.get(instanceId).memoryState = { searchMemories };
+
+    const search = await registry.execute(instanceId, 'memories', { argv: ['search', 'emotion:grief', 'text:"feeding', 'ducks"'] });
+    expect(searchMemories).toHaveBeenCalledWith('emotion:grief text:"feeding ducks"', {
+      locked: ['0x1000000000000100', '0x1000000000000200', '0x1000000000000300', '0x1000000000000400', '0x1000000000000500']
+    });
+    expect(search).toMatchObject({ success: true, total: 0, results: [] });
+
+    expect((await registry.execute(instanceId, 'memories', { argv: ['search', 'mood:sad'] })).error)
+      .toBe('Unknown search field "mood"');
+    expect((await registry.execute(instanceId, 'memories', { argv: ['search'] })).error).toBe('Search query required');
+  });
+
+  it('keeps story progress per instance and reports unknown subcommands', async () => {
+    await registry.execute(instanceId, 'grief', { argv: ['process', 'denial'] });
+    expect(narrative.getStoryProgress(instanceId).emotionalJourney.denial).toBeCloseTo(0.8);
+    expect(narrative.getStoryProgress('alexander-kane@user_2').emotionalJourney.denial).toBe(1);
+
+    expect(await registry.execute(instanceId, 'timeline', { argv: ['rewrite'] }))
+      .toEqual({ error: 'Unknown timeline subcommand: rewrite' });
+    await expect(registry.execute('alexander-kane@user_9', 'story')).rejects.toThrow('No consciousness loaded');
+  });
+});
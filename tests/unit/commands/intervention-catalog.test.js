@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import { InterventionCatalog, INTERVENTIONS } from '../../../lib/intervention-catalog.js';
+import NarrativeIntegration from '../../../lib/narrative-integration.js';
+import ProcessManager from '../../../lib/ProcessManager.js';
+import EmotionalState from '../../../lib/instance/emotional-state.js';
+import { commonDefinitions } from '../../../lib/validation/websocket-schemas.js';
+
+const instanceId = 'alexander-kane@user_3';
+const logger = { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() };
+
+async function createInstance() {
+  const instance = {
+    state: { stability: 0.5, corruption: 0.2, metrics: {}, errors: [] },
+    memoryState: { getFragmentation: vi.fn(() => 0.1), defragment: vi.fn() }
+  };
+  instance.emotionalState = new EmotionalState(instance, { initialState: { grief: 0.8, anger: 0.3 } });
+  instance.processManager = new ProcessManager(instance, { logger });
+  await instance.processManager.createBaseProcess({ pid: 1001, name: 'grief_processing.exe', cpuUsage: 40, memoryUsage: 900 });
+  await instance.processManager.createBaseProcess({ pid: 1002, name: 'search_protocol.exe', cpuUsage: 85, memoryUsage: 300 });
+  await instance.processManager.createBaseProcess({ pid: 1004, name: 'emily_connection.exe', status: 'starved', cpuUsage: 2, threadCount: 1 });
+  instance.state.errors.push({ type: 'INFINITE_LOOP_DETECTED', process: 'search_protocol', severity: 'high' });
+  return instance;
+}
+
+describe('InterventionCatalog', () => {
+  let engine;
+  let instance;
+  let narrative;
+  let catalog;
+
+  beforeEach(async () => {
+    instance = await createInstance();
+    engine = Object.assign(new EventEmitter(), { instances: new Map([[instanceId, instance]]) });
+    narrative = new NarrativeIntegration();
+    catalog = new InterventionCatalog({ consciousnessEngine: engine, narrativeIntegration: narrative });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('is the set the player-intervention schema accepts', () => {
+    expect(commonDefinitions.interventionType.enum).toEqual(catalog.ids());
+    expect(catalog.list().map(i => i.id)).toContain('loop-breaker');
+  });
+
+  it('reports which interventions the instance can apply and why not', () => {
+    const entries = Object.fromEntries(catalog.describe(instanceId).map(e => [e.id, e]));
+
+    expect(entries['memory-release']).toMatchObject({ available: true, unmet: [], cooldownRemaining: 0 });
+    expect(entries['loop-breaker'].available).toBe(true);
+    expect(entries['thread-rebalance'].available).toBe(true);
+    expect(entries['temporal-sync'].unmet).toEqual(['temporal_sync running']);
+    expect(entries['memory-optimization'].unmet).toEqual(['Memory fragmentation above 30%']);
+    expect(entries['acceptance-protocol'].unmet).toEqual(['denial at most 0.8']);
+  });
+
+  it('applies effects to processes, emotions, metrics and story progress', async () => {
+    const result = await catalog.apply(instanceId, { type: 'loop-breaker' });
+
+    expect(result).toMatchObject({ success: true, process: { pid: 1002, name: 'search_protocol.exe' }, cooldown: 45000 });
+    expect(result.effects.process.cpu).toEqual({ from: 85, to: 42.5 });
+    expect(result.effects.resolved).toEqual(['infinite_loop']);
+    expect(instance.state.errors).toEqual([]);
+    expect(instance.state.stability).toBeCloseTo(0.55);
+    expect(result.storyChanges).toEqual([
+      { stage: 'bargaining', from: 0, to: 0 },
+      { stage: 'acceptance', from: 0, to: 0.1 }
+    ]);
+    expect(narrative.getStoryProgress(instanceId).emotionalJourney.acceptance).toBe(0.1);
+
+    const released = await catalog.apply(instanceId, { type: 'memory-release' });
+    expect(released.effects.emotions).toEqual({ grief: -0.1 });
+    expect(instance.emotionalState.generateProfile().levels.grief).toBeCloseTo(0.7);
+    expect(instance.processManager.processes.get('base_1001').memoryUsage).toBe(630);
+  });
+
+  it('checks requirements and cooldowns before applying', async () => {
+    vi.useFakeTimers({ now: 0 });
+
+    expect(await catalog.apply(instanceId, { type: 'force-terminate' }))
+      .toEqual({ success: false, error: 'Force Terminate Process needs a target process' });
+    expect(await catalog.apply(instanceId, { type: 'force-terminate', targetProcess: '1001' }))
+      .toMatchObject({ success: false, unmet: ['CPU usage above 70%'] });
+
+    expect((await catalog.apply(instanceId, { type: 'force-terminate', targetProcess: '1002' })).success).toBe(true);
+    expect(instance.processManager.processes.get('base_1002').status).toBe('terminated');
+
+    expect((await catalog.apply(instanceId, { type: 'thread-rebalance' })).effects.process.threads).toEqual({ from: 1, to: 3 });
+    expect(await catalog.apply(instanceId, { type: 'thread-rebalance' }))
+      .toMatchObject({ success: false, error: 'Thread Rebalancing is cooling down', cooldownRemaining: 45000 });
+    vi.advanceTimersByTime(INTERVENTIONS['thread-rebalance'].cooldown);
+    // Rebalanced: the process is no longer starved
+    expect((await catalog.apply(instanceId, { type: 'thread-rebalance' })).unmet).toEqual(['thread starvation detected']);
+
+    expect(await catalog.apply(instanceId, { type: 'constructor' })).toEqual({ success: false, error: 'Unknown intervention: constructor' });
+    await expect(catalog.apply('alexander-kane@user_9', { type: 'loop-breaker' })).rejects.toThrow('No consciousness loaded');
+  });
+
+  it('applies interventions as commands that undo like any other', async () => {
+    await catalog.apply(instanceId, { type: 'force-terminate', targetProcess: '1002' });
+    await catalog.apply(instanceId, { type: 'memory-release' });
+    const search = instance.processManager.processes.get('base_1002');
+    const grief = instance.processManager.processes.get('base_1001');
+    expect(search.status).toBe('terminated');
+    expect(instance.processManager.describeCommandHistory().history.map(entry => entry.description)).toEqual([
+      'Apply Force Terminate Process to process base_1002',
+      'Apply Memory Release Protocol to process base_1001'
+    ]);
+
+    await instance.processManager.undoLastCommand();
+    expect(grief.memoryUsage).toBe(900);
+    expect(instance.emotionalState.generateProfile().levels.grief).toBeCloseTo(0.8);
+    expect(instance.state.interventions).toEqual(['force-terminate']);
+    expect(narrative.getStoryProgress(instanceId).emotionalJourney.acceptance).toBe(0);
+
+    await instance.processManager.undoLastCommand();
+    expect(search).toMatchObject({ status: 'running', cpuUsage: 85 });
+    expect(instance.state).toMatchObject({ stability: 0.5, corruption: 0.2, interventions: undefined });
+    expect(instance.emotionalState.generateProfile().levels.anger).toBeCloseTo(0.3);
+    expect(narrative.getStoryProgress(instanceId).emotionalJourney.anger).toBe(0.2);
+  });
+});
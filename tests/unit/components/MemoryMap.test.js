@@ -409,6 +409,24 @@ describe('MemoryMap', () => {
       expect(memoryMap.highlights.size).toBe(0);
     });
 
+    it('should overlay a heap diff, including blocks that were freed', () => {
+      memoryMap.update(mockMemoryData);
+      memoryMap.showDiff({
+        overlay: [
+          { address: '0x0000', size: 4, change: 'grown' },
+          { address: '0x0300', size: 2, change: 'freed' }
+        ]
+      });
+      memoryMap.render();
+
+      expect(memoryMap.diffOverlay.get('0x0300')).toEqual({ size: 2, change: 'freed' });
+      expect(memoryMap.getDiffHighlight('grown').color).toBe('#FFB800');
+      expect(memoryMap.interactiveCtx.setLineDash).toHaveBeenCalledWith([5, 5]);
+
+      memoryMap.clearDiff();
+      expect(memoryMap.diffOverlay.size).toBe(0);
+    });
+
     it('should search memory contents correctly', () => {
       const results = memoryMap.search('Sarah');
 
@@ -427,6 +445,16 @@ describe('MemoryMap', () => {
 
       expect(results).toContain('0x0000');
     });
+
+    it('should highlight the blocks a memory query found', () => {
+      const results = memoryMap.search({
+        total: 2,
+        results: [{ address: '0x0010' }, { address: '0x0FFF' }]
+      });
+
+      expect(results).toEqual(['0x0010']);
+      expect(memoryMap.searchResults).toEqual(['0x0010']);
+    });
   });
 
   describe('Memory Statistics', () => {
@@ -557,6 +585,15 @@ describe('MemoryMap', () => {
       expect(memoryMap.highlights.has('0x0000')).toBe(true);
     });
 
+    it('should mark the old address while animating a relocation', () => {
+      memoryMap.animateRelocation('0x0040', '0x0000', 4);
+
+      expect(memoryMap.highlights.get('0x0040')).toMatchObject({ color: '#FFB800' });
+      const animationCallback = global.requestAnimationFrame.mock.calls[global.requestAnimationFrame.mock.calls.length - 1][0];
+      animationCallback(performance.now());
+      expect(memoryMap.highlights.has('0x0000')).toBe(true);
+    });
+
     it('should respect animation settings', () => {
       memoryMap.setFeatureEnabled('animations', false);
       memoryMap.animateAllocation('0x0000', 4);
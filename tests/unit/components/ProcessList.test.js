@@ -387,6 +387,28 @@ describe('ProcessList Component', () => {
       expect(processList._getDisplayedProcesses()).toHaveLength(3);
     });
 
+    it('should nest children under their parent in tree mode', () => {
+      processList.update([
+        createMockProcess({ pid: 1001, name: 'Alpha.exe', cpu: 50 }),
+        createMockProcess({ pid: 1002, name: 'Beta.exe', cpu: 30 }),
+        createMockProcess({ pid: 1004, name: 'Beta_sub_1.exe', cpu: 90, ppid: 1002 }),
+        createMockProcess({ pid: 1005, name: 'Beta_sub_1_sub_1.exe', cpu: 10, ppid: 1004 }),
+        createMockProcess({ pid: 1006, name: 'Orphan.exe', cpu: 20, ppid: 999 })
+      ]);
+      const treeHandler = vi.fn();
+      processList.on('tree-mode-change', treeHandler);
+
+      processList.setTreeMode(true);
+
+      expect(processList._getDisplayedProcesses().map(p => p.pid)).toEqual([1001, 1002, 1004, 1005, 1006]);
+      expect(processList._treeDepths.get(1005)).toBe(2);
+      expect(container.classList.contains('tree-mode')).toBe(true);
+      expect(treeHandler).toHaveBeenCalledWith({ enabled: true });
+
+      processList.setTreeMode(false);
+      expect(processList._getDisplayedProcesses()[0].pid).toBe(1004);
+    });
+
     it('should handle invalid sort direction', () => {
       const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
 
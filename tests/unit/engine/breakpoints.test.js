@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Breakpoints, compileCondition } from '../../../lib/engine/breakpoints.js';
+import { DebugSession } from '../../../lib/engine/debug-session.js';
+import { InstanceRegistry } from '../../../lib/engine/instance-registry.js';
+import MemoryManager from '../../../lib/MemoryManager.js';
+
+function createInstance() {
+  const memoryManager = new MemoryManager({}, {});
+  memoryManager.allocateMemory({ description: 'Grief Storage', context: { address: '0x2000' } }, 'traumatic');
+  return {
+    state: { stability: 0.8, corruption: 0, uptime: 0, errors: [] },
+    usage: { cpu: 40, memory: 100, threads: 4 },
+    processManager: {
+      processes: new Map([
+        ['base_1002', { pid: 1002, name: 'search_protocol', status: 'running', cpuUsage: 60, memoryUsage: 200, threadCount: 2, currentIssues: [] }]
+      ])
+    },
+    memoryState: { manager: memoryManager },
+    emotionalState: { captureState: () => ({ state: { grief: 0.9 } }) }
+  };
+}
+
+describe('Breakpoints', () => {
+  it('rewrites process() lookups into context variables', () => {
+    const { expression, processNames } = compileCondition("process('search_protocol.exe').cpu > 80 && stability < 0.5");
+    expect(expression).toBe('proc_0.cpu > 80 && stability < 0.5');
+    expect(processNames.get('search_protocol.exe')).toBe('proc_0');
+  });
+
+  it('rejects unsafe conditions when they are set', () => {
+    const breakpoints = new Breakpoints();
+    expect(() => breakpoints.addBreakpoint('constructor.name')).toThrow();
+    expect(breakpoints.size).toBe(0);
+  });
+
+  it('fires once when a condition becomes true and counts hits', () => {
+    const instance = createInstance();
+    const breakpoints = new Breakpoints();
+    const bp = breakpoints.addBreakpoint("process('search_protocol.exe').cpu > 80");
+
+    expect(breakpoints.evaluate(instance)).toEqual([]);
+
+    instance.processManager.processes.get('base_1002').cpuUsage = 95;
+    const hits = breakpoints.evaluate(instance);
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ id: bp.id, hitCount: 1 });
+
+    // Still true: no new hit until it goes false and true again
+    expect(breakpoints.evaluate(instance)).toEqual([]);
+    instance.processManager.processes.get('base_1002').cpuUsage = 10;
+    breakpoints.evaluate(instance);
+    instance.processManager.processes.get('base_1002').cpuUsage = 90;
+    expect(breakpoints.evaluate(instance)[0].hitCount).toBe(2);
+  });
+
+  it('reads emotions and system state', () => {
+    const instance = createInstance();
+    const breakpoints = new Breakpoints();
+    breakpoints.addBreakpoint('emotion.grief > 0.8 && stability < 0.3');
+    expect(breakpoints.evaluate(instance)).toEqual([]);
+    instance.state.stability = 0.2;
+    expect(breakpoints.evaluate(instance)).toHaveLength(1);
+  });
+
+  it('fires watchpoints when memory at an address changes', () => {
+    const instance = createInstance();
+    const breakpoints = new Breakpoints();
+    breakpoints.addWatchpoint('0x2000', instance);
+
+    expect(breakpoints.evaluate(instance)).toEqual([]);
+    instance.memoryState.manager.getBlocksAtAddress('0x2000')[0].corrupted = true;
+    const hits = breakpoints.evaluate(instance);
+    expect(hits).toMatchObject([{ type: 'watch', address: '0x2000', hitCount: 1 }]);
+  });
+
+  it('refuses watchpoints on unmapped addresses', () => {
+    expect(() => new Breakpoints().addWatchpoint('0xdead', createInstance())).toThrow('No memory mapped');
+  });
+
+  it('pauses the debug session and emits the hit with a snapshot', () => {
+    const instance = createInstance();
+    const engine = { instances: new InstanceRegistry().set('alexander-kane', instance), emit: vi.fn() };
+    const session = new DebugSession(engine, 'alexander-kane');
+    session.setBreakpoint('stability < 0.3');
+
+    instance.state.stability = 0.1;
+    session.afterTick();
+
+    expect(session.paused).toBe(true);
+    expect(engine.emit).toHaveBeenCalledWith('breakpointHit', expect.objectContaining({
+      characterId: 'alexander-kane',
+      condition: 'stability < 0.3',
+      hitCount: 1,
+      tick: 1,
+      snapshot: expect.objectContaining({ stability: 0.1 })
+    }));
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ConsciousnessEngine } from '../../../lib/consciousness-engine.js';
+import ProcessManager from '../../../lib/ProcessManager.js';
+import MemoryManager from '../../../lib/MemoryManager.js';
+
+const logger = { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() };
+
+async function createEngine() {
+  const engine = new ConsciousnessEngine();
+  engine.broadcastStateChange = vi.fn().mockResolvedValue();
+
+  const instance = {
+    id: 'alexander-kane',
+    engine,
+    getState: () => ({ consciousness: {} }),
+    memoryState: { manager: new MemoryManager({}, {}) }
+  };
+  instance.processManager = new ProcessManager(instance, { logger });
+  await instance.processManager.createBaseProcess({ pid: 1001, name: 'Grief_Manager.exe', cpuUsage: 60, memoryUsage: 300 });
+  await instance.processManager.createBaseProcess({ pid: 1002, name: 'Search_Protocol.exe', cpuUsage: 20, memoryUsage: 120 });
+
+  engine.instances.set('alexander-kane', instance);
+  return { engine, instance, processes: instance.processManager.processes };
+}
+
+describe('debug command dispatch', () => {
+  it('kills by numeric PID through the CommandExecutor and undoes it', async () => {
+    const { engine, instance, processes } = await createEngine();
+
+    const killed = await engine.executeDebugCommand('alexander-kane', 'kill', { processId: '1001' });
+    expect(killed).toMatchObject({ pid: '1001', status: 'killed', stateChanges: true });
+    expect(processes.get('base_1001').status).toBe('terminated');
+    expect(instance.processManager.canUndo()).toBe(true);
+
+    const undone = await engine.executeDebugCommand('alexander-kane', 'undo');
+    expect(undone.stateChanges).toBe(true);
+    expect(processes.get('base_1001').status).toBe('running');
+    expect(engine.broadcastStateChange).toHaveBeenCalledWith('alexander-kane', 'debug-undo');
+  });
+
+  it('routes optimize through OptimizeProcessCommand and redoes it', async () => {
+    const { engine, processes } = await createEngine();
+
+    const optimized = await engine.executeDebugCommand('alexander-kane', 'optimize', { processId: '1001' });
+    expect(optimized.strategyUsed).toBe('CpuThrottlingStrategy');
+    expect(optimized.undoData).toBeUndefined();
+    const throttledCpu = processes.get('base_1001').cpuUsage;
+    expect(throttledCpu).toBeLessThan(60);
+
+    await engine.executeDebugCommand('alexander-kane', 'undo');
+    expect(processes.get('base_1001').cpuUsage).toBe(60);
+
+    await engine.executeDebugCommand('alexander-kane', 'redo');
+    expect(processes.get('base_1001').cpuUsage).toBe(throttledCpu);
+  });
+
+  it('routes restart and allocate through their commands', async () => {
+    const { engine, instance, processes } = await createEngine();
+
+    await engine.executeDebugCommand('alexander-kane', 'restart', { processId: '1002' });
+    const allocated = await engine.executeDebugCommand('alexander-kane', 'allocate', { processId: '1002', memoryAmount: 128 });
+
+    expect(allocated.allocation.processId).toBe('base_1002');
+    expect(processes.get('base_1002').memoryUsage).toBeGreaterThan(120);
+
+    const { history, undoStack } = await engine.executeDebugCommand('alexander-kane', 'history');
+    expect(history.map(entry => entry.type)).toEqual(['RestartProcessCommand', 'AllocateMemoryCommand']);
+    expect(undoStack).toHaveLength(2);
+
+    await engine.executeDebugCommand('alexander-kane', 'undo');
+    expect(processes.get('base_1002').memoryUsage).toBe(120);
+    // Only the working set the restart gave the process is left
+    expect(instance.memoryState.manager.memoryCapacity.allocated).toBe(120);
+    expect(instance.memoryState.manager.processMemory.usage(1002)).toBe(120);
+  });
+
+  it('reports missing processes and empty stacks as command errors', async () => {
+    const { engine } = await createEngine();
+
+    expect(await engine.executeDebugCommand('alexander-kane', 'kill', { processId: '9999' }))
+      .toEqual({ error: expect.stringContaining('Cannot kill process 9999') });
+    expect(await engine.executeDebugCommand('alexander-kane', 'kill', {}))
+      .toEqual({ error: 'PID required for kill command' });
+    expect(await engine.executeDebugCommand('alexander-kane', 'undo'))
+      .toEqual({ error: 'No commands available to undo' });
+  });
+});
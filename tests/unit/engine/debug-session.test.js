@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest';
+import { DebugSession, diffFrames, captureFrame } from '../../../lib/engine/debug-session.js';
+import { TickLoop } from '../../../lib/engine/tick-loop.js';
+import { InstanceRegistry } from '../../../lib/engine/instance-registry.js';
+
+function createInstance() {
+  const process = { pid: 1001, name: 'grief_processing', status: 'running', cpuUsage: 40, memoryUsage: 100, threadCount: 2, currentIssues: [] };
+  const emotions = { grief: 0.9 };
+  const instance = {
+    state: { stability: 0.8, corruption: 0 },
+    processManager: { processes: new Map([['base_1001', process]]) },
+    memoryState: {
+      manager: {
+        memorySegments: new Map([['mem_1', { type: 'longTerm', size: 10, integrityScore: 1, accessCount: 0 }]]),
+        memoryCapacity: { allocated: 10, available: 90 },
+        fragmentationLevel: 0
+      }
+    },
+    emotionalState: { captureState: () => ({ state: { ...emotions } }) },
+    getState: () => ({}),
+    tick: vi.fn(async () => {
+      process.cpuUsage += 5;
+      emotions.grief -= 0.01;
+      instance.state.stability -= 0.05;
+      instance.memoryState.manager.memorySegments.set('mem_2', { type: 'shortTerm', size: 5 });
+      return { stateChanges: [], processUpdates: [], memoryEvents: [], emotionalShifts: [], errors: [], hasChanges: false };
+    })
+  };
+  return instance;
+}
+
+function createEngine(instance) {
+  const engine = {
+    config: { tickRate: 10 },
+    instances: new InstanceRegistry().set('alexander-kane', instance),
+    debugSessions: new Map(),
+    processEvolution: { evolveProcess: vi.fn(() => ({})), checkForEmergentProcesses: vi.fn(() => []) },
+    narrativeEngine: { checkSystemTriggers: vi.fn(() => []) },
+    storyContexts: new Map(),
+    emit: vi.fn()
+  };
+  engine.tickLoop = new TickLoop(engine);
+  return engine;
+}
+
+function openSession(engine) {
+  const session = new DebugSession(engine, 'alexander-kane');
+  engine.debugSessions.set('alexander-kane', session);
+  return session;
+}
+
+describe('DebugSession', () => {
+  it('steps exactly one tick and reports deltas', async () => {
+    const instance = createInstance();
+    const session = openSession(createEngine(instance));
+
+    const result = await session.stepInto(1001);
+
+    expect(instance.tick).toHaveBeenCalledTimes(1);
+    expect(result.state).toBe('paused');
+    expect(result.tick).toBe(1);
+    expect(result.focus.changes.cpuUsage).toEqual({ from: 40, to: 45, delta: 5 });
+    expect(result.deltas.emotions.grief.delta).toBeCloseTo(-0.01);
+    expect(result.deltas.system.stability.delta).toBeCloseTo(-0.05);
+    expect(result.deltas.memory.allocatedBlocks).toEqual(['mem_2']);
+    expect(result.frame.memory.blocks).toBe(2);
+  });
+
+  it('omits per-block detail when stepping over', async () => {
+    const session = openSession(createEngine(createInstance()));
+    const result = await session.stepOver();
+    expect(result.deltas.memory.modifiedBlocks).toBeUndefined();
+    expect(result.deltas.processes[0].changes.threadCount).toBeUndefined();
+  });
+
+  it('keeps the system tick away from paused instances', async () => {
+    const instance = createInstance();
+    const engine = createEngine(instance);
+    const session = openSession(engine);
+
+    session.breakAll();
+    await engine.tickLoop.systemTick();
+    expect(instance.tick).not.toHaveBeenCalled();
+
+    expect(session.continue().state).toBe('running');
+    await engine.tickLoop.systemTick();
+    expect(instance.tick).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports spawned and removed processes', () => {
+    const before = captureFrame(createInstance());
+    const after = structuredClone(before);
+    delete after.processes[1001];
+    after.processes[1002] = { id: 'proc_1002', pid: 1002, name: 'hope_fragment' };
+
+    const { processes } = diffFrames(before, after);
+    expect(processes).toEqual([
+      { pid: 1001, id: 'base_1001', name: 'grief_processing', change: 'removed' },
+      { pid: 1002, id: 'proc_1002', name: 'hope_fragment', change: 'spawned' }
+    ]);
+  });
+});
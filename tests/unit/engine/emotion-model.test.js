@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import EmotionalStateEngine, { buildEmotionModel } from '../../../lib/emotion/EmotionalStateEngine.js';
+import EmotionalProcessor from '../../../lib/emotional-processor.js';
+import { ConsciousnessInstance } from '../../../lib/consciousness-instance.js';
+import EnhancedTerminalCommands from '../../../lib/enhanced-terminal-commands.js';
+
+const logger = { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() };
+
+async function readCharacter() {
+  return JSON.parse(await fs.readFile(path.join(process.cwd(), 'data', 'characters', 'alexander-kane.json'), 'utf8'));
+}
+
+describe('emotion model', () => {
+  it('decays each emotion along its own curve toward its baseline', () => {
+    const model = buildEmotionModel({
+      grief: { intensity: 0.8, decay: { curve: 'exponential', rate: 0.5, baseline: 0.2 } },
+      hope: { intensity: 0.5, decay: { curve: 'linear', rate: 0.1 } },
+      guilt: { intensity: 0.4, decay: { curve: 'none' } }
+    });
+    const engine = new EmotionalStateEngine({}, model, () => 0);
+
+    engine.step();
+    expect(engine.state.grief).toBeCloseTo(0.5, 5);
+    expect(engine.state.hope).toBeCloseTo(0.4, 5);
+    expect(engine.state.guilt).toBe(0.4);
+
+    expect(() => buildEmotionModel({ grief: { decay: { curve: 'sudden' } } })).toThrow('Unknown decay curve for grief: sudden');
+  });
+
+  it('lets guilt amplify grief and hope dampen desperation', () => {
+    const still = { curve: 'none' };
+    const model = buildEmotionModel({
+      grief: { intensity: 0.5, stability: 0.5, decay: still },
+      guilt: { intensity: 0.8, decay: still, influences: { grief: 0.1 } },
+      hope: { intensity: 0.5, decay: still, influences: { desperation: -0.2 } },
+      desperation: { intensity: 0.6, decay: still }
+    });
+    const engine = new EmotionalStateEngine({}, model, () => 0);
+
+    engine.step();
+    // Grief's stability halves guilt's push
+    expect(engine.state.grief).toBeCloseTo(0.54, 5);
+    expect(engine.state.desperation).toBeCloseTo(0.5, 5);
+
+    const graph = engine.getGraph();
+    expect(graph.edges).toEqual([
+      { from: 'guilt', to: 'grief', weight: 0.1, effect: 'amplifies', strength: 0.04 },
+      { from: 'hope', to: 'desperation', weight: -0.2, effect: 'dampens', strength: -0.1 }
+    ]);
+    expect(graph.dominant).toBe('guilt');
+  });
+
+  it('turns emotion levels into process load', () => {
+    const model = buildEmotionModel({
+      grief: { intensity: 0.5, processes: { grief_processing: { cpu: 10, memory: 100 } } },
+      guilt: { intensity: 1, processes: { grief_processing: { memory: 50 } } }
+    });
+    const proc = new EmotionalProcessor({}, {});
+    proc.engine = new EmotionalStateEngine({}, model, () => 0);
+
+    expect(proc.getProcessLoads()).toEqual({ grief_processing: { cpu: 5, memory: 100 } });
+  });
+});
+
+describe('emotion coupling in an instance', () => {
+  let instance;
+
+  afterEach(async () => {
+    await instance?.shutdown();
+    instance = null;
+  });
+
+  it('loads the model from the character and feeds it to the scheduler and terminal', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const data = await readCharacter();
+    instance = new ConsciousnessInstance({ ...data, tickRate: 5000, clock: { start: 0 }, seed: 7, logger });
+    await instance.initialize(data.defaultState);
+
+    expect(instance.emotionalState.processor.engine.state.guilt).toBe(data.emotionalStates.guilt.intensity);
+
+    // Processes tick before emotions, so they carry the load of the levels going into the tick
+    const { loads } = instance.emotionalState.getGraph();
+    await instance.tick();
+    const grief = [...instance.processManager.processes.values()].find(p => p.name.startsWith('grief_processing'));
+    expect(grief.emotionalLoad).toEqual(loads.grief_processing);
+    expect(grief.emotionalLoad.cpu).toBeGreaterThan(0);
+
+    const commands = new EnhancedTerminalCommands(
+      { instances: new Map([['alexander-kane', instance]]) },
+      { getStoryProgress: () => ({ emotionalJourney: {} }) }
+    );
+    const result = await commands.handleEmotionalCommand('alexander-kane', ['graph']);
+    expect(result.success).toBe(true);
+    expect(result.edges).toContainEqual(expect.objectContaining({ from: 'guilt', to: 'grief', effect: 'amplifies' }));
+    expect(result.processes).toContainEqual({ emotion: 'desperation', process: 'search_protocol', cpu: 15, memory: 40 });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../lib/consciousness-instance.js', () => ({
+  ConsciousnessInstance: class {
+    constructor(data) {
+      this.id = data.id;
+      this.state = {};
+    }
+    async initialize() {}
+    async shutdown() {}
+  }
+}));
+
+const { ConsciousnessEngine } = await import('../../../lib/consciousness-engine.js');
+const { InstanceRegistry, instanceIdFor, characterIdOf, sessionKeyOf } = await import('../../../lib/engine/instance-registry.js');
+const { sessionKeyForSocket, sessionKeyForRequest, requireSession } = await import('../../../lib/auth/session-key.js');
+
+function createEngine(config = {}) {
+  const engine = new ConsciousnessEngine({ config: { evictionInterval: 0, ...config } });
+  engine.schemas.set('consciousness-schema', {});
+  engine.characterLoader.loadCharacterData = vi.fn(async characterId => ({ id: characterId, defaultState: {} }));
+  engine.timeTravel.record = vi.fn();
+  let clock = 0;
+  engine.instances.now = () => clock;
+  engine.advance = ms => { clock += ms; };
+  return engine;
+}
+
+describe('instance ids', () => {
+  it('pair a character with a session key', () => {
+    expect(instanceIdFor('alexander-kane', 'user_7')).toBe('alexander-kane@user_7');
+    expect(instanceIdFor('alexander-kane')).toBe('alexander-kane');
+    expect(characterIdOf('alexander-kane@guest_abc')).toBe('alexander-kane');
+    expect(sessionKeyOf('alexander-kane@guest_abc')).toBe('guest_abc');
+    expect(sessionKeyOf('alexander-kane')).toBeNull();
+  });
+
+  it('derive session keys from users, client session ids or the socket', () => {
+    expect(sessionKeyForSocket({ id: 's1', isGuest: false, userId: 7 })).toBe('user_7');
+    expect(sessionKeyForSocket({ id: 's1', isGuest: true, handshake: { auth: { sessionId: 'tab-12345678' } } })).toBe('guest_tab-12345678');
+    expect(sessionKeyForSocket({ id: 's1', isGuest: true, handshake: { auth: { sessionId: '../bad' } } })).toBe('guest_s1');
+
+    const header = name => (name === 'X-Session-Id' ? 'tab-12345678' : undefined);
+    expect(sessionKeyForRequest({ user: { id: 3 }, get: header })).toBe('user_3');
+    expect(sessionKeyForRequest({ user: null, get: header })).toBe('guest_tab-12345678');
+    expect(sessionKeyForRequest({ user: null, get: () => undefined })).toBeNull();
+  });
+
+  it('turn away REST requests that name no session', () => {
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+    const next = vi.fn();
+    requireSession({ user: null, get: () => undefined }, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+
+    const req = { user: null, get: () => 'tab-12345678' };
+    requireSession(req, res, next);
+    expect(req.sessionKey).toBe('guest_tab-12345678');
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('InstanceRegistry', () => {
+  it('orders instances by last use and skips pinned ones', () => {
+    let clock = 0;
+    const registry = new InstanceRegistry({ now: () => clock });
+    registry.set('a', {});
+    clock = 10;
+    registry.set('b', {});
+    clock = 20;
+    registry.get('a');
+    clock = 25;
+    registry.peek('b');
+
+    expect(registry.leastRecentlyUsed()).toBe('b');
+    expect(registry.leastRecentlyUsed(id => id === 'b')).toBe('a');
+    clock = 30;
+    expect(registry.idle(15)).toEqual(['b']);
+
+    registry.delete('b');
+    expect(registry.lastUsed.has('b')).toBe(false);
+  });
+});
+
+describe('ConsciousnessEngine instances', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = createEngine({ maxInstances: 2, instanceIdleTimeout: 1000 });
+  });
+
+  it('gives each session its own instance of a character', async () => {
+    const first = await engine.loadCharacter('alexander-kane', { sessionKey: 'user_1' });
+    const second = await engine.loadCharacter('alexander-kane', { sessionKey: 'user_2' });
+
+    expect(first).not.toBe(second);
+    expect(await engine.loadCharacter('alexander-kane', { sessionKey: 'user_1' })).toBe(first);
+    expect(Array.from(engine.instances.keys())).toEqual(['alexander-kane@user_1', 'alexander-kane@user_2']);
+    expect(engine.characterLoader.loadCharacterData).toHaveBeenCalledWith('alexander-kane');
+  });
+
+  it('evicts instances left idle but keeps monitored ones', async () => {
+    await engine.loadCharacter('alexander-kane', { sessionKey: 'user_1' });
+    await engine.loadCharacter('alexander-kane', { sessionKey: 'user_2' });
+    engine.monitorResponder.monitoringSockets.set('s1', { characterId: 'alexander-kane@user_2' });
+    const evicted = vi.fn();
+    engine.on('instanceEvicted', evicted);
+
+    engine.advance(500);
+    expect(await engine.evictIdleInstances()).toEqual([]);
+    engine.advance(500);
+    expect(await engine.evictIdleInstances()).toEqual(['alexander-kane@user_1']);
+
+    expect(evicted).toHaveBeenCalledWith({ characterId: 'alexander-kane@user_1', reason: 'idle' });
+    expect(engine.instances.has('alexander-kane@user_2')).toBe(true);
+  });
+
+  it('evicts an idle instance with a debug session open on it', async () => {
+    await engine.loadCharacter('alexander-kane', { sessionKey: 'user_1' });
+    const session = engine.getDebugSession('alexander-kane@user_1');
+
+    engine.advance(500);
+    session.afterTick();
+    engine.advance(500);
+    session.afterTick();
+
+    expect(await engine.evictIdleInstances()).toEqual(['alexander-kane@user_1']);
+    expect(engine.debugSessions.has('alexander-kane@user_1')).toBe(false);
+  });
+
+  it('makes room at the cap by evicting the least recently used instance', async () => {
+    await engine.loadCharacter('alexander-kane', { sessionKey: 'user_1' });
+    engine.advance(1);
+    await engine.loadCharacter('alexander-kane', { sessionKey: 'user_2' });
+    engine.advance(1);
+    engine.instances.get('alexander-kane@user_1');
+    engine.advance(1);
+
+    await engine.loadCharacter('alexander-kane', { sessionKey: 'user_3' });
+    expect(Array.from(engine.instances.keys()).sort()).toEqual(['alexander-kane@user_1', 'alexander-kane@user_3']);
+  });
+
+  it('refuses new instances when every loaded one is monitored', async () => {
+    await engine.loadCharacter('alexander-kane', { sessionKey: 'user_1' });
+    await engine.loadCharacter('alexander-kane', { sessionKey: 'user_2' });
+    engine.monitorResponder.monitoringSockets.set('s1', { characterId: 'alexander-kane@user_1' });
+    engine.monitorResponder.monitoringSockets.set('s2', { characterId: 'alexander-kane@user_2' });
+
+    await expect(engine.loadCharacter('alexander-kane', { sessionKey: 'user_3' }))
+      .rejects.toThrow('Maximum consciousness instances reached');
+  });
+});
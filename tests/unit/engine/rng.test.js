@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import SeededRandom, { normalizeSeed } from '../../../lib/rng.js';
+import ProcessManager from '../../../lib/ProcessManager.js';
+import { ConsciousnessInstance } from '../../../lib/consciousness-instance.js';
+import ConditionEvaluator from '../../../lib/ConditionEvaluator.js';
+import { NarrativeEngine } from '../../../lib/narrative-engine.js';
+import { weightedSelect } from '../../../lib/narrative/narrative-utils.js';
+
+const logger = { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() };
+const draw = (rng, n = 5) => Array.from({ length: n }, () => rng.next());
+
+describe('SeededRandom', () => {
+  it('repeats its sequence for a seed and resumes from a saved state', () => {
+    const rng = new SeededRandom(42);
+    const first = draw(rng);
+    expect(draw(new SeededRandom(42))).toEqual(first);
+    expect(draw(new SeededRandom(43))).not.toEqual(first);
+    expect(first.every(n => n >= 0 && n < 1)).toBe(true);
+
+    const saved = rng.getState();
+    const next = draw(rng);
+    const resumed = new SeededRandom(7);
+    resumed.setState(saved);
+    expect(resumed.seed).toBe(42);
+    expect(draw(resumed)).toEqual(next);
+  });
+
+  it('only accepts unsigned 32-bit integer seeds', () => {
+    expect(normalizeSeed(0)).toBe(0);
+    expect(normalizeSeed(4294967295)).toBe(4294967295);
+    for (const seed of [-1, 1.5, 4294967296, '42', null]) {
+      expect(() => new SeededRandom(seed)).toThrow('Invalid RNG seed');
+    }
+  });
+});
+
+describe('seeded simulation', () => {
+  let instance;
+
+  afterEach(async () => {
+    await instance?.shutdown();
+    instance = null;
+  });
+
+  it('creates processes and injects issues the same way for the same seed', async () => {
+    const play = () => {
+      const manager = new ProcessManager(null, { logger, rng: new SeededRandom(1001) });
+      const process = manager.processFactory.createProcess('p1', { type: 'grief', intensity: 0.8 });
+      manager.injectRandomIssue(process);
+      manager.injectRandomIssue(process);
+      return { cpu: process.cpuUsage, memory: process.memoryUsage, issues: process.currentIssues.map(i => i.type) };
+    };
+
+    const first = play();
+    expect(play()).toEqual(first);
+    expect(first.issues).toHaveLength(3);
+  });
+
+  it('seeds an instance and carries the generator through its snapshots', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const data = JSON.parse(await fs.readFile(path.join(process.cwd(), 'data', 'characters', 'alexander-kane.json'), 'utf8'));
+    instance = new ConsciousnessInstance({ ...data, seed: 2024, logger });
+    await instance.initialize(data.defaultState);
+
+    expect(instance.processManager.rng).toBe(instance.rng);
+    expect(instance.memoryState.manager.rng).toBe(instance.rng);
+
+    const snapshot = instance.captureState();
+    expect(snapshot.rng.seed).toBe(2024);
+    const afterSnapshot = draw(instance.rng);
+    await instance.restoreState(snapshot);
+    expect(draw(instance.rng)).toEqual(afterSnapshot);
+  });
+
+  it('picks memory dumps, variations and random conditions the same way for the same seed', async () => {
+    const narrative = new NarrativeEngine();
+    narrative.fragmentLoader.fragments.set('fractured-time:memory-dumps', ['a', 'b', 'c', 'd'].map(id => ({
+      id,
+      memoryRange: { start: '0x1000', end: '0x2000' },
+      content: { text: id }
+    })));
+    const variations = [{ id: 'ducks', weight: 1 }, { id: 'lab', weight: 2 }, { id: 'silence', weight: 1 }];
+
+    const replay = async (seed) => {
+      const rng = new SeededRandom(seed);
+      const narrated = [];
+      for (let i = 0; i < 6; i++) {
+        const dump = await narrative.generateMemoryDump('0x1800', { stability: 0.5 }, { storyId: 'fractured-time' }, rng);
+        narrated.push(dump.content.text, weightedSelect(variations, rng).id);
+      }
+      const evaluator = new ConditionEvaluator({ rng });
+      return { narrated, rolls: Array.from({ length: 4 }, () => evaluator.functions.get('randomInt')(1, 6)) };
+    };
+
+    const first = await replay(99);
+    expect(await replay(99)).toEqual(first);
+    expect(await replay(100)).not.toEqual(first);
+  });
+});
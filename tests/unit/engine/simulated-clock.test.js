@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+import { TickLoop } from '../../../lib/engine/tick-loop.js';
+import { ConsciousnessInstance } from '../../../lib/consciousness-instance.js';
+import { ChoiceTracker } from '../../../lib/ChoiceTracker.js';
+import ConditionEvaluator from '../../../lib/ConditionEvaluator.js';
+
+const logger = { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() };
+
+function createEngine(instance, session) {
+  const engine = {
+    config: { tickRate: 5000 },
+    instances: new Map([['alexander-kane', instance]]),
+    debugSessions: new Map(session ? [['alexander-kane', session]] : []),
+    processEvolution: { evolveProcess: vi.fn(() => ({})), checkForEmergentProcesses: vi.fn(() => []) },
+    narrativeEngine: { checkSystemTriggers: vi.fn(() => []) },
+    storyContexts: new Map(),
+    emit: vi.fn()
+  };
+  engine.tickLoop = new TickLoop(engine);
+  return engine;
+}
+
+function createInstance(clock) {
+  return {
+    clock,
+    processManager: { processes: new Map() },
+    getState: () => ({}),
+    tick: vi.fn(async () => {
+      clock.tick();
+      return { stateChanges: [], processUpdates: [], memoryEvents: [], emotionalShifts: [], errors: [], hasChanges: false };
+    })
+  };
+}
+
+describe('SimulatedClock', () => {
+  it('advances per tick unless frozen, and only on request when paused', async () => {
+    const clock = new SimulatedClock({ start: 1000, tickLength: 5000 });
+    expect(clock.tick()).toBe(6000);
+
+    clock.freeze();
+    expect(clock.tick()).toBe(6000);
+    expect(clock.advance(250)).toBe(6250);
+
+    clock.pause();
+    const instance = createInstance(clock);
+    const engine = createEngine(instance);
+    await engine.tickLoop.systemTick();
+    expect(instance.tick).not.toHaveBeenCalled();
+    expect(clock.now()).toBe(6250);
+
+    // Fast-forwarding ticks a paused instance
+    expect(await engine.tickLoop.fastForward('alexander-kane', instance, 3)).toEqual({ ticks: 3, elapsed: 15000, breakpointHits: [] });
+    expect(clock.getState()).toEqual({ time: 21250, tickLength: 5000, mode: 'paused' });
+
+    expect(() => clock.setMode('sideways')).toThrow('Unknown clock mode: sideways');
+    expect(() => clock.advance(-1)).toThrow('Cannot advance the clock by -1 ms');
+  });
+
+  it('stops fast-forwarding at a breakpoint', async () => {
+    const hit = { id: 'bp_1', condition: 'stability < 0.5' };
+    const session = { paused: false, afterTick: vi.fn(() => (session.afterTick.mock.calls.length === 4 ? [hit] : [])) };
+    const instance = createInstance(new SimulatedClock({ start: 0, tickLength: 5000 }));
+    const engine = createEngine(instance, session);
+
+    expect(await engine.tickLoop.fastForward('alexander-kane', instance, 100)).toEqual({ ticks: 4, elapsed: 20000, breakpointHits: [hit] });
+  });
+});
+
+describe('in-game time', () => {
+  let instance;
+
+  afterEach(async () => {
+    await instance?.shutdown();
+    instance = null;
+  });
+
+  it('is shared by the instance subsystems and restored with snapshots', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const data = JSON.parse(await fs.readFile(path.join(process.cwd(), 'data', 'characters', 'alexander-kane.json'), 'utf8'));
+    instance = new ConsciousnessInstance({ ...data, tickRate: 5000, clock: { start: 0 }, logger });
+    await instance.initialize(data.defaultState);
+
+    expect(instance.memoryState.manager.clock).toBe(instance.clock);
+    await instance.tick();
+    expect(instance.clock.now()).toBe(5000);
+    expect(instance.state.lastUpdate).toBe(5000);
+    expect(instance.getState().clock).toEqual({ time: 5000, tickLength: 5000, mode: 'running' });
+
+    const snapshot = instance.captureState();
+    instance.clock.freeze();
+    instance.clock.advance(60000);
+    await instance.restoreState(snapshot);
+    expect(instance.clock.getState()).toMatchObject({ time: 5000, mode: 'frozen' });
+  });
+
+  it('drives condition windows and choice timeouts', async () => {
+    const clock = new SimulatedClock({ start: 0, mode: 'frozen' });
+    const systemLog = [{ category: 'player_intervention', timestamp: 0, message: 'kill' }];
+    const evaluator = new ConditionEvaluator({ systemLog, clock });
+    const actions = evaluator.functions.get('playerActionCount');
+    expect(actions()).toBe(1);
+    clock.advance(300000);
+    expect(actions()).toBe(0);
+
+    const tracker = new ChoiceTracker({ clock });
+    tracker.choiceTrees.set('fractured-time', {
+      choices: [{ id: 'hold_on', timeout: 30000, defaultOption: 'let_go', options: [{ id: 'stay' }, { id: 'let_go' }] }]
+    });
+    tracker.initializeStoryTracking('fractured-time');
+    const story = { storyId: 'fractured-time' };
+
+    expect(await tracker.evaluateChoicePoints({}, story, {})).toHaveLength(1);
+    await tracker.evaluateChoicePoints({}, story, {}, clock.now() + 29999);
+    expect(tracker.activeChoicePoints.get('fractured-time').has('hold_on')).toBe(true);
+
+    expect(tracker.expireChoices('fractured-time', clock.now() + 30000)).toEqual(['hold_on']);
+    expect(tracker.playerChoices.get('fractured-time').get('hold_on')).toBe('let_go');
+  });
+});
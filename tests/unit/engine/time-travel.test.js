@@ -0,0 +1,219 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { Timeline, TimeTravel } from '../../../lib/engine/time-travel.js';
+import { NarrativeEngine } from '../../../lib/narrative-engine.js';
+import { InstanceRegistry } from '../../../lib/engine/instance-registry.js';
+import NarrativeIntegration from '../../../lib/narrative-integration.js';
+import { NarrativeTriggerLibrary } from '../../../lib/narrative/narrative-triggers.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+import CommandExecutor from '../../../lib/commands/CommandExecutor.js';
+import { DebugCommand } from '../../../lib/commands/base/DebugCommand.js';
+
+function createInstance() {
+  const process = { pid: 1001, name: 'grief_processing', status: 'running', cpuUsage: 40, memoryUsage: 100, threadCount: 2, currentIssues: [] };
+  const instance = {
+    state: { tick: 0, stability: 1, corruption: 0 },
+    emotions: { grief: 0.9 },
+    processManager: { processes: new Map([['base_1001', process]]) },
+    memoryState: { manager: { memorySegments: new Map(), memoryCapacity: { allocated: 0, available: 100 }, fragmentationLevel: 0 } },
+    emotionalState: { captureState: () => ({ state: { ...instance.emotions } }) },
+    clock: new SimulatedClock({ start: 0, tickLength: 1000 }),
+    captureState: () => ({
+      core: { ...instance.state },
+      processes: Array.from(instance.processManager.processes.entries()),
+      emotional: { state: instance.emotions },
+      clock: instance.clock.getState()
+    }),
+    restoreState: vi.fn(async (saved) => {
+      instance.state = saved.core;
+      instance.processManager.processes = new Map(saved.processes);
+      instance.emotions = saved.emotional.state;
+      instance.clock.setState({ time: saved.clock.time });
+    })
+  };
+  return instance;
+}
+
+function createEngine(instance, storyContext) {
+  const session = { paused: false, tick: 0 };
+  const engine = Object.assign(new EventEmitter(), {
+    config: { timelineSize: 3 },
+    instances: new InstanceRegistry().set('alexander-kane', instance),
+    storyContexts: new Map(storyContext ? [['alexander-kane', storyContext]] : []),
+    narrativeEngine: new NarrativeEngine(),
+    getDebugSession: () => session,
+    session
+  });
+  engine.timeTravel = new TimeTravel(engine);
+  return engine;
+}
+
+function advance(engine, instance, mutate) {
+  instance.state = { ...instance.state, tick: instance.state.tick + 1 };
+  instance.clock.advance(1000);
+  mutate?.();
+  engine.timeTravel.record('alexander-kane', instance);
+}
+
+describe('Timeline', () => {
+  it('keeps only the newest frames up to capacity', () => {
+    const timeline = new Timeline(2);
+    [0, 1, 2].forEach(tick => timeline.record(tick, {}));
+    expect(timeline.range()).toMatchObject({ oldest: 1, newest: 2, count: 2 });
+    expect(timeline.get(0)).toBeNull();
+  });
+
+  it('drops the abandoned future when recording over a rewound tick', () => {
+    const timeline = new Timeline(5);
+    [0, 1, 2, 3].forEach(tick => timeline.record(tick, {}));
+    timeline.record(2, { branch: true });
+    expect(timeline.range()).toMatchObject({ oldest: 0, newest: 2, count: 3 });
+    expect(timeline.get(2).branch).toBe(true);
+  });
+});
+
+// Stops grief_processing and starts it again on undo
+class StopCommand extends DebugCommand {
+  get process() { return this.context.instance.processManager.processes.get('base_1001'); }
+  async canExecute() { return true; }
+  async execute() {
+    this.process.status = 'stopped';
+    this.executed = true;
+    return { success: true };
+  }
+  async undo() {
+    this.process.status = 'running';
+    this.executed = false;
+    return { success: true };
+  }
+  canUndo() { return this.executed; }
+  getDescription() { return 'Stop grief_processing'; }
+}
+
+describe('TimeTravel', () => {
+  it('rewinds processes, emotions and core state together and pauses', async () => {
+    const instance = createInstance();
+    const engine = createEngine(instance);
+    engine.timeTravel.record('alexander-kane', instance);
+    advance(engine, instance, () => {
+      instance.processManager.processes.get('base_1001').status = 'terminated';
+      instance.emotions = { grief: 0.5 };
+      instance.state.stability = 0.4;
+    });
+
+    const result = await engine.timeTravel.rewind('alexander-kane', 1);
+
+    expect(result).toMatchObject({ fromTick: 1, tick: 0 });
+    expect(instance.state).toMatchObject({ tick: 0, stability: 1 });
+    expect(instance.processManager.processes.get('base_1001').status).toBe('running');
+    expect(instance.emotions.grief).toBe(0.9);
+    expect(engine.session.paused).toBe(true);
+  });
+
+  it('does not let restored state mutate the buffered snapshot', async () => {
+    const instance = createInstance();
+    const engine = createEngine(instance);
+    engine.timeTravel.record('alexander-kane', instance);
+    advance(engine, instance);
+
+    await engine.timeTravel.goto('alexander-kane', 0);
+    instance.processManager.processes.get('base_1001').cpuUsage = 99;
+
+    const buffered = engine.timeTravel.getTimeline('alexander-kane').get(0).snapshot.instance;
+    expect(new Map(buffered.processes).get('base_1001').cpuUsage).toBe(40);
+  });
+
+  it('rolls back narrative fragments that fired after the target tick', async () => {
+    const instance = createInstance();
+    const engine = createEngine(instance, { storyId: 'fractured-time' });
+    const narrative = engine.narrativeEngine;
+    narrative.storyProgress.set('fractured-time', { progress: 0, act: 1, choicesMade: [], fragmentsTriggered: new Set(), startTime: 0 });
+    narrative.triggeredFragments.set('fractured-time', new Set());
+    engine.timeTravel.record('alexander-kane', instance);
+
+    advance(engine, instance, () => {
+      narrative.recordFragmentTrigger({ id: 'first_crack', triggers: {} }, 'fractured-time', Date.now());
+    });
+    expect(narrative.isOnCooldown('first_crack', Date.now())).toBeTruthy();
+
+    const result = await engine.timeTravel.goto('alexander-kane', 0);
+
+    expect(result.rolledBackFragments).toEqual(['first_crack']);
+    expect(narrative.triggeredFragments.get('fractured-time').has('first_crack')).toBe(false);
+    expect(narrative.isOnCooldown('first_crack', Date.now())).toBeFalsy();
+  });
+
+  it('lets triggers that fired after the target tick fire again', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const instance = createInstance();
+    const engine = createEngine(instance);
+    const triggers = new NarrativeTriggerLibrary();
+    const narrative = { type: 'character_moment', content: { title: 'Spike', text: 'Too much.' } };
+    [
+      { id: 'grief_spike', once: true, cooldown: 0, condition: { type: 'threshold', variable: 'grief_processing.memory', operator: '>', threshold: 800 } },
+      { id: 'unstable', once: false, cooldown: 60000, condition: { type: 'simple', target: 'stability', operator: '<', value: 0.5 } }
+    ].forEach(trigger => triggers.add({ ...trigger, narrative, storyId: 'fractured-time', source: `${trigger.id}.json` }));
+    const integration = new NarrativeIntegration({ triggers });
+    await integration.attach(engine);
+
+    const spike = () => advance(engine, instance, () => {
+      instance.processManager.processes.get('base_1001').memoryUsage = 900;
+      instance.state.stability = 0.3;
+    });
+    await integration.checkNarrativeTriggers('alexander-kane');
+    engine.timeTravel.record('alexander-kane', instance);
+    spike();
+    expect(await integration.checkNarrativeTriggers('alexander-kane')).toEqual(['grief_spike', 'unstable']);
+
+    await engine.timeTravel.goto('alexander-kane', 0);
+    expect(integration.hasSeenNarrative('alexander-kane', 'grief_spike')).toBe(false);
+    expect(await integration.checkNarrativeTriggers('alexander-kane')).toEqual([]);
+
+    spike();
+    expect(await integration.checkNarrativeTriggers('alexander-kane')).toEqual(['grief_spike', 'unstable']);
+  });
+
+  it('diffs two recorded ticks', () => {
+    const instance = createInstance();
+    const engine = createEngine(instance);
+    engine.timeTravel.record('alexander-kane', instance);
+    advance(engine, instance, () => {
+      instance.processManager.processes.get('base_1001').cpuUsage = 70;
+    });
+
+    const diff = engine.timeTravel.diff('alexander-kane', 0, 1);
+    expect(diff.deltas.processes[0].changes.cpuUsage).toEqual({ from: 40, to: 70, delta: 30 });
+  });
+
+  it('reports the available range for ticks outside the buffer', async () => {
+    const instance = createInstance();
+    const engine = createEngine(instance);
+    engine.timeTravel.record('alexander-kane', instance);
+    [1, 2, 3].forEach(() => advance(engine, instance));
+
+    await expect(engine.timeTravel.goto('alexander-kane', 0)).rejects.toThrow('available: 1-3');
+  });
+
+  it('leaves nothing from the abandoned timeline to undo or redo', async () => {
+    const instance = createInstance();
+    const executor = new CommandExecutor({ logger: { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() } });
+    instance.processManager.commandExecutor = executor;
+    const engine = createEngine(instance);
+    engine.timeTravel.record('alexander-kane', instance);
+
+    await executor.execute(new StopCommand({ instance }));
+    advance(engine, instance);
+    await executor.execute(new StopCommand({ instance }));
+    await executor.undo();
+    advance(engine, instance);
+    expect(executor.canUndo()).toBe(true);
+    expect(executor.canRedo()).toBe(true);
+
+    // Back before the first stop, which the restored state no longer contains
+    await engine.timeTravel.goto('alexander-kane', 0);
+    expect(instance.processManager.processes.get('base_1001').status).toBe('running');
+    expect(executor.canUndo()).toBe(false);
+    expect(executor.canRedo()).toBe(false);
+    await expect(executor.undo()).rejects.toThrow('No commands available to undo');
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi } from 'vitest';
+import AddressSpace from '../../../lib/memory/AddressSpace.js';
+import MemoryManager from '../../../lib/MemoryManager.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+
+// Blocks a..e of 100 units, then free b and d: gaps of 100, 100 and 500
+function withHoles(strategy) {
+    const space = new AddressSpace({ size: 1000, strategy });
+    ['a', 'b', 'c', 'd', 'e'].forEach(id => space.allocate(id, 100));
+    space.release('b');
+    space.release('d');
+    space.shrink('c', 40);
+    return space;
+}
+
+describe('AddressSpace', () => {
+    it('places blocks in the first gap that fits, or the tightest', () => {
+        const first = withHoles('first-fit');
+        expect(first.allocate('x', 80)).toEqual({ offset: 100, size: 80, address: '0x0064' });
+
+        const best = withHoles('best-fit');
+        // c shrank to 40, leaving a 160-unit gap after it: the tightest fit for 150
+        expect(best.allocate('x', 150)).toMatchObject({ offset: 240 });
+        expect(best.allocate('y', 100)).toMatchObject({ address: '0x0064' });
+        expect(best.allocate('z', 600)).toBeNull();
+        expect(() => best.setStrategy('worst-fit')).toThrow('Unknown allocation strategy: worst-fit');
+    });
+
+    it('merges freed ranges with neighboring gaps', () => {
+        const space = withHoles('first-fit');
+        expect(space.freeList).toEqual([
+            { offset: 100, size: 100 },
+            { offset: 240, size: 160 },
+            { offset: 500, size: 500 }
+        ]);
+
+        space.release('c');
+        expect(space.freeList).toEqual([{ offset: 100, size: 300 }, { offset: 500, size: 500 }]);
+        space.release('e');
+        expect(space.freeList).toEqual([{ offset: 100, size: 900 }]);
+        expect(space.getFragmentation()).toBe(0);
+    });
+
+    it('measures fragmentation from the gaps and compacts them away', () => {
+        const space = withHoles('first-fit');
+        expect(space.getFragmentation()).toBeCloseTo(1 - 500 / 760, 5);
+
+        expect(space.compact()).toEqual([
+            { id: 'c', size: 40, from: '0x00C8', to: '0x0064' },
+            { id: 'e', size: 100, from: '0x0190', to: '0x008C' }
+        ]);
+        expect(space.freeList).toEqual([{ offset: 240, size: 760 }]);
+        expect(space.getFragmentation()).toBe(0);
+    });
+
+    it('rebuilds itself from recorded offsets', () => {
+        const space = new AddressSpace({ size: 1000 });
+        const unmapped = space.rebuild([
+            { id: 'a', size: 100, offset: 300 },
+            { id: 'b', size: 100, offset: 350 },
+            { id: 'c', size: 100 }
+        ]);
+        expect(unmapped).toEqual([]);
+        expect(space.placement('a').offset).toBe(300);
+        // b overlapped a, so it takes the first gap instead
+        expect(space.placement('b').offset).toBe(0);
+        expect(space.placement('c').offset).toBe(100);
+    });
+});
+
+describe('MemoryManager address space', () => {
+    function createManager() {
+        const eventBus = { emit: vi.fn() };
+        const manager = new MemoryManager({ state: {} }, { totalCapacity: 1000, swap: { enabled: false } }, {
+            clock: new SimulatedClock({ start: 0 }),
+            eventBus
+        });
+        manager.setupMemoryPools();
+        manager.initializeEmotionalIndexes();
+        // 300 units each
+        const ids = [1, 2, 3].map(() => manager.allocateMemory({ description: 'y'.repeat(100) }));
+        return { manager, eventBus, ids };
+    }
+
+    it('allocates blocks at real addresses and reports gaps as fragmentation', () => {
+        const { manager, eventBus, ids } = createManager();
+        expect(ids.map(id => manager.memorySegments.get(id).address)).toEqual(['0x0000', '0x012C', '0x0258']);
+        expect(eventBus.emit).toHaveBeenCalledWith('MemoryAllocated', expect.objectContaining({ blockId: ids[1], address: '0x012C' }));
+
+        manager.deleteMemory(ids[1]);
+        expect(manager.getFragmentation()).toBeCloseTo(0.25, 5);
+        expect(manager.getMemoryStatus().addressSpace).toMatchObject({ free: 400, largestFree: 300 });
+        expect(manager.getBlocksAtAddress('0x0258').map(b => b.id)).toEqual([ids[2]]);
+    });
+
+    it('compacts before failing when no single gap is big enough', () => {
+        const { manager, eventBus, ids } = createManager();
+        manager.deleteMemory(ids[1]);
+
+        // 350 units: fits the 400 free, but neither 300 nor 100 alone
+        const big = manager.allocateMemory({ description: 'z'.repeat(125) });
+        expect(manager.memorySegments.get(big).address).toBe('0x0258');
+        expect(manager.memorySegments.get(ids[2]).address).toBe('0x012C');
+        expect(eventBus.emit).toHaveBeenCalledWith('MemoryRelocated', expect.objectContaining({
+            blockId: ids[2], from: '0x0258', address: '0x012C', size: 300
+        }));
+    });
+
+    it('relocates blocks when defragmenting and keeps addresses across capture and restore', async () => {
+        const { manager, ids } = createManager();
+        manager.deleteMemory(ids[0]);
+
+        const result = manager.defragmentMemory();
+        expect(result).toMatchObject({ relocated: 2, fragmentationLevel: 0 });
+        expect(result.relocations.map(r => r.to)).toEqual(['0x0000', '0x012C']);
+
+        manager.setAllocationStrategy('best-fit');
+        const saved = manager.captureState();
+        const restored = new MemoryManager({ state: {} }, {}, { clock: new SimulatedClock({ start: 0 }) });
+        await restored.restoreState(saved);
+        expect(restored.addressSpace.strategy).toBe('best-fit');
+        expect(restored.addressSpace.placement(ids[2])).toMatchObject({ address: '0x012C' });
+        expect(restored.addressSpace.free).toBe(400);
+    });
+
+    it('puts released process memory back at its old address', () => {
+        const { manager, ids } = createManager();
+        manager.deleteMemory(ids[0]);
+        const held = manager.memorySegments.get(manager.allocateMemory({ processId: 'base_1001', description: 'Leo' }));
+
+        const released = manager.releaseProcessMemory(['base_1001']);
+        expect(manager.addressSpace.has(held.id)).toBe(false);
+        manager.restoreReleasedMemory(released);
+        expect(manager.addressSpace.placement(held.id).address).toBe('0x0000');
+        expect(held.address).toBe('0x0000');
+    });
+});
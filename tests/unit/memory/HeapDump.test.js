@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { createHeapDump, diffHeapDumps } from '../../../lib/memory/heap-dump.js';
+import { HeapDumps } from '../../../lib/engine/heap-dumps.js';
+import MemoryManager from '../../../lib/MemoryManager.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+
+function createInstance() {
+    const clock = new SimulatedClock({ start: 0, tickLength: 1000 });
+    const manager = new MemoryManager({ state: {} }, { totalCapacity: 2000, swap: { size: 1000 } }, { clock });
+    manager.setupMemoryPools();
+    manager.initializeEmotionalIndexes();
+    const processes = new Map([
+        ['grief_1001', { id: 'grief_1001', pid: 1001, name: 'grief_processing', status: 'running', memoryUsage: 120 }],
+        ['search_1002', { id: 'search_1002', pid: 1002, name: 'search_protocol', status: 'running', memoryUsage: 40 }]
+    ]);
+    return {
+        state: { tick: 0 },
+        memoryState: { manager },
+        processManager: { processes }
+    };
+}
+
+// A dump holding just the given blocks, as createHeapDump would describe them
+function dumpOf(id, blocks, processes = []) {
+    const full = blocks.map(block => ({ owner: null, emotions: [], references: [], leakScore: 0, description: '', ...block }));
+    return {
+        id,
+        label: null,
+        tick: id * 10,
+        summary: { size: full.reduce((sum, block) => sum + block.size, 0) },
+        blocks: full,
+        processes
+    };
+}
+
+const grief = { processId: 'grief_1001', pid: 1001, name: 'grief_processing' };
+
+describe('createHeapDump', () => {
+    it('snapshots resident and swapped blocks with their pools, emotions and owners', () => {
+        const instance = createInstance();
+        const manager = instance.memoryState.manager;
+        const held = manager.allocateMemory({ description: 'Leo at the pond', emotions: ['grief'], processId: 'grief_1001' });
+        const loose = manager.allocateMemory({ description: 'the ducks', emotions: ['hope'] });
+        manager.swap.swapOut(manager.memorySegments.get(loose));
+        instance.state.tick = 7;
+
+        const dump = createHeapDump(instance, { id: 1, label: 'before' });
+
+        expect(dump).toMatchObject({ id: 1, label: 'before', tick: 7, summary: { blocks: 2, swapped: 1 } });
+        expect(dump.blocks.find(block => block.id === held)).toMatchObject({
+            address: '0x0000',
+            pools: ['shortTerm'],
+            owner: grief,
+            emotions: ['grief'],
+            swapped: false,
+            description: 'Leo at the pond'
+        });
+        expect(dump.blocks.find(block => block.id === loose)).toMatchObject({ swapped: true, owner: null, address: null });
+        expect(dump.pools.shortTerm.count).toBe(2);
+        expect(dump.emotionalIndexes.grief).toEqual([held]);
+        expect(dump.processes.map(process => process.pid)).toEqual([1001, 1002]);
+        expect(() => JSON.parse(JSON.stringify(dump))).not.toThrow();
+    });
+});
+
+describe('diffHeapDumps', () => {
+    const before = dumpOf(1, [
+        { id: 'a', address: '0x0000', size: 100, owner: grief, emotions: ['grief'] },
+        { id: 'b', address: '0x0064', size: 50, emotions: ['hope'] }
+    ], [{ id: 'grief_1001', pid: 1001, name: 'grief_processing', memoryUsage: 120 }]);
+    const after = dumpOf(2, [
+        { id: 'a', address: '0x0000', size: 160, owner: grief, emotions: ['grief'] },
+        { id: 'c', address: '0x00A0', size: 40, owner: grief, emotions: ['grief', 'guilt'], references: ['d'] },
+        { id: 'd', address: '0x00C8', size: 80, emotions: ['guilt'] }
+    ], [{ id: 'grief_1001', pid: 1001, name: 'grief_processing', memoryUsage: 300 }]);
+
+    it('groups new, grown and freed blocks by owning process and emotion', () => {
+        const diff = diffHeapDumps(before, after);
+
+        expect(diff.summary).toEqual({ new: 2, grown: 1, freed: 1, sizeDelta: 130 });
+        expect(diff.grown[0]).toMatchObject({ id: 'a', previousSize: 100, growth: 60 });
+        expect(diff.byProcess).toEqual({
+            grief_processing: { new: 1, grown: 1, freed: 0, delta: 100 },
+            unowned: { new: 1, grown: 0, freed: 1, delta: 30 }
+        });
+        expect(diff.byEmotion.guilt).toEqual({ new: 2, grown: 0, freed: 0, delta: 120 });
+        expect(diff.byEmotion.hope).toEqual({ new: 0, grown: 0, freed: 1, delta: -50 });
+        expect(diff.processes).toEqual([{ pid: 1001, name: 'grief_processing', from: 120, to: 300, delta: 180 }]);
+    });
+
+    it('ranks leak suspects by retained size and maps each change to an address', () => {
+        const diff = diffHeapDumps(before, after);
+
+        // c holds the only reference to d, so freeing c would also free d
+        expect(diff.suspects.map(suspect => [suspect.id, suspect.retainedSize])).toEqual([['a', 160], ['c', 120], ['d', 80]]);
+        expect(diffHeapDumps(before, after, { limit: 1 }).suspects).toHaveLength(1);
+        expect(diff.overlay).toEqual([
+            { address: '0x00A0', size: 40, change: 'new' },
+            { address: '0x00C8', size: 80, change: 'new' },
+            { address: '0x0000', size: 160, change: 'grown' },
+            { address: '0x0064', size: 50, change: 'freed' }
+        ]);
+    });
+});
+
+describe('HeapDumps', () => {
+    function createEngine() {
+        const engine = { config: { heapDumpLimit: 2 }, instances: new Map([['alexander-kane', createInstance()]]) };
+        engine.heapDumps = new HeapDumps(engine);
+        return engine;
+    }
+
+    it('numbers dumps per character and keeps only the newest', () => {
+        const { heapDumps } = createEngine();
+        expect(() => heapDumps.get('alexander-kane', 1)).toThrow('Heap dump 1 not found; take one with memdump');
+
+        ['one', 'two', 'three'].forEach(label => heapDumps.take('alexander-kane', label));
+        expect(heapDumps.list('alexander-kane').map(dump => [dump.id, dump.label])).toEqual([[2, 'two'], [3, 'three']]);
+        expect(heapDumps.get('alexander-kane', '3').label).toBe('three');
+        expect(() => heapDumps.diff('alexander-kane', 1, 3)).toThrow('Heap dump 1 not found (have 2, 3)');
+        expect(() => heapDumps.take('zelda', null)).toThrow('No consciousness loaded: zelda');
+    });
+
+    it('diffs two dumps of the same character', () => {
+        const engine = createEngine();
+        const manager = engine.instances.get('alexander-kane').memoryState.manager;
+        engine.heapDumps.take('alexander-kane');
+        manager.allocateMemory({ description: 'the ducks', emotions: ['hope'], processId: 'search_1002' });
+        engine.heapDumps.take('alexander-kane');
+
+        const diff = engine.heapDumps.diff('alexander-kane', 1, 2);
+        expect(diff.summary).toMatchObject({ new: 1, freed: 0 });
+        expect(diff.byProcess).toHaveProperty('search_protocol');
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import MemoryManager from '../../../lib/MemoryManager.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+import { parseMemoryQuery } from '../../../lib/memory/memory-query.js';
+
+const day = date => Date.parse(date);
+
+function createManager() {
+    const clock = new SimulatedClock({ start: day('2024-03-20'), tickLength: 1000 });
+    const manager = new MemoryManager({ state: {} }, { totalCapacity: 5000 }, { clock });
+    manager.setupMemoryPools();
+    manager.initializeEmotionalIndexes();
+    return manager;
+}
+
+const memories = [
+    ['park', { description: 'Feeding the ducks with Leo at Riverview Park', emotions: ['grief', 'love'], emotionalIntensity: 0.9, timeStamp: day('2024-03-15') }, 'traumatic'],
+    ['lab', { description: 'Calibrating the temporal field generator', emotions: ['determination'], emotionalIntensity: 0.4, timeStamp: day('2024-03-14') }, 'procedural'],
+    ['after', { description: 'The empty chair at dinner', emotions: ['grief'], emotionalIntensity: 0.75, timeStamp: day('2024-03-18') }, 'longTerm'],
+    ['ducks', { description: 'Bread for the ducks, left on the counter', emotions: ['grief', 'guilt'], emotionalIntensity: 0.5, timeStamp: day('2024-03-16') }, 'shortTerm']
+];
+
+describe('memory queries', () => {
+    let manager;
+    let ids;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        manager = createManager();
+        ids = Object.fromEntries(memories.map(([name, data, pool]) => [name, manager.allocateMemory(data, pool)]));
+    });
+
+    const found = search => search.results.map(result => Object.keys(ids).find(name => ids[name] === result.id));
+
+    it('parses terms, comparisons, quoted text, sorting and paging', () => {
+        expect(parseMemoryQuery('emotion:Grief intensity>=0.7 text:"the ducks" -pool:traumatic sort:-date limit:5 page:2')).toEqual({
+            terms: [
+                { field: 'emotion', op: ':', value: 'grief', negate: false },
+                { field: 'intensity', op: '>=', value: 0.7, negate: false },
+                { field: 'text', op: ':', value: 'the ducks', negate: false },
+                { field: 'pool', op: ':', value: 'traumatic', negate: true }
+            ],
+            sort: { field: 'date', descending: false },
+            limit: 5,
+            page: 2
+        });
+        expect(parseMemoryQuery('ducks').terms).toEqual([{ field: 'text', op: ':', value: 'ducks', negate: false }]);
+    });
+
+    it('rejects what it cannot evaluate', () => {
+        expect(() => parseMemoryQuery('mood:sad')).toThrow('Unknown search field "mood"');
+        expect(() => parseMemoryQuery('emotion>grief')).toThrow('emotion does not support ">"');
+        expect(() => parseMemoryQuery('intensity>high')).toThrow('intensity: expects a number');
+        expect(() => parseMemoryQuery('before:someday')).toThrow('expects a date');
+        expect(() => parseMemoryQuery('sort:mood')).toThrow('Cannot sort by "mood"');
+        expect(() => parseMemoryQuery('text:"ducks')).toThrow('Unterminated quote');
+        expect(() => parseMemoryQuery('page:0')).toThrow('at least 1');
+    });
+
+    it('combines emotion, intensity, pool, text and date terms', () => {
+        expect(found(manager.searchMemories('emotion:grief'))).toEqual(['park', 'after', 'ducks']);
+        expect(found(manager.searchMemories('emotion:grief intensity>0.7'))).toEqual(['park', 'after']);
+        expect(found(manager.searchMemories('emotion:grief intensity>0.7 pool:traumatic text:"ducks" before:2024-03-16'))).toEqual(['park']);
+        expect(found(manager.searchMemories('ducks -emotion:love'))).toEqual(['ducks']);
+        expect(found(manager.searchMemories('emotion:grief emotion:guilt'))).toEqual(['ducks']);
+        expect(found(manager.searchMemories('after:2024-03-15 before:2024-03-19'))).toEqual(['after', 'ducks']);
+    });
+
+    it('sorts and pages results', () => {
+        const byDate = manager.searchMemories('sort:-date limit:3');
+        expect(found(byDate)).toEqual(['lab', 'park', 'ducks']);
+        expect(byDate).toMatchObject({ total: 4, page: 1, pages: 2, limit: 3, sort: '-date' });
+
+        expect(found(manager.searchMemories('sort:-date limit:3 page:2'))).toEqual(['after']);
+        expect(found(manager.searchMemories('emotion:grief', { sort: 'size', limit: 1 }))).toHaveLength(1);
+    });
+
+    it('leaves out memories at locked addresses, resident or swapped out, before matching', () => {
+        const market = manager.allocateMemory({ description: 'Market scene - feeding the ducks with Leo', emotions: ['grief'], emotionalIntensity: 0.7, timeStamp: day('2024-03-10'), context: { address: '0x1000000000000100' } }, 'longTerm');
+        ids.market = market;
+        expect(found(manager.searchMemories('ducks'))).toEqual(['park', 'market', 'ducks']);
+
+        const locked = ['0x1000000000000100'];
+        expect(found(manager.searchMemories('ducks', { locked }))).toEqual(['park', 'ducks']);
+        expect(manager.searchMemories('emotion:grief', { locked }).total).toBe(3);
+
+        manager.swap.swapOut(manager.memorySegments.get(market));
+        expect(found(manager.searchMemories('swapped:true', { locked }))).toEqual([]);
+    });
+
+    it('finds swapped-out memories without paging them in or touching them', () => {
+        const park = manager.memorySegments.get(ids.park);
+        manager.swap.swapOut(park);
+        const accessCount = park.accessCount;
+
+        const search = manager.searchMemories('text:ducks swapped:true');
+        expect(found(search)).toEqual(['park']);
+        expect(search.results[0]).toMatchObject({ swapped: true, pools: ['traumatic'], intensity: 0.9, address: null });
+        expect(manager.swap.has(ids.park)).toBe(true);
+        expect(park.accessCount).toBe(accessCount);
+        expect(manager.swap.counters.pageFaults).toBe(0);
+    });
+});
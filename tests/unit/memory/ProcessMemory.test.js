@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ProcessManager from '../../../lib/ProcessManager.js';
+import MemoryManager from '../../../lib/MemoryManager.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+
+async function createManager(config = {}) {
+    const clock = new SimulatedClock({ start: 0, tickLength: 1000 });
+    const consciousness = {
+        resources: { cpu: { maxUsage: 100 }, threads: { max: 32, reserved: 4 }, attention: { total: 100 } },
+        clock,
+        state: { stability: 0.5, corruption: 0.2, metrics: {}, interventions: [], memoryAccess: {} }
+    };
+    const memory = new MemoryManager(consciousness, { totalCapacity: 2000, ...config }, { clock });
+    memory.setupMemoryPools();
+    memory.initializeEmotionalIndexes();
+    consciousness.memoryState = { manager: memory };
+
+    const manager = new ProcessManager(consciousness, {
+        eventBus: { emit: vi.fn() },
+        logger: { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() }
+    });
+    consciousness.processManager = manager;
+    await manager.createBaseProcess({ pid: 1001, name: 'grief_processing', cpu_usage: 40, memory_mb: 847 });
+    await manager.createBaseProcess({ pid: 1005, name: 'reality_check', cpu_usage: 12, memory_mb: 128 });
+    manager.syncMemory();
+    return { manager, memory };
+}
+
+describe('ProcessMemory', () => {
+    let manager;
+    let memory;
+    let grief;
+
+    beforeEach(async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        ({ manager, memory } = await createManager());
+        grief = manager.processes.get('base_1001');
+    });
+
+    it('backs each process with a working set it owns', () => {
+        const [block] = memory.processMemory.blocks(1001);
+        expect(block).toMatchObject({ id: 'ws_1001_1', pid: 1001, size: 847, workingSet: true, protected: true });
+        expect(memory.memoryPools.procedural.has(block.id)).toBe(true);
+        expect(memory.memoryCapacity.allocated).toBe(975);
+        expect(memory.getMemoryStatus().processes).toEqual({
+            1001: { blocks: 1, size: 847, swapped: 0 },
+            1005: { blocks: 1, size: 128, swapped: 0 }
+        });
+    });
+
+    it('grows in place when it can and shrinks newest blocks first', () => {
+        // reality_check sits right behind grief_processing, so growing takes a new block
+        grief.memoryUsage = 1000;
+        manager.syncMemory();
+        expect(memory.processMemory.blocks(1001).map(block => block.size)).toEqual([847, 153]);
+
+        // which has free space behind it to grow into
+        grief.memoryUsage = 1100;
+        manager.syncMemory();
+        expect(memory.processMemory.blocks(1001).map(block => block.size)).toEqual([847, 253]);
+
+        grief.memoryUsage = 800;
+        manager.syncMemory();
+        expect(memory.processMemory.blocks(1001).map(block => block.size)).toEqual([800]);
+        expect(memory.memoryCapacity.allocated).toBe(928);
+    });
+
+    it('only grants what memory is left and reports the rest', async () => {
+        ({ manager, memory } = await createManager({ swap: { enabled: false } }));
+        grief = manager.processes.get('base_1001');
+        grief.memoryUsage = 2500;
+        const denied = manager.syncMemory();
+        expect(denied).toEqual([{ processId: 'base_1001', pid: 1001, shortfall: 2500 - (2000 - 128) }]);
+        expect(grief.memoryUsage).toBe(2000 - 128);
+        expect(memory.memoryCapacity.available).toBe(0);
+    });
+
+    it('counts swapped-out blocks toward their owner and frees them with it', () => {
+        const [block] = memory.processMemory.blocks(1005);
+        memory.swap.swapOut(block);
+        expect(memory.processMemory.usage(1005)).toBe(128);
+        expect(memory.getMemoryStatus().processes[1005]).toEqual({ blocks: 1, size: 128, swapped: 128 });
+
+        const released = manager.releaseMemory(manager.processes.get('base_1005'));
+        expect(released.size).toBe(128);
+        expect(memory.swap.used).toBe(0);
+        expect(memory.swap.has(block.id)).toBe(false);
+    });
+
+    it('frees a killed process\'s blocks and puts them back on undo', async () => {
+        const before = memory.processMemory.blocks(1001)[0].offset;
+
+        const result = await manager.killProcess(1001);
+        expect(result.memoryReleased).toBe(847);
+        expect(memory.processMemory.blocks(1001)).toEqual([]);
+        expect(memory.memoryCapacity.allocated).toBe(128);
+
+        await manager.undoLastCommand();
+        const [block] = memory.processMemory.blocks(1001);
+        expect(block.offset).toBe(before);
+        expect(manager.processes.get('base_1001').memoryUsage).toBe(847);
+        expect(memory.memoryCapacity.allocated).toBe(975);
+    });
+
+    it('reallocates a working set on SIGHUP and puts the old blocks back on undo', async () => {
+        grief.memoryUsage = 1000;
+        manager.syncMemory();
+        const before = memory.processMemory.blocks(1001).map(block => block.id);
+
+        const result = await manager.signalProcess(1001, 'HUP');
+        expect(result.memoryReleased).toBe(1000);
+        expect(grief.memoryUsage).toBe(847);
+        expect(memory.processMemory.usage(1001)).toBe(847);
+        expect(memory.processMemory.blocks(1001).map(block => block.id)).not.toEqual(before);
+        expect(memory.memoryCapacity.allocated).toBe(975);
+
+        await manager.undoLastCommand();
+        expect(memory.processMemory.blocks(1001).map(block => block.id)).toEqual(before);
+        expect(grief.memoryUsage).toBe(1000);
+        expect(memory.memoryCapacity.allocated).toBe(1128);
+    });
+
+    it('releases blocks left behind by processes that are gone', () => {
+        manager.processes.delete('base_1005');
+        manager.syncMemory();
+        expect(memory.processMemory.blocks(1005)).toEqual([]);
+        expect(memory.memoryCapacity.allocated).toBe(847);
+    });
+
+    it('merges a working set into one smaller block and reverts it', () => {
+        grief.memoryUsage = 1000;
+        manager.syncMemory();
+
+        const consolidation = manager.consolidateMemory(grief, 0.2);
+        expect(consolidation).toMatchObject({ pid: 1001, before: 1000, after: 800, freed: 200 });
+        expect(consolidation.merged).toHaveLength(2);
+        expect(memory.processMemory.blocks(1001).map(block => block.size)).toEqual([800]);
+        expect(grief.memoryUsage).toBe(800);
+
+        manager.revertConsolidation(consolidation);
+        expect(memory.processMemory.blocks(1001).map(block => block.id).sort()).toEqual(consolidation.merged.sort());
+        expect(memory.processMemory.usage(1001)).toBe(1000);
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import MemoryManager from '../../../lib/MemoryManager.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+
+// 310 units each: room for three in a 1000-unit memory
+const memory = (emotion, extra = {}) => ({ description: 'x'.repeat(100), emotions: [emotion], ...extra });
+
+function createManager(config = {}) {
+    const clock = new SimulatedClock({ start: 0, tickLength: 1000 });
+    const manager = new MemoryManager({ state: {} }, {
+        totalCapacity: 1000,
+        swap: { size: 1000, thrashingWindow: 10000, thrashingFaults: 3 },
+        ...config
+    }, { clock });
+    manager.setupMemoryPools();
+    manager.initializeEmotionalIndexes();
+    return { manager, clock };
+}
+
+describe('SwapSpace', () => {
+    let manager;
+    let clock;
+    let ids;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        ({ manager, clock } = createManager());
+        ids = ['grief', 'guilt', 'hope'].map(emotion => {
+            clock.advance(1000);
+            return manager.allocateMemory(memory(emotion));
+        });
+    });
+
+    it('pages the least recently used block out when memory runs short', () => {
+        manager.updateAccessPattern(manager.memorySegments.get(ids[0]));
+        clock.advance(1000);
+
+        const fourth = manager.allocateMemory(memory('fear'));
+        expect(fourth).not.toBeNull();
+        expect(manager.memorySegments.has(ids[1])).toBe(false);
+        expect(manager.memoryPools.shortTerm.has(ids[1])).toBe(false);
+        expect(manager.swap.peek(ids[1]).swapped).toBe(true);
+        expect(manager.memoryCapacity.allocated).toBe(930);
+        expect(manager.getMemoryStatus().swap).toMatchObject({ used: 310, free: 690, swapped: 1, pageOuts: 1, pageFaults: 0 });
+    });
+
+    it('pages a full pool out before it would overflow', () => {
+        manager.memoryPools.shortTerm.maxSize = 2;
+        manager.memoryCapacity.available = 10000;
+
+        manager.allocateMemory({ description: 'small' });
+        expect(manager.swap.has(ids[0])).toBe(true);
+        expect(manager.memoryPools.shortTerm.size).toBe(3);
+    });
+
+    it('faults swapped memories back in when they are looked up', () => {
+        clock.advance(1000);
+        manager.allocateMemory(memory('fear'));
+
+        const [grief] = manager.retrieveMemoriesByEmotion('grief');
+        expect(grief.id).toBe(ids[0]);
+        expect(manager.memorySegments.get(ids[0]).swapped).toBeUndefined();
+        expect(manager.memoryPools.shortTerm.has(ids[0])).toBe(true);
+        // Making room for it paged out the next least recently used block
+        expect(manager.swap.has(ids[1])).toBe(true);
+        expect(manager.swap.getStatus()).toMatchObject({ pageIns: 1, pageOuts: 2, pageFaults: 1 });
+
+        manager.swap.peek(ids[1]).data.context = { address: '0x7F000000' };
+        const { blocks, pageFaults } = manager.accessAddress('0x7f000000');
+        expect(pageFaults).toBe(1);
+        expect(blocks.map(b => b.id)).toContain(ids[1]);
+    });
+
+    it('detects thrashing when faults pile up inside the window', () => {
+        clock.advance(1000);
+        manager.allocateMemory(memory('fear'));
+
+        ['grief', 'guilt', 'hope'].forEach(emotion => manager.retrieveMemoriesByEmotion(emotion));
+        expect(manager.swap.isThrashing()).toBe(true);
+        expect(manager.getState().swap.thrashing).toBe(true);
+
+        clock.advance(20000);
+        expect(manager.swap.isThrashing()).toBe(false);
+        expect(manager.swap.getStatus().pageFaults).toBe(3);
+    });
+
+    it('only turns swap off when everything fits back in memory', () => {
+        clock.advance(1000);
+        manager.allocateMemory(memory('fear'));
+
+        expect(() => manager.swap.swapoff()).toThrow('Cannot swapoff: 310 units swapped out but only 70 available');
+
+        manager.deleteMemory(ids[2]);
+        expect(manager.swap.swapoff()).toMatchObject({ enabled: false, used: 0, swapped: 0 });
+        expect(manager.memorySegments.has(ids[0])).toBe(true);
+
+        // With swap off, pressure falls back to cleanup instead of paging
+        const before = manager.swap.getStatus().pageOuts;
+        manager.allocateMemory(memory('fear'));
+        manager.allocateMemory(memory('fear'));
+        expect(manager.swap.getStatus().pageOuts).toBe(before);
+        expect(manager.swap.swapon().enabled).toBe(true);
+    });
+
+    it('resurfaces the most charged swapped memory for an emotion', () => {
+        ids.forEach(id => manager.swap.swapOut(manager.memorySegments.get(id)));
+        manager.swap.peek(ids[0]).emotionalCharge = 0.9;
+
+        const [surfaced] = manager.swap.resurface({ emotion: 'grief' });
+        expect(surfaced.id).toBe(ids[0]);
+        expect(manager.swap.resurface({ emotion: 'joy' })).toEqual([]);
+        expect(manager.getVmstat()).toMatchObject({
+            swap: { swapped: 2, pageFaults: 0 },
+            swappedByEmotion: { guilt: 1, hope: 1 },
+            pools: { shortTerm: { count: 1, maxSize: 2000 } }
+        });
+    });
+
+    it('keeps swapped blocks across capture and restore', async () => {
+        clock.advance(1000);
+        manager.allocateMemory(memory('fear'));
+        const saved = manager.captureState();
+
+        const { manager: restored } = createManager();
+        await restored.restoreState(saved);
+        expect(restored.swap.peek(ids[0])).toMatchObject({ id: ids[0], swapped: true });
+        expect(restored.swap.getStatus()).toMatchObject({ used: 310, pageOuts: 1 });
+        expect(restored.retrieveMemoriesByEmotion('grief')).toHaveLength(1);
+    });
+});
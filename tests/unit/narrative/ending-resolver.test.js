@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import ConditionEvaluator from '../../../lib/ConditionEvaluator.js';
+import { EndingResolver } from '../../../lib/narrative/ending-resolver.js';
+import { NarrativeEngine } from '../../../lib/narrative-engine.js';
+import { InstanceRegistry } from '../../../lib/engine/instance-registry.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+
+const storyConfig = JSON.parse(await fs.readFile(
+  path.join(process.cwd(), 'data', 'schema', 'stories', 'fractured-time', 'story-config.json'),
+  'utf8'
+));
+
+function createInstance(state = {}, processes = []) {
+  return {
+    state: { stability: 0.5, corruption: 0.2, metrics: {}, ...state },
+    processManager: { processes: new Map(processes.map((p, i) => [i, { status: 'running', ...p }])) }
+  };
+}
+
+describe('ConditionEvaluator story conditions', () => {
+  const evaluator = new ConditionEvaluator();
+  const acceptance = storyConfig.narrative.structure.endings.find(e => e.id === 'acceptance').condition;
+
+  it('evaluates compound conditions with dotted targets', () => {
+    const context = { stability: 0.8, emily_connection: { strength: 0.7 }, 'grief.processed': 0.9 };
+    expect(evaluator.evaluateCondition(acceptance, context)).toBe(true);
+    expect(evaluator.evaluateCondition(acceptance, { ...context, stability: 0.6 })).toBe(false);
+  });
+
+  it('measures how far each comparison is from holding', () => {
+    const measured = evaluator.measureCondition(acceptance, { stability: 0.5, emily_connection: { strength: 0.7 } });
+
+    expect(measured.met).toBe(false);
+    expect(measured.conditions.map(c => [c.target, c.met])).toEqual([
+      ['stability', false], ['emily_connection.strength', true], ['grief.processed', false]
+    ]);
+    expect(measured.conditions[0].distance).toBeCloseTo(0.2);
+    expect(measured.distance).toBeCloseTo((0.2 + 0 + 0.8) / 3);
+  });
+});
+
+describe('EndingResolver', () => {
+  const instanceId = 'alexander-kane@user_42';
+  let engine;
+  let resolver;
+  let db;
+
+  beforeEach(() => {
+    engine = Object.assign(new EventEmitter(), {
+      instances: new InstanceRegistry(),
+      storyContexts: new Map(),
+      narrativeEngine: new NarrativeEngine()
+    });
+    engine.narrativeEngine.loadStoryFragments = vi.fn(async (storyId) => {
+      engine.narrativeEngine.storyProgress.set(storyId, { fragmentsTriggered: new Set() });
+      engine.narrativeEngine.triggeredFragments.set(storyId, new Set());
+      engine.narrativeEngine.fragmentLoader.fragments.set(`${storyId}:resolutions`, [
+        { id: 'acceptance-epilogue', type: 'resolution', content: { text: 'Love compiles.' }, triggers: { conditions: [{ type: 'achievement', target: 'acceptance', operator: '==', value: true }] } },
+        { id: 'collapse-epilogue', type: 'resolution', content: { text: 'Silence.' }, triggers: { conditions: [{ type: 'achievement', target: 'system_collapse', operator: '==', value: true }] } }
+      ]);
+    });
+    db = { awardAchievement: vi.fn(() => true) };
+    resolver = new EndingResolver({ db });
+    resolver.addStory(storyConfig);
+    resolver.attach(engine);
+  });
+
+  it('reports visible endings for the story the character stars in', async () => {
+    engine.instances.set(instanceId, createInstance());
+    const progress = vi.fn();
+    resolver.on('endingProgress', progress);
+
+    const report = await resolver.resolve(instanceId);
+    expect(report.storyId).toBe('fractured-time');
+    expect(report.reached).toBeNull();
+    expect(report.endings.map(e => e.id)).toEqual(['acceptance', 'eternal_search', 'parallel_peace', 'system_collapse']);
+    expect(report.endings.find(e => e.id === 'system_collapse').progress).toBeCloseTo(0.2);
+
+    await resolver.resolve(instanceId);
+    expect(progress).toHaveBeenCalledTimes(1);
+  });
+
+  it('locks in the first ending met, plays its fragments and records the achievement', async () => {
+    const instance = createInstance({
+      stability: 0.9,
+      metrics: { 'emily_connection.strength': 0.8, 'grief.processed': 0.85 }
+    });
+    engine.instances.set(instanceId, instance);
+    const reached = vi.fn();
+    resolver.on('endingReached', reached);
+
+    await resolver.resolve(instanceId);
+    expect(reached).toHaveBeenCalledTimes(1);
+    const result = reached.mock.calls[0][0];
+    expect(result.ending).toEqual({ id: 'acceptance', type: 'success', achievement: 'Quantum Acceptance' });
+    expect(result.fragments.map(f => f.id)).toEqual(['acceptance-epilogue']);
+    expect(result.achievement).toEqual({ name: 'Quantum Acceptance', recorded: true });
+    expect(db.awardAchievement).toHaveBeenCalledWith(42, {
+      achievement: 'Quantum Acceptance', storyId: 'fractured-time', endingId: 'acceptance', characterId: 'alexander-kane'
+    });
+    expect(engine.narrativeEngine.storyProgress.get('fractured-time').fragmentsTriggered.has('acceptance-epilogue')).toBe(true);
+
+    // Later states cannot move the player to another ending
+    instance.state.corruption = 1;
+    const report = await resolver.resolve(instanceId);
+    expect(report.reached).toBe('acceptance');
+    expect(reached).toHaveBeenCalledTimes(1);
+  });
+
+  it('reads process flags and keeps guest achievements off the books', async () => {
+    const guestId = 'alexander-kane@guest_tab-12345678';
+    engine.instances.set(guestId, createInstance({ stability: 0.2 }, [{ name: 'obsession_loop.exe' }]));
+    const reached = vi.fn();
+    resolver.on('endingReached', reached);
+
+    await resolver.resolve(guestId);
+    expect(reached.mock.calls[0][0].ending.id).toBe('eternal_search');
+    expect(reached.mock.calls[0][0].achievement).toBeNull();
+    expect(db.awardAchievement).not.toHaveBeenCalled();
+  });
+
+  it('resolves on state updates and forgets unloaded instances', async () => {
+    engine.instances.set(instanceId, createInstance({ corruption: 1 }));
+    const reached = new Promise(resolve => resolver.once('endingReached', resolve));
+
+    engine.emit('stateUpdate', { characterId: instanceId });
+    expect((await reached).ending.id).toBe('system_collapse');
+
+    engine.emit('characterUnloaded', { characterId: instanceId });
+    expect(resolver.getReachedEnding(instanceId)).toBeNull();
+  });
+
+  it('resolves after debug commands and interventions on the instance clock', async () => {
+    const instance = createInstance({ corruption: 1 });
+    instance.clock = new SimulatedClock({ start: Date.parse('2024-03-15T14:00:00Z'), tickLength: 1000 });
+    engine.instances.set(instanceId, instance);
+    const reached = new Promise(resolve => resolver.once('endingReached', resolve));
+
+    engine.emit('interventionApplied', { characterId: instanceId, interventionId: 'force-terminate' });
+    expect(await reached).toMatchObject({ ending: { id: 'system_collapse' }, reachedAt: Date.parse('2024-03-15T14:00:00Z') });
+
+    const guestId = 'alexander-kane@guest_tab-12345678';
+    engine.instances.set(guestId, createInstance({ corruption: 1 }));
+    const guestReached = new Promise(resolve => resolver.once('endingReached', resolve));
+    engine.emit('debug-command-executed', { characterId: guestId, command: 'kill' });
+    expect((await guestReached).characterId).toBe(guestId);
+  });
+
+  it('exports a locked ending and imports it for another instance', async () => {
+    engine.instances.set(instanceId, createInstance({ corruption: 1 }));
+    await resolver.resolve(instanceId);
+    const saved = resolver.exportEnding(instanceId);
+    expect(saved.ending.id).toBe('system_collapse');
+
+    const otherId = 'alexander-kane@user_43';
+    resolver.importEnding(otherId, saved);
+    expect(resolver.getReachedEnding(otherId)).toMatchObject({ characterId: otherId, ending: { id: 'system_collapse' } });
+    resolver.importEnding(otherId, null);
+    expect(resolver.getReachedEnding(otherId)).toBeNull();
+    expect(resolver.exportEnding('alexander-kane@user_44')).toBeNull();
+  });
+});
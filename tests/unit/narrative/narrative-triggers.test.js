@@ -0,0 +1,219 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { NarrativeTriggerLibrary, buildTriggerContext } from '../../../lib/narrative/narrative-triggers.js';
+import NarrativeIntegration from '../../../lib/narrative-integration.js';
+import MemoryManager from '../../../lib/MemoryManager.js';
+import { InstanceRegistry } from '../../../lib/engine/instance-registry.js';
+
+const instanceId = 'alexander-kane@user_7';
+
+function trigger(overrides = {}) {
+  return {
+    id: 'grief_spike',
+    condition: { type: 'threshold', variable: 'grief_processing.memory', operator: '>', threshold: 800 },
+    narrative: { type: 'character_moment', content: { title: 'Spike', text: 'Too much.' } },
+    ...overrides
+  };
+}
+
+function createEngine(processes) {
+  const instances = new InstanceRegistry();
+  instances.set(instanceId, {
+    state: { stability: 0.6, corruption: 0.1 },
+    processManager: { processes: new Map(processes.map(p => [p.pid, { status: 'running', ...p }])) }
+  });
+  return Object.assign(new EventEmitter(), { instances });
+}
+
+describe('NarrativeTriggerLibrary', () => {
+  let storiesDir;
+
+  const write = async (file, data) => {
+    const full = path.join(storiesDir, 'story1', 'narrative-fragments', 'narrative-triggers', file);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    await fs.writeFile(full, typeof data === 'string' ? data : JSON.stringify(data));
+  };
+
+  beforeEach(async () => {
+    storiesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'narrative-triggers-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(storiesDir, { recursive: true, force: true });
+  });
+
+  it('loads the shipped story triggers without errors', async () => {
+    const library = new NarrativeTriggerLibrary();
+    const errors = vi.fn();
+    library.on('error', errors);
+
+    await library.initialize();
+    expect(errors).not.toHaveBeenCalled();
+    expect([...library.values()].map(t => t.id)).toEqual(expect.arrayContaining([
+      'grief_memory_leak', 'first_consciousness_scan', 'emily_thread_starvation', 'infinite_search_detected', 'aggressive_termination',
+      'suppressed_grief_resurfaces'
+    ]));
+  });
+
+  it('skips invalid and duplicate definitions', async () => {
+    await write('a.json', trigger());
+    await write('b.json', trigger());
+    await write('c.json', trigger({ id: 'bad', condition: { type: 'threshold', variable: 'x' } }));
+    const library = new NarrativeTriggerLibrary({ storiesDir });
+    const errors = [];
+    library.on('error', e => errors.push(`${e.file}: ${e.error.message}`));
+
+    await library.initialize();
+    expect([...library.values()].map(t => [t.id, t.source, t.once, t.cooldown])).toEqual([['grief_spike', 'a.json', true, 0]]);
+    expect(errors).toEqual([
+      expect.stringMatching(/^b\.json: Duplicate narrative trigger 'grief_spike'/),
+      expect.stringMatching(/^c\.json: Invalid narrative trigger c\.json: .*threshold/)
+    ]);
+  });
+
+  it('keeps the previous version when a reload fails and drops deleted files', async () => {
+    await write('a.json', trigger());
+    const library = new NarrativeTriggerLibrary({ storiesDir });
+    await library.initialize();
+    const errors = vi.fn();
+    library.on('error', errors);
+
+    await write('a.json', '{ "id": ');
+    await library.reloadFile('story1', 'a.json');
+    expect(errors).toHaveBeenCalledWith(expect.objectContaining({ type: 'reload', file: 'a.json' }));
+    expect(library.triggers.get('grief_spike')).toBeDefined();
+
+    await write('a.json', trigger({ id: 'grief_peak', cooldown: 500 }));
+    await library.reloadFile('story1', 'a.json');
+    expect([...library.triggers.keys()]).toEqual(['grief_peak']);
+
+    await fs.rm(path.join(library.triggerDir('story1'), 'a.json'));
+    await library.reloadFile('story1', 'a.json');
+    expect(library.size).toBe(0);
+  });
+});
+
+describe('NarrativeIntegration triggers', () => {
+  let engine;
+  let narrative;
+  let library;
+  let fired;
+
+  const load = (...definitions) => {
+    definitions.forEach((definition, i) => library.add({ once: true, cooldown: 0, ...definition, storyId: 'story1', source: `${i}.json` }));
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    engine = createEngine([{ pid: 1001, name: 'grief_processing.exe', memoryUsage: 500, threadCount: 4 }]);
+    library = new NarrativeTriggerLibrary();
+    narrative = new NarrativeIntegration({ triggers: library });
+    narrative.attach(engine);
+    fired = [];
+    narrative.on('narrativeTriggered', ({ triggerId }) => fired.push(triggerId));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('builds a flat context from metrics, processes, story progress and the command', () => {
+    const context = buildTriggerContext(engine.instances.get(instanceId), narrative.getStoryProgress(instanceId), { command: 'ps' });
+    expect(context).toMatchObject({
+      stability: 0.6,
+      'grief_processing.active': true,
+      'grief_processing.memory': 500,
+      'emotion.denial': 1,
+      command: 'ps'
+    });
+  });
+
+  it('fires once-only triggers the first time their condition holds', async () => {
+    load(trigger({ narrative: { ...trigger().narrative, visualCue: { type: 'memory_fragment', location: 'monitor' } } }));
+    const grief = engine.instances.get(instanceId).processManager.processes.get(1001);
+
+    expect(await narrative.checkNarrativeTriggers(instanceId)).toEqual([]);
+    grief.memoryUsage = 900;
+    expect(await narrative.checkNarrativeTriggers(instanceId)).toEqual(['grief_spike']);
+    expect(narrative.getVisualCues(instanceId)).toEqual([expect.objectContaining({ type: 'memory_fragment', location: 'monitor' })]);
+
+    grief.memoryUsage = 400;
+    await narrative.checkNarrativeTriggers(instanceId);
+    grief.memoryUsage = 950;
+    await narrative.checkNarrativeTriggers(instanceId);
+    expect(fired).toEqual(['grief_spike']);
+  });
+
+  it('refires repeatable triggers on each rising edge after the cooldown', async () => {
+    vi.useFakeTimers({ now: 0 });
+    load(trigger({ once: false, cooldown: 7000 }));
+    const grief = engine.instances.get(instanceId).processManager.processes.get(1001);
+    const spike = async (memory) => {
+      grief.memoryUsage = memory;
+      vi.advanceTimersByTime(2000);
+      return narrative.checkNarrativeTriggers(instanceId);
+    };
+
+    expect(await spike(900)).toEqual(['grief_spike']);
+    expect(await spike(910)).toEqual([]); // still holding
+    await spike(100);
+    expect(await spike(920)).toEqual([]); // cooling down
+    await spike(100);
+    expect(await spike(930)).toEqual(['grief_spike']);
+  });
+
+  it('matches debug commands and counts them for temporal conditions', async () => {
+    load(
+      trigger({ id: 'first_scan', condition: { type: 'simple', target: 'command', operator: '==', value: 'ps' } }),
+      trigger({ id: 'kill_spree', condition: { type: 'temporal', eventType: 'kill', timeWindow: 60000, minOccurrences: 3 } })
+    );
+    const command = (name, result = {}) => narrative.processUserAction({ characterId: instanceId, command: name, result });
+
+    await command('top');
+    await command('ps');
+    await command('ps');
+    await command('kill', { error: 'Process not found' });
+    await command('kill');
+    await command('kill');
+    expect(fired).toEqual(['first_scan']);
+    await command('kill');
+    expect(fired).toEqual(['first_scan', 'kill_spree']);
+    expect(narrative.getStoryProgress(instanceId)).toMatchObject({ debuggingSuccesses: 6, debuggingFailures: 1 });
+  });
+
+  it('resurfaces swapped-out memories when a paging trigger fires', async () => {
+    load(trigger({
+      id: 'grief_resurfaces',
+      condition: { type: 'threshold', variable: 'swapped.grief', operator: '>', threshold: 0 },
+      narrative: { ...trigger().narrative, resurface: { emotion: 'grief' } }
+    }));
+    const manager = new MemoryManager({ state: {} });
+    manager.setupMemoryPools();
+    manager.initializeEmotionalIndexes();
+    const id = manager.allocateMemory({ description: 'The ducks at the pond', emotions: ['grief'] });
+    manager.swap.swapOut(manager.memorySegments.get(id));
+    engine.instances.get(instanceId).memoryState = { manager };
+    const triggered = new Promise(resolve => narrative.once('narrativeTriggered', resolve));
+
+    expect(buildTriggerContext(engine.instances.get(instanceId), null)).toMatchObject({ 'memory.swapped': 1, 'swapped.grief': 1 });
+    expect(await narrative.checkNarrativeTriggers(instanceId)).toEqual(['grief_resurfaces']);
+    expect((await triggered).narrative.resurfaced).toEqual([{ id, description: 'The ducks at the pond', emotions: ['grief'] }]);
+    expect(manager.memorySegments.has(id)).toBe(true);
+  });
+
+  it('checks triggers on state updates and forgets unloaded instances', async () => {
+    load(trigger({ condition: { type: 'simple', target: 'stability', operator: '<', value: 0.5 } }));
+    engine.instances.get(instanceId).state.stability = 0.3;
+    const triggered = new Promise(resolve => narrative.once('narrativeTriggered', resolve));
+
+    engine.emit('stateUpdate', { characterId: instanceId });
+    expect((await triggered).triggerId).toBe('grief_spike');
+
+    engine.emit('characterUnloaded', { characterId: instanceId });
+    expect(narrative.triggerStates.has(instanceId)).toBe(false);
+    expect(narrative.hasSeenNarrative(instanceId, 'grief_spike')).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import {
+  PlaythroughRunner,
+  loadPlaythrough,
+  checkPlaythrough,
+  validatePlaythrough
+} from '../../../lib/playthrough/playthrough-runner.js';
+
+const playthroughDir = path.join(process.cwd(), 'tests', 'playthroughs');
+const scripts = fs.readdirSync(playthroughDir).filter(file => file.endsWith('.json')).sort();
+
+describe('playthrough fixtures', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it.each(scripts)('%s replays to its expected outcome', async (file) => {
+    const script = await loadPlaythrough(path.join(playthroughDir, file));
+    const record = await new PlaythroughRunner().run(script);
+
+    expect(record.errors).toEqual([]);
+    expect(checkPlaythrough(record, script.expect)).toEqual([]);
+  }, 30000);
+
+  it('records when each fragment, scenario event and the ending were reached', async () => {
+    const script = await loadPlaythrough(path.join(playthroughDir, 'kill-grief-early.json'));
+    const record = await new PlaythroughRunner().run(script);
+
+    expect(record.steps).toEqual([{ turn: 3, command: 'kill', args: { pid: 1001 }, result: { success: true } }]);
+    expect(record.fragments).toContainEqual({ turn: 1, id: 'grief_memory_leak', source: 'trigger' });
+    // the_flash is due 180 simulated seconds in: turn 37 of 5s turns
+    expect(record.scenarioEvents[0]).toEqual(
+      { turn: 37, scenarioId: 'scenario_1_experiment_day', eventId: 'the_flash', type: 'catastrophic' }
+    );
+    expect(record.ending).toMatchObject({ id: 'system_collapse', type: 'failure' });
+    // Play stops once the ending is locked in
+    expect(record.turns).toBe(record.ending.turn);
+  }, 30000);
+});
+
+describe('checkPlaythrough', () => {
+  const record = {
+    steps: [
+      { turn: 1, command: 'kill', args: { pid: 1001 }, result: { success: false, error: 'Process not found' } },
+      { turn: 2, intervention: 'loop-breaker', fails: true, result: { success: true } }
+    ],
+    fragments: [{ turn: 1, id: 'grief_memory_leak', source: 'trigger' }],
+    scenarioEvents: [],
+    scenarios: { scenario_1_experiment_day: { startedAt: 1, outcome: 'shocked', completedAt: 40 } },
+    choices: [],
+    ending: null
+  };
+
+  it('reports every way a record diverges from the script', () => {
+    expect(checkPlaythrough(record, {
+      ending: 'system_collapse',
+      scenarios: { scenario_1_experiment_day: 'shattered' },
+      fragments: ['grief_memory_leak', 'first_consciousness_scan'],
+      scenarioEvents: ['the_flash'],
+      choices: ['search_or_accept']
+    })).toEqual([
+      'ending: expected "system_collapse", got null',
+      'scenario scenario_1_experiment_day: expected outcome "shattered", got "shocked"',
+      "fragment 'first_consciousness_scan' was not reached",
+      "scenario event 'the_flash' was not reached",
+      "choice 'search_or_accept' was not reached",
+      'turn 1 kill: Process not found',
+      'turn 2 loop-breaker: expected to fail but succeeded'
+    ]);
+  });
+
+  it('rejects scripts it cannot run', () => {
+    expect(() => validatePlaythrough({
+      name: 'broken',
+      character: 'alexander-kane',
+      turns: 3,
+      steps: [{ turn: 4, command: 'ps' }, { turn: 1, command: 'ps', intervention: 'loop-breaker' }, { turn: 1, choice: 'x' }]
+    })).toThrow(
+      "Invalid playthrough 'broken': step 0 turn must be between 1 and 3; " +
+      'step 1 needs exactly one of command, intervention or choice; step 2 makes a choice but the script names no story'
+    );
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi } from 'vitest';
+import ProcessManager from '../../../lib/ProcessManager.js';
+import ProcessEvolutionSystem from '../../../lib/ProcessEvolutionSystem.js';
+import { TickLoop } from '../../../lib/engine/tick-loop.js';
+import { findProcess } from '../../../lib/scenario/scenario-context.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+
+const resources = {
+    cpu: { maxUsage: 100 },
+    threads: { max: 32, reserved: 4 },
+    attention: { total: 100 }
+};
+
+async function createManager() {
+    const eventBus = { emit: vi.fn() };
+    const consciousness = {
+        resources,
+        clock: new SimulatedClock({ start: 0, tickLength: 1000 }),
+        state: { metrics: {}, interventions: [], memoryAccess: {} }
+    };
+    const manager = new ProcessManager(consciousness, {
+        eventBus,
+        logger: { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() }
+    });
+    consciousness.processManager = manager;
+    await manager.createBaseProcess({ pid: 1001, name: 'grief_processing', cpu_usage: 40, memory_mb: 847, threads: 12 });
+    await manager.createBaseProcess({ pid: 1004, name: 'emily_connection', cpu_usage: 10, memory_mb: 64, threads: 1 });
+    return { manager, consciousness, eventBus };
+}
+
+describe('ProcessEvolutionSystem', () => {
+    it('finds stage rules by the name a lineage started under and only moves forward', () => {
+        const evolution = new ProcessEvolutionSystem();
+        const grief = { name: 'grief_processing' };
+        expect(evolution.nextStage(grief, {})).toBeNull();
+
+        const overflowing = { memoryAccess: { leo_memories: 11 } };
+        expect(evolution.nextStage(grief, overflowing)).toMatchObject({ root: 'grief_processing', stage: 'triggered' });
+
+        const evolved = { name: 'grief_overflow.exe', evolution: { root: 'grief_processing', stage: 'triggered' } };
+        expect(evolution.nextStage(evolved, overflowing)).toBeNull();
+        expect(evolution.nextStage(evolved, { playerInterventions: ['memory-release'] }))
+            .toMatchObject({ stage: 'managed', transform: { name: 'grief_manager_optimized.exe' } });
+
+        expect(evolution.nextStage({ name: 'emily_connection' }, overflowing)).toBeNull();
+    });
+});
+
+describe('ProcessManager evolution', () => {
+    it('renames and re-resources a process in place and records its lineage', async () => {
+        const { manager, consciousness, eventBus } = await createManager();
+
+        expect((await manager.tick()).filter(u => u.type === 'process_evolved')).toEqual([]);
+
+        consciousness.state.memoryAccess = { leo_memories: 11 };
+        consciousness.clock.advance(5000);
+        const updates = await manager.tick();
+
+        const grief = manager.processes.get('base_1001');
+        expect(grief).toMatchObject({ pid: 1001, name: 'grief_overflow.exe', memoryUsage: 1024 });
+        expect(grief.currentIssues).toContainEqual(expect.objectContaining({ type: 'evolution_error', severity: 'high' }));
+        expect(updates).toContainEqual(expect.objectContaining({
+            type: 'process_evolved',
+            pid: 1001,
+            from: 'grief_processing',
+            to: 'grief_overflow.exe',
+            stage: 'triggered',
+            condition: 'critical',
+            timestamp: 5000
+        }));
+        expect(eventBus.emit).toHaveBeenCalledWith('ProcessEvolved', expect.objectContaining({
+            processName: 'grief_overflow.exe',
+            lineage: ['grief_processing', 'grief_overflow.exe']
+        }));
+
+        // Scenarios and interventions still reach it by its original name
+        expect(findProcess(consciousness, 'grief_processing')).toBe(grief);
+
+        consciousness.state.interventions = ['memory-release'];
+        await manager.tick();
+        expect(grief.currentIssues.map(i => i.type)).not.toContain('evolution_error');
+        expect(manager.getProcessList().find(p => p.pid === 1001).lineage)
+            .toEqual(['grief_processing', 'grief_overflow.exe', 'grief_manager_optimized.exe']);
+        expect(manager.getProcessList().find(p => p.pid === 1004).lineage).toBeNull();
+    });
+
+    it('is reported by the tick loop', async () => {
+        const { manager, consciousness } = await createManager();
+        consciousness.state.memoryAccess = { leo_memories: 11 };
+        const instance = {
+            processManager: manager,
+            getState: () => ({}),
+            tick: async () => {
+                const processUpdates = await manager.tick();
+                return { stateChanges: [], processUpdates, hasChanges: true };
+            }
+        };
+        const engine = {
+            instances: new Map([['alexander-kane', instance]]),
+            processEvolution: { checkForEmergentProcesses: vi.fn(() => []) },
+            storyContexts: new Map(),
+            emit: vi.fn()
+        };
+
+        await new TickLoop(engine).tickInstance('alexander-kane', instance);
+
+        expect(engine.emit).toHaveBeenCalledWith('processEvolved', expect.objectContaining({
+            characterId: 'alexander-kane',
+            pid: 1001,
+            to: 'grief_overflow.exe',
+            narrative: "Alexander's grief spirals out of control, consuming all available resources."
+        }));
+    });
+});
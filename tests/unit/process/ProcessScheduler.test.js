@@ -0,0 +1,126 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ProcessScheduler, parseNice, weightForNice } from '../../../lib/process/ProcessScheduler.js';
+import ProcessManager from '../../../lib/ProcessManager.js';
+
+const resources = {
+    cpu: { maxUsage: 100 },
+    threads: { max: 32, reserved: 4 },
+    attention: { total: 100 }
+};
+
+function createProcess(id, nice, cpuUsage, threadCount = 1) {
+    return { id, pid: id, name: `proc_${id}`, status: 'running', nice, cpuUsage, threadCount, currentIssues: [] };
+}
+
+describe('ProcessScheduler', () => {
+    it('parses nice values and named levels', () => {
+        expect(parseNice(-5)).toBe(-5);
+        expect(parseNice('7')).toBe(7);
+        expect(parseNice('high')).toBe(-10);
+        expect(() => parseNice(25)).toThrow('Invalid priority level');
+        expect(() => parseNice('urgent')).toThrow('Invalid priority level');
+    });
+
+    it('gives every process its demand when capacity allows', () => {
+        const scheduler = new ProcessScheduler();
+        const processes = [createProcess(1, 0, 30, 2), createProcess(2, 10, 20, 1)];
+
+        scheduler.schedule(processes, resources);
+
+        expect(processes.map(p => p.cpuUsage)).toEqual([30, 20]);
+        expect(processes.map(p => p.threadCount)).toEqual([2, 1]);
+    });
+
+    it('splits contended CPU by weight and redistributes unused share', () => {
+        const scheduler = new ProcessScheduler();
+        const greedy = createProcess(1, 0, 90);
+        const equal = createProcess(2, 0, 90);
+        const modest = createProcess(3, 0, 10);
+
+        scheduler.schedule([greedy, equal, modest], resources);
+
+        // modest gets its 10, the remaining 90 is split evenly
+        expect(modest.cpuUsage).toBe(10);
+        expect(greedy.cpuUsage).toBe(45);
+        expect(equal.cpuUsage).toBe(45);
+
+        const high = createProcess(4, -5, 100);
+        const low = createProcess(5, 5, 100);
+        scheduler.schedule([high, low], resources);
+        const ratio = weightForNice(-5) / weightForNice(5);
+        expect(high.cpuUsage / low.cpuUsage).toBeCloseTo(ratio, 1);
+    });
+
+    it('reports starvation after consecutive starved ticks and recovery afterwards', () => {
+        const scheduler = new ProcessScheduler({ starvationTicks: 2 });
+        const grief = createProcess(1, -20, 100);
+        const emily = createProcess(2, 10, 10);
+
+        expect(scheduler.schedule([grief, emily], resources).starved).toEqual([]);
+        expect(scheduler.schedule([grief, emily], resources).starved).toEqual([emily]);
+        expect(scheduler.schedule([grief, emily], resources).starved).toEqual([]);
+
+        emily.nice = -20;
+        const { recovered } = scheduler.schedule([grief, emily], resources);
+        expect(recovered).toEqual([emily]);
+        expect(emily.cpuUsage).toBe(10);
+    });
+
+    it('takes new demand from usage changed outside the scheduler', () => {
+        const scheduler = new ProcessScheduler();
+        const process = createProcess(1, 0, 40);
+        scheduler.schedule([process], resources);
+
+        process.cpuUsage = 25; // e.g. an optimization throttled it
+        scheduler.schedule([process], resources);
+
+        expect(process.scheduling.demand.cpu).toBe(25);
+    });
+});
+
+describe('ProcessManager scheduling', () => {
+    async function createManager() {
+        const eventBus = { emit: vi.fn() };
+        const manager = new ProcessManager({ resources }, {
+            eventBus,
+            schedulerOptions: { starvationTicks: 1 },
+            logger: { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() }
+        });
+        await manager.createBaseProcess({ pid: 1001, name: 'grief_processing', priority: -5, nice: -20, cpu_usage: 99, threads: 12 });
+        await manager.createBaseProcess({ pid: 1004, name: 'emily_connection', priority: 10, nice: 10, cpu_usage: 30, threads: 1 });
+        return { manager, eventBus };
+    }
+
+    it('reads nice values from character data', async () => {
+        const { manager } = await createManager();
+        expect(manager.processes.get('base_1001')).toMatchObject({ nice: -20, priority: 'critical' });
+        expect(manager.processes.get('base_1004')).toMatchObject({ nice: 10, priority: 'low' });
+    });
+
+    it('marks the relationship handler starved on tick', async () => {
+        const { manager, eventBus } = await createManager();
+
+        const updates = await manager.tick();
+
+        const emily = manager.processes.get('base_1004');
+        expect(emily.status).toBe('starved');
+        expect(emily.currentIssues.map(i => i.type)).toContain('thread_starvation');
+        expect(updates).toContainEqual(expect.objectContaining({ type: 'process_starvation', processId: 'base_1004' }));
+        expect(eventBus.emit).toHaveBeenCalledWith('ProcessStarved', expect.objectContaining({ processName: 'emily_connection' }));
+    });
+
+    it('renices through the CommandExecutor and undoes the change', async () => {
+        const { manager } = await createManager();
+        await manager.tick();
+
+        const result = await manager.reniceProcess(1004, -20);
+        expect(result).toMatchObject({ previousNice: 10, nice: -20, priority: 'critical' });
+
+        const updates = await manager.tick();
+        expect(manager.processes.get('base_1004').status).toBe('running');
+        expect(updates).toContainEqual(expect.objectContaining({ type: 'process_starvation_resolved' }));
+
+        await manager.undoLastCommand();
+        expect(manager.processes.get('base_1004')).toMatchObject({ nice: 10, priority: 'low' });
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi } from 'vitest';
+import ProcessManager from '../../../lib/ProcessManager.js';
+import MemoryManager from '../../../lib/MemoryManager.js';
+import { parseSignal, handlerFor } from '../../../lib/process/signals.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+
+function emotionalState(levels) {
+    let state = { ...levels };
+    return {
+        modifyEmotion: vi.fn(async (emotion, delta) => { state[emotion] = (state[emotion] || 0) + delta; }),
+        captureState: () => ({ state: { ...state } }),
+        restoreState: async (saved) => { state = { ...saved.state }; },
+        getGraph: () => ({ processes: [{ emotion: 'grief', process: 'grief_processing', cpu: 10, memory: 100 }] }),
+        levels: () => state
+    };
+}
+
+async function createManager() {
+    const eventBus = { emit: vi.fn() };
+    const consciousness = {
+        resources: { cpu: { maxUsage: 100 }, threads: { max: 32, reserved: 4 }, attention: { total: 100 } },
+        clock: new SimulatedClock({ start: 0, tickLength: 1000 }),
+        state: { stability: 0.5, corruption: 0.2, metrics: {}, interventions: [], memoryAccess: {} },
+        emotionalState: emotionalState({ grief: 0.5, guilt: 0.3 })
+    };
+    consciousness.memoryState = { manager: new MemoryManager(consciousness) };
+    const manager = new ProcessManager(consciousness, {
+        eventBus,
+        logger: { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() }
+    });
+    consciousness.processManager = manager;
+    await manager.createBaseProcess({ pid: 1001, name: 'grief_processing', cpu_usage: 40, memory_mb: 847, threads: 12, priority: -5, nice: -20 });
+    await manager.createBaseProcess({ pid: 1005, name: 'reality_check', cpu_usage: 12, memory_mb: 128 });
+    return { manager, consciousness, eventBus };
+}
+
+describe('signals', () => {
+    it('resolves signals by name, short name or number', () => {
+        expect(parseSignal('-STOP')).toBe('SIGSTOP');
+        expect(parseSignal('SIGcont')).toBe('SIGCONT');
+        expect(parseSignal('-9')).toBe('SIGKILL');
+        expect(parseSignal(15)).toBe('SIGTERM');
+        expect(() => parseSignal('-USR1')).toThrow('Unknown signal: -USR1');
+    });
+
+    it('only lets catchable signals have handlers', () => {
+        const process = { config: { signals: { SIGTERM: { action: 'ignore' }, SIGKILL: { action: 'ignore' }, SIGHUP: { message: 'hup' } } } };
+        expect(handlerFor(process, 'SIGTERM')).toEqual({ action: 'ignore' });
+        expect(handlerFor(process, 'SIGHUP')).toEqual({ action: 'default', message: 'hup' });
+        expect(handlerFor(process, 'SIGKILL')).toBeNull();
+        expect(handlerFor(process, 'SIGCONT')).toBeNull();
+    });
+});
+
+describe('ProcessManager signals', () => {
+    it('stops a process until SIGCONT and undoes either', async () => {
+        const { manager, eventBus } = await createManager();
+        const grief = manager.processes.get('base_1001');
+
+        expect(await manager.signalProcess(1001, '-STOP')).toMatchObject({ signal: 'SIGSTOP', action: 'stopped', status: 'stopped' });
+        await manager.tick();
+        expect(grief.status).toBe('stopped');
+        expect(eventBus.emit).toHaveBeenCalledWith('ProcessSignaled', expect.objectContaining({ signal: 'SIGSTOP', handled: false }));
+
+        expect(await manager.signalProcess(1001, 'CONT')).toMatchObject({ action: 'continued', status: 'running' });
+        expect(grief.stoppedFrom).toBeUndefined();
+        expect((await manager.signalProcess(1001, 'CONT')).action).toBe('not_stopped');
+
+        await manager.undoLastCommand();
+        await manager.undoLastCommand();
+        expect(grief.status).toBe('stopped');
+        await manager.undoLastCommand();
+        expect(grief.status).toBe('running');
+        expect('stoppedFrom' in grief).toBe(false);
+    });
+
+    it('frees the memory a process holds on SIGTERM and puts it back on undo', async () => {
+        const { manager, consciousness } = await createManager();
+        const memory = consciousness.memoryState.manager;
+        const held = memory.allocateMemory({ processId: 'base_1001', content: 'Leo at the park', emotions: ['grief'], emotionalIntensity: 0.9 }, 'traumatic');
+        memory.allocateMemory({ processId: 'base_1005', content: 'The kitchen this morning' });
+        const allocated = memory.memoryCapacity.allocated;
+        const size = memory.memorySegments.get(held).size;
+
+        const result = await manager.signalProcess(1001, 'SIGTERM');
+        expect(result).toMatchObject({ action: 'terminated', status: 'terminated', exitCode: -15, memoryReleased: size });
+        expect(memory.memorySegments.has(held)).toBe(false);
+        expect(memory.memoryPools.traumatic.has(held)).toBe(false);
+        expect(memory.memoryCapacity.allocated).toBe(allocated - size);
+        expect(manager.performanceMetrics.killedProcesses).toBe(1);
+
+        await manager.undoLastCommand();
+        expect(manager.processes.get('base_1001').status).toBe('running');
+        expect(memory.memoryPools.traumatic.get(held)).toBe(memory.memorySegments.get(held));
+        expect(memory.memoryCapacity.allocated).toBe(allocated);
+        expect(manager.performanceMetrics.killedProcesses).toBe(0);
+    });
+
+    it('stirs up the emotions behind a process on SIGKILL', async () => {
+        const { manager, consciousness } = await createManager();
+
+        const result = await manager.signalProcess(1001, -9);
+        expect(result).toMatchObject({ action: 'killed', exitCode: -9, emotions: { grief: 0.15 } });
+        expect(consciousness.emotionalState.levels().grief).toBeCloseTo(0.65, 5);
+        await expect(manager.signalProcess(1001, 'CONT')).rejects.toThrow('Process base_1001 is terminated and cannot be signaled');
+
+        await manager.undoLastCommand();
+        expect(consciousness.emotionalState.levels().grief).toBe(0.5);
+        expect(manager.processes.get('base_1001').exitCode).toBeUndefined();
+    });
+
+    it('reloads resources from the process config on SIGHUP', async () => {
+        const { manager } = await createManager();
+        const grief = manager.processes.get('base_1001');
+        await manager.reniceProcess(1001, 10);
+        grief.cpuUsage = 95;
+        grief.memoryUsage = 2048;
+
+        expect((await manager.signalProcess(1001, 'HUP')).action).toBe('reloaded');
+        expect(grief).toMatchObject({ cpuUsage: 40, memoryUsage: 847, threadCount: 12, nice: -20, priority: 'critical' });
+
+        await manager.undoLastCommand();
+        expect(grief).toMatchObject({ cpuUsage: 95, memoryUsage: 2048, nice: 10 });
+    });
+
+    it('runs custom handlers from the character data', async () => {
+        const { manager, consciousness } = await createManager();
+        const grief = manager.processes.get('base_1001');
+        grief.config.signals = { SIGTERM: { action: 'ignore', emotions: { guilt: 0.05 }, metrics: { stability: '-0.1' }, message: 'Not yet.' } };
+
+        const result = await manager.signalProcess(1001, 'TERM');
+        expect(result).toMatchObject({ action: 'ignored', handled: true, message: 'Not yet.', status: 'running', emotions: { guilt: 0.05 } });
+        expect(consciousness.state.stability).toBeCloseTo(0.4, 5);
+
+        await manager.undoLastCommand();
+        expect(consciousness.state.stability).toBe(0.5);
+        expect(consciousness.emotionalState.levels().guilt).toBe(0.3);
+
+        // SIGKILL cannot be caught
+        grief.config.signals.SIGKILL = { action: 'ignore' };
+        expect((await manager.signalProcess(1001, 'KILL')).action).toBe('killed');
+    });
+});
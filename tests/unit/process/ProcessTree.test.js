@@ -0,0 +1,108 @@
+import { describe, it, expect, vi } from 'vitest';
+import ProcessManager from '../../../lib/ProcessManager.js';
+import { runBehaviors, MAX_CHILDREN } from '../../../lib/process/process-behaviors.js';
+import { spawnScenarioProcess } from '../../../lib/scenario/scenario-effects.js';
+import SimulatedClock from '../../../lib/instance/simulated-clock.js';
+
+const always = { chance: () => true };
+
+async function createManager() {
+    const consciousness = {
+        resources: { cpu: { maxUsage: 100 }, threads: { max: 32, reserved: 4 }, attention: { total: 100 } },
+        clock: new SimulatedClock({ start: 0, tickLength: 1000 }),
+        state: { metrics: {}, interventions: [], memoryAccess: {} }
+    };
+    const manager = new ProcessManager(consciousness, {
+        eventBus: { emit: vi.fn() },
+        logger: { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() },
+        rng: always
+    });
+    consciousness.processManager = manager;
+    await manager.createBaseProcess({ pid: 1002, name: 'search_protocol', cpu_usage: 40, memory_mb: 512, behaviors: ['recursive_thinking'] });
+    await manager.createBaseProcess({ pid: 1004, name: 'emily_connection', cpu_usage: 10, memory_mb: 64 });
+    return { manager, consciousness };
+}
+
+describe('process behaviors', () => {
+    it('lets recursive thinking fork sub-searches up to its limits', () => {
+        const search = { name: 'search_protocol.exe', cpuUsage: 40, memoryUsage: 512, forks: 1, behaviors: ['recursive_thinking', 'memory_accumulation'] };
+
+        expect(runBehaviors(search, { children: [], depth: 0, rng: always })).toEqual([{
+            name: 'search_protocol_sub_2',
+            cpu: 10,
+            memory: 64,
+            threads: 1,
+            behaviors: ['recursive_thinking'],
+            behavior: 'recursive_thinking'
+        }]);
+        expect(runBehaviors(search, { children: new Array(MAX_CHILDREN), depth: 0, rng: always })).toEqual([]);
+        expect(runBehaviors(search, { children: [], depth: 2, rng: always })).toEqual([]);
+        expect(runBehaviors(search, { children: [], depth: 0, rng: { chance: () => false } })).toEqual([]);
+    });
+});
+
+describe('ProcessManager process tree', () => {
+    it('spawns children under the process whose behavior forked them', async () => {
+        const { manager } = await createManager();
+
+        const updates = (await manager.tick()).filter(u => u.type === 'process_spawned');
+        expect(updates).toEqual([expect.objectContaining({
+            processName: 'search_protocol_sub_1',
+            ppid: 1002,
+            parentName: 'search_protocol',
+            behavior: 'recursive_thinking'
+        })]);
+
+        await manager.tick();
+        await manager.tick();
+        const tree = manager.getProcessTree();
+        expect(tree.map(node => node.pid)).toEqual([1002, 1004]);
+        expect(tree[0].children.map(node => node.name)).toEqual(['search_protocol_sub_1', 'search_protocol_sub_2', 'search_protocol_sub_3']);
+        expect(tree[0].children[0].children.map(node => node.name)).toEqual(['search_protocol_sub_1_sub_1', 'search_protocol_sub_1_sub_2']);
+        expect(manager.getProcessTree(updates[0].pid)).toHaveLength(1);
+        expect(() => manager.getProcessTree(4242)).toThrow('Process 4242 not found');
+        expect(manager.getProcessList().find(p => p.name === 'search_protocol_sub_1').ppid).toBe(1002);
+    });
+
+    it('orphans children of a killed parent by default and can undo it', async () => {
+        const { manager } = await createManager();
+        await manager.tick();
+        const child = manager.getProcessList().find(p => p.ppid === 1002);
+
+        const result = await manager.killProcess(1002);
+        expect(result).toMatchObject({ children: 'orphan', orphaned: [child.pid], cascaded: [] });
+        expect(manager.getProcessTree().map(node => node.pid)).toEqual([child.pid, 1004]);
+
+        await manager.undoLastCommand();
+        expect(manager.getProcessTree()[0].children.map(node => node.pid)).toEqual([child.pid]);
+    });
+
+    it('cascades a kill to every descendant and restores them on undo', async () => {
+        const { manager } = await createManager();
+        await manager.tick();
+        await manager.tick();
+        const descendants = manager.getProcessList().filter(p => p.ppid !== null).map(p => p.pid);
+        expect(descendants).toHaveLength(3);
+
+        const result = await manager.killProcess(1002, { children: 'cascade' });
+        expect(result.cascaded.sort()).toEqual(descendants.sort());
+        expect(manager.getProcessTree().map(node => node.pid)).toEqual([1004]);
+        expect(manager.performanceMetrics.killedProcesses).toBe(4);
+
+        await manager.undoLastCommand();
+        expect(manager.getProcessList().filter(p => p.status === 'terminated')).toEqual([]);
+        expect(manager.performanceMetrics.killedProcesses).toBe(0);
+
+        await expect(manager.killProcess(1002, { children: 'adopt' })).rejects.toThrow('Invalid children mode: adopt');
+    });
+
+    it('records the parent a scenario spawn forks from', async () => {
+        const { consciousness } = await createManager();
+
+        const spawned = await spawnScenarioProcess(consciousness, { name: 'timeline_analysis_v1.exe', parent: 'search_protocol', cpu: 56 }, 'scenario_2');
+        expect(spawned).toMatchObject({ ppid: 1002, modified: false });
+
+        const loose = await spawnScenarioProcess(consciousness, { name: 'temporal_shock.exe', parent: 'temporal_field_monitor.dll' }, 'scenario_1');
+        expect(loose.ppid).toBeNull();
+    });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import ScenarioEngine from '../../../lib/scenario-engine.js';
+import { ConsciousnessEngine } from '../../../lib/consciousness-engine.js';
+import { ConsciousnessInstance } from '../../../lib/consciousness-instance.js';
+import { InstanceRegistry } from '../../../lib/engine/instance-registry.js';
+import { buildScenarioContext, evaluateCondition, checkValue } from '../../../lib/scenario/scenario-context.js';
+
+const characterId = 'alexander-kane';
+
+async function createInstance() {
+  const data = JSON.parse(await fs.readFile(path.join(process.cwd(), 'data', 'characters', `${characterId}.json`), 'utf8'));
+  // Frozen: scenario time only moves when a test advances it
+  const instance = new ConsciousnessInstance({
+    ...data,
+    clock: { start: 0, mode: 'frozen' },
+    logger: { info: vi.fn(), error: vi.fn(), debug: vi.fn(), warn: vi.fn() }
+  });
+  await instance.initialize(data.defaultState);
+  return instance;
+}
+
+function liveProcess(instance, name) {
+  return Array.from(instance.processManager.processes.values())
+    .find(p => p.name === name && p.status !== 'terminated');
+}
+
+describe('ScenarioEngine runner', () => {
+  let instance;
+  let engine;
+  let scenarios;
+  let emitted;
+
+  beforeEach(async () => {
+    instance = await createInstance();
+    engine = new EventEmitter();
+    engine.instances = new InstanceRegistry().set(characterId, instance);
+
+    scenarios = new ScenarioEngine({ updateInterval: 0 });
+    vi.spyOn(scenarios, 'saveProgress').mockResolvedValue();
+    await scenarios.initialize();
+    scenarios.attach(engine);
+
+    emitted = [];
+    ['scenarioStarted', 'scenarioEvent', 'objectiveCompleted', 'scenarioCompleted'].forEach(type =>
+      scenarios.on(type, data => emitted.push({ ...data, name: type })));
+  });
+
+  const advance = async (seconds) => {
+    instance.clock.advance(seconds * 1000);
+    await scenarios.updateAll();
+  };
+  const progressOf = (scenarioId) => scenarios.getScenarioProgress(characterId, scenarioId);
+  const objective = (objectiveId) => emitted.find(e => e.name === 'objectiveCompleted' && e.objectiveId === objectiveId);
+
+  it('starts the opening scenario and applies its initial state', async () => {
+    await scenarios.updateAll();
+
+    expect(progressOf('scenario_1_experiment_day').status).toBe('active');
+    expect(liveProcess(instance, 'memory_recorder.exe')).toMatchObject({ cpuUsage: 15, memoryUsage: 256 });
+    expect(liveProcess(instance, 'temporal_field_monitor.dll')).toBeDefined();
+    expect(instance.state.stability).toBe(0.95);
+    expect(instance.state.metrics).toMatchObject({ coherence: 1, timeline_sync: 1 });
+    // Spawned processes do not take the PIDs of the character's own processes
+    expect(liveProcess(instance, 'grief_processing').pid).toBe(1001);
+    expect(progressOf('scenario_2_first_hours').status).toBe('pending');
+  });
+
+  it('fires the timed event, resolves objectives and chains to the next scenario', async () => {
+    await scenarios.updateAll();
+    engine.emit('debug-command-executed', { characterId, command: 'ps', args: {} });
+    await advance(1);
+
+    expect(objective('monitor_experiment')).toMatchObject({
+      status: 'success',
+      narrative: 'You notice the irregularities in time'
+    });
+
+    await advance(179);
+
+    expect(objective('maintain_normalcy')).toMatchObject({
+      status: 'success',
+      narrative: 'You savor these final moments of peace'
+    });
+    expect(emitted.find(e => e.name === 'scenarioEvent')).toMatchObject({ eventId: 'the_flash', type: 'catastrophic' });
+    expect(liveProcess(instance, 'temporal_shock.exe')).toMatchObject({ cpuUsage: 95 });
+    expect(liveProcess(instance, 'memory_recorder.exe')).toBeUndefined();
+    expect(instance.state.errors).toContainEqual(expect.objectContaining({ code: 'TEMPORAL_CASCADE_FAILURE', severity: 'critical' }));
+    expect(instance.state.stability).toBe(0.3);
+    expect(instance.processManager.canUndo()).toBe(false);
+
+    // The player gets a window to react before the default outcome applies
+    expect(progressOf('scenario_1_experiment_day').status).toBe('active');
+    await advance(60);
+
+    expect(progressOf('scenario_1_experiment_day')).toMatchObject({
+      status: 'complete',
+      outcome: 'shocked',
+      result: 'success',
+      nextScenario: 'scenario_2_first_hours'
+    });
+    expect(progressOf('scenario_2_first_hours').status).toBe('active');
+    expect(liveProcess(instance, 'denial_protocol.exe')).toBeDefined();
+    expect(liveProcess(instance, 'grief_processing').cpuUsage).toBe(5);
+  });
+
+  it('fires events early on their alternative condition', async () => {
+    await scenarios.updateAll();
+    liveProcess(instance, 'temporal_field_monitor.dll').cpuUsage = 85;
+    await advance(10);
+
+    expect(progressOf('scenario_1_experiment_day').events.the_flash).toEqual({ triggeredAt: 10 });
+  });
+
+  it('fails maintain objectives with their failure narrative and ends the story on a terminal outcome', async () => {
+    await scenarios.updateAll();
+    instance.state.stability = 0.1;
+    await advance(5);
+
+    expect(objective('maintain_normalcy')).toMatchObject({
+      status: 'failure',
+      narrative: 'Anxiety creeps in - something feels wrong'
+    });
+
+    await advance(175);
+
+    expect(objective('monitor_experiment').status).toBe('failure');
+    instance.state.stability = 0.1;
+    await advance(1);
+
+    expect(progressOf('scenario_1_experiment_day')).toMatchObject({ outcome: 'shattered', result: 'failure', nextScenario: null });
+    expect(progressOf('scenario_2_first_hours').status).toBe('pending');
+  });
+});
+
+describe('ScenarioEngine on a running engine', () => {
+  it('evaluates instances every second without keeping idle ones loaded', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const engine = new ConsciousnessEngine({ config: { evictionInterval: 0, instanceIdleTimeout: 1000 } });
+    await engine.initialize();
+    engine.stopSystemTick();
+    let now = 0;
+    engine.instances.now = () => now;
+
+    const scenarios = new ScenarioEngine({ updateInterval: 0 });
+    vi.spyOn(scenarios, 'saveProgress').mockResolvedValue();
+    await scenarios.initialize();
+    scenarios.attach(engine);
+    const errors = [];
+    scenarios.on('error', event => errors.push(event));
+
+    const instanceId = `${characterId}@user_1`;
+    await engine.loadCharacter(characterId, { sessionKey: 'user_1' });
+    for (let second = 1; second <= 3; second++) {
+      now = second * 1000;
+      await scenarios.updateAll();
+    }
+
+    expect(errors).toEqual([]);
+    expect(scenarios.getScenarioProgress(instanceId, 'scenario_1_experiment_day').status).not.toBe('pending');
+    expect(await engine.evictIdleInstances()).toEqual([instanceId]);
+    await engine.shutdown();
+  });
+});
+
+describe('scenario expressions', () => {
+  it('evaluates scenario-file syntax against processes, metrics and errors', async () => {
+    const instance = await createInstance();
+    instance.state.metrics = { isolation_index: 0.5 };
+    instance.state.errors.push({ code: 'PARADOX_CASCADE' });
+    const context = buildScenarioContext(instance);
+
+    expect(evaluateCondition('emily_connection.dll.cpu > 0 && consciousness.stability > 0', context)).toBe(true);
+    expect(evaluateCondition("!system_errors.contains('PARADOX_CASCADE')", context)).toBe(false);
+    expect(evaluateCondition('search_protocol_alpha.active || isolation_index < 0.3', context)).toBe(false);
+    expect(evaluateCondition('default', context)).toBe(true);
+    expect(checkValue(0.9, '> 0.8')).toBe(true);
+    expect(checkValue(true, true)).toBe(true);
+  });
+});
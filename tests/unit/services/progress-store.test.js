@@ -0,0 +1,179 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { EventEmitter } from 'events';
+import ScenarioEngine from '../../../lib/scenario-engine.js';
+import { NarrativeEngine } from '../../../lib/narrative-engine.js';
+import { ProgressStore, MemoryProgressStore, DatabaseProgressStore } from '../../../lib/services/state/progress-store.js';
+import { ProgressSync } from '../../../lib/services/state/progress-sync.js';
+import { EndingResolver } from '../../../lib/narrative/ending-resolver.js';
+
+let DatabaseManager;
+let db;
+
+beforeAll(async () => {
+  process.env.DATABASE_PATH = ':memory:';
+  ({ default: DatabaseManager } = await import('../../../lib/database.js'));
+  db = DatabaseManager.getInstance();
+});
+
+afterAll(() => {
+  db.close();
+  delete process.env.DATABASE_PATH;
+});
+
+function createUser(email) {
+  return Number(db.createUser({ email, passwordHash: 'x', displayName: email }).lastInsertRowid);
+}
+
+describe('player_progress migration', () => {
+  it('adds the table once and records the schema version', () => {
+    expect(db.db.pragma('user_version', { simple: true })).toBe(4);
+    expect(db.db.prepare("SELECT name FROM sqlite_master WHERE name = 'player_progress'").get()).toBeDefined();
+    expect(db.runMigrations()).toBe(0);
+  });
+
+  it('upserts progress per user and character, keeping fields left out', () => {
+    const userId = createUser('reader@example.com');
+    db.savePlayerProgress(userId, 'alexander-kane', {
+      scenarioProgress: { scenario_1: { status: 'complete' } },
+      choiceState: { playerChoices: [['c1', 'a']] }
+    });
+    db.savePlayerProgress(userId, 'alexander-kane', { scenarioProgress: { scenario_1: { status: 'complete' }, scenario_2: { status: 'pending' } } });
+
+    const row = db.getPlayerProgress(userId, 'alexander-kane');
+    expect(row.scenario_progress).toEqual({ scenario_1: { status: 'complete' }, scenario_2: { status: 'pending' } });
+    expect(row.choice_state).toEqual({ playerChoices: [['c1', 'a']] });
+    expect(row.narrative_progress).toBeNull();
+    expect(db.getPlayerProgress(userId, 'someone-else')).toBeUndefined();
+  });
+});
+
+describe('ProgressStore', () => {
+  it('keeps guest progress in memory per socket and drops it on release', async () => {
+    const store = new ProgressStore({ db });
+    const guest = { userId: 'guest_s1', socketId: 's1', isGuest: true };
+
+    await store.save(guest, 'alexander-kane', { scenarioProgress: { a: { status: 'complete' } } });
+    expect(store.storeFor(guest)).toBeInstanceOf(MemoryProgressStore);
+    expect(await store.load(guest, 'alexander-kane')).toEqual({ scenarioProgress: { a: { status: 'complete' } } });
+    expect(await store.load({ ...guest, socketId: 's2' }, 'alexander-kane')).toBeNull();
+
+    store.release(guest);
+    expect(await store.load(guest, 'alexander-kane')).toBeNull();
+  });
+
+  it('sends signed-in users to the database', async () => {
+    const store = new ProgressStore({ db });
+    const user = { userId: createUser('store@example.com'), socketId: 's3', isGuest: false };
+
+    expect(store.storeFor(user)).toBeInstanceOf(DatabaseProgressStore);
+    await store.save(user, 'alexander-kane', { scenarioProgress: { a: { status: 'active' } } });
+    store.release(user);
+    expect(await store.load(user, 'alexander-kane')).toEqual({
+      scenarioProgress: { a: { status: 'active' } },
+      narrativeProgress: null,
+      choiceState: null,
+      ending: null
+    });
+  });
+});
+
+describe('ProgressSync', () => {
+  const characterId = 'alexander-kane';
+  let scenarios;
+  let narrative;
+  let endings;
+  let sync;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    scenarios = new ScenarioEngine({ updateInterval: 0 });
+    narrative = new NarrativeEngine();
+    narrative.storyProgress.set('fractured-time', {
+      progress: 0.2, act: 1, choicesMade: [], fragmentsTriggered: new Set(), startTime: 0
+    });
+    const engine = Object.assign(new EventEmitter(), {
+      narrativeEngine: narrative,
+      storyContexts: new Map([[characterId, { storyId: 'fractured-time' }]])
+    });
+    endings = new EndingResolver();
+    endings.addStory({ id: 'fractured-time', protagonist: { characterId }, narrative: { structure: { endings: [
+      { id: 'system_collapse', type: 'failure', condition: { type: 'simple', target: 'corruption', operator: '>=', value: 0.95 } }
+    ] } } });
+    sync = new ProgressSync({ store: new ProgressStore({ db }), scenarioEngine: scenarios, consciousnessEngine: engine, endingResolver: endings });
+    alice = { userId: createUser(`alice${Date.now()}@example.com`), socketId: 'sa', isGuest: false };
+    bob = { userId: createUser(`bob${Date.now()}@example.com`), socketId: 'sb', isGuest: false };
+  });
+
+  const completeFirstScenario = async () => {
+    Object.assign(scenarios.getScenarioProgress(characterId, 'scenario_1_experiment_day'), { status: 'complete', outcome: 'shocked' });
+    narrative.storyProgress.get('fractured-time').fragmentsTriggered.add('flash_memory');
+    await scenarios.saveProgress(characterId);
+  };
+
+  it('gives each reader of a character their own progress', async () => {
+    await sync.restore(characterId, alice);
+    await completeFirstScenario();
+
+    await sync.restore(characterId, bob);
+    expect(scenarios.getScenarioProgress(characterId, 'scenario_1_experiment_day').status).toBe('pending');
+
+    await sync.restore(characterId, { ...alice, socketId: 'sa2' });
+    expect(scenarios.getScenarioProgress(characterId, 'scenario_1_experiment_day')).toMatchObject({ status: 'complete', outcome: 'shocked' });
+    expect(narrative.storyProgress.get('fractured-time').fragmentsTriggered).toEqual(new Set(['flash_memory']));
+
+    const stored = db.getPlayerProgress(alice.userId, characterId);
+    expect(stored.narrative_progress.progress.fragmentsTriggered).toEqual(['flash_memory']);
+    expect(stored.choice_state).toMatchObject({ playerChoices: [], choiceHistory: [] });
+  });
+
+  it('restarts scenarios that were mid-run when progress is restored', async () => {
+    await sync.restore(characterId, alice);
+    Object.assign(scenarios.getScenarioProgress(characterId, 'scenario_2_first_hours'), { status: 'active', startTime: 5 });
+    await sync.release(alice);
+
+    await sync.restore(characterId, alice);
+    expect(scenarios.getScenarioProgress(characterId, 'scenario_2_first_hours')).toEqual({ status: 'pending', choices: [] });
+  });
+
+  it('forgets guest progress when the socket disconnects', async () => {
+    const guest = { userId: 'guest_g1', socketId: 'g1', isGuest: true };
+    await sync.restore(characterId, guest);
+    await completeFirstScenario();
+    await sync.release(guest);
+
+    await sync.restore(characterId, guest);
+    expect(scenarios.getScenarioProgress(characterId, 'scenario_1_experiment_day').status).toBe('pending');
+  });
+
+  it('keeps a guest session\'s progress across reconnects until its instance is unloaded', async () => {
+    const instanceId = 'alexander-kane@guest_tab1';
+    const guest = { userId: 'guest_s1', socketId: 's1', sessionKey: 'guest_tab1', isGuest: true };
+    await sync.restore(instanceId, guest);
+    Object.assign(scenarios.getScenarioProgress(instanceId, 'scenario_1_experiment_day'), { status: 'complete', outcome: 'shocked' });
+    await scenarios.saveProgress(instanceId);
+    await endings.lockEnding(instanceId, 'fractured-time', 'system_collapse');
+    await sync.release(guest);
+
+    await sync.restore(instanceId, { ...guest, userId: 'guest_s2', socketId: 's2' });
+    expect(scenarios.getScenarioProgress(instanceId, 'scenario_1_experiment_day')).toMatchObject({ status: 'complete', outcome: 'shocked' });
+    expect(endings.getReachedEnding(instanceId)).toMatchObject({ ending: { id: 'system_collapse' } });
+
+    sync.consciousnessEngine.emit('characterUnloaded', { characterId: instanceId });
+    await vi.waitFor(() => expect(sync.owners.has(instanceId)).toBe(false));
+    expect(await sync.store.load(guest, 'alexander-kane')).toBeNull();
+  });
+
+  it('saves the ending a player locked in and brings it back with their progress', async () => {
+    await sync.restore(characterId, alice);
+    await endings.lockEnding(characterId, 'fractured-time', 'system_collapse');
+    expect(db.getPlayerProgress(alice.userId, characterId).ending).toMatchObject({ ending: { id: 'system_collapse' } });
+
+    await sync.restore(characterId, bob);
+    expect(endings.getReachedEnding(characterId)).toBeNull();
+
+    await sync.restore(characterId, { ...alice, socketId: 'sa2' });
+    expect(endings.getReachedEnding(characterId)).toMatchObject({ characterId, storyId: 'fractured-time', ending: { id: 'system_collapse' } });
+    expect(db.getPlayerProgress(bob.userId, characterId).ending).toBeNull();
+  });
+});
@@ -0,0 +1,234 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ContentValidator from '../../../lib/validation/content-validator.js';
+import { lintContent } from '../../../lib/validation/content-linter.js';
+import ScenarioEngine from '../../../lib/scenario-engine.js';
+
+const schemaDir = path.join(process.cwd(), 'data', 'schema');
+
+async function readScenario(id) {
+  return JSON.parse(await fs.readFile(path.join(process.cwd(), 'data', 'scenarios', `${id}.json`), 'utf8'));
+}
+
+function scenarioFixture(overrides = {}) {
+  return {
+    id: 'fixture_scenario',
+    title: 'Fixture',
+    description: 'Scenario used by the linter tests',
+    conditions: { triggers: [{ type: 'story_start' }], prerequisites: [] },
+    objectives: [
+      { id: 'hold', description: 'Hold steady', type: 'maintain', target_metric: 'stability', target_value: '> 0.5' }
+    ],
+    events: [
+      { id: 'purge', trigger_condition: { time_elapsed: 10 }, effects: { kill_processes: ['grief_processing'] } }
+    ],
+    ...overrides
+  };
+}
+
+describe('scenario schema', () => {
+  let validator;
+
+  beforeEach(async () => {
+    validator = new ContentValidator({ schemaDir });
+    await validator.load();
+  });
+
+  it('accepts the shipped scenarios', async () => {
+    const scenario = await readScenario('scenario_1_experiment_day');
+    expect(validator.validate('scenario', scenario)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('rejects a misspelled event field instead of silently ignoring it', async () => {
+    const scenario = await readScenario('scenario_1_experiment_day');
+    scenario.events[0].tigger_condition = scenario.events[0].trigger_condition;
+    delete scenario.events[0].trigger_condition;
+
+    const result = validator.validate('scenario', scenario);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain("/events/0 must NOT have additional property 'tigger_condition'");
+  });
+});
+
+describe('lintContent', () => {
+  let dataDir;
+
+  const write = async (relative, data) => {
+    const file = path.join(dataDir, relative);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data));
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'content-lint-'));
+    await fs.cp(schemaDir, path.join(dataDir, 'schema'), { recursive: true });
+    await fs.rm(path.join(dataDir, 'schema', 'stories'), { recursive: true, force: true });
+    await fs.mkdir(path.join(dataDir, 'characters'));
+    await fs.copyFile(
+      path.join(process.cwd(), 'data', 'characters', 'alexander-kane.json'),
+      path.join(dataDir, 'characters', 'alexander-kane.json')
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('passes the shipped content', async () => {
+    expect(await lintContent({ dataDir: path.join(process.cwd(), 'data') })).toEqual([]);
+  });
+
+  it('schema-checks story configs and leaves story overviews alone', async () => {
+    await write('schema/stories/story1.json', { id: 'story1', themes: ['grief'] });
+    await write('schema/stories/story1/story-config.json', {
+      id: 'story1', title: 'Story', technical: { debuggingScenarios: [{ id: 'told', title: 'A scenario without a trigger' }] }
+    });
+
+    const problems = await lintContent({ dataDir });
+    expect(new Set(problems.map(p => p.file))).toEqual(new Set(['schema/stories/story1/story-config.json']));
+    expect(problems.map(p => p.message)).toContain("/ must have required property 'series'");
+    expect(problems.map(p => p.message)).toContain("/technical/debuggingScenarios/0 must have required property 'trigger'");
+  });
+
+  it('passes content whose references all resolve', async () => {
+    await write('scenarios/fixture.json', scenarioFixture());
+    expect(await lintContent({ dataDir })).toEqual([]);
+  });
+
+  it('reports unknown processes, metrics and prerequisites', async () => {
+    await write('scenarios/fixture.json', scenarioFixture({
+      conditions: { triggers: [{ type: 'scenario_complete', scenario_id: 'scenario_0' }], prerequisites: ['scenario_0'] },
+      objectives: [
+        { id: 'hold', description: 'Hold steady', type: 'maintain', target_metric: 'stabilty', target_value: '> 0.5' },
+        { id: 'keep', description: 'Keep it running', type: 'maintain', target_process: 'grief_processing', target_metric: 'cpu > 10' }
+      ],
+      events: [
+        { id: 'purge', trigger_condition: { time_elapsed: 10 }, effects: { kill_processes: ['denial_protocol.exe'] } }
+      ]
+    }));
+
+    const messages = (await lintContent({ dataDir })).map(p => `${p.file}: ${p.message}`);
+    expect(messages).toEqual([
+      "scenarios/fixture.json: kill_processes references unknown process 'denial_protocol.exe'",
+      "scenarios/fixture.json: objective 'hold' target_metric 'stabilty' is not a metric the instance exposes",
+      "scenarios/fixture.json: prerequisite 'scenario_0' is not a known scenario id",
+      "scenarios/fixture.json: trigger references unknown scenario 'scenario_0'"
+    ]);
+  });
+
+  it('accepts processes and metrics introduced by other scenarios', async () => {
+    await write('scenarios/a.json', scenarioFixture({
+      id: 'scenario_a',
+      initial_state: { consciousness_state: { coherence: 1 }, processes: [{ spawn: 'denial_protocol.exe', cpu: 10 }] }
+    }));
+    await write('scenarios/b.json', scenarioFixture({
+      id: 'scenario_b',
+      conditions: { triggers: [{ type: 'scenario_complete', scenario_id: 'scenario_a' }], prerequisites: ['scenario_a'] },
+      objectives: [{ id: 'cohere', description: 'Cohere', type: 'maintain', target_metric: 'coherence', target_value: '> 0.5' }],
+      events: [{ id: 'purge', trigger_condition: { time_elapsed: 10 }, effects: { kill_processes: ['denial_protocol'] } }]
+    }));
+
+    expect(await lintContent({ dataDir })).toEqual([]);
+  });
+
+  it('reports spawned processes whose parent is unknown', async () => {
+    await write('scenarios/fixture.json', scenarioFixture({
+      events: [{
+        id: 'flash',
+        trigger_condition: { time_elapsed: 10 },
+        effects: { spawn_processes: [
+          { name: 'temporal_shock.exe', parent: 'search_protocol', cpu: 10 },
+          { name: 'echo.exe', parent: 'the_flash', cpu: 10 }
+        ] }
+      }]
+    }));
+
+    expect((await lintContent({ dataDir })).map(p => p.message)).toEqual([
+      "process 'echo.exe' names unknown parent 'the_flash'"
+    ]);
+  });
+
+  it('reports schema errors and unparseable files', async () => {
+    await write('scenarios/fixture.json', scenarioFixture({ objectives: [{ id: 'x', description: 'x', type: 'wander' }] }));
+    await fs.writeFile(path.join(dataDir, 'scenarios', 'broken.json'), '{ "id": ');
+
+    const problems = await lintContent({ dataDir });
+    expect(problems.map(p => p.file)).toEqual(['scenarios/broken.json', 'scenarios/fixture.json']);
+    expect(problems[0].message).toMatch(/^cannot parse/);
+    expect(problems[1].message).toMatch(/^\/objectives\/0\/type must be equal to one of the allowed values/);
+  });
+
+  it('reports emotion influences and process coupling that point nowhere', async () => {
+    const file = path.join(dataDir, 'characters', 'alexander-kane.json');
+    const character = JSON.parse(await fs.readFile(file, 'utf8'));
+    character.emotionalStates.guilt.influences.shame = 0.01;
+    character.emotionalStates.hope.processes = { dream_engine: { cpu: 5 } };
+    character.baseProcesses[0].signals.SIGTERM.emotions.shame = 0.1;
+    await fs.writeFile(file, JSON.stringify(character));
+
+    const messages = (await lintContent({ dataDir })).map(p => `${p.file}: ${p.message}`);
+    expect(messages).toEqual([
+      "characters/alexander-kane.json: emotion 'hope' drives process 'dream_engine', which is not a base process",
+      "characters/alexander-kane.json: emotion 'guilt' influences undefined emotion 'shame'",
+      "characters/alexander-kane.json: process 'grief_processing' handles SIGTERM with undefined emotion 'shame'"
+    ]);
+  });
+
+  it('checks narrative triggers and leaves other fragments alone', async () => {
+    const triggerDir = 'stories/story1/narrative-fragments/narrative-triggers';
+    const definition = {
+      id: 'scan',
+      condition: { type: 'simple', target: 'command', value: 'ps' },
+      narrative: { type: 'system_message', content: { title: 'Scan', text: 'Scanning.' } }
+    };
+    await write(`${triggerDir}/a.json`, definition);
+    await write(`${triggerDir}/b.json`, definition);
+    await write(`${triggerDir}/c.json`, { ...definition, id: 'wait', condition: { type: 'temporal', eventType: 'kill', within: 10 } });
+    await write('stories/story1/narrative-fragments/memory-dumps/leo.json', { id: 'leo', content: 'The park.' });
+
+    const messages = (await lintContent({ dataDir })).map(p => `${p.file}: ${p.message}`);
+    expect(messages).toEqual([
+      `${triggerDir}/c.json: /condition must NOT have additional property 'within'`,
+      `${triggerDir}/c.json: /condition must match "then" schema`,
+      `${triggerDir}/b.json: duplicate narrative trigger id 'scan' (also in ${triggerDir}/a.json)`
+    ]);
+  });
+});
+
+describe('ScenarioEngine validation', () => {
+  let scenarioDir;
+
+  beforeEach(async () => {
+    scenarioDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scenarios-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(scenarioDir, { recursive: true, force: true });
+  });
+
+  it('skips invalid scenario files and keeps the previous version on reload', async () => {
+    await fs.writeFile(path.join(scenarioDir, 'good.json'), JSON.stringify(scenarioFixture()));
+    await fs.writeFile(path.join(scenarioDir, 'bad.json'), JSON.stringify(scenarioFixture({ id: 'bad', title: undefined })));
+
+    const engine = new ScenarioEngine({ scenarioDir, updateInterval: 0 });
+    const errors = [];
+    engine.on('error', error => errors.push(error));
+    await engine.loadAll();
+
+    expect([...engine.scenarios.keys()]).toEqual(['fixture_scenario']);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ type: 'load', file: 'bad.json' });
+    expect(errors[0].error.message).toContain("Invalid scenario bad.json: / must have required property 'title'");
+
+    const broken = scenarioFixture({ title: 'Changed' });
+    broken.events[0].tigger_condition = broken.events[0].trigger_condition;
+    delete broken.events[0].trigger_condition;
+    await fs.writeFile(path.join(scenarioDir, 'good.json'), JSON.stringify(broken));
+    await engine.reloadFile('good.json');
+
+    expect(errors[1]).toMatchObject({ type: 'reload' });
+    expect(engine.scenarios.get('fixture_scenario').title).toBe('Fixture');
+  });
+});
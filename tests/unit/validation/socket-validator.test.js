@@ -39,6 +39,36 @@ describe('SocketValidator', () => {
       expect(result.data.command).toBe('restart');
     });
 
+    test('validates narrative debug-command with argv', () => {
+      const result = validator.validate('debug-command', {
+        characterId: 'alexander-kane',
+        command: 'memories',
+        args: { argv: ['read', '0x1000000000000000'] }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.data.args.argv).toEqual(['read', '0x1000000000000000']);
+
+      const invalid = validator.validate('debug-command', {
+        characterId: 'alexander-kane',
+        command: 'nexus',
+        args: { argv: ['interact', '$(reboot)'] }
+      });
+      expect(invalid.valid).toBe(false);
+    });
+
+    test('lets memory query terms through argv', () => {
+      const argv = ['search', 'emotion:grief', 'intensity>0.7', 'text:"feeding', 'ducks"', 'before:2024-03-16', 'sort:-date'];
+      const result = validator.validate('debug-command', {
+        characterId: 'alexander-kane',
+        command: 'memories',
+        args: { argv }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.data.args.argv).toEqual(argv);
+    });
+
     test('validates start-monitoring', () => {
       const result = validator.validate('start-monitoring', {
         characterId: 'alexander-kane'
@@ -52,14 +82,14 @@ describe('SocketValidator', () => {
       const result = validator.validate('player-intervention', {
         characterId: 'alexander-kane',
         intervention: {
-          type: 'memory_boost',
+          type: 'memory-release',
           intensity: 1.5,
           duration: 300
         }
       });
       
       expect(result.valid).toBe(true);
-      expect(result.data.intervention.type).toBe('memory_boost');
+      expect(result.data.intervention.type).toBe('memory-release');
     });
 
     test('validates debug-history with criteria', () => {
@@ -208,7 +238,7 @@ describe('SocketValidator', () => {
       const result = validator.validate('player-intervention', {
         characterId: 'alexander-kane',
         intervention: {
-          type: 'memory_boost',
+          type: 'memory-release',
           intensity: 3.0 // Max is 2.0
         }
       });
@@ -263,7 +293,7 @@ describe('SocketValidator', () => {
       const result = validator.validate('player-intervention', {
         characterId: 'alexander-kane',
         intervention: {
-          type: 'memory_boost',
+          type: 'memory-release',
           maliciousField: 'evil data'
         }
       });
@@ -29,8 +29,9 @@ describe('monitor-handlers', () => {
     // Call the handler directly with the event data
     await monitorStartHandler({ characterId: 'c1' });
 
-    expect(engine.loadCharacter).toHaveBeenCalledWith('c1');
-    expect(engine.startMonitoring).toHaveBeenCalledWith('c1', 's1');
+    // Guest sockets without a client session id get an instance of their own
+    expect(engine.loadCharacter).toHaveBeenCalledWith('c1', { sessionKey: 'guest_s1' });
+    expect(engine.startMonitoring).toHaveBeenCalledWith('c1@guest_s1', 's1');
     expect(handlers.connectedSockets.get('s1').isMonitoring).toBe(true);
   });
 });
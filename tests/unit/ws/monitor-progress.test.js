@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { ConsciousnessEngine } from '../../../lib/consciousness-engine.js';
+import ScenarioEngine from '../../../lib/scenario-engine.js';
+import { ProgressStore } from '../../../lib/services/state/progress-store.js';
+import { ProgressSync } from '../../../lib/services/state/progress-sync.js';
+import registerHandlers from '../../../lib/ws-handlers/monitor-handlers.js';
+
+let db;
+let engine;
+let scenarios;
+let sync;
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  process.env.DATABASE_PATH = ':memory:';
+  const { default: DatabaseManager } = await import('../../../lib/database.js');
+  db = DatabaseManager.getInstance();
+
+  engine = new ConsciousnessEngine({ config: { evictionInterval: 0 } });
+  await engine.initialize();
+  engine.stopSystemTick();
+  scenarios = new ScenarioEngine({ updateInterval: 0 });
+  await scenarios.initialize();
+  scenarios.attach(engine);
+  sync = new ProgressSync({ store: new ProgressStore({ db }), scenarioEngine: scenarios, consciousnessEngine: engine });
+});
+
+afterAll(async () => {
+  scenarios.stop();
+  await engine.shutdown();
+  db.close();
+  delete process.env.DATABASE_PATH;
+});
+
+function createUser(email) {
+  return Number(db.createUser({ email, passwordHash: 'x', displayName: email }).lastInsertRowid);
+}
+
+/* A signed-in socket with the monitor handlers registered on it */
+function connect(userId, socketId) {
+  const events = {};
+  const socket = { id: socketId, userId, isGuest: false, join: vi.fn(), emit: () => true, on: (event, handler) => { events[event] = handler; } };
+  const handlers = { connectedSockets: new Map([[socketId, { joinedRooms: new Set() }]]) };
+  registerHandlers({ socket, handlers, consciousnessEngine: engine, progressSync: sync, ensureEngineInitialized: async () => {} });
+  return events;
+}
+
+describe('monitor-handlers story progress', () => {
+  it('keeps each player\'s narrative progress on their own instance and brings it back on reconnect', async () => {
+    const alice = createUser('alice@example.com');
+    const bob = createUser('bob@example.com');
+    const aliceInstance = `alexander-kane@user_${alice}`;
+    const bobInstance = `alexander-kane@user_${bob}`;
+    const narrative = engine.narrativeEngine;
+    const choiceOf = instanceId => narrative.choiceTracker.tracker.getSelectedOption(instanceId, 'debug_approach');
+
+    const aliceSocket = connect(alice, 'sa');
+    await aliceSocket['monitor:start']({ characterId: 'alexander-kane' });
+    expect(engine.storyContexts.get(aliceInstance)).toMatchObject({ storyId: 'fractured-time', instanceId: aliceInstance });
+
+    narrative.recordChoice(aliceInstance, 'debug_approach', 'systematic');
+    narrative.storyProgress.get(aliceInstance).fragmentsTriggered.add('flash_memory');
+
+    await connect(bob, 'sb')['monitor:start']({ characterId: 'alexander-kane' });
+    expect(choiceOf(bobInstance)).toBeUndefined();
+    expect(narrative.storyProgress.get(bobInstance).fragmentsTriggered.size).toBe(0);
+    expect(choiceOf(aliceInstance)).toBe('systematic');
+
+    aliceSocket.disconnect();
+    await vi.waitFor(() => expect(sync.owners.has(aliceInstance)).toBe(false));
+    await engine.unloadCharacter(aliceInstance);
+    expect(narrative.storyProgress.has(aliceInstance)).toBe(false);
+    expect(db.getPlayerProgress(alice, 'alexander-kane').narrative_progress.progress.fragmentsTriggered).toEqual(['flash_memory']);
+
+    await connect(alice, 'sa2')['monitor:start']({ characterId: 'alexander-kane' });
+    expect(choiceOf(aliceInstance)).toBe('systematic');
+    expect(narrative.storyProgress.get(aliceInstance).fragmentsTriggered).toEqual(new Set(['flash_memory']));
+    expect(choiceOf(bobInstance)).toBeUndefined();
+  });
+});